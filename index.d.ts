@@ -0,0 +1,1605 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Type declarations of the NIU cloud connector.
+ * Keep them in sync with the JSDoc in index.js and lib/, the type test in
+ * test/types checks them.
+ */
+
+/// <reference types="node" />
+
+import { EventEmitter } from "events";
+
+declare namespace niuCloudConnector {
+
+    /* -------------------------------------------- */
+    /* ---------- Constants                -------- */
+    /* -------------------------------------------- */
+
+    /** URL to NIU login, used for retrieving an access token. */
+    const AccountBaseUrl: string;
+
+    /** URL to the NIU app API. */
+    const AppApiBaseUrl: string;
+
+    /** Default timeout in ms of a request to the NIU cloud. */
+    const DefaultTimeout: number;
+
+    /** Default retry policy of a request to the NIU cloud. */
+    const DefaultRetry: Required<RetryPolicy>;
+
+    /** Known NIU regions with their URLs to the NIU login and the NIU app API. */
+    const Regions: Record<Region, RegionHosts>;
+
+    /** NIU response status numbers, which signal an invalid or expired session token. */
+    const TokenErrorStatus: number[];
+
+    type Region = "EU" | "CN" | "GLOBAL";
+
+    interface RegionHosts {
+        accountBaseUrl: string;
+        appApiBaseUrl: string;
+    }
+
+    /* -------------------------------------------- */
+    /* ---------- Client                   -------- */
+    /* -------------------------------------------- */
+
+    interface Credentials {
+        /** EMail address or mobile phone number or username. */
+        account: string;
+        /** Account password. */
+        password: string;
+        /** Telephone country code, without leading zeros or + sign. */
+        countryCode: string;
+    }
+
+    type CredentialsProvider = () => Credentials | Promise<Credentials>;
+
+    interface RetryPolicy {
+        /** Max. number of retries. 0 disables retries. */
+        retries?: number;
+        /** Delay in ms before the first retry. */
+        minDelay?: number;
+        /** Max. delay in ms between two retries. */
+        maxDelay?: number;
+        /** Factor, the delay grows with every retry. */
+        factor?: number;
+        /** Randomize the delay. */
+        jitter?: boolean;
+        /** Retry the login too, which sends the credentials again (default: false). */
+        login?: boolean;
+    }
+
+    type ValidationMode = "off" | "warn" | "strict" | "collect";
+
+    interface ClientOptions {
+        credentials?: Credentials | CredentialsProvider;
+        tokenStore?: TokenStore;
+        region?: Region;
+        accountBaseUrl?: string;
+        appApiBaseUrl?: string;
+        transport?: Transport;
+        timeout?: number;
+        retry?: RetryPolicy;
+        normalize?: boolean;
+        validation?: ValidationMode;
+        /** Record the API traffic into a cassette file or replay it from there. */
+        cassette?: CassetteOptions;
+    }
+
+    interface RequestOptions {
+        /** Timeout in ms, overrides the timeout of the client. */
+        timeout?: number;
+        /** AbortSignal, which cancels the request. */
+        signal?: AbortSignal;
+    }
+
+    interface VehicleOptions extends RequestOptions {
+        /** Vehicle serial number. */
+        sn: string;
+    }
+
+    interface CreateSessionTokenOptions extends Credentials, RequestOptions {
+    }
+
+    interface SetSessionTokenOptions {
+        token: string;
+    }
+
+    interface TrackDetailOptions extends VehicleOptions {
+        /** Track identification number. */
+        trackId: string;
+        /** Track date in yyyymmdd format. */
+        trackDate: string;
+    }
+
+    interface TracksOptions extends VehicleOptions {
+        /** Start from this index. */
+        index: number;
+        /** Number of tracks. */
+        pageSize: number;
+    }
+
+    interface BatteryChartOptions extends VehicleOptions {
+        /** Selects the battery (1: Battery A / 2: Battery B). */
+        bmsId: number;
+        /** The page number selects the data. Start always with 1. */
+        page: number;
+        /** 'A' or 'B'. Using 'B' instead of 'A' results in getting more data at once. */
+        pageSize: "A" | "B";
+        /** [1; 2]. Controls whether the result contains a second array of data. */
+        pageLength: number;
+    }
+
+    interface IterateTracksOptions extends VehicleOptions {
+        from?: Date | number;
+        to?: Date | number;
+        pageSize?: number;
+        withDetail?: boolean;
+        concurrency?: number;
+    }
+
+    interface FleetOptions extends RequestOptions {
+        /** Serial numbers of the vehicles, which shall be included (default: all). */
+        sn?: string[];
+        /** Max. number of vehicles, which are requested at the same time (default: 3). */
+        concurrency?: number;
+        /** Vehicles below this state of charge in percent are reported (default: 20). */
+        lowSocThreshold?: number;
+    }
+
+    interface SyncRidesOptions extends RequestOptions {
+        /** Serial numbers of the vehicles, which shall be synchronized (default: all). */
+        sn?: string[];
+        /** Store the track details (default: true). */
+        withDetail?: boolean;
+        /** Store a battery health record (default: true). */
+        batteryHealth?: boolean;
+        /** Store a tally snapshot (default: true). */
+        tally?: boolean;
+        pageSize?: number;
+        /** Max. number of concurrent track detail requests (default: 2). */
+        concurrency?: number;
+    }
+
+    /** Resolved value of every request. The model is only available, if the client normalizes. */
+    interface Result<TResult, TModel = never> {
+        client: Client;
+        result: TResult;
+        model?: TModel;
+    }
+
+    /** Response body of the NIU cloud */
+    interface NiuResponse<TData> {
+        data: TData;
+        /** Response status description */
+        desc: string;
+        /** For debug purposes */
+        trace: string;
+        /** Response status number */
+        status: number;
+    }
+
+    /** Attempt to send a request to the NIU cloud, including retries */
+    interface ClientRequestEvent {
+        method: string;
+        /** Path to the resource, without query */
+        path: string;
+        /** HTTP status code, if a response was received */
+        statusCode?: number;
+        /** Duration in ms */
+        duration: number;
+        /** Error of the transport */
+        error: Error | null;
+    }
+
+    class Client extends EventEmitter {
+        constructor(options?: ClientOptions);
+
+        getAccountBaseUrl(): string;
+        getAppApiBaseUrl(): string;
+
+        createSessionToken(options: CreateSessionTokenOptions): Promise<Result<string>>;
+        setSessionToken(options: SetSessionTokenOptions): Promise<Result<null>>;
+
+        getDriftReport(): DriftReport;
+        clearDriftReport(): void;
+
+        getVehicles(options?: RequestOptions): Promise<Result<NiuResponse<VehicleData[]>, Vehicle[]>>;
+        getVehiclePos(options: VehicleOptions): Promise<Result<NiuResponse<VehiclePosData>>>;
+        getOverallTally(options: VehicleOptions): Promise<Result<NiuResponse<OverallTallyData>>>;
+        getTrackDetail(options: TrackDetailOptions): Promise<Result<NiuResponse<TrackDetailData>, Track>>;
+        getBatteryInfo(options: VehicleOptions): Promise<Result<NiuResponse<BatteryInfoData>, Batteries>>;
+        getBatteryHealth(options: VehicleOptions): Promise<Result<NiuResponse<BatteryInfoHealthData>, Batteries>>;
+        getBatteryChart(options: BatteryChartOptions): Promise<Result<NiuResponse<BatteryChartResult>>>;
+        getMotorInfo(options: VehicleOptions): Promise<Result<NiuResponse<MotorData>, VehicleStatus>>;
+        getTracks(options: TracksOptions): Promise<Result<NiuResponse<TrackSummary[]>, Track[]>>;
+        iterateTracks(options: IterateTracksOptions): TrackIterator;
+        getFirmwareVersion(options: VehicleOptions): Promise<Result<NiuResponse<FirmwareVersionData[]>, FirmwareInfo>>;
+        getUpdateInfo(options: VehicleOptions): Promise<Result<NiuResponse<UpdateInfoData[]>>>;
+        getFleetStatus(options?: FleetOptions): Promise<Result<FleetSnapshot>>;
+        syncRides(options: SyncRidesOptions & { store: RideStore }): Promise<Result<SyncResult>>;
+
+        on(event: "request", listener: (event: ClientRequestEvent) => void): this;
+        on(event: "login", listener: () => void): this;
+        on(event: "failure", listener: (error: NiuError) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+    }
+
+    /* -------------------------------------------- */
+    /* ---------- Raw responses            -------- */
+    /* -------------------------------------------- */
+
+    interface VehicleFeature {
+        featureName: string;
+        isSupport: boolean;
+        switch_status: string;
+    }
+
+    interface VehicleData {
+        /** Vehicle serial number */
+        sn: string;
+        specialEdition: string;
+        vehicleColorImg: string;
+        vehicleLogoImg: string;
+        vehicleTypeId: string;
+        indexHeaderBg: string;
+        scootorImg: string;
+        batteryInfoBg: string;
+        myPageHeaderBg: string;
+        listScooterImg: string;
+        /** Vehicle name, given by the user */
+        name: string;
+        /** Vehicle identification number (VIN) */
+        frameNo: string;
+        engineNo: string;
+        isSelected: boolean;
+        isMaster: boolean;
+        bindNum: number;
+        renovated: boolean;
+        bindDate: number;
+        isShow: boolean;
+        isLite: boolean;
+        gpsTimestamp: number;
+        infoTimestamp: number;
+        productType: string;
+        process: string;
+        brand: string;
+        isDoubleBattery: boolean;
+        features: VehicleFeature[];
+        /** Vehicle model */
+        type: string;
+    }
+
+    interface VehiclePosData {
+        lat: number;
+        lng: number;
+        timestamp: number;
+        gps: number;
+        gpsPrecision: number;
+    }
+
+    interface OverallTallyData {
+        /** Number of days the vehicle is at the customer */
+        bindDaysCount: number;
+        /** Total mileage in km */
+        totalMileage: number;
+    }
+
+    interface TrackItem {
+        lng: number;
+        lat: number;
+        /** Date in unix timestamp epoch format (13 digits) */
+        date: number;
+    }
+
+    interface TrackDetailData {
+        /** Track items (end point at index 0) */
+        trackItems: TrackItem[];
+        startPoint: { lng: string; lat: string };
+        lastPoint: { lng: string; lat: string };
+        startTime: string;
+        lastDate: string;
+    }
+
+    interface CompartmentBatteryInfo {
+        items: { x: number; y: number; z: number }[];
+        totalPoint: number;
+        bmsId: string;
+        isConnected: boolean;
+        /** State of charge in percent */
+        batteryCharging: number;
+        chargedTimes: string;
+        temperature: number;
+        temperatureDesc: string;
+        energyConsumedTody: number;
+        gradeBattery: string;
+    }
+
+    interface BatteryInfoData {
+        batteries: {
+            compartmentA: CompartmentBatteryInfo;
+            /** Only available for vehicles with two batteries */
+            compartmentB?: CompartmentBatteryInfo;
+        };
+        isCharging: number;
+        centreCtrlBattery: string;
+        batteryDetail: boolean;
+        /** Estimated mileage in km */
+        estimatedMileage: number;
+    }
+
+    interface BatteryHealthRecordData {
+        result: string;
+        chargeCount: string;
+        color: string;
+        time: number;
+        name: string;
+    }
+
+    interface CompartmentBatteryInfoHealth {
+        bmsId: string;
+        isConnected: boolean;
+        gradeBattery: string;
+        faults: unknown[];
+        healthRecords: BatteryHealthRecordData[];
+    }
+
+    interface BatteryInfoHealthData {
+        batteries: {
+            compartmentA: CompartmentBatteryInfoHealth;
+            /** Only available for vehicles with two batteries */
+            compartmentB?: CompartmentBatteryInfoHealth;
+        };
+        isDoubleBattery: boolean;
+    }
+
+    interface BatteryChartData {
+        /** Mileage in km */
+        m: string;
+        /** Battery SOC in percent */
+        b: string;
+    }
+
+    interface BatteryChartResult {
+        items1: BatteryChartData;
+        items2?: BatteryChartData;
+        isDoubleBattery: boolean;
+    }
+
+    interface CompartmentMotorData {
+        bmsId: string;
+        isConnected: boolean;
+        /** State of charge in percent */
+        batteryCharging: number;
+        gradeBattery: string;
+    }
+
+    interface MotorData {
+        isCharging: number;
+        lockStatus: number;
+        isAccOn: number;
+        isFortificationOn: string;
+        isConnected: boolean;
+        /** Current position, the name is misspelled by the NIU cloud. */
+        postion: { lat: number; lng: number };
+        hdop: number;
+        time: number;
+        batteries: {
+            compartmentA: CompartmentMotorData;
+            /** Only available for vehicles with two batteries */
+            compartmentB?: CompartmentMotorData;
+        };
+        leftTime: string;
+        /** Estimated mileage in km */
+        estimatedMileage: number;
+        gpsTimestamp: number;
+        infoTimestamp: number;
+        /** Current speed in km/h */
+        nowSpeed: number;
+        batteryDetail: boolean;
+        centreCtrlBattery: number;
+        ss_protocol_ver: number;
+        ss_online_sta: string;
+        gps: number;
+        gsm: number;
+        lastTrack: {
+            /** Riding time in s */
+            ridingTime: number;
+            /** Distance in m */
+            distance: number;
+            time: number;
+        };
+    }
+
+    interface TrackSummaryPoint {
+        lng: string;
+        lat: string;
+        speed: string;
+        battery: string;
+        mileage: string;
+        date: string;
+    }
+
+    interface TrackSummary {
+        id: string;
+        trackId: string;
+        startTime: number;
+        endTime: number;
+        /** Distance in m */
+        distance: number;
+        /** Average speed in km/h */
+        avespeed: number;
+        /** Riding time in minutes */
+        ridingtime: number;
+        type: string;
+        /** Date in the format yyyymmdd */
+        date: string;
+        startPoint: TrackSummaryPoint;
+        lastPoint: TrackSummaryPoint;
+    }
+
+    interface FirmwareVersionData {
+        nowVersion: string;
+        version: string;
+        hardVersion: string;
+        ss_protocol_ver: number;
+        byteSize: string;
+        date: number;
+        isSupportUpdate: boolean;
+        needUpdate: boolean;
+        otaDescribe: string;
+    }
+
+    interface UpdateInfoData {
+        csq: number;
+        centreCtrlBattery: string;
+        date: number;
+    }
+
+    /* -------------------------------------------- */
+    /* ---------- Token store              -------- */
+    /* -------------------------------------------- */
+
+    interface TokenStore {
+        load(): Promise<string | null>;
+        save(token: string): Promise<void>;
+        clear(): Promise<void>;
+    }
+
+    class MemoryTokenStore implements TokenStore {
+        constructor();
+        load(): Promise<string | null>;
+        save(token: string): Promise<void>;
+        clear(): Promise<void>;
+    }
+
+    class FileTokenStore implements TokenStore {
+        constructor(options: { path: string; mode?: number });
+        load(): Promise<string | null>;
+        save(token: string): Promise<void>;
+        clear(): Promise<void>;
+    }
+
+    /* -------------------------------------------- */
+    /* ---------- Transport                -------- */
+    /* -------------------------------------------- */
+
+    interface TransportRequest {
+        method: string;
+        url: string;
+        headers?: Record<string, string>;
+        form?: Record<string, unknown>;
+        /** Sent JSON-encoded, ignored if form data is given */
+        json?: unknown;
+        timeout?: number;
+        signal?: AbortSignal;
+    }
+
+    interface TransportResponse {
+        statusCode: number;
+        headers: Record<string, string | string[] | undefined>;
+        /** Response body, parsed if it is JSON */
+        body: unknown;
+    }
+
+    interface Transport {
+        request(options: TransportRequest): Promise<TransportResponse>;
+    }
+
+    class HttpsTransport implements Transport {
+        constructor(options?: { agent?: object });
+        request(options: TransportRequest): Promise<TransportResponse>;
+    }
+
+    /* -------------------------------------------- */
+    /* ---------- Record and replay        -------- */
+    /* -------------------------------------------- */
+
+    interface CassetteOptions {
+        mode: "record" | "replay";
+        /** Path to the cassette file. */
+        path: string;
+    }
+
+    interface CassetteInteraction {
+        /** Request with redacted session token, credentials and serial numbers */
+        request: {
+            method: string;
+            url: string;
+            headers: Record<string, string>;
+            form?: Record<string, unknown>;
+            json?: unknown;
+        };
+        /** Response, if the request was successful */
+        response?: TransportResponse;
+        /** Error, if the request failed */
+        error?: {
+            name: string;
+            code?: string;
+            message: string;
+        };
+    }
+
+    interface Cassette {
+        version: number;
+        interactions: CassetteInteraction[];
+    }
+
+    class RecordingTransport implements Transport {
+        constructor(options: { path: string; transport?: Transport; mode?: number });
+        request(options: TransportRequest): Promise<TransportResponse>;
+        getInteractions(): CassetteInteraction[];
+    }
+
+    class ReplayTransport implements Transport {
+        constructor(options: { path?: string; cassette?: Cassette });
+        request(options: TransportRequest): Promise<TransportResponse>;
+    }
+
+    /* -------------------------------------------- */
+    /* ---------- Errors                   -------- */
+    /* -------------------------------------------- */
+
+    interface ErrorDetails {
+        funcName?: string;
+        date?: string;
+        client?: Client;
+        info?: object;
+        cause?: Error;
+        statusCode?: number;
+        status?: number;
+        desc?: string;
+        trace?: string;
+        responseType?: string;
+        issues?: SchemaIssue[];
+        ruleId?: string;
+    }
+
+    class NiuError extends Error {
+        constructor(message: string, details?: ErrorDetails);
+        /** Machine-readable error code */
+        code: string;
+        client?: Client;
+        debug: { date?: string; funcName?: string };
+        /** Original error information, kept for compatibility */
+        error: object;
+        cause?: Error;
+    }
+
+    class ValidationError extends NiuError {
+        code: "ERR_VALIDATION";
+    }
+
+    class NetworkError extends NiuError {
+        code: "ERR_NETWORK" | "ERR_TIMEOUT";
+    }
+
+    class TimeoutError extends NetworkError {
+        code: "ERR_TIMEOUT";
+    }
+
+    class AbortError extends NiuError {
+        code: "ERR_ABORTED";
+    }
+
+    class HttpStatusError extends NiuError {
+        code: "ERR_HTTP_STATUS";
+        statusCode?: number;
+    }
+
+    class ResponseError extends NiuError {
+        code: "ERR_INVALID_RESPONSE" | "ERR_SCHEMA";
+    }
+
+    class SchemaError extends ResponseError {
+        code: "ERR_SCHEMA";
+        responseType?: string;
+        issues?: SchemaIssue[];
+        ruleId?: string;
+    }
+
+    class AuthenticationError extends NiuError {
+        code: "ERR_AUTHENTICATION";
+        statusCode?: number;
+        status?: number;
+        desc?: string;
+        trace?: string;
+    }
+
+    class ApiError extends NiuError {
+        code: "ERR_NIU_API";
+        statusCode?: number;
+        status?: number;
+        desc?: string;
+        trace?: string;
+    }
+
+    class TokenStoreError extends NiuError {
+        code: "ERR_TOKEN_STORE";
+    }
+
+    class NotificationError extends NiuError {
+        code: "ERR_NOTIFICATION";
+        /** HTTP status code of a webhook */
+        statusCode?: number;
+    }
+
+    class RuleError extends NiuError {
+        code: "ERR_RULE";
+        /** Identifier of the rule */
+        ruleId?: string;
+    }
+
+    /* -------------------------------------------- */
+    /* ---------- Vehicle monitor          -------- */
+    /* -------------------------------------------- */
+
+    interface VehicleMonitorOptions {
+        client: Client;
+        sn: string;
+        interval?: number;
+        movingInterval?: number;
+        idleInterval?: number;
+        backoffFactor?: number;
+    }
+
+    interface VehicleEvent {
+        sn: string;
+        data: MotorData;
+        previous: MotorData | null;
+    }
+
+    interface SocEvent extends VehicleEvent {
+        compartment: "compartmentA" | "compartmentB";
+        soc: number;
+        previousSoc: number;
+    }
+
+    type VehicleEventName = "data" | "chargingStarted" | "chargingFinished" | "locked" | "unlocked" |
+        "connected" | "disconnected" | "accOn" | "accOff";
+
+    class VehicleMonitor extends EventEmitter {
+        constructor(options: VehicleMonitorOptions);
+        start(): this;
+        stop(): this;
+        isRunning(): boolean;
+        getData(): MotorData | null;
+        getInterval(): number;
+        poll(): Promise<MotorData>;
+
+        on(event: VehicleEventName, listener: (event: VehicleEvent) => void): this;
+        on(event: "socChanged", listener: (event: SocEvent) => void): this;
+        on(event: "error", listener: (error: NiuError) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+    }
+
+    /* -------------------------------------------- */
+    /* ---------- Geofencing               -------- */
+    /* -------------------------------------------- */
+
+    interface GeoPoint {
+        lat: number;
+        lng: number;
+    }
+
+    interface Geofence {
+        id: string;
+        name: string;
+        getBoundaryDistance(point: GeoPoint): number;
+        contains(point: GeoPoint): boolean;
+        getMinWidth?(): number;
+    }
+
+    function getDistance(from: GeoPoint, to: GeoPoint): number;
+
+    class CircleGeofence implements Geofence {
+        constructor(options: { id: string; name?: string; lat: number; lng: number; radius: number });
+        id: string;
+        name: string;
+        center: GeoPoint;
+        radius: number;
+        getBoundaryDistance(point: GeoPoint): number;
+        contains(point: GeoPoint): boolean;
+        getMinWidth(): number;
+    }
+
+    class PolygonGeofence implements Geofence {
+        constructor(options: { id: string; name?: string; points: GeoPoint[] });
+        id: string;
+        name: string;
+        points: GeoPoint[];
+        getBoundaryDistance(point: GeoPoint): number;
+        contains(point: GeoPoint): boolean;
+        getMinWidth(): number;
+    }
+
+    interface GeofenceWatcherOptions {
+        geofences: Geofence[];
+        monitor?: VehicleMonitor;
+        client?: Client;
+        sn?: string;
+        interval?: number;
+        hysteresis?: number;
+        maxHdop?: number;
+        confirmations?: number;
+    }
+
+    interface GeofenceEvent {
+        sn: string;
+        geofence: Geofence;
+        position: {
+            lat: number;
+            lng: number;
+            hdop?: number;
+            time?: number;
+        };
+        /** Distance to the geofence boundary in m, negative inside */
+        distance: number;
+    }
+
+    class GeofenceWatcher extends EventEmitter {
+        constructor(options: GeofenceWatcherOptions);
+        addGeofence(geofence: Geofence): void;
+        removeGeofence(id: string): void;
+        getStates(): Record<string, "inside" | "outside" | null>;
+        start(): this;
+        stop(): this;
+        update(sn: string, data: MotorData): void;
+
+        on(event: "enter" | "leave", listener: (event: GeofenceEvent) => void): this;
+        on(event: "error", listener: (error: NiuError) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+    }
+
+    /* -------------------------------------------- */
+    /* ---------- Tracks                   -------- */
+    /* -------------------------------------------- */
+
+    /** Track detail and optional the track summary, as used by the track exporters */
+    interface TrackData {
+        detail: TrackDetailData | NiuResponse<TrackDetailData>;
+        summary?: TrackSummary;
+    }
+
+    interface ExportTrackPoint {
+        lat: number;
+        lng: number;
+        date?: number;
+    }
+
+    interface GeoJsonFeature {
+        type: "Feature";
+        properties: {
+            name: string;
+            trackId: string | null;
+            date: string | null;
+            startTime: string | null;
+            endTime: string | null;
+            distance: number | null;
+            avgSpeed: number | null;
+            ridingTime: number | null;
+            coordTimes: (string | null)[];
+        };
+        geometry: {
+            type: "LineString";
+            coordinates: [number, number][];
+        };
+    }
+
+    interface GeoJsonFeatureCollection {
+        type: "FeatureCollection";
+        features: GeoJsonFeature[];
+    }
+
+    function getTrackPoints(track: TrackData): ExportTrackPoint[];
+    function toGpx(track: TrackData): string;
+    function toGeoJson(track: TrackData): GeoJsonFeature;
+    function toGeoJson(tracks: TrackData[]): GeoJsonFeatureCollection;
+    function toKml(track: TrackData): string;
+
+    /** Track of the track iterator */
+    interface IteratedTrack {
+        summary: TrackSummary;
+        /** Only available, if the track details are requested. */
+        detail: TrackDetailData | null;
+        /** Only available, if the client normalizes. */
+        model?: Track;
+    }
+
+    class TrackIterator implements AsyncIterableIterator<IteratedTrack> {
+        constructor(options: IterateTracksOptions & { client: Client });
+        [Symbol.asyncIterator](): TrackIterator;
+        next(): Promise<IteratorResult<IteratedTrack, undefined>>;
+        return(): Promise<IteratorResult<IteratedTrack, undefined>>;
+        toArray(): Promise<IteratedTrack[]>;
+    }
+
+    /* -------------------------------------------- */
+    /* ---------- Fleet                    -------- */
+    /* -------------------------------------------- */
+
+    interface FleetFailure {
+        sn: string;
+        /** Failed request, e.g. "getMotorInfo" */
+        request: "getMotorInfo" | "getBatteryInfo" | "getOverallTally";
+        error: NiuError;
+    }
+
+    interface FleetVehicle {
+        sn: string;
+        name: string;
+        type: string;
+        /** null if the request failed */
+        motorInfo: MotorData | null;
+        /** null if the request failed */
+        batteryInfo: BatteryInfoData | null;
+        /** null if the request failed */
+        overallTally: OverallTallyData | null;
+        /** Average state of charge of all batteries in percent */
+        soc: number | null;
+        isCharging: boolean | null;
+        isConnected: boolean | null;
+        /** Total mileage in km */
+        totalMileage: number | null;
+        /** All requests of the vehicle succeeded */
+        isComplete: boolean;
+    }
+
+    interface FleetSnapshot {
+        time: Date;
+        vehicles: FleetVehicle[];
+        failures: FleetFailure[];
+        totals: {
+            vehicles: number;
+            complete: number;
+            /** Total mileage in km */
+            totalMileage: number;
+            /** Average state of charge in percent */
+            averageSoc: number | null;
+            charging: number;
+            offline: number;
+            lowSoc: number;
+        };
+        /** State of charge threshold in percent */
+        lowSocThreshold: number;
+        /** Vehicles below the state of charge threshold, lowest first */
+        lowSoc: FleetVehicle[];
+    }
+
+    function getFleetSnapshot(client: Client, options?: FleetOptions): Promise<FleetSnapshot>;
+
+    /* -------------------------------------------- */
+    /* ---------- Ride history database    -------- */
+    /* -------------------------------------------- */
+
+    interface RideStoreOptions {
+        /** Path to the directory of the store */
+        path: string;
+        /** File permissions (default: 0600) */
+        mode?: number;
+    }
+
+    interface TimeRange {
+        from?: Date | number;
+        to?: Date | number;
+    }
+
+    interface StoredTrack {
+        summary: TrackSummary;
+        /** null if the track detail is not stored */
+        detail: TrackDetailData | null;
+    }
+
+    interface StoredSnapshot<TData> {
+        /** Unix timestamp in ms */
+        time: number;
+        data: TData;
+    }
+
+    class RideStore {
+        constructor(options: RideStoreOptions);
+        open(): Promise<void>;
+        putVehicles(vehicles: VehicleData[]): Promise<number>;
+        putTracks(sn: string, tracks: TrackSummary[]): Promise<number>;
+        putTrackDetail(sn: string, trackId: string, detail: TrackDetailData): Promise<number>;
+        putBatteryHealth(sn: string, data: BatteryInfoHealthData): Promise<number>;
+        putTally(sn: string, data: OverallTallyData): Promise<number>;
+        getVehicles(): Promise<VehicleData[]>;
+        getLastStartTime(sn: string): Promise<number | null>;
+        getTracks(sn: string, options?: TimeRange & { limit?: number }): Promise<TrackSummary[]>;
+        getTrack(sn: string, trackId: string): Promise<StoredTrack | null>;
+        getBatteryHealth(sn: string, options?: TimeRange): Promise<StoredSnapshot<BatteryInfoHealthData>[]>;
+        getTallies(sn: string, options?: TimeRange): Promise<StoredSnapshot<OverallTallyData>[]>;
+    }
+
+    interface SyncResult {
+        /** Number of synchronized vehicles */
+        vehicles: number;
+        /** Number of new tracks */
+        tracks: number;
+        /** Number of new track details */
+        details: number;
+        /** Number of new battery health records */
+        batteryHealth: number;
+        /** Number of new tally snapshots */
+        tallies: number;
+    }
+
+    function syncRides(client: Client, store: RideStore, options?: SyncRidesOptions): Promise<SyncResult>;
+
+    /* -------------------------------------------- */
+    /* ---------- Analytics                -------- */
+    /* -------------------------------------------- */
+
+    /** Track in any form, the analytics support */
+    type AnalyzableTrack = TrackSummary | { summary: TrackSummary; detail?: TrackDetailData | null; model?: Track } | Track;
+
+    interface RideStats {
+        trackId: string | null;
+        startTime: Date | null;
+        endTime: Date | null;
+        /** Distance in m */
+        distance: number | null;
+        /** Riding time in s */
+        ridingTime: number | null;
+        /** Average speed in m/s */
+        averageSpeed: number | null;
+        /** Max. speed in m/s */
+        maxSpeed: number | null;
+        /** State of charge in percent */
+        socStart: number | null;
+        socEnd: number | null;
+        /** Consumed state of charge in percent points */
+        socConsumed: number | null;
+        socPerKm: number | null;
+        /** Consumed energy in Wh, only available with the pack capacity */
+        energy: number | null;
+        whPerKm: number | null;
+    }
+
+    interface Comparison {
+        current: number | null;
+        previous: number | null;
+        change: number | null;
+        /** Change relative to the previous value, e.g. 0.1 for +10% */
+        changeRatio: number | null;
+    }
+
+    type ComparedMetric = "rides" | "distance" | "ridingTime" | "averageSpeed" | "maxSpeed" | "socConsumed" | "socPerKm" | "whPerKm";
+
+    type StatsPeriod = "day" | "week" | "month";
+
+    interface PeriodStats {
+        period: StatsPeriod;
+        /** Start of the period (local time) */
+        start: Date;
+        /** Start of the next period (local time) */
+        end: Date;
+        rides: number;
+        /** Distance in m */
+        distance: number;
+        /** Riding time in s */
+        ridingTime: number;
+        /** Average speed in m/s */
+        averageSpeed: number | null;
+        /** Max. speed in m/s */
+        maxSpeed: number | null;
+        socConsumed: number | null;
+        socPerKm: number | null;
+        energy: number | null;
+        whPerKm: number | null;
+        /** Comparison with the previous period, null for the first period */
+        trend: Partial<Record<ComparedMetric, Comparison>> | null;
+    }
+
+    interface AnalyticsOptions {
+        /** Capacity of the battery pack(s) in Wh */
+        packCapacity?: number;
+    }
+
+    namespace analytics {
+        function getRideStats(track: AnalyzableTrack, options?: AnalyticsOptions): RideStats;
+        function getPeriodStats(tracks: AnalyzableTrack[], options?: AnalyticsOptions & { period?: StatsPeriod }): PeriodStats[];
+        function compareStats(current: RideStats | PeriodStats, previous: RideStats | PeriodStats): Partial<Record<ComparedMetric, Comparison>>;
+    }
+
+    /* -------------------------------------------- */
+    /* ---------- Battery health           -------- */
+    /* -------------------------------------------- */
+
+    interface BatteryObservation {
+        sn: string;
+        bmsId: string;
+        compartment: "A" | "B";
+        time: Date;
+        /** Battery grade points */
+        grade: number;
+        chargeCycles: number | null;
+        source: "info" | "health";
+    }
+
+    interface BatteryForecast {
+        sn: string;
+        bmsId: string;
+        compartment: "A" | "B";
+        observations: number;
+        firstTime: Date;
+        lastTime: Date;
+        grade: number;
+        chargeCycles: number | null;
+        /** Lost grade points per charging cycle */
+        lossPerCycle: number | null;
+        /** Lost grade points per day */
+        lossPerDay: number | null;
+        remainingCycles: number | null;
+        remainingDays: number | null;
+        endOfLife: Date | null;
+        isDegradingFast: boolean;
+    }
+
+    interface BatteryHealthReport {
+        packs: BatteryForecast[];
+        averageLossPerCycle: { A: number | null; B: number | null };
+        fastDegrading: BatteryForecast[];
+    }
+
+    interface BatteryHealthTrackerOptions {
+        /** Observations to restore, e.g. parsed from JSON */
+        observations?: (Omit<BatteryObservation, "time"> & { time: Date | number | string })[];
+        /** Battery grade points, at which a pack reaches its end of life (default: 70) */
+        endOfLifeGrade?: number;
+        /** How much faster than the average a pack may degrade, e.g. 0.25 for 25% (default: 0.25) */
+        tolerance?: number;
+    }
+
+    class BatteryHealthTracker {
+        constructor(options?: BatteryHealthTrackerOptions);
+        addBatteryInfo(sn: string, data: BatteryInfoData, time?: Date | number): number;
+        addBatteryHealth(sn: string, data: BatteryInfoHealthData): number;
+        record(client: Client, options: VehicleOptions): Promise<number>;
+        getObservations(bmsId?: string): BatteryObservation[];
+        getForecast(bmsId: string): BatteryForecast | null;
+        getReport(): BatteryHealthReport;
+    }
+
+    /* -------------------------------------------- */
+    /* ---------- Charging sessions        -------- */
+    /* -------------------------------------------- */
+
+    interface ChargingSession {
+        sn: string;
+        startTime: Date;
+        /** null while charging */
+        endTime: Date | null;
+        /** Duration in s */
+        duration: number;
+        /** State of charge in percent */
+        startSoc: number | null;
+        endSoc: number | null;
+        /** Added state of charge in percent points */
+        socAdded: number | null;
+        /** Estimated added energy in Wh, only available with the pack capacity */
+        energy: number | null;
+        leftTime: string | null;
+        isStalled: boolean;
+        status: "charging" | "complete" | "interrupted";
+    }
+
+    interface ChargingTrackerOptions {
+        monitor?: VehicleMonitor;
+        client?: Client;
+        sn?: string;
+        interval?: number;
+        /** Capacity of the battery pack(s) in Wh */
+        packCapacity?: number;
+        /** State of charge in percent, from which a session is complete (default: 100) */
+        completeSoc?: number;
+        /** Time in ms, after which a charge without rising state of charge is stalled (default: 1800000) */
+        stallTimeout?: number;
+    }
+
+    interface ChargingSessionFilter {
+        sn?: string;
+        from?: Date | number;
+        to?: Date | number;
+    }
+
+    interface CsvOptions {
+        /** Column delimiter (default: ",") */
+        delimiter?: string;
+    }
+
+    class ChargingTracker extends EventEmitter {
+        constructor(options?: ChargingTrackerOptions);
+        start(): this;
+        stop(): this;
+        update(sn: string, data: MotorData | BatteryInfoData, time?: Date | number): void;
+        getSessions(options?: ChargingSessionFilter): ChargingSession[];
+        getActiveSessions(): ChargingSession[];
+        toCsv(options?: ChargingSessionFilter & CsvOptions): string;
+
+        on(event: "started" | "finished" | "stalled", listener: (session: ChargingSession) => void): this;
+        on(event: "error", listener: (error: NiuError) => void): this;
+    }
+
+    function chargingSessionsToCsv(sessions: ChargingSession[], options?: CsvOptions): string;
+
+    /* -------------------------------------------- */
+    /* ---------- Alerts                   -------- */
+    /* -------------------------------------------- */
+
+    type AlertSeverity = "info" | "warning" | "critical";
+
+    interface AlertRuleBase {
+        id: string;
+        /** Time in ms, the condition must be met, before it alerts (default: 0) */
+        duration?: number;
+        /** Time in ms after an alert was resolved, in which the rule doesn't alert again (default: 3600000) */
+        cooldown?: number;
+        severity?: AlertSeverity;
+    }
+
+    type AlertRule = AlertRuleBase & (
+        { type: "socBelow"; threshold?: number } |
+        { type: "temperatureOutOfRange"; min?: number; max?: number } |
+        { type: "batteryFaults" } |
+        { type: "noSignal"; signal?: "gps" | "gsm" | "any" } |
+        { type: "movingWhileLocked"; minSpeed?: number } |
+        { type: "custom"; condition: (snapshot: VehicleSnapshot) => boolean | null; message?: string }
+    );
+
+    interface VehicleSnapshot {
+        sn: string;
+        time?: Date | number;
+        motorInfo?: MotorData;
+        batteryInfo?: BatteryInfoData;
+        batteryHealth?: BatteryInfoHealthData;
+    }
+
+    interface Alert {
+        ruleId: string;
+        type: AlertRule["type"];
+        severity: AlertSeverity;
+        sn: string;
+        message: string;
+        /** Value, which triggered the alert, e.g. the state of charge */
+        value: unknown;
+        since: Date;
+        time: Date;
+        status: "firing" | "resolved";
+    }
+
+    interface NotificationSink {
+        send(alert: Alert): Promise<void>;
+    }
+
+    const DefaultAlertRules: AlertRule[];
+
+    interface AlertEngineOptions {
+        /** Rules (default: DefaultAlertRules) */
+        rules?: AlertRule[];
+        sinks?: NotificationSink[];
+        /** Default cooldown in ms (default: 3600000) */
+        cooldown?: number;
+    }
+
+    class AlertEngine extends EventEmitter {
+        constructor(options?: AlertEngineOptions);
+        addRule(rule: AlertRule): void;
+        removeRule(id: string): void;
+        getRules(): AlertRule[];
+        addSink(sink: NotificationSink): void;
+        removeSink(sink: NotificationSink): void;
+        getActiveAlerts(): Alert[];
+        evaluate(snapshot: VehicleSnapshot): Promise<Alert[]>;
+        check(client: Client, options: VehicleOptions): Promise<Alert[]>;
+
+        on(event: "alert" | "resolved", listener: (alert: Alert) => void): this;
+        on(event: "error", listener: (error: NotificationError | RuleError) => void): this;
+    }
+
+    class CallbackSink implements NotificationSink {
+        constructor(callback: (alert: Alert) => unknown);
+        send(alert: Alert): Promise<void>;
+    }
+
+    class WebhookSink implements NotificationSink {
+        constructor(options: { url: string; headers?: Record<string, string>; transport?: Transport; timeout?: number });
+        send(alert: Alert): Promise<void>;
+    }
+
+    interface MailMessage {
+        from: string;
+        to: string | string[];
+        subject: string;
+        text: string;
+    }
+
+    interface MailTransport {
+        sendMail(message: MailMessage): Promise<unknown>;
+    }
+
+    interface SmtpOptions {
+        host: string;
+        /** Default: 465 with secure, otherwise 587 */
+        port?: number;
+        /** Use implicit TLS (default: false) */
+        secure?: boolean;
+        /** Fail, if the server doesn't support STARTTLS (default: true) */
+        requireTls?: boolean;
+        user?: string;
+        password?: string;
+        /** Timeout in ms for the whole delivery (default: 30000) */
+        timeout?: number;
+        tls?: object;
+    }
+
+    class SmtpTransport implements MailTransport {
+        constructor(options: SmtpOptions);
+        sendMail(message: MailMessage): Promise<void>;
+    }
+
+    class EmailSink implements NotificationSink {
+        constructor(options: { from: string; to: string | string[]; smtp?: SmtpOptions; transport?: MailTransport; subject?: string });
+        send(alert: Alert): Promise<void>;
+    }
+
+    /* -------------------------------------------- */
+    /* ---------- REST gateway             -------- */
+    /* -------------------------------------------- */
+
+    interface RestGatewayOptions {
+        client: Client;
+        /** API keys of the callers, sent in the x-api-key header or as bearer token. */
+        apiKeys?: string[];
+        /** Allow requests without API key, only if no API keys are given (default: false). */
+        allowAnonymous?: boolean;
+        /** Path prefix of all routes, e.g. "/api/v1". */
+        basePath?: string;
+        /** Timeout in ms per request to the NIU cloud. */
+        timeout?: number;
+    }
+
+    interface RestGatewayError {
+        error: {
+            /** Error code, e.g. "ERR_UNAUTHORIZED" or the code of the client error */
+            code: string;
+            message: string;
+            /** NIU response status number */
+            status?: number;
+            /** NIU response status description */
+            desc?: string;
+        };
+    }
+
+    class RestGateway {
+        constructor(options: RestGatewayOptions);
+        listen(port?: number, host?: string): Promise<{ address: string; family: string; port: number }>;
+        close(): Promise<void>;
+        handleRequest(req: import("http").IncomingMessage, res: import("http").ServerResponse): void;
+    }
+
+    /* -------------------------------------------- */
+    /* ---------- MQTT bridge              -------- */
+    /* -------------------------------------------- */
+
+    interface MqttTopics {
+        availability: string;
+        soc: string;
+        temperature: string;
+        charging: string;
+        locked: string;
+        position: string;
+        estimatedMileage: string;
+        totalMileage: string;
+    }
+
+    /** Default topics with the placeholders {prefix}, {sn} and {compartment}. */
+    const DefaultMqttTopics: MqttTopics;
+
+    /** MQTT client with the interface of the mqtt package */
+    interface MqttClient {
+        publish(topic: string, message: string, options: { retain?: boolean; qos?: 0 | 1 | 2 }, callback: (error?: Error) => void): unknown;
+        end(force?: boolean, options?: object, callback?: () => void): unknown;
+    }
+
+    interface MqttBridgeOptions {
+        client: Client;
+        /** Connected MQTT client. */
+        mqtt?: MqttClient;
+        /** URL of the MQTT broker, if no MQTT client is given. Requires the mqtt package. */
+        url?: string;
+        /** Options of the MQTT connection, see the mqtt package. */
+        mqttOptions?: object;
+        sn?: string[];
+        /** Poll interval in ms (default: 60000). */
+        interval?: number;
+        /** Prefix of all topics (default: "niu"). */
+        topicPrefix?: string;
+        topics?: Partial<MqttTopics>;
+        /** Publish with retain flag (default: true). */
+        retain?: boolean;
+        qos?: 0 | 1 | 2;
+        /** Publish Home Assistant MQTT discovery payloads (default: false). */
+        discovery?: boolean | { prefix?: string };
+        timeout?: number;
+    }
+
+    interface MqttMessage {
+        sn: string;
+        /** Name of the value, e.g. "soc", or "discovery" */
+        name: keyof MqttTopics | "discovery";
+        topic: string;
+        payload: string;
+    }
+
+    class MqttBridge extends EventEmitter {
+        constructor(options: MqttBridgeOptions);
+        start(): this;
+        stop(): this;
+        close(): Promise<void>;
+        isRunning(): boolean;
+        poll(): Promise<MqttMessage[]>;
+        getMessages(vehicle: FleetVehicle): MqttMessage[];
+
+        on(event: "publish", listener: (message: MqttMessage) => void): this;
+        on(event: "error", listener: (error: Error) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+    }
+
+    /* -------------------------------------------- */
+    /* ---------- Prometheus exporter      -------- */
+    /* -------------------------------------------- */
+
+    interface PrometheusExporterOptions {
+        client: Client;
+        sn?: string[];
+        /** Max. age in ms of the fleet snapshot, before it is requested again (default: 60000). */
+        maxAge?: number;
+        /** Path of the metrics (default: "/metrics"). */
+        path?: string;
+        /** Prefix of all metric names (default: "niu_"). */
+        prefix?: string;
+        /** Upper bounds in s of the request duration histogram. */
+        buckets?: number[];
+        /** Timeout in ms per request to the NIU cloud. */
+        timeout?: number;
+    }
+
+    class PrometheusExporter {
+        constructor(options: PrometheusExporterOptions);
+        getMetrics(): Promise<string>;
+        listen(port?: number, host?: string): Promise<{ address: string; family: string; port: number }>;
+        close(): Promise<void>;
+        handleRequest(req: import("http").IncomingMessage, res: import("http").ServerResponse): void;
+    }
+
+    /* -------------------------------------------- */
+    /* ---------- Normalized data model    -------- */
+    /* -------------------------------------------- */
+
+    interface Position {
+        lat: number;
+        lng: number;
+    }
+
+    interface Vehicle {
+        sn: string | null;
+        name: string | null;
+        type: string | null;
+        vin: string | null;
+        engineNo: string | null;
+        isDoubleBattery: boolean | null;
+        isMaster: boolean | null;
+        bindDate: Date | null;
+        gpsTime: Date | null;
+        infoTime: Date | null;
+        features: { name: string | null; isSupported: boolean | null }[];
+        raw: VehicleData;
+    }
+
+    interface BatteryHealthRecord {
+        time: Date | null;
+        chargeCycles: number | null;
+        lostGrade: number | null;
+        name: string | null;
+    }
+
+    interface BatteryPack {
+        compartment: "A" | "B";
+        bmsId: string | null;
+        isConnected: boolean | null;
+        /** State of charge in percent */
+        soc: number | null;
+        chargeCycles: number | null;
+        /** Temperature in degree celsius */
+        temperature: number | null;
+        grade: number | null;
+        faults: unknown[];
+        healthRecords: BatteryHealthRecord[];
+        raw: object;
+    }
+
+    interface Batteries {
+        isCharging: boolean | null;
+        /** Estimated range in m */
+        estimatedRange: number | null;
+        batteries: BatteryPack[];
+        raw: BatteryInfoData | BatteryInfoHealthData;
+    }
+
+    interface VehicleStatus {
+        isCharging: boolean | null;
+        isLocked: boolean | null;
+        isAccOn: boolean | null;
+        isConnected: boolean | null;
+        isFortificationOn: boolean | null;
+        position: Position | null;
+        hdop: number | null;
+        /** Current speed in m/s */
+        speed: number | null;
+        /** Estimated range in m */
+        estimatedRange: number | null;
+        batteries: BatteryPack[];
+        time: Date | null;
+        gpsTime: Date | null;
+        infoTime: Date | null;
+        gpsSignal: number | null;
+        gsmSignal: number | null;
+        lastTrack: {
+            /** Riding time in s */
+            ridingTime: number | null;
+            /** Distance in m */
+            distance: number | null;
+            time: Date | null;
+        } | null;
+        raw: MotorData;
+    }
+
+    interface TrackPoint {
+        lat: number;
+        lng: number;
+        time: Date | null;
+        /** Speed in m/s */
+        speed: number | null;
+        /** State of charge in percent */
+        soc: number | null;
+        /** Mileage in m */
+        mileage: number | null;
+    }
+
+    interface Track {
+        id: string | null;
+        trackId: string | null;
+        /** Track date in yyyymmdd format */
+        trackDate: string | null;
+        startTime: Date | null;
+        endTime: Date | null;
+        /** Distance in m */
+        distance: number | null;
+        /** Average speed in m/s */
+        averageSpeed: number | null;
+        /** Riding time in s */
+        ridingTime: number | null;
+        startPoint: TrackPoint | null;
+        endPoint: TrackPoint | null;
+        /** Track points in chronological order, empty without track detail */
+        points: TrackPoint[];
+        raw: {
+            summary?: TrackSummary;
+            detail?: TrackDetailData | null;
+        };
+    }
+
+    interface FirmwareInfo {
+        version: string | null;
+        latestVersion: string | null;
+        hardwareVersion: string | null;
+        isUpdateSupported: boolean | null;
+        isUpdateAvailable: boolean | null;
+        /** Size of the update in byte */
+        size: number | null;
+        releaseDate: Date | null;
+        description: string | null;
+        raw: FirmwareVersionData | FirmwareVersionData[];
+    }
+
+    namespace model {
+        function toVehicle(raw: VehicleData): Vehicle;
+        function toVehicles(raw: VehicleData[]): Vehicle[];
+        function toBatteryPack(compartment: "A" | "B", raw: object): BatteryPack;
+        function toBatteries(raw: BatteryInfoData | BatteryInfoHealthData): Batteries;
+        function toVehicleStatus(raw: MotorData): VehicleStatus;
+        function toTrackPoint(raw: object): TrackPoint | null;
+        function toTrack(summary?: TrackSummary, detail?: TrackDetailData | null): Track;
+        function toTracks(raw: TrackSummary[]): Track[];
+        function toTrackDetail(raw: TrackDetailData): Track;
+        function toFirmwareInfo(raw: FirmwareVersionData | FirmwareVersionData[]): FirmwareInfo;
+    }
+
+    /* -------------------------------------------- */
+    /* ---------- Schema validation        -------- */
+    /* -------------------------------------------- */
+
+    type ResponseType = "Vehicles" | "VehiclePos" | "OverallTally" | "TrackDetail" | "BatteryInfo" |
+        "BatteryInfoHealth" | "BatteryChart" | "MotorData" | "Tracks" | "FirmwareVersion" | "UpdateInfo";
+
+    type SchemaNode = string | {
+        type: string;
+        properties?: Record<string, SchemaNode>;
+        items?: SchemaNode;
+        optional?: boolean;
+    };
+
+    interface SchemaIssue {
+        kind: "missing" | "extra" | "type";
+        /** Path to the field, array elements are written as [] */
+        path: string;
+        expected?: string;
+        actual?: string;
+    }
+
+    interface DriftEntry extends SchemaIssue {
+        count: number;
+        firstSeen: Date;
+        lastSeen: Date;
+    }
+
+    interface DriftReport {
+        since: Date;
+        responses: Partial<Record<ResponseType, {
+            count: number;
+            missing: DriftEntry[];
+            extra: DriftEntry[];
+            type: DriftEntry[];
+        }>>;
+    }
+
+    const schemas: Record<ResponseType, SchemaNode>;
+
+    function validateResponse(name: ResponseType, body: unknown): SchemaIssue[];
+}
+
+export = niuCloudConnector;
@@ -21,8 +21,74 @@
  * SOFTWARE.
  */
 
-/** Simplified http client */
-var request = require("request");
+/** Event emitter */
+var EventEmitter = require("events").EventEmitter;
+
+/** Utilities */
+var util = require("util");
+
+/** URL parser */
+var url = require("url");
+
+/** HTTP transport */
+var transport = require("./lib/transport");
+
+/** Error classes */
+var errors = require("./lib/errors");
+
+/** Vehicle monitor */
+var vehicleMonitor = require("./lib/vehicleMonitor");
+
+/** Geofencing */
+var geofence = require("./lib/geofence");
+
+/** Track export */
+var trackExport = require("./lib/trackExport");
+
+/** Track history iterator */
+var trackIterator = require("./lib/trackIterator");
+
+/** Normalized data model */
+var model = require("./lib/model");
+
+/** Response schemas */
+var schema = require("./lib/schema");
+
+/** Fleet aggregation */
+var fleet = require("./lib/fleet");
+
+/** Local ride history database */
+var rideStore = require("./lib/rideStore");
+
+/** Ride analytics */
+var analytics = require("./lib/analytics");
+
+/** Battery health tracking */
+var batteryHealth = require("./lib/batteryHealth");
+
+/** Charging session tracking */
+var charging = require("./lib/charging");
+
+/** Alert rules engine and notification sinks */
+var alerts = require("./lib/alerts");
+
+/** SMTP client */
+var smtp = require("./lib/smtp");
+
+/** Record and replay of the API traffic */
+var cassette = require("./lib/cassette");
+
+/** REST gateway */
+var gateway = require("./lib/gateway");
+
+/** MQTT bridge */
+var mqttBridge = require("./lib/mqttBridge");
+
+/** Prometheus metrics exporter */
+var prometheus = require("./lib/prometheus");
+
+/** Session token persistence */
+var tokenStore = require("./lib/tokenStore");
 
 /**
  * NIU cloud connector
@@ -42,284 +108,1335 @@ niuCloudConnector.AccountBaseUrl    = "https://account-fk.niu.com";
  */
 niuCloudConnector.AppApiBaseUrl     = "https://app-api-fk.niu.com";
 
+/**
+ * Default timeout in ms of a request to the NIU cloud.
+ */
+niuCloudConnector.DefaultTimeout    = 30000;
+
+/**
+ * Default retry policy of a request to the NIU cloud. Only network errors and
+ * server errors (HTTP status 5xx) are retried, with an exponential backoff.
+ * The login is not retried by default, because every attempt sends the
+ * credentials again and may lock the account.
+ */
+niuCloudConnector.DefaultRetry      = {
+    retries: 2,
+    minDelay: 500,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: true,
+    login: false
+};
+
+/**
+ * Known NIU regions with their URLs to the NIU login and the NIU app API.
+ */
+niuCloudConnector.Regions           = {
+    EU: {
+        accountBaseUrl: "https://account-fk.niu.com",
+        appApiBaseUrl: "https://app-api-fk.niu.com"
+    },
+    CN: {
+        accountBaseUrl: "https://account.niu.com",
+        appApiBaseUrl: "https://app-api.niu.com"
+    },
+    GLOBAL: {
+        accountBaseUrl: "https://account-us.niu.com",
+        appApiBaseUrl: "https://app-api-us.niu.com"
+    }
+};
+
+/**
+ * NIU response status numbers, which signal an invalid or expired session token.
+ */
+niuCloudConnector.TokenErrorStatus  = [ 1131 ];
+
+/* Token store, which keeps the session token in memory only. */
+niuCloudConnector.MemoryTokenStore  = tokenStore.MemoryTokenStore;
+
+/* Token store, which keeps the session token in a file. */
+niuCloudConnector.FileTokenStore    = tokenStore.FileTokenStore;
+
+/* Transport, which is based on the built-in http/https modules. */
+niuCloudConnector.HttpsTransport    = transport.HttpsTransport;
+
+/* Transports, which record the API traffic into a cassette and replay it. */
+niuCloudConnector.RecordingTransport    = cassette.RecordingTransport;
+niuCloudConnector.ReplayTransport       = cassette.ReplayTransport;
+
+/* Error classes, see lib/errors.js. */
+niuCloudConnector.NiuError              = errors.NiuError;
+niuCloudConnector.ValidationError       = errors.ValidationError;
+niuCloudConnector.NetworkError          = errors.NetworkError;
+niuCloudConnector.TimeoutError          = errors.TimeoutError;
+niuCloudConnector.AbortError            = errors.AbortError;
+niuCloudConnector.HttpStatusError       = errors.HttpStatusError;
+niuCloudConnector.ResponseError         = errors.ResponseError;
+niuCloudConnector.SchemaError           = errors.SchemaError;
+niuCloudConnector.AuthenticationError   = errors.AuthenticationError;
+niuCloudConnector.ApiError              = errors.ApiError;
+niuCloudConnector.TokenStoreError       = errors.TokenStoreError;
+niuCloudConnector.NotificationError     = errors.NotificationError;
+niuCloudConnector.RuleError             = errors.RuleError;
+
+/* Vehicle monitor, which polls a vehicle and emits change events. */
+niuCloudConnector.VehicleMonitor    = vehicleMonitor.VehicleMonitor;
+
+/* Geofences and the geofence watcher, which emits enter/leave events. */
+niuCloudConnector.getDistance       = geofence.getDistance;
+niuCloudConnector.CircleGeofence    = geofence.CircleGeofence;
+niuCloudConnector.PolygonGeofence   = geofence.PolygonGeofence;
+niuCloudConnector.GeofenceWatcher   = geofence.GeofenceWatcher;
+
+/* Track export as GPX, GeoJSON and KML. */
+niuCloudConnector.getTrackPoints    = trackExport.getTrackPoints;
+niuCloudConnector.toGpx             = trackExport.toGpx;
+niuCloudConnector.toGeoJson         = trackExport.toGeoJson;
+niuCloudConnector.toKml             = trackExport.toKml;
+
+/* Iterator over the whole track history of a vehicle. */
+niuCloudConnector.TrackIterator     = trackIterator.TrackIterator;
+
+/* Normalized data model, see lib/model.js. */
+niuCloudConnector.model             = model;
+
+/* Response schemas and their validation, see lib/schema.js. */
+niuCloudConnector.schemas           = schema.schemas;
+niuCloudConnector.validateResponse  = schema.validate;
+
+/* Fleet-wide snapshot over all vehicles of an account. */
+niuCloudConnector.getFleetSnapshot  = fleet.getFleetSnapshot;
+
+/* Local ride history database and its synchronization. */
+niuCloudConnector.RideStore         = rideStore.RideStore;
+niuCloudConnector.syncRides         = rideStore.syncRides;
+
+/* Ride statistics and energy consumption, see lib/analytics.js. */
+niuCloudConnector.analytics         = analytics;
+
+/* Battery degradation tracking and remaining useful life forecast. */
+niuCloudConnector.BatteryHealthTracker  = batteryHealth.BatteryHealthTracker;
+
+/* Charging session tracking and its CSV export. */
+niuCloudConnector.ChargingTracker         = charging.ChargingTracker;
+niuCloudConnector.chargingSessionsToCsv   = charging.chargingSessionsToCsv;
+
+/* Alert rules engine and its notification sinks. */
+niuCloudConnector.DefaultAlertRules = alerts.DefaultAlertRules;
+niuCloudConnector.AlertEngine       = alerts.AlertEngine;
+niuCloudConnector.CallbackSink      = alerts.CallbackSink;
+niuCloudConnector.WebhookSink       = alerts.WebhookSink;
+niuCloudConnector.EmailSink         = alerts.EmailSink;
+niuCloudConnector.SmtpTransport     = smtp.SmtpTransport;
+
+/* HTTP server, which provides the client as REST API. */
+niuCloudConnector.RestGateway       = gateway.RestGateway;
+
+/* Bridge, which publishes the vehicle values to a MQTT broker. */
+niuCloudConnector.DefaultMqttTopics = mqttBridge.DefaultMqttTopics;
+niuCloudConnector.MqttBridge        = mqttBridge.MqttBridge;
+
+/* HTTP server, which provides the vehicle telemetry as Prometheus metrics. */
+niuCloudConnector.PrometheusExporter = prometheus.PrometheusExporter;
+
+/**
+ * @typedef {Object} Credentials
+ * @property {string}   account     - EMail address or mobile phone number or username.
+ * @property {string}   password    - Account password.
+ * @property {string}   countryCode - Telephone country count without leading zeros or + sign, e.g. 49 instead of 0049 or +49.
+ */
+
 /**
  * NIU cloud connector client.
- * 
+ *
+ * If credentials are available, either given here or by a successful call of createSessionToken(),
+ * the client renews the session token automatically as soon as the NIU cloud rejects it.
+ *
+ * With a token store, the client reuses a stored session token and only logs in again,
+ * if the stored one is missing or rejected.
+ *
+ * The client is an event emitter, which reports every request to the NIU cloud,
+ * every login and every failed request, e.g. for metrics.
+ *
  * @class
+ *
+ * @param {Object}                  [options]                - Options.
+ * @param {Credentials | Function}  [options.credentials]    - Credentials or a function, which returns the credentials (or a promise of them).
+ * @param {TokenStore}              [options.tokenStore]     - Store, which keeps the session token, e.g. a niuCloudConnector.FileTokenStore.
+ * @param {string}                  [options.region]         - Region, which selects the NIU hosts, see niuCloudConnector.Regions (default: niuCloudConnector.AccountBaseUrl and niuCloudConnector.AppApiBaseUrl).
+ * @param {string}                  [options.accountBaseUrl] - URL to the NIU login, overrides the region.
+ * @param {string}                  [options.appApiBaseUrl]  - URL to the NIU app API, overrides the region.
+ * @param {Transport}               [options.transport]      - Transport, which executes the HTTP requests (default: niuCloudConnector.HttpsTransport).
+ * @param {number}                  [options.timeout]        - Timeout in ms of a request. 0 means no timeout (default: niuCloudConnector.DefaultTimeout).
+ * @param {Object}                  [options.retry]          - Retry policy for network errors and server errors (default: niuCloudConnector.DefaultRetry).
+ * @param {number}                  [options.retry.retries]  - Max. number of retries. 0 disables retries.
+ * @param {number}                  [options.retry.minDelay] - Delay in ms before the first retry.
+ * @param {number}                  [options.retry.maxDelay] - Max. delay in ms between two retries.
+ * @param {number}                  [options.retry.factor]   - Factor, the delay grows with every retry.
+ * @param {boolean}                 [options.retry.jitter]   - Randomize the delay, to avoid that clients retry at the same time.
+ * @param {boolean}                 [options.retry.login]    - Retry the login too, which sends the credentials again.
+ * @param {boolean}                 [options.normalize]      - Provide the normalized data model additional in the model property of the results (default: false).
+ * @param {string}                  [options.validation]     - Validate the responses against the schemas: "off", "warn" (process warning per new issue), "strict" (reject with a SchemaError) or "collect" (only drift report) (default: "off").
+ * @param {Object}                  [options.cassette]       - Record the API traffic into a cassette file or replay it from there, see niuCloudConnector.RecordingTransport and niuCloudConnector.ReplayTransport.
+ * @param {string}                  options.cassette.mode    - "record" or "replay".
+ * @param {string}                  options.cassette.path    - Path to the cassette file.
  */
-niuCloudConnector.Client = function() {  
-    
+niuCloudConnector.Client = function(options) {
+    var name            = null;
+    var cassetteMode    = null;
+
+    EventEmitter.call(this);
+
     /** Session token */
     this._token = "";
+
+    /** Credentials or credentials provider, used to renew the session token. */
+    this._credentials = null;
+
+    /** Pending session token renewal, shared by all requests which need it. */
+    this._renewal = null;
+
+    /** Store, which keeps the session token. */
+    this._tokenStore = null;
+
+    /** Loading of the stored session token, which happens only once. */
+    this._tokenLoad = null;
+
+    /** URL to NIU login, if not the default one shall be used. */
+    this._accountBaseUrl = null;
+
+    /** URL to the NIU app API, if not the default one shall be used. */
+    this._appApiBaseUrl = null;
+
+    /** Transport, which executes the HTTP requests. */
+    this._transport = null;
+
+    /** Timeout in ms of a request. */
+    this._timeout = niuCloudConnector.DefaultTimeout;
+
+    /** Retry policy */
+    this._retry = {
+        retries: niuCloudConnector.DefaultRetry.retries,
+        minDelay: niuCloudConnector.DefaultRetry.minDelay,
+        maxDelay: niuCloudConnector.DefaultRetry.maxDelay,
+        factor: niuCloudConnector.DefaultRetry.factor,
+        jitter: niuCloudConnector.DefaultRetry.jitter,
+        login: niuCloudConnector.DefaultRetry.login
+    };
+
+    /** Provide the normalized data model? */
+    this._normalize = false;
+
+    /** Response validation mode */
+    this._validation = "off";
+
+    /** Schema issues of all validated responses */
+    this._driftReport = new schema.DriftReport();
+
+    /** Errors, which are already reported by a failure event. */
+    this._reportedErrors = new WeakSet();
+
+    if (("object" === typeof options) &&
+        (null !== options)) {
+
+        if ((("object" === typeof options.credentials) && (null !== options.credentials)) ||
+            ("function" === typeof options.credentials)) {
+            this._credentials = options.credentials;
+        }
+
+        if (("object" === typeof options.tokenStore) &&
+            (null !== options.tokenStore)) {
+            this._tokenStore = options.tokenStore;
+        }
+
+        if ("string" === typeof options.region) {
+
+            if (false === Object.prototype.hasOwnProperty.call(niuCloudConnector.Regions, options.region)) {
+                throw new errors.ValidationError("Unknown region: " + options.region, {
+                    funcName: "Client()",
+                    date: this._getTime()
+                });
+            }
+
+            this._accountBaseUrl    = niuCloudConnector.Regions[options.region].accountBaseUrl;
+            this._appApiBaseUrl     = niuCloudConnector.Regions[options.region].appApiBaseUrl;
+        }
+
+        if ("string" === typeof options.accountBaseUrl) {
+            this._accountBaseUrl = options.accountBaseUrl.replace(/\/+$/, "");
+        }
+
+        if ("string" === typeof options.appApiBaseUrl) {
+            this._appApiBaseUrl = options.appApiBaseUrl.replace(/\/+$/, "");
+        }
+
+        if (("object" === typeof options.transport) &&
+            (null !== options.transport)) {
+            this._transport = options.transport;
+        }
+
+        if ("number" === typeof options.timeout) {
+            this._timeout = options.timeout;
+        }
+
+        if (("object" === typeof options.retry) &&
+            (null !== options.retry)) {
+
+            for (name in this._retry) {
+                if (typeof this._retry[name] === typeof options.retry[name]) {
+                    this._retry[name] = options.retry[name];
+                }
+            }
+        }
+
+        if ("boolean" === typeof options.normalize) {
+            this._normalize = options.normalize;
+        }
+
+        if ("string" === typeof options.validation) {
+
+            if (0 > ["off", "warn", "strict", "collect"].indexOf(options.validation)) {
+                throw new errors.ValidationError("Unknown validation mode: " + options.validation, {
+                    funcName: "Client()",
+                    date: this._getTime()
+                });
+            }
+
+            this._validation = options.validation;
+        }
+
+        if (("object" === typeof options.cassette) &&
+            (null !== options.cassette)) {
+
+            if (0 > ["record", "replay"].indexOf(options.cassette.mode)) {
+                throw new errors.ValidationError("Unknown cassette mode: " + options.cassette.mode, {
+                    funcName: "Client()",
+                    date: this._getTime()
+                });
+            }
+
+            cassetteMode = options.cassette.mode;
+        }
+    }
+
+    if (null === this._transport) {
+        this._transport = new transport.HttpsTransport();
+    }
+
+    if ("record" === cassetteMode) {
+        this._transport = new cassette.RecordingTransport({
+            path: options.cassette.path,
+            transport: this._transport
+        });
+    } else if ("replay" === cassetteMode) {
+        this._transport = new cassette.ReplayTransport({
+            path: options.cassette.path
+        });
+    }
+};
+
+util.inherits(niuCloudConnector.Client, EventEmitter);
+
+/**
+ * Request event, emitted after every attempt to send a request to the NIU cloud,
+ * including retries.
+ *
+ * @event niuCloudConnector.Client#request
+ * @type {Object}
+ * @property {string}       method          - HTTP method, e.g. "GET" or "POST".
+ * @property {string}       path            - Path to the resource, without query.
+ * @property {number}       [statusCode]    - HTTP status code, if a response was received.
+ * @property {number}       duration        - Duration in ms.
+ * @property {Error | null} error           - Error of the transport or null.
+ */
+
+/**
+ * Login event, emitted after a session token was created successfully.
+ *
+ * @event niuCloudConnector.Client#login
+ */
+
+/**
+ * Failure event, emitted if a request to the NIU cloud failed. An error, which several
+ * requests share (e.g. of a session token renewal), is only reported once.
+ *
+ * @event niuCloudConnector.Client#failure
+ * @type {NiuError}
+ */
+
+/**
+ * Get the URL to the NIU login, used by this client.
+ *
+ * @returns {string} URL to the NIU login.
+ */
+niuCloudConnector.Client.prototype.getAccountBaseUrl = function() {
+    return (null !== this._accountBaseUrl) ? this._accountBaseUrl : niuCloudConnector.AccountBaseUrl;
+};
+
+/**
+ * Get the URL to the NIU app API, used by this client.
+ *
+ * @returns {string} URL to the NIU app API.
+ */
+niuCloudConnector.Client.prototype.getAppApiBaseUrl = function() {
+    return (null !== this._appApiBaseUrl) ? this._appApiBaseUrl : niuCloudConnector.AppApiBaseUrl;
 };
 
 /**
  * Utility function which returns the current time in the format hh:mm:ss.us.
  * 
  * @private
- * 
- * @returns {string} Current time in the format hh:mm:ss.us.
+ * 
+ * @returns {string} Current time in the format hh:mm:ss.us.
+ */
+niuCloudConnector.Client.prototype._getTime = function() {
+
+    var now = new Date();
+
+    var paddingHead = function(num, size) {
+        var str = num + "";
+
+        while (str.length < size) {
+            str = "0" + str;
+        }
+
+        return str;
+    };
+
+    var paddingTail = function(num, size) {
+        var str = num + "";
+
+        while (str.length < size) {
+            str = str + "0";
+        }
+
+        return str;
+    };
+
+    return "" + paddingHead(now.getHours(), 2) + ":" +
+        paddingHead(now.getMinutes(), 2) + ":" +
+        paddingHead(now.getSeconds(), 2) + "." +
+        paddingTail(now.getMilliseconds(), 3);
+};
+
+/**
+ * Build error object.
+ *
+ * @private
+ *
+ * @param {Function}        ErrorType   - Error class, e.g. niuCloudConnector.ValidationError.
+ * @param {string | Object} errorInfo   - Error information, which is a message, an error or the received response body.
+ * @param {string}          funcName    - Name of the function, in which the error happened.
+ * @param {Object}          [details]   - Further error details, e.g. the HTTP status code.
+ *
+ * @returns {niuCloudConnector.NiuError} Error object.
+ */
+niuCloudConnector.Client.prototype._error = function(ErrorType, errorInfo, funcName, details) {
+    var message         = "Invalid error info.";
+    var errorDetails    = {
+        client: this,
+        date: this._getTime(),
+        funcName: funcName
+    };
+    var name            = null;
+
+    /* Errors, which are already handled, are passed through.
+     * Only the debug information is completed, if it is missing.
+     */
+    if (errorInfo instanceof errors.NiuError) {
+
+        if (undefined === errorInfo.client) {
+            errorInfo.client            = this;
+            errorInfo.debug.date        = errorDetails.date;
+            errorInfo.debug.funcName    = funcName;
+        }
+
+        return errorInfo;
+    }
+
+    if ("string" === typeof errorInfo) {
+        message = errorInfo;
+    } else if (errorInfo instanceof Error) {
+        message             = errorInfo.message;
+        errorDetails.cause  = errorInfo;
+        errorDetails.info   = errorInfo;
+    } else if (("object" === typeof errorInfo) &&
+               (null !== errorInfo)) {
+
+        if ("string" === typeof errorInfo.desc) {
+            message = errorInfo.desc;
+        } else if ("string" === typeof errorInfo.message) {
+            message = errorInfo.message;
+        } else {
+            message = "Unknown error.";
+        }
+
+        errorDetails.info = errorInfo;
+    }
+
+    if (("object" === typeof details) &&
+        (null !== details)) {
+        for (name in details) {
+            if (Object.prototype.hasOwnProperty.call(details, name)) {
+                errorDetails[name] = details[name];
+            }
+        }
+    }
+
+    return new ErrorType(message, errorDetails);
+};
+
+/**
+ * @typedef {Object} Token
+ * @property {niuCloudConnector.Client} client  - Client
+ * @property {string}                   result  - Session token
+ */
+
+/**
+ * Create a session token, to get access to the cloud API.
+ * 
+ * @param {Object}  options              - Options.
+ * @param {string}  options.account      - EMail address or mobile phone number or username.
+ * @param {string}  options.password     - Account password.
+ * @param {string}  options.countryCode  - Telephone country count without leading zeros or + sign, e.g. 49 instead of 0049 or +49.
+ * @param {number}  [options.timeout]    - Timeout in ms, overrides the timeout of the client.
+ * @param {Object}  [options.signal]     - AbortSignal, which cancels the request.
+ * 
+ * @returns {Promise<Token>} Session token.
+ */
+niuCloudConnector.Client.prototype.createSessionToken = function(options) {
+    var funcName    = "createSessionToken()";
+    var _this       = this;
+
+    if ("object" !== typeof options) {
+        return Promise.reject(this._error(errors.ValidationError, "Options is missing.", funcName));
+    }
+
+    if ("string" !== typeof options.account) {
+        return Promise.reject(this._error(errors.ValidationError, "Account is missing.", funcName));
+    }
+
+    if ("string" !== typeof options.password) {
+        return Promise.reject(this._error(errors.ValidationError, "Password is missing.", funcName));
+    }
+
+    if ("string" !== typeof options.countryCode) {
+        return Promise.reject(this._error(errors.ValidationError, "Country code is missing.", funcName));
+    }
+
+    return this._request({
+        method: "POST",
+        url: this.getAccountBaseUrl() + "/appv2/login",
+        form: {
+            account: options.account,
+            password: options.password,
+            countryCode: options.countryCode
+        }
+    }, {
+        timeout: options.timeout,
+        signal: options.signal,
+        retry: this._retry.login
+    }).then(function(response) {
+        var body = response.body;
+
+        /* Check for any error */
+        if ("object" !== typeof response) {
+            return Promise.reject(_this._error(errors.ResponseError, "Invalid response.", funcName));
+        } else if ("number" !== typeof response.statusCode) {
+            return Promise.reject(_this._error(errors.ResponseError, "Status code is missing.", funcName));
+        } else if (200 != response.statusCode) {
+            return Promise.reject(_this._error(errors.HttpStatusError, "Bad request: " + response.statusCode, funcName, {
+                statusCode: response.statusCode
+            }));
+        }
+
+        /* Response successful received.
+         * Check body now.
+         */
+
+        if ("object" !== typeof body) {
+            return Promise.reject(_this._error(errors.ResponseError, "No body received.", funcName));
+        } else if (("number" === typeof body.status) &&
+                   (0 !== body.status)) {
+            return Promise.reject(_this._error(errors.AuthenticationError, "Invalid login data.", funcName, {
+                statusCode: response.statusCode,
+                status: body.status,
+                desc: body.desc,
+                trace: body.trace
+            }));
+        } else if ("object" !== typeof body.data) {
+            return Promise.reject(_this._error(errors.ResponseError, "Data is missing in response.", funcName));
+        } else if ("string" !== typeof body.data.token) {
+            return Promise.reject(_this._error(errors.ResponseError, "Token is missing in response.", funcName));
+        } else if (0 === body.data.token.length) {
+            return Promise.reject(_this._error(errors.ResponseError, "Token is empty in response.", funcName));
+        }
+
+        /* Successful response with valid content received. */
+
+        _this._token = body.data.token;
+
+        _this.emit("login");
+
+        /* Remember the credentials for a later session token renewal,
+         * as long as they are not provided by the user on demand.
+         */
+        if ("function" !== typeof _this._credentials) {
+            _this._credentials = {
+                account: options.account,
+                password: options.password,
+                countryCode: options.countryCode
+            };
+        }
+
+        return {
+            client: _this,
+            result: body.data.token
+        };
+
+    }, function(error) {
+        return Promise.reject(_this._error(errors.NetworkError, error, funcName));
+    }).then(function(result) {
+
+        if (null === _this._tokenStore) {
+            return result;
+        }
+
+        /* Saving the session token is best effort, the login succeeded anyway. */
+        return _this._tokenStore.save(result.result).then(function() {
+            return result;
+        }, function(error) {
+            _this._warnTokenStore("Session token not saved", error);
+
+            return result;
+        });
+    }).catch(function(error) {
+        return Promise.reject(_this._reportFailure(error));
+    });
+};
+
+/**
+ * Set a previous created session token, to get access to the cloud API.
+ * 
+ * @param {Object}  options         - Options.
+ * @param {string}  options.token   - Session token.
+ * 
+ * @returns {Promise} Nothing.
+ */
+niuCloudConnector.Client.prototype.setSessionToken = function(options) {
+    var funcName    = "setSessionToken()";
+
+    if ("object" !== typeof options) {
+        return Promise.reject(this._error(errors.ValidationError, "Options is missing.", funcName));
+    }
+
+    if ("string" !== typeof options.token) {
+        return Promise.reject(this._error(errors.ValidationError, "Token is missing.", funcName));
+    }
+
+    this._token = options.token;
+
+    return Promise.resolve({
+        client: this,
+        result: null
+    });
+};
+
+/**
+ * Checks whether the client is able to access the cloud API, which is the case
+ * if a session token is available or can be created with the known credentials.
+ *
+ * @private
+ *
+ * @returns {boolean} If access is possible, it will return true otherwise false.
+ */
+niuCloudConnector.Client.prototype._hasAccess = function() {
+    return (0 < this._token.length) ||
+           (null !== this._credentials) ||
+           ((null !== this._tokenStore) && (null === this._tokenLoad));
+};
+
+/**
+ * Get the credentials, which are used to renew the session token.
+ *
+ * @private
+ *
+ * @returns {Promise} Credentials.
+ */
+niuCloudConnector.Client.prototype._getCredentials = function() {
+    var funcName = "_getCredentials()";
+
+    if ("function" === typeof this._credentials) {
+        try {
+            return Promise.resolve(this._credentials());
+        } catch (error) {
+            return Promise.reject(this._error(errors.AuthenticationError, error, funcName));
+        }
+    }
+
+    if (null === this._credentials) {
+        return Promise.reject(this._error(errors.AuthenticationError, "No credentials available.", funcName));
+    }
+
+    return Promise.resolve(this._credentials);
+};
+
+/**
+ * Renew the session token by login again with the known credentials.
+ * All concurrent callers share the same login.
+ *
+ * @private
+ *
+ * @returns {Promise} Session token.
+ */
+niuCloudConnector.Client.prototype._renewSessionToken = function() {
+    var _this = this;
+
+    if (null === this._renewal) {
+
+        this._renewal = this._getCredentials().then(function(credentials) {
+            return _this.createSessionToken(credentials);
+        }).then(function(result) {
+            _this._renewal = null;
+            return result;
+        }, function(error) {
+            _this._renewal = null;
+            return Promise.reject(error);
+        });
+    }
+
+    return this._renewal;
+};
+
+/**
+ * Load the session token from the token store. This happens only once,
+ * because afterwards the client keeps the session token by itself.
+ *
+ * @private
+ *
+ * @returns {Promise} Nothing.
+ */
+niuCloudConnector.Client.prototype._loadSessionToken = function() {
+    var funcName    = "_loadSessionToken()";
+    var _this       = this;
+
+    if (null === this._tokenStore) {
+        return Promise.resolve();
+    }
+
+    if (null === this._tokenLoad) {
+
+        this._tokenLoad = this._tokenStore.load().then(function(token) {
+
+            if (("string" === typeof token) &&
+                (0 === _this._token.length)) {
+                _this._token = token;
+            }
+
+        }, function(error) {
+            /* Try it again next time. */
+            _this._tokenLoad = null;
+            return Promise.reject(_this._error(errors.TokenStoreError, error, funcName));
+        });
+    }
+
+    return this._tokenLoad;
+};
+
+/**
+ * Make sure that a session token is available. If there is none, it will
+ * be loaded from the token store or created with the known credentials.
+ *
+ * @private
+ *
+ * @returns {Promise} Nothing.
+ */
+niuCloudConnector.Client.prototype._provideSessionToken = function() {
+    var funcName    = "_provideSessionToken()";
+    var _this       = this;
+
+    if (0 < this._token.length) {
+        return Promise.resolve();
+    }
+
+    return this._loadSessionToken().then(function() {
+
+        if (0 < _this._token.length) {
+            return;
+        }
+
+        if (null !== _this._credentials) {
+            return _this._renewSessionToken();
+        }
+
+        return Promise.reject(_this._error(errors.AuthenticationError, "No valid token available.", funcName));
+    });
+};
+
+/**
+ * Forget the session token, because the NIU cloud rejected it.
+ *
+ * @private
+ *
+ * @param {string} token - Rejected session token.
+ *
+ * @returns {Promise} Nothing.
+ */
+niuCloudConnector.Client.prototype._discardSessionToken = function(token) {
+    var _this = this;
+
+    /* Don't discard a session token, which was renewed meanwhile. */
+    if (token !== this._token) {
+        return Promise.resolve();
+    }
+
+    this._token = "";
+
+    if (null === this._tokenStore) {
+        return Promise.resolve();
+    }
+
+    /* Clearing the session token is best effort, the renewal continues anyway. */
+    return this._tokenStore.clear().then(function() {
+        return undefined;
+    }, function(error) {
+        _this._warnTokenStore("Session token not cleared", error);
+    });
+};
+
+/**
+ * Report a failed token store operation, which doesn't stop the request, as process warning.
+ *
+ * @private
+ *
+ * @param {string}  message - Message.
+ * @param {*}       error   - Error of the token store.
+ */
+niuCloudConnector.Client.prototype._warnTokenStore = function(message, error) {
+    process.emitWarning(message + ": " + ((error instanceof Error) ? error.message : String(error)), {
+        type: "NiuTokenStoreWarning",
+        code: "NIU_TOKEN_STORE"
+    });
+};
+
+/**
+ * Checks whether the NIU cloud rejected the session token.
+ *
+ * @private
+ *
+ * @param {Object}  reply           - Reply of the request.
+ * @param {Object}  reply.response  - Response.
+ * @param {Object}  reply.body      - Response body.
+ *
+ * @returns {boolean} If the session token was rejected, it will return true otherwise false.
+ */
+niuCloudConnector.Client.prototype._isTokenRejected = function(reply) {
+
+    if (("object" !== typeof reply.response) ||
+        (null === reply.response)) {
+        return false;
+    }
+
+    if ((401 === reply.response.statusCode) ||
+        (403 === reply.response.statusCode)) {
+        return true;
+    }
+
+    return (200 === reply.response.statusCode) &&
+           ("object" === typeof reply.body) &&
+           (null !== reply.body) &&
+           (-1 !== niuCloudConnector.TokenErrorStatus.indexOf(reply.body.status));
+};
+
+/**
+ * Wait the given time.
+ *
+ * @private
+ *
+ * @param {number}  delay       - Time in ms.
+ * @param {Object}  [signal]    - AbortSignal, which cancels waiting.
+ *
+ * @returns {Promise} Nothing.
+ */
+niuCloudConnector.Client.prototype._delay = function(delay, signal) {
+    var funcName    = "_delay()";
+    var _this       = this;
+
+    return new Promise(function(resolve, reject) {
+        var timer   = null;
+
+        var onAbort = function() {
+            clearTimeout(timer);
+            reject(_this._error(errors.AbortError, "Request aborted.", funcName));
+        };
+
+        if ((null === signal) ||
+            ("object" !== typeof signal)) {
+            signal = null;
+        }
+
+        if ((null !== signal) &&
+            (true === signal.aborted)) {
+            reject(_this._error(errors.AbortError, "Request aborted.", funcName));
+            return;
+        }
+
+        timer = setTimeout(function() {
+
+            if (null !== signal) {
+                signal.removeEventListener("abort", onAbort);
+            }
+
+            resolve();
+        }, delay);
+
+        if (null !== signal) {
+            signal.addEventListener("abort", onAbort);
+        }
+    });
+};
+
+/**
+ * Get the delay before the next retry, according to the retry policy.
+ *
+ * @private
+ *
+ * @param {number} attempt - Number of the retry, starting with 0.
+ *
+ * @returns {number} Delay in ms.
+ */
+niuCloudConnector.Client.prototype._getRetryDelay = function(attempt) {
+    var delay = this._retry.minDelay * Math.pow(this._retry.factor, attempt);
+
+    delay = Math.min(delay, this._retry.maxDelay);
+
+    if (true === this._retry.jitter) {
+        delay = delay / 2 + Math.random() * delay / 2;
+    }
+
+    return Math.round(delay);
+};
+
+/**
+ * Checks whether a failed request shall be retried. Only network errors
+ * (including timeouts) are retried, but not cancelled requests.
+ *
+ * @private
+ *
+ * @param {Error} error - Error of the transport.
+ *
+ * @returns {boolean} If the request shall be retried, it will return true otherwise false.
+ */
+niuCloudConnector.Client.prototype._isRetryable = function(error) {
+
+    if (error instanceof errors.NiuError) {
+        return error instanceof errors.NetworkError;
+    }
+
+    return true;
+};
+
+/**
+ * Execute a request via the transport. The timeout is applied to every attempt
+ * and network errors as well as server errors (HTTP status 5xx) are retried
+ * according to the retry policy.
+ *
+ * @private
+ *
+ * @param {Object}  reqData            - Request data for the transport.
+ * @param {Object}  [options]          - Options.
+ * @param {number}  [options.timeout]  - Timeout in ms, overrides the timeout of the client.
+ * @param {Object}  [options.signal]   - AbortSignal, which cancels the request.
+ * @param {boolean} [options.retry]    - Retry the request according to the retry policy (default: true).
+ *
+ * @returns {Promise} Response of the transport.
  */
-niuCloudConnector.Client.prototype._getTime = function() {
+niuCloudConnector.Client.prototype._request = function(reqData, options) {
+    var _this       = this;
+    var timeout     = this._timeout;
+    var retries     = this._retry.retries;
+    var signal      = null;
+    var attempt     = 0;
+    var name        = null;
+    var data        = {};
+    var execute     = null;
+    var retryLater  = null;
+
+    if (("object" === typeof options) &&
+        (null !== options)) {
+
+        if ("number" === typeof options.timeout) {
+            timeout = options.timeout;
+        }
 
-    var now = new Date();
+        if (("object" === typeof options.signal) &&
+            (null !== options.signal)) {
+            signal = options.signal;
+        }
 
-    var paddingHead = function(num, size) {
-        var str = num + "";
+        if (false === options.retry) {
+            retries = 0;
+        }
+    }
 
-        while (str.length < size) {
-            str = "0" + str;
+    for (name in reqData) {
+        if (Object.prototype.hasOwnProperty.call(reqData, name)) {
+            data[name] = reqData[name];
         }
+    }
 
-        return str;
+    data.timeout    = timeout;
+    data.signal     = signal;
+
+    retryLater = function() {
+        var delay = _this._getRetryDelay(attempt);
+
+        ++attempt;
+
+        return _this._delay(delay, signal).then(execute);
     };
 
-    var paddingTail = function(num, size) {
-        var str = num + "";
+    execute = function() {
+        var start = Date.now();
 
-        while (str.length < size) {
-            str = str + "0";
-        }
+        return _this._transport.request(data).then(function(response) {
 
-        return str;
+            _this._reportRequest(data, start, response, null);
+
+            if (("object" === typeof response) &&
+                (null !== response) &&
+                (500 <= response.statusCode) &&
+                (attempt < retries)) {
+                return retryLater();
+            }
+
+            return response;
+
+        }, function(error) {
+
+            _this._reportRequest(data, start, null, error);
+
+            if ((true === _this._isRetryable(error)) &&
+                (attempt < retries)) {
+                return retryLater();
+            }
+
+            return Promise.reject(error);
+        });
     };
 
-    return "" + paddingHead(now.getHours(), 2) + ":" +
-        paddingHead(now.getMinutes(), 2) + ":" +
-        paddingHead(now.getSeconds(), 2) + "." +
-        paddingTail(now.getMilliseconds(), 3);
+    return execute();
 };
 
 /**
- * @typedef {Object} Error
- * @property {Object}   error
- * @property {string}   [error.message]
- */
-
-/**
- * Build error object.
- * 
+ * Report a request attempt by a request event.
+ *
  * @private
- * 
- * @param {string | Object} errorInfo   - Error information.
- * @param {string}          funcName    - Name of the function, in which the error happened.
- * 
- * @returns {Object} Error object.
+ *
+ * @param {Object}  reqData     - Request data for the transport.
+ * @param {number}  start       - Start timestamp in ms.
+ * @param {Object}  response    - Response of the transport or null.
+ * @param {Error}   error       - Error of the transport or null.
+ *
+ * @fires niuCloudConnector.Client#request
  */
-niuCloudConnector.Client.prototype._error = function(errorInfo, funcName) {
-    var error = {
-        client: this,
-        debug: {
-            date: this._getTime(),
-            funcName: funcName
-        }
+niuCloudConnector.Client.prototype._reportRequest = function(reqData, start, response, error) {
+    var event = null;
+
+    if (0 === this.listenerCount("request")) {
+        return;
+    }
+
+    event = {
+        method: reqData.method,
+        path: url.parse(reqData.url).pathname,
+        duration: Date.now() - start,
+        error: error
     };
 
-    if ("string" === typeof errorInfo) {
-        error.error = {
-            message: errorInfo
-        };
-    } else if ("object" === typeof errorInfo) {
-        error.error = errorInfo;
-    } else {
-        error.error = {
-            message: "Invalid error info."
-        };
+    if (("object" === typeof response) &&
+        (null !== response) &&
+        ("number" === typeof response.statusCode)) {
+        event.statusCode = response.statusCode;
     }
 
-    return error;
+    this.emit("request", event);
 };
 
 /**
- * @typedef {Promise} Token
- * @property {niuCloudConnector.Client} client  - Client
- * @property {string}                   result  - Session token
+ * Report a failed request by a failure event, if it is not already reported.
+ *
+ * @private
+ *
+ * @param {Error} error - Error.
+ *
+ * @returns {Error} The given error.
+ *
+ * @fires niuCloudConnector.Client#failure
  */
+niuCloudConnector.Client.prototype._reportFailure = function(error) {
+
+    if (("object" === typeof error) &&
+        (null !== error) &&
+        (false === this._reportedErrors.has(error))) {
+        this._reportedErrors.add(error);
+        this.emit("failure", error);
+    }
+
+    return error;
+};
 
 /**
- * Create a session token, to get access to the cloud API.
- * 
+ * Send a http/https request with the given session token.
+ * The returned promise is always resolved, errors are part of the reply.
+ *
+ * @private
+ *
  * @param {Object}  options             - Options.
- * @param {string}  options.account     - EMail address or mobile phone number or username.
- * @param {string}  options.password    - Account password.
- * @param {string}  options.countryCode - Telephone country count without leading zeros or + sign, e.g. 49 instead of 0049 or +49.
- * 
- * @returns {Token} Session token.
+ * @param {string}  options.path        - Path to the resource.
+ * @param {Object}  [options.postData]  - If available, a POST request will be executed.
+ * @param {number}  [options.timeout]   - Timeout in ms, overrides the timeout of the client.
+ * @param {Object}  [options.signal]    - AbortSignal, which cancels the request.
+ * @param {string}  token               - Session token.
+ *
+ * @returns {Promise} Reply with error, response and body.
  */
-niuCloudConnector.Client.prototype.createSessionToken = function(options) {
-    var funcName    = "createSessionToken()";
-    var _this       = this;
-
-    if ("object" !== typeof options) {
-        return Promise.reject(this._error("Options is missing.", funcName));
-    }
+niuCloudConnector.Client.prototype._sendRequest = function(options, token) {
+    var reqData = {
+        method: "GET",
+        url: this.getAppApiBaseUrl() + options.path,
+        headers: {
+            "accept-language": "en-US",
+            "token": token
+        }
+    };
 
-    if ("string" !== typeof options.account) {
-        return Promise.reject(this._error("Account is missing.", funcName));
+    if ("object" === typeof options.postData) {
+        reqData.method  = "POST";
+        reqData.form    = options.postData;
     }
 
-    if ("string" !== typeof options.password) {
-        return Promise.reject(this._error("Password is missing.", funcName));
-    }
+    return this._request(reqData, options).then(function(response) {
+        return {
+            error: null,
+            response: response,
+            body: response.body
+        };
+    }, function(error) {
+        return {
+            error: error,
+            response: undefined,
+            body: undefined
+        };
+    });
+};
 
-    if ("string" !== typeof options.countryCode) {
-        return Promise.reject(this._error("Country code is missing.", funcName));
+/**
+ * Validate a response body against its schema, depending on the validation mode.
+ * All issues are collected in the drift report, new issues are emitted as process
+ * warning in warn mode. In strict mode missing fields and wrong types fail the
+ * response, unknown fields are only reported.
+ *
+ * @private
+ *
+ * @param {string}  name        - Name of the response schema.
+ * @param {Object}  body        - Response body.
+ * @param {string}  funcName    - Name of the function, which received the response.
+ *
+ * @returns {niuCloudConnector.SchemaError} Error, if the response fails otherwise null.
+ */
+niuCloudConnector.Client.prototype._checkSchema = function(name, body, funcName) {
+    var issues      = null;
+    var newIssues   = null;
+    var failures    = null;
+
+    if (("off" === this._validation) ||
+        ("string" !== typeof name)) {
+        return null;
     }
 
-    return new Promise(function(resolve, reject) {
-
-        request({
-            method: "POST",
-            url: niuCloudConnector.AccountBaseUrl + "/appv2/login",
-            form: options,
-            json: true
-        }, function(error, response, body) {
-
-            /* Check for any error */
-            if (null !== error) {
-                reject(_this._error(error, funcName));
-            } else if ("object" !== typeof response) {
-                reject(_this._error("Invalid response.", funcName));
-            } else if ("number" !== typeof response.statusCode) {
-                reject(_this._error("Status code is missing.", funcName));
-            } else if (200 != response.statusCode) {
-                reject(_this._error("Bad request.", funcName));
-            } else {
-
-                /* Response successful received.
-                 * Check body now.
-                 */
-
-                if ("object" !== typeof body) {
-                    reject(_this._error("No body received.", funcName));
-                } else if (("number" === typeof body.status) &&
-                           (0 !== body.status)) {
-                    reject(_this._error("Invalid login data.", funcName));
-                } else if ("object" !== typeof body.data) {
-                    reject(_this._error("Data is missing in response.", funcName));
-                } else if ("string" !== typeof body.data.token) {
-                    reject(_this._error("Token is missing in response.", funcName));
-                } else if (0 === body.data.token.length) {
-                    reject(_this._error("Token is empty in response.", funcName));
-                } else {
-                    /* Successful response with valid content received. */
-
-                    _this._token = body.data.token;
-
-                    resolve({
-                        client: _this,
-                        result: body.data.token
-                    });
-                }
-            }
-
-            return;
+    issues      = schema.validate(name, body);
+    newIssues   = this._driftReport.add(name, issues);
+
+    if ("warn" === this._validation) {
+        newIssues.forEach(function(issue) {
+            process.emitWarning(name + ": " + issue.kind + " field " + issue.path +
+                ((undefined !== issue.expected) ? ", expected " + issue.expected : "") +
+                ((undefined !== issue.actual) ? ", received " + issue.actual : ""), {
+                type: "NiuSchemaWarning",
+                code: "NIU_SCHEMA_DRIFT"
+            });
+        });
+    } else if ("strict" === this._validation) {
+        failures = issues.filter(function(issue) {
+            return "extra" !== issue.kind;
         });
 
-    });
+        if (0 < failures.length) {
+            return this._error(errors.SchemaError, name + " doesn't match the schema: " + failures.map(function(issue) {
+                return issue.kind + " " + issue.path;
+            }).join(", "), funcName, {
+                responseType: name,
+                issues: failures
+            });
+        }
+    }
+
+    return null;
 };
 
 /**
- * Set a previous created session token, to get access to the cloud API.
- * 
- * @param {Object}  options         - Options.
- * @param {string}  options.token   - Session token.
- * 
- * @returns {Promise} Nothing.
+ * @typedef {Object} DriftReport
+ * @property {Date}     since                       - Time, since the issues are collected
+ * @property {Object}   responses                   - Response type names (e.g. "MotorData") with their issues
+ * @property {number}   responses.count             - Number of validated responses
+ * @property {Object[]} responses.missing           - Documented fields, which are missing
+ * @property {Object[]} responses.extra             - Observed fields, which are unknown
+ * @property {Object[]} responses.type              - Fields with a wrong type
  */
-niuCloudConnector.Client.prototype.setSessionToken = function(options) {
-    var funcName    = "setSessionToken()";
-
-    if ("object" !== typeof options) {
-        return Promise.reject(this._error("Options is missing.", funcName));
-    }
-
-    if ("string" !== typeof options.token) {
-        return Promise.reject(this._error("Token is missing.", funcName));
-    }
 
-    this._token = options.token;
+/**
+ * Get the drift report, which lists how the received responses differ from the
+ * documented schemas, e.g. observed but unknown fields. Every issue provides
+ * the path to the field, the expected and actual type, the number of responses
+ * with this issue and the time it was first and last seen.
+ * Only available, if the validation is enabled.
+ *
+ * @returns {DriftReport} Drift report.
+ */
+niuCloudConnector.Client.prototype.getDriftReport = function() {
+    return this._driftReport.get();
+};
 
-    return Promise.resolve({
-        client: this,
-        result: null
-    });
+/**
+ * Clear the drift report.
+ */
+niuCloudConnector.Client.prototype.clearDriftReport = function() {
+    this._driftReport.clear();
 };
 
 /**
  * Make specific http/https request. Default is a GET request.
  * For a POST request, add postData to the options.
- * 
+ *
+ * If the NIU cloud rejects the session token and credentials are available,
+ * the session token will be renewed and the request replayed once.
+ *
  * @private
- * 
- * @param {Object}  options             - Options.
- * @param {Object}  [options.postData]  - If available, a POST request will be executed.
- * 
+ *
+ * @param {Object}    options             - Options.
+ * @param {string}    options.path        - Path to the resource.
+ * @param {Object}    [options.postData]  - If available, a POST request will be executed.
+ * @param {number}    [options.timeout]   - Timeout in ms, overrides the timeout of the client.
+ * @param {Object}    [options.signal]    - AbortSignal, which cancels the request.
+ * @param {Function}  [options.model]     - Converts the response data to the normalized data model, see niuCloudConnector.model.
+ * @param {string}    [options.schema]    - Name of the response schema, see niuCloudConnector.schemas.
+ *
  * @returns {Promise} Requested data.
  */
 niuCloudConnector.Client.prototype._makeRequest = function(options) {
     var funcName    = "_makeRequest()";
     var _this       = this;
-    var reqData     = null;
-    
+
     if ("object" !== typeof options) {
-        return Promise.reject(this._error("Options is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Options is missing.", funcName));
     }
 
     if ("string" !== typeof options.path) {
-        return Promise.reject(this._error("Path is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Path is missing.", funcName));
     }
 
-    reqData = {
-        method: "GET",
-        url: niuCloudConnector.AppApiBaseUrl + options.path,
-        headers: {
-            "accept-language": "en-US",
-            "token": _this._token
-        },
-        json: true
-    };
+    return this._provideSessionToken().then(function() {
+        var token = _this._token;
 
-    if ("object" === typeof options.postData) {
-        reqData.method  = "POST";
-        reqData.form    = options.postData;
-    }
+        return _this._sendRequest(options, token).then(function(reply) {
 
-    return new Promise(function(resolve, reject) {
+            if (false === _this._isTokenRejected(reply)) {
+                return reply;
+            }
 
-        request(reqData, function(error, response, body) {
-
-            /* Check for any error */
-            if (null !== error) {
-                reject(_this._error(error, funcName));
-            } else if ("object" !== typeof response) {
-                reject(_this._error("Unknown error.", funcName));
-            } else if ("number" !== typeof response.statusCode) {
-                reject(_this._error("Status code is missing.", funcName));
-            } else if (200 != response.statusCode) {
-                reject(_this._error("Bad request: " + response.statusCode, funcName));
-            } else {
-
-                /* Response successful received.
-                 * Check body now.
-                 */
-
-                if ("object" !== typeof body) {
-                    reject(_this._error("No body received.", funcName));
-                } else if (("number" === typeof body.status) &&
-                           (0 !== body.status)) {
-                    reject(_this._error(body, funcName));
-                } else {
-                    resolve({
-                        client: _this,
-                        result: body
-                    });
-                }
+            if (null === _this._credentials) {
+                return _this._discardSessionToken(token).then(function() {
+                    return reply;
+                });
             }
 
-            return;
+            /* Another request may have renewed the session token meanwhile. */
+            if ((token !== _this._token) &&
+                (0 < _this._token.length)) {
+                return _this._sendRequest(options, _this._token);
+            }
+
+            return _this._discardSessionToken(token).then(function() {
+                return _this._renewSessionToken();
+            }).then(function() {
+                return _this._sendRequest(options, _this._token);
+            });
         });
 
+    }).then(function(reply) {
+        var error       = reply.error;
+        var response    = reply.response;
+        var body        = reply.body;
+        var schemaError = null;
+
+        /* Check for any error */
+        if (null !== error) {
+            return Promise.reject(_this._error(errors.NetworkError, error, funcName));
+        } else if ("object" !== typeof response) {
+            return Promise.reject(_this._error(errors.ResponseError, "Unknown error.", funcName));
+        } else if ("number" !== typeof response.statusCode) {
+            return Promise.reject(_this._error(errors.ResponseError, "Status code is missing.", funcName));
+        } else if (true === _this._isTokenRejected(reply)) {
+            return Promise.reject(_this._error(errors.AuthenticationError, "Session token rejected.", funcName, {
+                statusCode: response.statusCode,
+                status: (("object" === typeof body) && (null !== body)) ? body.status : undefined,
+                desc: (("object" === typeof body) && (null !== body)) ? body.desc : undefined,
+                trace: (("object" === typeof body) && (null !== body)) ? body.trace : undefined
+            }));
+        } else if (200 != response.statusCode) {
+            return Promise.reject(_this._error(errors.HttpStatusError, "Bad request: " + response.statusCode, funcName, {
+                statusCode: response.statusCode
+            }));
+        }
+
+        /* Response successful received.
+         * Check body now.
+         */
+
+        if ("object" !== typeof body) {
+            return Promise.reject(_this._error(errors.ResponseError, "No body received.", funcName));
+        } else if (("number" === typeof body.status) &&
+                   (0 !== body.status)) {
+            return Promise.reject(_this._error(errors.ApiError, body, funcName, {
+                statusCode: response.statusCode,
+                status: body.status,
+                desc: body.desc,
+                trace: body.trace
+            }));
+        }
+
+        schemaError = _this._checkSchema(options.schema, body, funcName);
+
+        if (null !== schemaError) {
+            return Promise.reject(schemaError);
+        }
+
+        if ((true === _this._normalize) &&
+            ("function" === typeof options.model)) {
+            return {
+                client: _this,
+                result: body,
+                model: options.model(body.data)
+            };
+        }
+
+        return {
+            client: _this,
+            result: body
+        };
+    }).catch(function(error) {
+        return Promise.reject(_this._reportFailure(error));
     });
 };
 
@@ -329,7 +1446,7 @@ niuCloudConnector.Client.prototype._makeRequest = function(options) {
 /* ------------------------------- */
 
 /**
- * @typedef {Promise} Vehicles
+ * @typedef {Object} Vehicles
  * @property {niuCloudConnector.Client} client              - Client
  * @property {Object}   result                              - Received response
  * @property {Object[]} result.data                         - Response data
@@ -372,23 +1489,36 @@ niuCloudConnector.Client.prototype._makeRequest = function(options) {
 /**
  * Get a list of vehicles.
  * 
- * @returns {Vehicles} Vehicles.
+ * @param {Object}  [options]          - Options.
+ * @param {number}  [options.timeout]  - Timeout in ms, overrides the timeout of the client.
+ * @param {Object}  [options.signal]   - AbortSignal, which cancels the request.
+ * 
+ * @returns {Promise<Vehicles>} Vehicles.
  */
-niuCloudConnector.Client.prototype.getVehicles = function() {
+niuCloudConnector.Client.prototype.getVehicles = function(options) {
     var funcName = "getVehicles()";
 
-    if (0 === this._token.length) {
-        return Promise.reject(this._error("No valid token available.", funcName));
+    if (false === this._hasAccess()) {
+        return Promise.reject(this._error(errors.AuthenticationError, "No valid token available.", funcName));
+    }
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        options = {};
     }
 
     return this._makeRequest({
         path: "/motoinfo/list",
-        postData: {}
+        postData: {},
+        model: model.toVehicles,
+        schema: "Vehicles",
+        timeout: options.timeout,
+        signal: options.signal
     });
 };
 
 /**
- * @typedef {Promise} VehiclePos
+ * @typedef {Object} VehiclePos
  * @property {niuCloudConnector.Client} client      - Client
  * @property {Object}   result                      - Received response
  * @property {Object}   result.data                 - Response data
@@ -405,36 +1535,41 @@ niuCloudConnector.Client.prototype.getVehicles = function() {
 /**
  * Get current position of a vehicle.
  * 
- * @param {Object}  options     - Options.
- * @param {string}  options.sn  - Vehicle serial number.
+ * @param {Object}  options            - Options.
+ * @param {string}  options.sn         - Vehicle serial number.
+ * @param {number}  [options.timeout]  - Timeout in ms, overrides the timeout of the client.
+ * @param {Object}  [options.signal]   - AbortSignal, which cancels the request.
  * 
- * @returns {VehiclePos} Vehicle position.
+ * @returns {Promise<VehiclePos>} Vehicle position.
  */
 niuCloudConnector.Client.prototype.getVehiclePos = function(options) {
     var funcName = "getVehiclePos()";
 
-    if (0 === this._token.length) {
-        return Promise.reject(this._error("No valid token available.", funcName));
+    if (false === this._hasAccess()) {
+        return Promise.reject(this._error(errors.AuthenticationError, "No valid token available.", funcName));
     }
 
     if ("object" !== typeof options) {
-        return Promise.reject(this._error("Options is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Options is missing.", funcName));
     }
 
     if ("string" !== typeof options.sn) {
-        return Promise.reject(this._error("Vehicle serial number is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Vehicle serial number is missing.", funcName));
     }
 
     return this._makeRequest({
         path: "/motoinfo/currentpos",
         postData: {
             sn: options.sn
-        }
+        },
+        schema: "VehiclePos",
+        timeout: options.timeout,
+        signal: options.signal
     });
 };
 
 /**
- * @typedef {Promise} OverallTally
+ * @typedef {Object} OverallTally
  * @property {niuCloudConnector.Client} client      - Client
  * @property {Object}   result                      - Received response
  * @property {Object}   result.data                 - Response data
@@ -449,36 +1584,41 @@ niuCloudConnector.Client.prototype.getVehiclePos = function(options) {
 /**
  * Get overall tally of vehicle.
  * 
- * @param {Object}  options     - Options.
- * @param {string}  options.sn  - Vehicle serial number.
+ * @param {Object}  options            - Options.
+ * @param {string}  options.sn         - Vehicle serial number.
+ * @param {number}  [options.timeout]  - Timeout in ms, overrides the timeout of the client.
+ * @param {Object}  [options.signal]   - AbortSignal, which cancels the request.
  * 
- * @returns {OverallTally} Overall tally.
+ * @returns {Promise<OverallTally>} Overall tally.
  */
 niuCloudConnector.Client.prototype.getOverallTally = function(options) {
     var funcName = "getOverallTally()";
 
-    if (0 === this._token.length) {
-        return Promise.reject(this._error("No valid token available.", funcName));
+    if (false === this._hasAccess()) {
+        return Promise.reject(this._error(errors.AuthenticationError, "No valid token available.", funcName));
     }
 
     if ("object" !== typeof options) {
-        return Promise.reject(this._error("Options is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Options is missing.", funcName));
     }
 
     if ("string" !== typeof options.sn) {
-        return Promise.reject(this._error("Vehicle serial number is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Vehicle serial number is missing.", funcName));
     }
 
     return this._makeRequest({
         path: "/motoinfo/overallTally",
         postData: {
             sn: options.sn
-        }
+        },
+        schema: "OverallTally",
+        timeout: options.timeout,
+        signal: options.signal
     });
 };
 
 /**
- * @typedef {Promise} TrackDetail
+ * @typedef {Object} TrackDetail
  * @property {niuCloudConnector.Client} client      - Client
  * @property {Object}   result                      - Received response
  * @property {Object}   result.data                 - Response data
@@ -502,34 +1642,36 @@ niuCloudConnector.Client.prototype.getOverallTally = function(options) {
 /**
  * Get track details.
  * 
- * @param {Object}  options             - Options.
- * @param {string}  options.sn          - Vehicle serial number.
- * @param {string}  options.trackId     - Track identification number.
- * @param {string}  options.trackDate   - Track date in yyyymmdd format.
+ * @param {Object}  options            - Options.
+ * @param {string}  options.sn         - Vehicle serial number.
+ * @param {string}  options.trackId    - Track identification number.
+ * @param {string}  options.trackDate  - Track date in yyyymmdd format.
+ * @param {number}  [options.timeout]  - Timeout in ms, overrides the timeout of the client.
+ * @param {Object}  [options.signal]   - AbortSignal, which cancels the request.
  * 
- * @returns {TrackDetail} Track detail.
+ * @returns {Promise<TrackDetail>} Track detail.
  */
 niuCloudConnector.Client.prototype.getTrackDetail = function(options) {
     var funcName = "getTrackDetail()";
 
-    if (0 === this._token.length) {
-        return Promise.reject(this._error("No valid token available.", funcName));
+    if (false === this._hasAccess()) {
+        return Promise.reject(this._error(errors.AuthenticationError, "No valid token available.", funcName));
     }
 
     if ("object" !== typeof options) {
-        return Promise.reject(this._error("Options is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Options is missing.", funcName));
     }
 
     if ("string" !== typeof options.sn) {
-        return Promise.reject(this._error("Vehicle serial number is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Vehicle serial number is missing.", funcName));
     }
 
     if ("string" !== typeof options.trackId) {
-        return Promise.reject(this._error("Track ID is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Track ID is missing.", funcName));
     }
 
     if ("string" !== typeof options.trackDate) {
-        return Promise.reject(this._error("Track date is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Track date is missing.", funcName));
     }
 
     return this._makeRequest({
@@ -538,7 +1680,11 @@ niuCloudConnector.Client.prototype.getTrackDetail = function(options) {
             sn: options.sn,
             trackId: options.trackId,
             date: options.trackDate
-        }
+        },
+        model: model.toTrackDetail,
+        schema: "TrackDetail",
+        timeout: options.timeout,
+        signal: options.signal
     });
 };
 
@@ -565,7 +1711,7 @@ niuCloudConnector.Client.prototype.getTrackDetail = function(options) {
  */
 
 /**
- * @typedef {Promise} BatteryInfo
+ * @typedef {Object} BatteryInfo
  * @property {niuCloudConnector.Client} client                                  - Client
  * @property {Object}                   result                                  - Received response
  * @property {Object}                   result.data                             - Response data
@@ -584,28 +1730,34 @@ niuCloudConnector.Client.prototype.getTrackDetail = function(options) {
 /**
  * Get battery info of vehicle.
  *
- * @param {Object}  options     - Options.
- * @param {string}  options.sn  - Vehicle serial number.
+ * @param {Object}  options            - Options.
+ * @param {string}  options.sn         - Vehicle serial number.
+ * @param {number}  [options.timeout]  - Timeout in ms, overrides the timeout of the client.
+ * @param {Object}  [options.signal]   - AbortSignal, which cancels the request.
  * 
- * @returns {BatteryInfo} Battery info.
+ * @returns {Promise<BatteryInfo>} Battery info.
  */
 niuCloudConnector.Client.prototype.getBatteryInfo = function(options) {
     var funcName = "getBatteryInfo()";
 
-    if (0 === this._token.length) {
-        return Promise.reject(this._error("No valid token available.", funcName));
+    if (false === this._hasAccess()) {
+        return Promise.reject(this._error(errors.AuthenticationError, "No valid token available.", funcName));
     }
 
     if ("object" !== typeof options) {
-        return Promise.reject(this._error("Options is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Options is missing.", funcName));
     }
 
     if ("string" !== typeof options.sn) {
-        return Promise.reject(this._error("Vehicle serial number is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Vehicle serial number is missing.", funcName));
     }
 
     return this._makeRequest({
-        path: "/v3/motor_data/battery_info?sn=" + options.sn
+        path: "/v3/motor_data/battery_info?sn=" + encodeURIComponent(options.sn),
+        model: model.toBatteries,
+        schema: "BatteryInfo",
+        timeout: options.timeout,
+        signal: options.signal
     });
 };
 
@@ -624,7 +1776,7 @@ niuCloudConnector.Client.prototype.getBatteryInfo = function(options) {
  */
 
 /**
- * @typedef {Promise} BatteryInfoHealth
+ * @typedef {Object} BatteryInfoHealth
  * @property {niuCloudConnector.Client}     client                                  - Client
  * @property {Object}                       result                                  - Received response
  * @property {Object}                       result.data                             - Response data
@@ -640,28 +1792,34 @@ niuCloudConnector.Client.prototype.getBatteryInfo = function(options) {
 /**
  * Get battery health of vehicle.
  * 
- * @param {Object}  options     - Options.
- * @param {string}  options.sn  - Vehicle serial number.
+ * @param {Object}  options            - Options.
+ * @param {string}  options.sn         - Vehicle serial number.
+ * @param {number}  [options.timeout]  - Timeout in ms, overrides the timeout of the client.
+ * @param {Object}  [options.signal]   - AbortSignal, which cancels the request.
  * 
- * @returns {BatteryInfoHealth} Battery info health.
+ * @returns {Promise<BatteryInfoHealth>} Battery info health.
  */
 niuCloudConnector.Client.prototype.getBatteryHealth = function(options) {
     var funcName = "getBatteryInfo()";
 
-    if (0 === this._token.length) {
-        return Promise.reject(this._error("No valid token available.", funcName));
+    if (false === this._hasAccess()) {
+        return Promise.reject(this._error(errors.AuthenticationError, "No valid token available.", funcName));
     }
 
     if ("object" !== typeof options) {
-        return Promise.reject(this._error("Options is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Options is missing.", funcName));
     }
 
     if ("string" !== typeof options.sn) {
-        return Promise.reject(this._error("Vehicle serial number is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Vehicle serial number is missing.", funcName));
     }
 
     return this._makeRequest({
-        path: "/v3/motor_data/battery_info/health?sn=" + options.sn
+        path: "/v3/motor_data/battery_info/health?sn=" + encodeURIComponent(options.sn),
+        model: model.toBatteries,
+        schema: "BatteryInfoHealth",
+        timeout: options.timeout,
+        signal: options.signal
     });
 };
 
@@ -672,7 +1830,7 @@ niuCloudConnector.Client.prototype.getBatteryHealth = function(options) {
  */
 
 /**
- * @typedef {Promise} BatteryChart
+ * @typedef {Object} BatteryChart
  * @property {niuCloudConnector.Client}     client                                  - Client
  * @property {Object}                       result                                  - Received response
  * @property {Object}                       result.data                             - Response data
@@ -693,42 +1851,51 @@ niuCloudConnector.Client.prototype.getBatteryHealth = function(options) {
  * @param {number}  options.page        - The page number selects the data. Start always with 1.
  * @param {string}  options.pageSize    - 'A' or 'B'. Using 'B' instead of 'A' results in getting more data at once.
  * @param {number}  options.pageLength  - [1; 2]. Controls whether the result contains a second array of data.
+ * @param {number}  [options.timeout]   - Timeout in ms, overrides the timeout of the client.
+ * @param {Object}  [options.signal]    - AbortSignal, which cancels the request.
  * 
- * @returns {BatteryChart} Battery chart information.
+ * @returns {Promise<BatteryChart>} Battery chart information.
  */
 niuCloudConnector.Client.prototype.getBatteryChart = function(options) {
     var funcName = "getBatteryChart()";
 
-    if (0 === this._token.length) {
-        return Promise.reject(this._error("No valid token available.", funcName));
+    if (false === this._hasAccess()) {
+        return Promise.reject(this._error(errors.AuthenticationError, "No valid token available.", funcName));
     }
 
     if ("object" !== typeof options) {
-        return Promise.reject(this._error("Options is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Options is missing.", funcName));
     }
 
     if ("string" !== typeof options.sn) {
-        return Promise.reject(this._error("Vehicle serial number is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Vehicle serial number is missing.", funcName));
     }
 
     if ("number" !== typeof options.bmsId) {
-        return Promise.reject(this._error("BMS id is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "BMS id is missing.", funcName));
     }
 
     if ("number" !== typeof options.page) {
-        return Promise.reject(this._error("Page is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Page is missing.", funcName));
     }
 
     if ("string" !== typeof options.pageSize) {
-        return Promise.reject(this._error("Page size is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Page size is missing.", funcName));
     }
 
     if ("number" !== typeof options.pageLength) {
-        return Promise.reject(this._error("Page length is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Page length is missing.", funcName));
     }
 
     return this._makeRequest({
-        path: "/v3/motor_data/battery_chart/?sn=" + options.sn + "&bmsId=" + options.bmsId + "&page=" + options.page + "&page_size=" + options.pageSize + "&pageLength=" + options.pageLength
+        path: "/v3/motor_data/battery_chart/?sn=" + encodeURIComponent(options.sn) +
+            "&bmsId=" + encodeURIComponent(options.bmsId) +
+            "&page=" + encodeURIComponent(options.page) +
+            "&page_size=" + encodeURIComponent(options.pageSize) +
+            "&pageLength=" + encodeURIComponent(options.pageLength),
+        schema: "BatteryChart",
+        timeout: options.timeout,
+        signal: options.signal
     });
 };
 
@@ -741,7 +1908,7 @@ niuCloudConnector.Client.prototype.getBatteryChart = function(options) {
  */
 
 /**
- * @typedef {Promise} MotorData
+ * @typedef {Object} MotorData
  * @property {niuCloudConnector.Client} client                              - Client
  * @property {Object}               result                                  - Received response
  * @property {Object}               result.data                             - Response data
@@ -781,33 +1948,39 @@ niuCloudConnector.Client.prototype.getBatteryChart = function(options) {
 /**
  * Get motor info of vehicle.
  * 
- * @param {Object}  options     - Options.
- * @param {string}  options.sn  - Vehicle serial number.
+ * @param {Object}  options            - Options.
+ * @param {string}  options.sn         - Vehicle serial number.
+ * @param {number}  [options.timeout]  - Timeout in ms, overrides the timeout of the client.
+ * @param {Object}  [options.signal]   - AbortSignal, which cancels the request.
  * 
- * @returns {MotorData} Motor data.
+ * @returns {Promise<MotorData>} Motor data.
  */
 niuCloudConnector.Client.prototype.getMotorInfo = function(options) {
     var funcName = "getMotorInfo()";
 
-    if (0 === this._token.length) {
-        return Promise.reject(this._error("No valid token available.", funcName));
+    if (false === this._hasAccess()) {
+        return Promise.reject(this._error(errors.AuthenticationError, "No valid token available.", funcName));
     }
 
     if ("object" !== typeof options) {
-        return Promise.reject(this._error("Options is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Options is missing.", funcName));
     }
 
     if ("string" !== typeof options.sn) {
-        return Promise.reject(this._error("Vehicle serial number is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Vehicle serial number is missing.", funcName));
     }
 
     return this._makeRequest({
-        path: "/v3/motor_data/index_info?sn=" + options.sn
+        path: "/v3/motor_data/index_info?sn=" + encodeURIComponent(options.sn),
+        model: model.toVehicleStatus,
+        schema: "MotorData",
+        timeout: options.timeout,
+        signal: options.signal
     });
 };
 
 /**
- * @typedef {Promise} Tracks
+ * @typedef {Object} Tracks
  * @property {niuCloudConnector.Client} client          - Client
  * @property {Object}   result                          - Received response
  * @property {Object[]} result.data                     - Response data
@@ -842,34 +2015,36 @@ niuCloudConnector.Client.prototype.getMotorInfo = function(options) {
 /**
  * Get recorded tracks.
  * 
- * @param {Object}  options             - Options.
- * @param {string}  options.sn          - Vehicle serial number.
- * @param {number}  options.index       - Start from this index.
- * @param {number}  options.pageSize    - Number of tracks.
+ * @param {Object}  options            - Options.
+ * @param {string}  options.sn         - Vehicle serial number.
+ * @param {number}  options.index      - Start from this index.
+ * @param {number}  options.pageSize   - Number of tracks.
+ * @param {number}  [options.timeout]  - Timeout in ms, overrides the timeout of the client.
+ * @param {Object}  [options.signal]   - AbortSignal, which cancels the request.
  * 
- * @returns {Tracks} Tracks.
+ * @returns {Promise<Tracks>} Tracks.
  */
 niuCloudConnector.Client.prototype.getTracks = function(options) {
     var funcName = "getTracks()";
 
-    if (0 === this._token.length) {
-        return Promise.reject(this._error("No valid token available.", funcName));
+    if (false === this._hasAccess()) {
+        return Promise.reject(this._error(errors.AuthenticationError, "No valid token available.", funcName));
     }
 
     if ("object" !== typeof options) {
-        return Promise.reject(this._error("Options is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Options is missing.", funcName));
     }
 
     if ("string" !== typeof options.sn) {
-        return Promise.reject(this._error("Vehicle serial number is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Vehicle serial number is missing.", funcName));
     }
 
     if ("number" !== typeof options.index) {
-        return Promise.reject(this._error("Index is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Index is missing.", funcName));
     }
 
     if ("number" !== typeof options.pageSize) {
-        return Promise.reject(this._error("Page size is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Page size is missing.", funcName));
     }
 
     return this._makeRequest({
@@ -878,7 +2053,51 @@ niuCloudConnector.Client.prototype.getTracks = function(options) {
             sn: options.sn,
             index: options.index,
             pagesize: options.pageSize
-        }
+        },
+        model: model.toTracks,
+        schema: "Tracks",
+        timeout: options.timeout,
+        signal: options.signal
+    });
+};
+
+/**
+ * Iterate over the whole track history of a vehicle. The tracks are requested
+ * page by page, while iterating. Use it with for await:
+ *
+ *     for await (const track of client.iterateTracks({ sn: sn, from: new Date(2020, 0, 1) })) {
+ *         console.log(track.summary.trackId);
+ *     }
+ *
+ * @param {Object}          options                 - Options.
+ * @param {string}          options.sn              - Vehicle serial number.
+ * @param {Date | number}   [options.from]          - Only tracks, which started at or after this time.
+ * @param {Date | number}   [options.to]            - Only tracks, which started at or before this time.
+ * @param {number}          [options.pageSize]      - Number of tracks per request (default: 20).
+ * @param {boolean}         [options.withDetail]    - Request the track detail of every track (default: false).
+ * @param {number}          [options.concurrency]   - Max. number of concurrent track detail requests (default: 2).
+ * @param {number}          [options.timeout]       - Timeout in ms per request, overrides the timeout of the client.
+ * @param {Object}          [options.signal]        - AbortSignal, which cancels the iteration.
+ *
+ * @returns {niuCloudConnector.TrackIterator} Asynchronous iterator over the tracks.
+ */
+niuCloudConnector.Client.prototype.iterateTracks = function(options) {
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        throw this._error(errors.ValidationError, "Options is missing.", "iterateTracks()");
+    }
+
+    return new trackIterator.TrackIterator({
+        client: this,
+        sn: options.sn,
+        from: options.from,
+        to: options.to,
+        pageSize: options.pageSize,
+        withDetail: options.withDetail,
+        concurrency: options.concurrency,
+        timeout: options.timeout,
+        signal: options.signal
     });
 };
 
@@ -888,7 +2107,7 @@ niuCloudConnector.Client.prototype.getTracks = function(options) {
 /* -------------------------------------------- */
 
 /**
- * @typedef {Promise} FirmwareVersion
+ * @typedef {Object} FirmwareVersion
  * @property {niuCloudConnector.Client} client      - Client
  * @property {Object}   result                      - Received response
  * @property {Object[]} result.data                 - Response data
@@ -909,36 +2128,42 @@ niuCloudConnector.Client.prototype.getTracks = function(options) {
 /**
  * Get firmware version.
  * 
- * @param {Object}  options             - Options.
- * @param {string}  options.sn          - Vehicle serial number.
+ * @param {Object}  options            - Options.
+ * @param {string}  options.sn         - Vehicle serial number.
+ * @param {number}  [options.timeout]  - Timeout in ms, overrides the timeout of the client.
+ * @param {Object}  [options.signal]   - AbortSignal, which cancels the request.
  * 
- * @returns {FirmwareVersion} Firmware version.
+ * @returns {Promise<FirmwareVersion>} Firmware version.
  */
 niuCloudConnector.Client.prototype.getFirmwareVersion = function(options) {
     var funcName = "getTracks()";
 
-    if (0 === this._token.length) {
-        return Promise.reject(this._error("No valid token available.", funcName));
+    if (false === this._hasAccess()) {
+        return Promise.reject(this._error(errors.AuthenticationError, "No valid token available.", funcName));
     }
 
     if ("object" !== typeof options) {
-        return Promise.reject(this._error("Options is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Options is missing.", funcName));
     }
 
     if ("string" !== typeof options.sn) {
-        return Promise.reject(this._error("Vehicle serial number is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Vehicle serial number is missing.", funcName));
     }
 
     return this._makeRequest({
         path: "/motorota/getfirmwareversion",
         postData: {
             sn: options.sn
-        }
+        },
+        model: model.toFirmwareInfo,
+        schema: "FirmwareVersion",
+        timeout: options.timeout,
+        signal: options.signal
     });
 };
 
 /**
- * @typedef {Promise} UpdateInfo
+ * @typedef {Object} UpdateInfo
  * @property {niuCloudConnector.Client} client          - Client
  * @property {Object}   result                          - Received response
  * @property {Object[]} result.data                     - Response data
@@ -953,30 +2178,128 @@ niuCloudConnector.Client.prototype.getFirmwareVersion = function(options) {
 /**
  * Get firmware version.
  * 
- * @param {Object}  options             - Options.
- * @param {string}  options.sn          - Vehicle serial number.
+ * @param {Object}  options            - Options.
+ * @param {string}  options.sn         - Vehicle serial number.
+ * @param {number}  [options.timeout]  - Timeout in ms, overrides the timeout of the client.
+ * @param {Object}  [options.signal]   - AbortSignal, which cancels the request.
  * 
- * @returns {UpdateInfo} Update information.
+ * @returns {Promise<UpdateInfo>} Update information.
  */
 niuCloudConnector.Client.prototype.getUpdateInfo = function(options) {
     var funcName = "getTracks()";
 
-    if (0 === this._token.length) {
-        return Promise.reject(this._error("No valid token available.", funcName));
+    if (false === this._hasAccess()) {
+        return Promise.reject(this._error(errors.AuthenticationError, "No valid token available.", funcName));
     }
 
     if ("object" !== typeof options) {
-        return Promise.reject(this._error("Options is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Options is missing.", funcName));
     }
 
     if ("string" !== typeof options.sn) {
-        return Promise.reject(this._error("Vehicle serial number is missing.", funcName));
+        return Promise.reject(this._error(errors.ValidationError, "Vehicle serial number is missing.", funcName));
     }
 
     return this._makeRequest({
         path: "/motorota/getupdateinfo",
         postData: {
             sn: options.sn
-        }
+        },
+        schema: "UpdateInfo",
+        timeout: options.timeout,
+        signal: options.signal
+    });
+};
+
+/* -------------------------------------------- */
+/* --------- Fleet                     -------- */
+/* -------------------------------------------- */
+
+/**
+ * @typedef {Object} FleetStatus
+ * @property {niuCloudConnector.Client} client  - Client
+ * @property {FleetSnapshot}            result  - Fleet snapshot
+ */
+
+/**
+ * Get the status of all vehicles of the account and totals over them, e.g.
+ * the total mileage, the average state of charge and the number of charging
+ * and offline vehicles. Failed requests of single vehicles are reported in
+ * the failures of the snapshot and don't reject.
+ *
+ * @param {Object}      [options]                   - Options.
+ * @param {string[]}    [options.sn]                - Serial numbers of the vehicles, which shall be included (default: all).
+ * @param {number}      [options.concurrency]       - Max. number of vehicles, which are requested at the same time (default: 3).
+ * @param {number}      [options.lowSocThreshold]   - Vehicles below this state of charge in percent are reported (default: 20).
+ * @param {number}      [options.timeout]           - Timeout in ms per request, overrides the timeout of the client.
+ * @param {Object}      [options.signal]            - AbortSignal, which cancels the snapshot.
+ *
+ * @returns {Promise<FleetStatus>} Fleet status.
+ */
+niuCloudConnector.Client.prototype.getFleetStatus = function(options) {
+    var _this = this;
+
+    if (false === this._hasAccess()) {
+        return Promise.reject(this._error(errors.AuthenticationError, "No valid token available.", "getFleetStatus()"));
+    }
+
+    return fleet.getFleetSnapshot(this, options).then(function(snapshot) {
+        return {
+            client: _this,
+            result: snapshot
+        };
+    });
+};
+
+/* -------------------------------------------- */
+/* --------- Ride history database     -------- */
+/* -------------------------------------------- */
+
+/**
+ * @typedef {Object} SyncRidesResult
+ * @property {niuCloudConnector.Client} client  - Client
+ * @property {SyncResult}               result  - Synchronization result
+ */
+
+/**
+ * Synchronize the ride history of the vehicles into a local ride store. Only
+ * tracks, which are newer than the latest stored one, are requested. Read
+ * them back with the query methods of the store.
+ *
+ * @param {Object}                      options                 - Options.
+ * @param {niuCloudConnector.RideStore} options.store           - Ride store.
+ * @param {string[]}                    [options.sn]            - Serial numbers of the vehicles, which shall be synchronized (default: all).
+ * @param {boolean}                     [options.withDetail]    - Store the track details (default: true).
+ * @param {boolean}                     [options.batteryHealth] - Store a battery health record (default: true).
+ * @param {boolean}                     [options.tally]         - Store a tally snapshot (default: true).
+ * @param {number}                      [options.pageSize]      - Number of tracks per request (default: 20).
+ * @param {number}                      [options.concurrency]   - Max. number of concurrent track detail requests (default: 2).
+ * @param {number}                      [options.timeout]       - Timeout in ms per request, overrides the timeout of the client.
+ * @param {Object}                      [options.signal]        - AbortSignal, which cancels the synchronization.
+ *
+ * @returns {Promise<SyncRidesResult>} Synchronization result.
+ */
+niuCloudConnector.Client.prototype.syncRides = function(options) {
+    var _this       = this;
+    var funcName    = "syncRides()";
+
+    if (false === this._hasAccess()) {
+        return Promise.reject(this._error(errors.AuthenticationError, "No valid token available.", funcName));
+    }
+
+    if ("object" !== typeof options) {
+        return Promise.reject(this._error(errors.ValidationError, "Options is missing.", funcName));
+    }
+
+    if (("object" !== typeof options.store) ||
+        (null === options.store)) {
+        return Promise.reject(this._error(errors.ValidationError, "Ride store is missing.", funcName));
+    }
+
+    return rideStore.syncRides(this, options.store, options).then(function(result) {
+        return {
+            client: _this,
+            result: result
+        };
     });
 };
@@ -0,0 +1,912 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** Event emitter */
+var EventEmitter = require("events").EventEmitter;
+
+/** Utilities */
+var util = require("util");
+
+/** Error classes */
+var errors = require("./errors");
+
+/** Helper functions */
+var helpers = require("./helpers");
+
+/** Normalized data model */
+var model = require("./model");
+
+/** HTTP transport */
+var transport = require("./transport");
+
+/** SMTP client */
+var smtp = require("./smtp");
+
+/** Default time in ms, in which a rule doesn't notify again after it was resolved */
+var DEFAULT_COOLDOWN = 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} AlertRule
+ * @property {string}   id              - Rule identifier
+ * @property {string}   type            - "socBelow", "temperatureOutOfRange", "batteryFaults", "noSignal", "movingWhileLocked" or "custom"
+ * @property {number}   [threshold]     - socBelow: State of charge in percent (default: 15)
+ * @property {number}   [min]           - temperatureOutOfRange: Min. battery temperature in degree celsius (default: 0)
+ * @property {number}   [max]           - temperatureOutOfRange: Max. battery temperature in degree celsius (default: 50)
+ * @property {string}   [signal]        - noSignal: "gps", "gsm" or "any" (default: "any")
+ * @property {number}   [minSpeed]      - movingWhileLocked: Speed in m/s, which counts as moving (default: 0)
+ * @property {Function} [condition]     - custom: Called with the snapshot, returns true (alert), false (no alert) or null (unknown)
+ * @property {string}   [message]       - custom: Alert message
+ * @property {number}   [duration]      - Time in ms, the condition must be met, before it alerts (default: 0)
+ * @property {number}   [cooldown]      - Time in ms after an alert was resolved, in which the rule doesn't alert again (default: 3600000)
+ * @property {string}   [severity]      - "info", "warning" or "critical" (default: "warning")
+ */
+
+/**
+ * @typedef {Object} VehicleSnapshot
+ * @property {string}   sn              - Vehicle serial number
+ * @property {Date}     [time]          - Time of the snapshot (default: now)
+ * @property {Object}   [motorInfo]     - Motor data, see MotorData
+ * @property {Object}   [batteryInfo]   - Battery info, see BatteryInfo
+ * @property {Object}   [batteryHealth] - Battery health, see BatteryInfoHealth
+ */
+
+/**
+ * @typedef {Object} Alert
+ * @property {string}   ruleId      - Rule identifier
+ * @property {string}   type        - Rule type
+ * @property {string}   severity    - "info", "warning" or "critical"
+ * @property {string}   sn          - Vehicle serial number
+ * @property {string}   message     - Human readable message
+ * @property {*}        value       - Value, which triggered the alert, e.g. the state of charge
+ * @property {Date}     since       - Since when the condition is met
+ * @property {Date}     time        - Time of the alert
+ * @property {string}   status      - "firing" or "resolved"
+ */
+
+/**
+ * @typedef {Object} NotificationSink
+ * @property {Function} send - Deliver an alert, given as parameter. Returns a promise.
+ */
+
+/**
+ * Rules, which cover the common problems: low state of charge, battery
+ * temperature, battery faults, lost GPS/GSM signal and a moving locked vehicle.
+ *
+ * @memberof niuCloudConnector
+ * @type {AlertRule[]}
+ */
+var DefaultAlertRules = [{
+    id: "lowSoc",
+    type: "socBelow",
+    threshold: 15
+}, {
+    id: "batteryTemperature",
+    type: "temperatureOutOfRange",
+    min: 0,
+    max: 50,
+    severity: "critical"
+}, {
+    id: "batteryFaults",
+    type: "batteryFaults",
+    severity: "critical"
+}, {
+    id: "noSignal",
+    type: "noSignal",
+    signal: "any",
+    duration: 15 * 60 * 1000
+}, {
+    id: "movingWhileLocked",
+    type: "movingWhileLocked",
+    severity: "critical"
+}];
+
+/**
+ * Get the battery packs of the snapshot. The battery info is preferred,
+ * because it provides more details than the motor data.
+ *
+ * @private
+ *
+ * @param {VehicleSnapshot} snapshot - Snapshot.
+ *
+ * @returns {BatteryPack[]} Battery packs or null, if no battery data is available.
+ */
+var getPacks = function(snapshot) {
+    var sources = [snapshot.batteryInfo, snapshot.motorInfo, snapshot.batteryHealth];
+    var index   = 0;
+
+    for (index = 0; index < sources.length; ++index) {
+
+        if (("object" === typeof sources[index]) &&
+            (null !== sources[index])) {
+            return model.toBatteries(sources[index]).batteries;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Evaluators of the rule types. Every evaluator returns whether the condition
+ * is met, the triggering value and a message, or null if the snapshot doesn't
+ * provide the necessary data.
+ *
+ * @private
+ */
+var EVALUATORS = {
+
+    socBelow: function(rule, snapshot) {
+        var threshold   = ("number" === typeof rule.threshold) ? rule.threshold : 15;
+        var packs       = getPacks(snapshot);
+        var socs        = null;
+
+        if (null === packs) {
+            return null;
+        }
+
+        socs = packs.filter(function(pack) {
+            return null !== pack.soc;
+        }).map(function(pack) {
+            return pack.soc;
+        });
+
+        if (0 === socs.length) {
+            return null;
+        }
+
+        /* A single empty pack is enough. */
+        return {
+            isMet: Math.min.apply(null, socs) < threshold,
+            value: Math.min.apply(null, socs),
+            message: "State of charge " + Math.min.apply(null, socs) + "% is below " + threshold + "%."
+        };
+    },
+
+    temperatureOutOfRange: function(rule, snapshot) {
+        var min     = ("number" === typeof rule.min) ? rule.min : 0;
+        var max     = ("number" === typeof rule.max) ? rule.max : 50;
+        var packs   = getPacks(snapshot);
+        var outside = null;
+        var known   = null;
+
+        if (null === packs) {
+            return null;
+        }
+
+        known = packs.filter(function(pack) {
+            return null !== pack.temperature;
+        });
+
+        if (0 === known.length) {
+            return null;
+        }
+
+        outside = known.filter(function(pack) {
+            return (min > pack.temperature) || (max < pack.temperature);
+        });
+
+        return {
+            isMet: 0 < outside.length,
+            value: (0 < outside.length) ? outside[0].temperature : known[0].temperature,
+            message: (0 < outside.length) ? "Battery temperature " + outside[0].temperature + " °C of compartment " + outside[0].compartment + " is outside of " + min + " °C to " + max + " °C." : ""
+        };
+    },
+
+    batteryFaults: function(rule, snapshot) {
+        var sources = [snapshot.batteryHealth, snapshot.batteryInfo].filter(function(source) {
+            return ("object" === typeof source) && (null !== source);
+        });
+        var faults  = [];
+
+        if (0 === sources.length) {
+            return null;
+        }
+
+        sources.forEach(function(source) {
+            model.toBatteries(source).batteries.forEach(function(pack) {
+                faults = faults.concat(pack.faults);
+            });
+        });
+
+        return {
+            isMet: 0 < faults.length,
+            value: faults,
+            message: "Battery reports " + faults.length + " fault(s)."
+        };
+    },
+
+    noSignal: function(rule, snapshot) {
+        var signal  = ("string" === typeof rule.signal) ? rule.signal : "any";
+        var status  = null;
+        var lost    = [];
+
+        if (("object" !== typeof snapshot.motorInfo) ||
+            (null === snapshot.motorInfo)) {
+            return null;
+        }
+
+        status = model.toVehicleStatus(snapshot.motorInfo);
+
+        if ((("gps" === signal) || ("any" === signal)) &&
+            (0 === status.gpsSignal)) {
+            lost.push("GPS");
+        }
+
+        if ((("gsm" === signal) || ("any" === signal)) &&
+            (0 === status.gsmSignal)) {
+            lost.push("GSM");
+        }
+
+        return {
+            isMet: 0 < lost.length,
+            value: lost,
+            message: "No " + lost.join(" and ") + " signal."
+        };
+    },
+
+    movingWhileLocked: function(rule, snapshot) {
+        var minSpeed    = ("number" === typeof rule.minSpeed) ? rule.minSpeed : 0;
+        var status      = null;
+
+        if (("object" !== typeof snapshot.motorInfo) ||
+            (null === snapshot.motorInfo)) {
+            return null;
+        }
+
+        status = model.toVehicleStatus(snapshot.motorInfo);
+
+        if ((null === status.isLocked) ||
+            (null === status.speed)) {
+            return null;
+        }
+
+        return {
+            isMet: (true === status.isLocked) && (minSpeed < status.speed),
+            value: status.speed,
+            message: "Vehicle moves with " + Math.round(status.speed * 3.6) + " km/h, although it is locked."
+        };
+    },
+
+    custom: function(rule, snapshot) {
+        var isMet = rule.condition(snapshot);
+
+        if ("boolean" !== typeof isMet) {
+            return null;
+        }
+
+        return {
+            isMet: isMet,
+            value: isMet,
+            message: ("string" === typeof rule.message) ? rule.message : "Rule " + rule.id + " is met."
+        };
+    }
+};
+
+/**
+ * Notification sink, which calls a function with every alert.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ *
+ * @param {Function} callback - Called with the alert. May return a promise.
+ */
+var CallbackSink = function(callback) {
+
+    if ("function" !== typeof callback) {
+        throw new errors.ValidationError("Callback is missing.", {
+            funcName: "CallbackSink()"
+        });
+    }
+
+    /** Callback */
+    this._callback = callback;
+};
+
+/**
+ * Deliver an alert.
+ *
+ * @param {Alert} alert - Alert.
+ *
+ * @returns {Promise} Nothing.
+ */
+CallbackSink.prototype.send = function(alert) {
+    var _this = this;
+
+    return Promise.resolve().then(function() {
+        return _this._callback(alert);
+    }).then(function() {
+        return undefined;
+    });
+};
+
+/**
+ * Notification sink, which posts every alert as JSON to a webhook.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ *
+ * @param {Object}      options             - Options.
+ * @param {string}      options.url         - Webhook URL.
+ * @param {Object}      [options.headers]   - Additional request headers, e.g. for the authorization.
+ * @param {Transport}   [options.transport] - Transport, which executes the HTTP requests (default: niuCloudConnector.HttpsTransport).
+ * @param {number}      [options.timeout]   - Timeout in ms (default: 10000).
+ */
+var WebhookSink = function(options) {
+
+    if (("object" !== typeof options) ||
+        (null === options) ||
+        ("string" !== typeof options.url)) {
+        throw new errors.ValidationError("Webhook URL is missing.", {
+            funcName: "WebhookSink()"
+        });
+    }
+
+    /** Webhook URL */
+    this._url = options.url;
+
+    /** Additional request headers */
+    this._headers = (("object" === typeof options.headers) && (null !== options.headers)) ? options.headers : {};
+
+    /** Transport */
+    this._transport = (("object" === typeof options.transport) && (null !== options.transport)) ? options.transport : new transport.HttpsTransport();
+
+    /** Timeout in ms */
+    this._timeout = ("number" === typeof options.timeout) ? options.timeout : 10000;
+};
+
+/**
+ * Deliver an alert.
+ *
+ * @param {Alert} alert - Alert.
+ *
+ * @returns {Promise} Nothing.
+ */
+WebhookSink.prototype.send = function(alert) {
+
+    return this._transport.request({
+        method: "POST",
+        url: this._url,
+        headers: this._headers,
+        json: alert,
+        timeout: this._timeout
+    }).then(function(response) {
+
+        if ((200 > response.statusCode) ||
+            (300 <= response.statusCode)) {
+            return Promise.reject(new errors.NotificationError("Webhook responded with HTTP status " + response.statusCode + ".", {
+                funcName: "send()",
+                statusCode: response.statusCode,
+                info: response.body
+            }));
+        }
+
+        return undefined;
+
+    }, function(error) {
+        return Promise.reject(new errors.NotificationError("Webhook not reachable: " + error.message, {
+            funcName: "send()",
+            cause: error
+        }));
+    });
+};
+
+/**
+ * Notification sink, which sends every alert as mail.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ *
+ * @param {Object}              options             - Options.
+ * @param {string}              options.from        - Sender address.
+ * @param {string | string[]}   options.to          - Recipient address(es).
+ * @param {Object}              [options.smtp]      - SMTP configuration, see niuCloudConnector.SmtpTransport.
+ * @param {Object}              [options.transport] - Mail transport with the method sendMail(message), which returns a promise. Overrides the SMTP configuration.
+ * @param {string}              [options.subject]   - Subject prefix (default: "NIU alert").
+ */
+var EmailSink = function(options) {
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        throw new errors.ValidationError("Options is missing.", {
+            funcName: "EmailSink()"
+        });
+    }
+
+    if (("string" !== typeof options.from) ||
+        (undefined === options.to)) {
+        throw new errors.ValidationError("Sender or recipient is missing.", {
+            funcName: "EmailSink()"
+        });
+    }
+
+    if (("object" === typeof options.transport) &&
+        (null !== options.transport)) {
+        this._transport = options.transport;
+    } else if (("object" === typeof options.smtp) &&
+               (null !== options.smtp)) {
+        this._transport = new smtp.SmtpTransport(options.smtp);
+    } else {
+        throw new errors.ValidationError("SMTP configuration or transport is missing.", {
+            funcName: "EmailSink()"
+        });
+    }
+
+    /** Sender address */
+    this._from = options.from;
+
+    /** Recipient address(es) */
+    this._to = options.to;
+
+    /** Subject prefix */
+    this._subject = ("string" === typeof options.subject) ? options.subject : "NIU alert";
+};
+
+/**
+ * Deliver an alert.
+ *
+ * @param {Alert} alert - Alert.
+ *
+ * @returns {Promise} Nothing.
+ */
+EmailSink.prototype.send = function(alert) {
+
+    return this._transport.sendMail({
+        from: this._from,
+        to: this._to,
+        subject: this._subject + " [" + alert.severity + "] " + alert.sn + ": " + alert.ruleId,
+        text: [
+            alert.message,
+            "",
+            "Vehicle: " + alert.sn,
+            "Rule: " + alert.ruleId + " (" + alert.type + ")",
+            "Since: " + alert.since.toISOString(),
+            "Time: " + alert.time.toISOString()
+        ].join("\r\n")
+    }).then(function() {
+        return undefined;
+    }, function(error) {
+
+        if (error instanceof errors.NotificationError) {
+            return Promise.reject(error);
+        }
+
+        return Promise.reject(new errors.NotificationError("Mail not sent: " + error.message, {
+            funcName: "send()",
+            cause: error
+        }));
+    });
+};
+
+/**
+ * Alert engine, which evaluates declarative rules against vehicle snapshots
+ * and notifies the sinks.
+ *
+ * A rule alerts once, when its condition is met for the rule duration. It
+ * doesn't alert again, until the condition was resolved and the cooldown is
+ * over, so a flapping condition doesn't flood the sinks.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ * @augments EventEmitter
+ *
+ * @param {Object}              [options]           - Options.
+ * @param {AlertRule[]}         [options.rules]     - Rules (default: niuCloudConnector.DefaultAlertRules).
+ * @param {NotificationSink[]}  [options.sinks]     - Sinks, which are notified about every alert.
+ * @param {number}              [options.cooldown]  - Default cooldown in ms of the rules (default: 3600000).
+ *
+ * @fires niuCloudConnector.AlertEngine#alert
+ * @fires niuCloudConnector.AlertEngine#resolved
+ * @fires niuCloudConnector.AlertEngine#error
+ */
+var AlertEngine = function(options) {
+    var _this = this;
+
+    EventEmitter.call(this);
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        options = {};
+    }
+
+    /** Rules */
+    this._rules = [];
+
+    /** Sinks */
+    this._sinks = [];
+
+    /** Default cooldown in ms */
+    this._cooldown = ("number" === typeof options.cooldown) ? options.cooldown : DEFAULT_COOLDOWN;
+
+    /** State per vehicle and rule */
+    this._states = {};
+
+    (true === Array.isArray(options.rules) ? options.rules : DefaultAlertRules).forEach(function(rule) {
+        _this.addRule(rule);
+    });
+
+    (true === Array.isArray(options.sinks) ? options.sinks : []).forEach(function(sink) {
+        _this.addSink(sink);
+    });
+};
+
+util.inherits(AlertEngine, EventEmitter);
+
+/**
+ * Alert event, emitted if a rule alerts.
+ *
+ * @event niuCloudConnector.AlertEngine#alert
+ * @type {Alert}
+ */
+
+/**
+ * Resolved event, emitted if the condition of an alerted rule isn't met anymore.
+ *
+ * @event niuCloudConnector.AlertEngine#resolved
+ * @type {Alert}
+ */
+
+/**
+ * Error event, emitted if a sink or the condition of a rule failed. It is only emitted, if there is a listener.
+ *
+ * @event niuCloudConnector.AlertEngine#error
+ * @type {niuCloudConnector.NotificationError | niuCloudConnector.RuleError}
+ */
+
+/**
+ * Add a rule. A rule with the same identifier is replaced.
+ *
+ * @param {AlertRule} rule - Rule.
+ */
+AlertEngine.prototype.addRule = function(rule) {
+
+    if (("object" !== typeof rule) ||
+        (null === rule) ||
+        ("string" !== typeof rule.id)) {
+        throw new errors.ValidationError("Rule identifier is missing.", {
+            funcName: "addRule()"
+        });
+    }
+
+    if (false === Object.prototype.hasOwnProperty.call(EVALUATORS, rule.type)) {
+        throw new errors.ValidationError("Unknown rule type \"" + rule.type + "\".", {
+            funcName: "addRule()"
+        });
+    }
+
+    if (("custom" === rule.type) &&
+        ("function" !== typeof rule.condition)) {
+        throw new errors.ValidationError("Condition of the custom rule is missing.", {
+            funcName: "addRule()"
+        });
+    }
+
+    this.removeRule(rule.id);
+    this._rules.push(rule);
+};
+
+/**
+ * Remove a rule.
+ *
+ * @param {string} id - Rule identifier.
+ */
+AlertEngine.prototype.removeRule = function(id) {
+    var _this = this;
+
+    this._rules = this._rules.filter(function(rule) {
+        return rule.id !== id;
+    });
+
+    Object.keys(this._states).forEach(function(key) {
+
+        if (id === _this._states[key].ruleId) {
+            delete _this._states[key];
+        }
+    });
+};
+
+/**
+ * Get all rules.
+ *
+ * @returns {AlertRule[]} Rules.
+ */
+AlertEngine.prototype.getRules = function() {
+    return this._rules.slice();
+};
+
+/**
+ * Add a notification sink.
+ *
+ * @param {NotificationSink} sink - Sink, e.g. niuCloudConnector.CallbackSink, niuCloudConnector.WebhookSink or niuCloudConnector.EmailSink.
+ */
+AlertEngine.prototype.addSink = function(sink) {
+
+    if (("object" !== typeof sink) ||
+        (null === sink) ||
+        ("function" !== typeof sink.send)) {
+        throw new errors.ValidationError("Invalid sink.", {
+            funcName: "addSink()"
+        });
+    }
+
+    this._sinks.push(sink);
+};
+
+/**
+ * Remove a notification sink.
+ *
+ * @param {NotificationSink} sink - Sink.
+ */
+AlertEngine.prototype.removeSink = function(sink) {
+
+    this._sinks = this._sinks.filter(function(entry) {
+        return entry !== sink;
+    });
+};
+
+/**
+ * Get the alerts, whose condition is still met.
+ *
+ * @returns {Alert[]} Alerts.
+ */
+AlertEngine.prototype.getActiveAlerts = function() {
+    var _this = this;
+
+    return Object.keys(this._states).filter(function(key) {
+        return true === _this._states[key].isActive;
+    }).map(function(key) {
+        return _this._states[key].alert;
+    });
+};
+
+/**
+ * Notify all sinks about an alert. Failed sinks are reported by the error event.
+ *
+ * @private
+ *
+ * @param {Alert} alert - Alert.
+ *
+ * @returns {Promise} Nothing.
+ */
+AlertEngine.prototype._notify = function(alert) {
+    var _this = this;
+
+    return Promise.all(this._sinks.map(function(sink) {
+        return Promise.resolve().then(function() {
+            return sink.send(alert);
+        }).catch(function(error) {
+
+            if (0 < _this.listenerCount("error")) {
+                _this.emit("error", (error instanceof errors.NotificationError) ? error : new errors.NotificationError("Sink failed: " + error.message, {
+                    funcName: "send()",
+                    cause: error
+                }));
+            }
+        });
+    })).then(function() {
+        return undefined;
+    });
+};
+
+/**
+ * Evaluate a rule against a vehicle snapshot. A failing condition is reported
+ * by the error event and handled like an unknown result.
+ *
+ * @private
+ *
+ * @param {AlertRule}       rule        - Rule.
+ * @param {VehicleSnapshot} snapshot    - Snapshot of the vehicle.
+ *
+ * @returns {Object} Result with isMet, value and message or null, if it is unknown.
+ */
+AlertEngine.prototype._evaluateRule = function(rule, snapshot) {
+
+    try {
+        return EVALUATORS[rule.type](rule, snapshot);
+    } catch (error) {
+
+        if (0 < this.listenerCount("error")) {
+            this.emit("error", new errors.RuleError("Rule " + rule.id + " failed: " + ((error instanceof Error) ? error.message : String(error)), {
+                funcName: "evaluate()",
+                cause: error,
+                ruleId: rule.id
+            }));
+        }
+
+        return null;
+    }
+};
+
+/**
+ * Evaluate all rules against a vehicle snapshot and notify the sinks about new alerts.
+ * A failing rule doesn't stop the evaluation of the other rules.
+ *
+ * @param {VehicleSnapshot} snapshot - Snapshot of the vehicle.
+ *
+ * @returns {Promise} New alerts, see Alert. The promise doesn't reject, if a sink or a rule fails.
+ */
+AlertEngine.prototype.evaluate = function(snapshot) {
+    var _this   = this;
+    var alerts  = [];
+    var now     = null;
+
+    if (("object" !== typeof snapshot) ||
+        (null === snapshot) ||
+        ("string" !== typeof snapshot.sn)) {
+        return Promise.reject(new errors.ValidationError("Vehicle serial number is missing.", {
+            funcName: "evaluate()"
+        }));
+    }
+
+    now = new Date((undefined !== snapshot.time) ? helpers.toTimestamp(snapshot.time) : Date.now());
+
+    this._rules.forEach(function(rule) {
+        var key         = snapshot.sn + "/" + rule.id;
+        var state       = _this._states[key];
+        var result      = _this._evaluateRule(rule, snapshot);
+        var duration    = ("number" === typeof rule.duration) ? rule.duration : 0;
+        var cooldown    = ("number" === typeof rule.cooldown) ? rule.cooldown : _this._cooldown;
+        var alert       = null;
+
+        /* Unknown, keep the state. */
+        if (null === result) {
+            return;
+        }
+
+        if (undefined === state) {
+            state = {
+                ruleId: rule.id,
+                since: null,
+                isActive: false,
+                lastResolve: null,
+                alert: null
+            };
+
+            _this._states[key] = state;
+        }
+
+        if (false === result.isMet) {
+
+            if (true === state.isActive) {
+                state.alert = Object.assign({}, state.alert, {
+                    time: now,
+                    status: "resolved"
+                });
+
+                state.lastResolve = now;
+
+                _this.emit("resolved", state.alert);
+            }
+
+            state.since     = null;
+            state.isActive  = false;
+            return;
+        }
+
+        if (null === state.since) {
+            state.since = now;
+        }
+
+        /* Already alerted or not met long enough */
+        if ((true === state.isActive) ||
+            (duration > (now.getTime() - state.since.getTime()))) {
+            return;
+        }
+
+        /* Deduplicate a flapping condition, it alerts as soon as the cooldown after the resolving is over. */
+        if ((null !== state.lastResolve) &&
+            (cooldown > (now.getTime() - state.lastResolve.getTime()))) {
+            return;
+        }
+
+        alert = {
+            ruleId: rule.id,
+            type: rule.type,
+            severity: ("string" === typeof rule.severity) ? rule.severity : "warning",
+            sn: snapshot.sn,
+            message: result.message,
+            value: result.value,
+            since: state.since,
+            time: now,
+            status: "firing"
+        };
+
+        state.isActive  = true;
+        state.alert     = alert;
+        alerts.push(alert);
+
+        _this.emit("alert", alert);
+    });
+
+    return Promise.all(alerts.map(function(alert) {
+        return _this._notify(alert);
+    })).then(function() {
+        return alerts;
+    });
+};
+
+/**
+ * Request the motor info, the battery info and the battery health of a
+ * vehicle and evaluate them. A failed request doesn't prevent the evaluation,
+ * the rules are evaluated with the data of the other requests. It only
+ * rejects, if the requests are cancelled or all of them failed.
+ *
+ * @param {niuCloudConnector.Client}    client              - Client.
+ * @param {Object}                      options             - Options.
+ * @param {string}                      options.sn          - Vehicle serial number.
+ * @param {number}                      [options.timeout]   - Timeout in ms per request, overrides the timeout of the client.
+ * @param {Object}                      [options.signal]    - AbortSignal, which cancels the requests.
+ *
+ * @returns {Promise} New alerts, see Alert.
+ */
+AlertEngine.prototype.check = function(client, options) {
+    var _this = this;
+
+    if (("object" !== typeof options) ||
+        (null === options) ||
+        ("string" !== typeof options.sn)) {
+        return Promise.reject(new errors.ValidationError("Vehicle serial number is missing.", {
+            funcName: "check()"
+        }));
+    }
+
+    return Promise.all(["getMotorInfo", "getBatteryInfo", "getBatteryHealth"].map(function(request) {
+        return client[request](options).then(function(response) {
+            return {
+                data: response.result.data,
+                error: null
+            };
+        }, function(error) {
+
+            if (error instanceof errors.AbortError) {
+                return Promise.reject(error);
+            }
+
+            return {
+                data: undefined,
+                error: error
+            };
+        });
+    })).then(function(results) {
+        var failed = results.filter(function(result) {
+            return null !== result.error;
+        });
+
+        if (results.length === failed.length) {
+            return Promise.reject(failed[0].error);
+        }
+
+        return _this.evaluate({
+            sn: options.sn,
+            motorInfo: results[0].data,
+            batteryInfo: results[1].data,
+            batteryHealth: results[2].data
+        });
+    });
+};
+
+module.exports = {
+    DefaultAlertRules: DefaultAlertRules,
+    AlertEngine: AlertEngine,
+    CallbackSink: CallbackSink,
+    WebhookSink: WebhookSink,
+    EmailSink: EmailSink
+};
@@ -0,0 +1,501 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** Error classes */
+var errors = require("./errors");
+
+/** Normalized data model */
+var model = require("./model");
+
+/** Geofence, used for distance calculation */
+var geofence = require("./geofence");
+
+/** Periods, the rides can be grouped by */
+var PERIODS = ["day", "week", "month"];
+
+/** Metrics, which are compared by compareStats() */
+var METRICS = ["rides", "distance", "ridingTime", "averageSpeed", "maxSpeed", "socConsumed", "socPerKm", "whPerKm"];
+
+/**
+ * Analysis of the ride history, e.g. the distance per month or the energy
+ * consumption per km. All functions work on the tracks of getTracks(), with
+ * or without the track details of getTrackDetail(), on stored tracks of the
+ * ride store or on normalized tracks of the data model.
+ *
+ * Like the data model, distances are in m, speeds in m/s, durations in s and
+ * values, which are not available, are null.
+ *
+ * The energy consumption is estimated by the consumed state of charge and the
+ * capacity of the battery pack(s), which the NIU cloud doesn't provide.
+ *
+ * @namespace analytics
+ * @memberof niuCloudConnector
+ */
+
+/**
+ * @typedef {Object} RideStats
+ * @property {string}   trackId         - Track identifier
+ * @property {Date}     startTime       - Start time
+ * @property {Date}     endTime         - End time
+ * @property {number}   distance        - Distance in m
+ * @property {number}   ridingTime      - Riding time in s
+ * @property {number}   averageSpeed    - Average speed in m/s
+ * @property {number}   maxSpeed        - Max. speed in m/s, only available with track details or speeds in the track points
+ * @property {number}   socStart        - State of charge at the start in percent
+ * @property {number}   socEnd          - State of charge at the end in percent
+ * @property {number}   socConsumed     - Consumed state of charge in percent points
+ * @property {number}   socPerKm        - Consumed state of charge in percent points per km
+ * @property {number}   energy          - Consumed energy in Wh, only available with the pack capacity
+ * @property {number}   whPerKm         - Consumed energy in Wh per km, only available with the pack capacity
+ */
+
+/**
+ * @typedef {Object} Comparison
+ * @property {number}   current     - Current value
+ * @property {number}   previous    - Previous value
+ * @property {number}   change      - Difference between current and previous value
+ * @property {number}   changeRatio - Change relative to the previous value, e.g. 0.1 for +10%
+ */
+
+/**
+ * @typedef {Object} PeriodStats
+ * @property {string}       period          - Period: "day", "week" or "month"
+ * @property {Date}         start           - Start of the period (local time)
+ * @property {Date}         end             - Start of the next period (local time)
+ * @property {number}       rides           - Number of rides
+ * @property {number}       distance        - Distance in m
+ * @property {number}       ridingTime      - Riding time in s
+ * @property {number}       averageSpeed    - Average speed in m/s
+ * @property {number}       maxSpeed        - Max. speed in m/s
+ * @property {number}       socConsumed     - Consumed state of charge in percent points
+ * @property {number}       socPerKm        - Consumed state of charge in percent points per km
+ * @property {number}       energy          - Consumed energy in Wh, only available with the pack capacity
+ * @property {number}       whPerKm         - Consumed energy in Wh per km, only available with the pack capacity
+ * @property {Object}       trend           - Comparison of every metric with the previous period, null for the first period
+ */
+
+/**
+ * Get the normalized track of a track in any of the supported forms.
+ *
+ * @private
+ *
+ * @param {Object} track - Track summary, track with summary and detail or normalized track.
+ *
+ * @returns {Track} Normalized track.
+ */
+var toModelTrack = function(track) {
+
+    if (("object" !== typeof track) ||
+        (null === track)) {
+        return model.toTrack();
+    }
+
+    /* Normalized track */
+    if ((true === Array.isArray(track.points)) &&
+        ("object" === typeof track.raw)) {
+        return track;
+    }
+
+    /* Stored or iterated track */
+    if (undefined !== track.summary) {
+
+        if (("object" === typeof track.model) &&
+            (null !== track.model)) {
+            return track.model;
+        }
+
+        return model.toTrack(track.summary, track.detail);
+    }
+
+    return model.toTrack(track);
+};
+
+/**
+ * Divide, if both values are available.
+ *
+ * @private
+ *
+ * @param {number} dividend - Dividend.
+ * @param {number} divisor  - Divisor.
+ *
+ * @returns {number} Quotient or null.
+ */
+var divide = function(dividend, divisor) {
+
+    if ((null === dividend) ||
+        (null === divisor) ||
+        (0 >= divisor)) {
+        return null;
+    }
+
+    return dividend / divisor;
+};
+
+/**
+ * Sum up the values, which are available.
+ *
+ * @private
+ *
+ * @param {number[]} values - Values.
+ *
+ * @returns {number} Sum or null, if no value is available.
+ */
+var sum = function(values) {
+
+    return values.reduce(function(result, value) {
+
+        if (null === value) {
+            return result;
+        }
+
+        return (null === result) ? value : result + value;
+    }, null);
+};
+
+/**
+ * Get the max. speed of the track points. If the points have no speed, the
+ * speed between two consecutive points is used.
+ *
+ * @private
+ *
+ * @param {TrackPoint[]} points - Track points in chronological order.
+ *
+ * @returns {number} Max. speed in m/s or null.
+ */
+var getMaxSpeed = function(points) {
+    var maxSpeed    = null;
+    var index       = 0;
+    var duration    = 0;
+
+    points.forEach(function(point) {
+
+        if ((null !== point) &&
+            (null !== point.speed) &&
+            ((null === maxSpeed) || (point.speed > maxSpeed))) {
+            maxSpeed = point.speed;
+        }
+    });
+
+    if (null !== maxSpeed) {
+        return maxSpeed;
+    }
+
+    for (index = 1; index < points.length; ++index) {
+
+        if ((null !== points[index - 1].time) &&
+            (null !== points[index].time)) {
+            duration = (points[index].time.getTime() - points[index - 1].time.getTime()) / 1000;
+
+            /* Ignore points with the same time, their speed would be infinite. */
+            if (0 < duration) {
+                maxSpeed = Math.max((null === maxSpeed) ? 0 : maxSpeed, geofence.getDistance(points[index - 1], points[index]) / duration);
+            }
+        }
+    }
+
+    return maxSpeed;
+};
+
+/**
+ * Calculate the statistics of a single ride.
+ *
+ * @memberof niuCloudConnector.analytics
+ *
+ * @param {Object}  track                   - Track summary of getTracks(), track with summary and detail, e.g. of the ride store, or normalized track.
+ * @param {Object}  [options]               - Options.
+ * @param {number}  [options.packCapacity]  - Capacity of the battery pack(s) in Wh, which is required for the energy consumption.
+ *
+ * @returns {RideStats} Ride statistics.
+ */
+var getRideStats = function(track, options) {
+    var data            = toModelTrack(track);
+    var packCapacity    = null;
+    var distance        = data.distance;
+    var ridingTime      = data.ridingTime;
+    var socStart        = (null !== data.startPoint) ? data.startPoint.soc : null;
+    var socEnd          = (null !== data.endPoint) ? data.endPoint.soc : null;
+    var socConsumed     = null;
+    var energy          = null;
+    var index           = 0;
+
+    if (("object" === typeof options) &&
+        (null !== options) &&
+        ("number" === typeof options.packCapacity)) {
+        packCapacity = options.packCapacity;
+    }
+
+    if ((null === distance) &&
+        (1 < data.points.length)) {
+        distance = 0;
+
+        for (index = 1; index < data.points.length; ++index) {
+            distance += geofence.getDistance(data.points[index - 1], data.points[index]);
+        }
+    }
+
+    if ((null === ridingTime) &&
+        (null !== data.startTime) &&
+        (null !== data.endTime)) {
+        ridingTime = (data.endTime.getTime() - data.startTime.getTime()) / 1000;
+    }
+
+    /* A rising state of charge is no consumption, e.g. a battery was swapped. */
+    if ((null !== socStart) &&
+        (null !== socEnd) &&
+        (socStart >= socEnd)) {
+        socConsumed = socStart - socEnd;
+    }
+
+    if ((null !== socConsumed) &&
+        (null !== packCapacity)) {
+        energy = socConsumed / 100 * packCapacity;
+    }
+
+    return {
+        trackId: data.trackId,
+        startTime: data.startTime,
+        endTime: data.endTime,
+        distance: distance,
+        ridingTime: ridingTime,
+        averageSpeed: (null !== data.averageSpeed) ? data.averageSpeed : divide(distance, ridingTime),
+        maxSpeed: getMaxSpeed([data.startPoint].concat(data.points, [data.endPoint]).filter(function(point) {
+            return null !== point;
+        })),
+        socStart: socStart,
+        socEnd: socEnd,
+        socConsumed: socConsumed,
+        socPerKm: divide(socConsumed, (null !== distance) ? distance / 1000 : null),
+        energy: energy,
+        whPerKm: divide(energy, (null !== distance) ? distance / 1000 : null)
+    };
+};
+
+/**
+ * Get the start of the period, which contains the time.
+ *
+ * @private
+ *
+ * @param {Date}    time    - Time.
+ * @param {string}  period  - Period: "day", "week" or "month".
+ *
+ * @returns {Date} Start of the period (local time).
+ */
+var getPeriodStart = function(time, period) {
+    var start = new Date(time.getFullYear(), time.getMonth(), time.getDate());
+
+    if ("week" === period) {
+        /* Weeks start on monday. */
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    } else if ("month" === period) {
+        start.setDate(1);
+    }
+
+    return start;
+};
+
+/**
+ * Get the start of the following period.
+ *
+ * @private
+ *
+ * @param {Date}    start   - Start of the period.
+ * @param {string}  period  - Period: "day", "week" or "month".
+ *
+ * @returns {Date} Start of the next period (local time).
+ */
+var getNextPeriodStart = function(start, period) {
+    var next = new Date(start.getTime());
+
+    if ("day" === period) {
+        next.setDate(next.getDate() + 1);
+    } else if ("week" === period) {
+        next.setDate(next.getDate() + 7);
+    } else {
+        next.setMonth(next.getMonth() + 1);
+    }
+
+    return next;
+};
+
+/**
+ * Compare the metrics of two statistics, e.g. of two periods.
+ *
+ * @memberof niuCloudConnector.analytics
+ *
+ * @param {PeriodStats | RideStats} current     - Current statistics.
+ * @param {PeriodStats | RideStats} previous    - Previous statistics.
+ *
+ * @returns {Object} Comparison per metric, see Comparison. Only the metrics, which both statistics provide, are compared.
+ */
+var compareStats = function(current, previous) {
+    var result = {};
+
+    METRICS.forEach(function(metric) {
+        var currentValue    = current[metric];
+        var previousValue   = previous[metric];
+        var isAvailable     = ("number" === typeof currentValue) && ("number" === typeof previousValue);
+
+        if ((undefined === currentValue) ||
+            (undefined === previousValue)) {
+            return;
+        }
+
+        result[metric] = {
+            current: currentValue,
+            previous: previousValue,
+            change: (true === isAvailable) ? currentValue - previousValue : null,
+            changeRatio: ((true === isAvailable) && (0 !== previousValue)) ? (currentValue - previousValue) / previousValue : null
+        };
+    });
+
+    return result;
+};
+
+/**
+ * Sum up the rides of a period.
+ *
+ * @private
+ *
+ * @param {RideStats[]} rides   - All rides.
+ * @param {string}      period  - Period: "day", "week" or "month".
+ * @param {Date}        start   - Start of the period.
+ * @param {Date}        end     - Start of the next period.
+ *
+ * @returns {PeriodStats} Statistics of the period, without trend.
+ */
+var getSummary = function(rides, period, start, end) {
+    var selected    = rides.filter(function(ride) {
+        return (ride.startTime.getTime() >= start.getTime()) &&
+               (ride.startTime.getTime() < end.getTime());
+    });
+    var pick        = function(metric) {
+        return selected.map(function(ride) {
+            return ride[metric];
+        });
+    };
+    var consuming   = selected.filter(function(ride) {
+        return (null !== ride.socConsumed) && (null !== ride.distance);
+    });
+    var distance    = sum(pick("distance"));
+    var ridingTime  = sum(pick("ridingTime"));
+    var socConsumed = sum(pick("socConsumed"));
+    var energy      = sum(pick("energy"));
+    var speeds      = pick("maxSpeed").filter(function(speed) {
+        return null !== speed;
+    });
+
+    /* The consumption per km only considers rides, whose consumption is known. */
+    var consumingDistance = sum(consuming.map(function(ride) {
+        return ride.distance;
+    }));
+
+    return {
+        period: period,
+        start: start,
+        end: end,
+        rides: selected.length,
+        distance: (null !== distance) ? distance : 0,
+        ridingTime: (null !== ridingTime) ? ridingTime : 0,
+        averageSpeed: divide(distance, ridingTime),
+        maxSpeed: (0 < speeds.length) ? Math.max.apply(null, speeds) : null,
+        socConsumed: socConsumed,
+        socPerKm: divide(sum(consuming.map(function(ride) {
+            return ride.socConsumed;
+        })), (null !== consumingDistance) ? consumingDistance / 1000 : null),
+        energy: energy,
+        whPerKm: divide(sum(consuming.map(function(ride) {
+            return ride.energy;
+        })), (null !== consumingDistance) ? consumingDistance / 1000 : null),
+        trend: null
+    };
+};
+
+/**
+ * Calculate the statistics per day, week or month. Periods without rides
+ * between the first and the last ride are included, so every period is
+ * compared with the period right before.
+ *
+ * @memberof niuCloudConnector.analytics
+ *
+ * @param {Object[]}    tracks                  - Tracks in any form, which getRideStats() supports.
+ * @param {Object}      [options]               - Options.
+ * @param {string}      [options.period]        - Period: "day", "week" or "month" (default: "day").
+ * @param {number}      [options.packCapacity]  - Capacity of the battery pack(s) in Wh, which is required for the energy consumption.
+ *
+ * @returns {PeriodStats[]} Statistics per period, oldest first.
+ */
+var getPeriodStats = function(tracks, options) {
+    var period  = "day";
+    var rides   = [];
+    var periods = [];
+    var start   = null;
+    var last    = null;
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        options = {};
+    }
+
+    if (undefined !== options.period) {
+
+        if (0 > PERIODS.indexOf(options.period)) {
+            throw new errors.ValidationError("Unknown period \"" + options.period + "\".", {
+                funcName: "getPeriodStats()"
+            });
+        }
+
+        period = options.period;
+    }
+
+    rides = (true === Array.isArray(tracks) ? tracks : []).map(function(track) {
+        return getRideStats(track, options);
+    }).filter(function(ride) {
+        return null !== ride.startTime;
+    }).sort(function(a, b) {
+        return a.startTime.getTime() - b.startTime.getTime();
+    });
+
+    if (0 === rides.length) {
+        return periods;
+    }
+
+    start   = getPeriodStart(rides[0].startTime, period);
+    last    = getPeriodStart(rides[rides.length - 1].startTime, period);
+
+    while (start.getTime() <= last.getTime()) {
+        periods.push(getSummary(rides, period, start, getNextPeriodStart(start, period)));
+        start = getNextPeriodStart(start, period);
+    }
+
+    periods.forEach(function(stats, index) {
+        stats.trend = (0 === index) ? null : compareStats(stats, periods[index - 1]);
+    });
+
+    return periods;
+};
+
+module.exports = {
+    getRideStats: getRideStats,
+    getPeriodStats: getPeriodStats,
+    compareStats: compareStats
+};
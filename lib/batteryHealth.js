@@ -0,0 +1,488 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** Error classes */
+var errors = require("./errors");
+
+/** Normalized data model */
+var model = require("./model");
+
+/** Helper functions */
+var helpers = require("./helpers");
+
+/** Milliseconds per day */
+var MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/** Default battery grade, at which a pack reaches its end of life */
+var DEFAULT_END_OF_LIFE_GRADE = 70;
+
+/** Default tolerance, how much faster than the average a pack may degrade */
+var DEFAULT_TOLERANCE = 0.25;
+
+/**
+ * @typedef {Object} BatteryObservation
+ * @property {string}   sn              - Vehicle serial number
+ * @property {string}   bmsId           - Battery management system identification number
+ * @property {string}   compartment     - Battery compartment, "A" or "B"
+ * @property {Date}     time            - Time of the observation
+ * @property {number}   grade           - Battery grade points
+ * @property {number}   chargeCycles    - Charging cycles
+ * @property {string}   source          - "info" for getBatteryInfo(), "health" for a health record of getBatteryHealth()
+ */
+
+/**
+ * @typedef {Object} BatteryForecast
+ * @property {string}   sn                  - Vehicle serial number
+ * @property {string}   bmsId               - Battery management system identification number
+ * @property {string}   compartment         - Battery compartment, "A" or "B"
+ * @property {number}   observations        - Number of observations
+ * @property {Date}     firstTime           - Time of the first observation
+ * @property {Date}     lastTime            - Time of the latest observation
+ * @property {number}   grade               - Latest battery grade points
+ * @property {number}   chargeCycles        - Latest charging cycles
+ * @property {number}   lossPerCycle        - Lost grade points per charging cycle, null if it can't be fitted yet
+ * @property {number}   lossPerDay          - Lost grade points per day, null if it can't be fitted yet
+ * @property {number}   remainingCycles     - Charging cycles until the end of life grade is reached, null if unknown
+ * @property {number}   remainingDays       - Days until the end of life grade is reached, null if unknown
+ * @property {Date}     endOfLife           - Estimated date of the end of life, null if unknown
+ * @property {boolean}  isDegradingFast     - Degrades faster than the average of the packs in the same compartment
+ */
+
+/**
+ * @typedef {Object} BatteryHealthReport
+ * @property {BatteryForecast[]}    packs               - Forecasts of all packs
+ * @property {Object}               averageLossPerCycle - Average lost grade points per charging cycle per compartment
+ * @property {number}               averageLossPerCycle.A   - Compartment A, null if unknown
+ * @property {number}               averageLossPerCycle.B   - Compartment B, null if unknown
+ * @property {BatteryForecast[]}    fastDegrading       - Packs, which degrade faster than the average
+ */
+
+/**
+ * Fit a line with the least squares method.
+ *
+ * @private
+ *
+ * @param {number[]} xs - X values.
+ * @param {number[]} ys - Y values.
+ *
+ * @returns {Object} Slope and intercept or null, if there are less than two distinct x values.
+ */
+var fitLine = function(xs, ys) {
+    var count   = xs.length;
+    var meanX   = 0;
+    var meanY   = 0;
+    var sxx     = 0;
+    var sxy     = 0;
+    var index   = 0;
+
+    if (2 > count) {
+        return null;
+    }
+
+    for (index = 0; index < count; ++index) {
+        meanX += xs[index] / count;
+        meanY += ys[index] / count;
+    }
+
+    for (index = 0; index < count; ++index) {
+        sxx += (xs[index] - meanX) * (xs[index] - meanX);
+        sxy += (xs[index] - meanX) * (ys[index] - meanY);
+    }
+
+    if (0 === sxx) {
+        return null;
+    }
+
+    return {
+        slope: sxy / sxx,
+        intercept: meanY - (sxy / sxx) * meanX
+    };
+};
+
+/**
+ * Tracks the health of the battery packs over time and forecasts their
+ * remaining useful life. Every pack is identified by its BMS id, so a pack
+ * keeps its history, even if it is moved to another compartment or vehicle.
+ *
+ * The observations are only kept in memory. Save them with getObservations()
+ * and restore them with the observations option.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ *
+ * @param {Object}                  [options]                   - Options.
+ * @param {BatteryObservation[]}    [options.observations]      - Observations to restore.
+ * @param {number}                  [options.endOfLifeGrade]    - Battery grade points, at which a pack reaches its end of life (default: 70).
+ * @param {number}                  [options.tolerance]         - How much faster than the average of its compartment a pack may degrade, before it is flagged, e.g. 0.25 for 25% (default: 0.25).
+ */
+var BatteryHealthTracker = function(options) {
+    var _this = this;
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        options = {};
+    }
+
+    /** Observations by BMS id, oldest first */
+    this._packs = {};
+
+    /** Battery grade, at which a pack reaches its end of life */
+    this._endOfLifeGrade = ("number" === typeof options.endOfLifeGrade) ? options.endOfLifeGrade : DEFAULT_END_OF_LIFE_GRADE;
+
+    /** Tolerance, how much faster than the average a pack may degrade */
+    this._tolerance = ("number" === typeof options.tolerance) ? options.tolerance : DEFAULT_TOLERANCE;
+
+    if (undefined !== options.observations) {
+
+        if (false === Array.isArray(options.observations)) {
+            throw new errors.ValidationError("Observations are not an array.", {
+                funcName: "BatteryHealthTracker()"
+            });
+        }
+
+        options.observations.forEach(function(observation) {
+            _this._add({
+                sn: observation.sn,
+                bmsId: observation.bmsId,
+                compartment: observation.compartment,
+                time: new Date(helpers.toTimestamp(observation.time)),
+                grade: observation.grade,
+                chargeCycles: observation.chargeCycles,
+                source: observation.source
+            });
+        });
+    }
+};
+
+/**
+ * Add an observation. Observations without BMS id, time or grade and
+ * duplicates are skipped.
+ *
+ * @private
+ *
+ * @param {BatteryObservation} observation - Observation.
+ *
+ * @returns {boolean} Observation was added.
+ */
+BatteryHealthTracker.prototype._add = function(observation) {
+    var observations    = null;
+    var index           = 0;
+
+    if (("string" !== typeof observation.bmsId) ||
+        (0 === observation.bmsId.length) ||
+        (false === (observation.time instanceof Date)) ||
+        (true === isNaN(observation.time.getTime())) ||
+        ("number" !== typeof observation.grade)) {
+        return false;
+    }
+
+    if (undefined === this._packs[observation.bmsId]) {
+        this._packs[observation.bmsId] = [];
+    }
+
+    observations = this._packs[observation.bmsId];
+
+    if (true === observations.some(function(stored) {
+        return stored.time.getTime() === observation.time.getTime();
+    })) {
+        return false;
+    }
+
+    /* Keep them ordered by time, health records arrive latest first. */
+    index = observations.length;
+
+    while ((0 < index) &&
+           (observations[index - 1].time.getTime() > observation.time.getTime())) {
+        --index;
+    }
+
+    observations.splice(index, 0, observation);
+
+    return true;
+};
+
+/**
+ * Add the current grade and charging cycles of getBatteryInfo(). It is only
+ * added, if they changed since the latest observation of the pack.
+ *
+ * @param {string}          sn      - Vehicle serial number.
+ * @param {Object}          data    - Response data of getBatteryInfo().
+ * @param {Date | number}   [time]  - Time of the data (default: now).
+ *
+ * @returns {number} Number of added observations.
+ */
+BatteryHealthTracker.prototype.addBatteryInfo = function(sn, data, time) {
+    var _this   = this;
+    var date    = new Date((undefined !== time) ? helpers.toTimestamp(time) : Date.now());
+    var count   = 0;
+
+    model.toBatteries(data).batteries.forEach(function(pack) {
+        var observations    = _this._packs[pack.bmsId] || [];
+        var latest          = observations[observations.length - 1];
+
+        if ((undefined !== latest) &&
+            (latest.grade === pack.grade) &&
+            (latest.chargeCycles === pack.chargeCycles)) {
+            return;
+        }
+
+        if (true === _this._add({
+            sn: sn,
+            bmsId: pack.bmsId,
+            compartment: pack.compartment,
+            time: date,
+            grade: pack.grade,
+            chargeCycles: pack.chargeCycles,
+            source: "info"
+        })) {
+            ++count;
+        }
+    });
+
+    return count;
+};
+
+/**
+ * Add the health records of getBatteryHealth(). A health record provides the
+ * lost grade points, the grade is derived from 100 points of a new pack.
+ *
+ * @param {string} sn   - Vehicle serial number.
+ * @param {Object} data - Response data of getBatteryHealth().
+ *
+ * @returns {number} Number of added observations.
+ */
+BatteryHealthTracker.prototype.addBatteryHealth = function(sn, data) {
+    var _this = this;
+    var count = 0;
+
+    model.toBatteries(data).batteries.forEach(function(pack) {
+        pack.healthRecords.forEach(function(record) {
+
+            if ((null === record.lostGrade) ||
+                (null === record.time)) {
+                return;
+            }
+
+            if (true === _this._add({
+                sn: sn,
+                bmsId: pack.bmsId,
+                compartment: pack.compartment,
+                time: record.time,
+                grade: 100 - record.lostGrade,
+                chargeCycles: record.chargeCycles,
+                source: "health"
+            })) {
+                ++count;
+            }
+        });
+    });
+
+    return count;
+};
+
+/**
+ * Request the battery info and the battery health of a vehicle and add them.
+ *
+ * @param {niuCloudConnector.Client}    client              - Client.
+ * @param {Object}                      options             - Options.
+ * @param {string}                      options.sn          - Vehicle serial number.
+ * @param {number}                      [options.timeout]   - Timeout in ms per request, overrides the timeout of the client.
+ * @param {Object}                      [options.signal]    - AbortSignal, which cancels the requests.
+ *
+ * @returns {Promise} Number of added observations.
+ */
+BatteryHealthTracker.prototype.record = function(client, options) {
+    var _this = this;
+
+    if (("object" !== typeof options) ||
+        (null === options) ||
+        ("string" !== typeof options.sn)) {
+        return Promise.reject(new errors.ValidationError("Vehicle serial number is missing.", {
+            funcName: "record()"
+        }));
+    }
+
+    return Promise.all([
+        client.getBatteryHealth(options),
+        client.getBatteryInfo(options)
+    ]).then(function(responses) {
+        return _this.addBatteryHealth(options.sn, responses[0].result.data) +
+               _this.addBatteryInfo(options.sn, responses[1].result.data);
+    });
+};
+
+/**
+ * Get the observations, e.g. to save them.
+ *
+ * @param {string} [bmsId] - BMS id of a single pack (default: all packs).
+ *
+ * @returns {BatteryObservation[]} Observations, oldest first per pack.
+ */
+BatteryHealthTracker.prototype.getObservations = function(bmsId) {
+    var _this   = this;
+    var ids     = ("string" === typeof bmsId) ? [bmsId] : Object.keys(this._packs);
+
+    return ids.reduce(function(result, id) {
+        return result.concat((_this._packs[id] || []).map(function(observation) {
+            return {
+                sn: observation.sn,
+                bmsId: observation.bmsId,
+                compartment: observation.compartment,
+                time: new Date(observation.time.getTime()),
+                grade: observation.grade,
+                chargeCycles: observation.chargeCycles,
+                source: observation.source
+            };
+        }));
+    }, []);
+};
+
+/**
+ * Forecast the remaining useful life of a pack. The degradation is fitted
+ * linear against the charging cycles and against the age.
+ *
+ * @param {string} bmsId - BMS id of the pack.
+ *
+ * @returns {BatteryForecast} Forecast or null, if the pack is unknown. The fast degradation flag is only set by getReport().
+ */
+BatteryHealthTracker.prototype.getForecast = function(bmsId) {
+    var observations    = this._packs[bmsId];
+    var first           = null;
+    var latest          = null;
+    var withCycles      = null;
+    var perCycle        = null;
+    var perDay          = null;
+    var remainingGrade  = 0;
+    var forecast        = null;
+
+    if ((undefined === observations) ||
+        (0 === observations.length)) {
+        return null;
+    }
+
+    first       = observations[0];
+    latest      = observations[observations.length - 1];
+    withCycles  = observations.filter(function(observation) {
+        return "number" === typeof observation.chargeCycles;
+    });
+
+    perCycle = fitLine(withCycles.map(function(observation) {
+        return observation.chargeCycles;
+    }), withCycles.map(function(observation) {
+        return observation.grade;
+    }));
+
+    perDay = fitLine(observations.map(function(observation) {
+        return (observation.time.getTime() - first.time.getTime()) / MS_PER_DAY;
+    }), observations.map(function(observation) {
+        return observation.grade;
+    }));
+
+    remainingGrade = Math.max(0, latest.grade - this._endOfLifeGrade);
+
+    forecast = {
+        sn: latest.sn,
+        bmsId: bmsId,
+        compartment: latest.compartment,
+        observations: observations.length,
+        firstTime: new Date(first.time.getTime()),
+        lastTime: new Date(latest.time.getTime()),
+        grade: latest.grade,
+        chargeCycles: (0 < withCycles.length) ? withCycles[withCycles.length - 1].chargeCycles : null,
+        lossPerCycle: (null !== perCycle) ? 0 - perCycle.slope : null,
+        lossPerDay: (null !== perDay) ? 0 - perDay.slope : null,
+        remainingCycles: null,
+        remainingDays: null,
+        endOfLife: null,
+        isDegradingFast: false
+    };
+
+    /* A pack, which doesn't lose grade points, has no foreseeable end of life. */
+    if ((null !== forecast.lossPerCycle) &&
+        (0 < forecast.lossPerCycle)) {
+        forecast.remainingCycles = remainingGrade / forecast.lossPerCycle;
+    }
+
+    if ((null !== forecast.lossPerDay) &&
+        (0 < forecast.lossPerDay)) {
+        forecast.remainingDays  = remainingGrade / forecast.lossPerDay;
+        forecast.endOfLife      = new Date(latest.time.getTime() + forecast.remainingDays * MS_PER_DAY);
+    }
+
+    return forecast;
+};
+
+/**
+ * Get the forecasts of all packs and flag the packs, which degrade faster
+ * than the average. Compartment A and B are compared separately, because
+ * their packs are used differently.
+ *
+ * @returns {BatteryHealthReport} Report.
+ */
+BatteryHealthTracker.prototype.getReport = function() {
+    var _this   = this;
+    var packs   = Object.keys(this._packs).map(function(bmsId) {
+        return _this.getForecast(bmsId);
+    });
+    var average = {};
+
+    ["A", "B"].forEach(function(compartment) {
+        var losses = packs.filter(function(pack) {
+            return (compartment === pack.compartment) &&
+                   (null !== pack.lossPerCycle);
+        }).map(function(pack) {
+            return pack.lossPerCycle;
+        });
+
+        average[compartment] = (0 === losses.length) ? null : losses.reduce(function(sum, loss) {
+            return sum + loss;
+        }, 0) / losses.length;
+
+        /* A single pack is its own average. */
+        if (2 > losses.length) {
+            return;
+        }
+
+        packs.forEach(function(pack) {
+
+            if ((compartment === pack.compartment) &&
+                (null !== pack.lossPerCycle) &&
+                (0 < pack.lossPerCycle) &&
+                (pack.lossPerCycle > Math.max(0, average[compartment]) * (1 + _this._tolerance))) {
+                pack.isDegradingFast = true;
+            }
+        });
+    });
+
+    return {
+        packs: packs,
+        averageLossPerCycle: average,
+        fastDegrading: packs.filter(function(pack) {
+            return true === pack.isDegradingFast;
+        })
+    };
+};
+
+module.exports = {
+    BatteryHealthTracker: BatteryHealthTracker
+};
@@ -0,0 +1,613 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** File system */
+var fs = require("fs");
+
+/** URL parser */
+var url = require("url");
+
+/** HTTP transport */
+var transport = require("./transport");
+
+/** Error classes */
+var errors = require("./errors");
+
+/**
+ * Replacement of redacted values.
+ */
+var REDACTED = "REDACTED";
+
+/**
+ * Request headers, which are redacted.
+ *
+ * @private
+ */
+var redactedHeaders = [ "token" ];
+
+/**
+ * Form fields, which are redacted.
+ *
+ * @private
+ */
+var redactedFields = [ "account", "password" ];
+
+/**
+ * Response headers, which are not recorded.
+ *
+ * @private
+ */
+var droppedHeaders = [ "set-cookie" ];
+
+/**
+ * @typedef {Object} CassetteInteraction
+ * @property {Object}   request             - Request
+ * @property {string}   request.method      - HTTP method
+ * @property {string}   request.url         - URL
+ * @property {Object}   request.headers     - Request headers
+ * @property {Object}   [request.form]      - Form data
+ * @property {Object}   [request.json]      - JSON data
+ * @property {Object}   [response]          - Response, if the request was successful
+ * @property {number}   response.statusCode - HTTP status code
+ * @property {Object}   response.headers    - Response headers
+ * @property {*}        response.body       - Response body
+ * @property {Object}   [error]             - Error, if the request failed
+ * @property {string}   error.name          - Error name
+ * @property {string}   error.code          - Error code
+ * @property {string}   error.message       - Error message
+ */
+
+/**
+ * @typedef {Object} Cassette
+ * @property {number}                   version         - Format version
+ * @property {CassetteInteraction[]}    interactions    - Recorded interactions in the order of their requests
+ */
+
+/**
+ * Deep copy of JSON data.
+ *
+ * @private
+ *
+ * @param {*} data - JSON data.
+ *
+ * @returns {*} Copy of the data.
+ */
+var copy = function(data) {
+    return (undefined === data) ? undefined : JSON.parse(JSON.stringify(data));
+};
+
+/**
+ * Copy an object with lower case keys and replace the given keys.
+ *
+ * @private
+ *
+ * @param {Object}      source      - Source object.
+ * @param {string[]}    redacted    - Keys, whose values are replaced.
+ * @param {string[]}    [dropped]   - Keys, which are removed.
+ *
+ * @returns {Object} Copy of the object.
+ */
+var redactObject = function(source, redacted, dropped) {
+    var result  = {};
+    var name    = null;
+
+    if (("object" !== typeof source) ||
+        (null === source)) {
+        return result;
+    }
+
+    for (name in source) {
+        if (Object.prototype.hasOwnProperty.call(source, name)) {
+
+            if ((undefined !== dropped) &&
+                (-1 !== dropped.indexOf(name.toLowerCase()))) {
+                continue;
+            }
+
+            result[name] = (-1 !== redacted.indexOf(name)) ? REDACTED : source[name];
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Redact a request of the transport: the session token and the credentials
+ * are replaced.
+ *
+ * @private
+ *
+ * @param {Object} options - Request of the transport.
+ *
+ * @returns {Object} Redacted request.
+ */
+var redactRequest = function(options) {
+    var request = {
+        method: options.method,
+        url: options.url,
+        headers: redactObject(options.headers, redactedHeaders)
+    };
+
+    if (("object" === typeof options.form) &&
+        (null !== options.form)) {
+        request.form = redactObject(options.form, redactedFields);
+    } else if (undefined !== options.json) {
+        request.json = copy(options.json);
+    }
+
+    return request;
+};
+
+/**
+ * Get the key, which identifies a request during replay. The host is not part
+ * of the key, so a cassette can be replayed with every region.
+ *
+ * @private
+ *
+ * @param {Object} request - Redacted request.
+ *
+ * @returns {string} Key
+ */
+var getRequestKey = function(request) {
+    var reqUrl  = url.parse(request.url);
+    var form    = request.form || {};
+
+    return request.method + " " + reqUrl.path + " " + JSON.stringify(Object.keys(form).sort().map(function(name) {
+        return [ name, String(form[name]) ];
+    })) + " " + JSON.stringify(request.json);
+};
+
+/**
+ * Transport, which records every request and response of another transport
+ * into a cassette file. Session tokens, credentials and vehicle serial numbers
+ * are redacted, a serial number is replaced by the same placeholder in the
+ * whole cassette.
+ *
+ * A new recording replaces the cassette file with the first request.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ *
+ * @param {Object}      options             - Options.
+ * @param {string}      options.path        - Path to the cassette file.
+ * @param {Transport}   [options.transport] - Transport, which executes the requests (default: niuCloudConnector.HttpsTransport).
+ * @param {number}      [options.mode]      - File permissions (default: 0600).
+ */
+var RecordingTransport = function(options) {
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        throw new errors.ValidationError("Options is missing.", {
+            funcName: "RecordingTransport()"
+        });
+    }
+
+    if ("string" !== typeof options.path) {
+        throw new errors.ValidationError("Path is missing.", {
+            funcName: "RecordingTransport()"
+        });
+    }
+
+    /** Path to the cassette file */
+    this._path = options.path;
+
+    /** File permissions */
+    this._mode = ("number" === typeof options.mode) ? options.mode : parseInt("600", 8);
+
+    /** Transport, which executes the requests */
+    this._transport = null;
+
+    /** Recorded interactions */
+    this._interactions = [];
+
+    /** Serial numbers with their placeholders */
+    this._serialNumbers = {};
+
+    /** Number of known serial numbers */
+    this._serialNumberCount = 0;
+
+    /** Pending write of the cassette file */
+    this._writing = Promise.resolve();
+
+    if (("object" === typeof options.transport) &&
+        (null !== options.transport)) {
+        this._transport = options.transport;
+    } else {
+        this._transport = new transport.HttpsTransport();
+    }
+};
+
+/**
+ * Execute a request via the transport and record it.
+ *
+ * @param {Object} options - Request, see niuCloudConnector.HttpsTransport.request().
+ *
+ * @returns {Promise} Response, see TransportResponse.
+ */
+RecordingTransport.prototype.request = function(options) {
+    var _this = this;
+
+    return this._transport.request(options).then(function(response) {
+
+        return _this._record(options, response, null).then(function() {
+            return response;
+        });
+
+    }, function(error) {
+
+        /* A cancelled request is no behavior of the NIU cloud. */
+        if (error instanceof errors.AbortError) {
+            return Promise.reject(error);
+        }
+
+        return _this._record(options, null, error).then(function() {
+            return Promise.reject(error);
+        });
+    });
+};
+
+/**
+ * Get the recorded interactions.
+ *
+ * @returns {CassetteInteraction[]} Recorded interactions.
+ */
+RecordingTransport.prototype.getInteractions = function() {
+    return copy(this._interactions);
+};
+
+/**
+ * Remember the serial numbers of a request and its response.
+ *
+ * @private
+ *
+ * @param {Object} options  - Request of the transport.
+ * @param {Object} response - Response of the transport or null.
+ */
+RecordingTransport.prototype._collectSerialNumbers = function(options, response) {
+    var _this       = this;
+    var reqUrl      = url.parse(options.url, true);
+    var candidates  = [ reqUrl.query.sn ];
+    var data        = null;
+
+    if (("object" === typeof options.form) &&
+        (null !== options.form)) {
+        candidates.push(options.form.sn);
+    }
+
+    if ((null !== response) &&
+        ("object" === typeof response.body) &&
+        (null !== response.body) &&
+        ("object" === typeof response.body.data) &&
+        (null !== response.body.data)) {
+        data = response.body.data;
+
+        if (true === Array.isArray(data)) {
+            data.forEach(function(item) {
+                if (("object" === typeof item) &&
+                    (null !== item)) {
+                    candidates.push(item.sn);
+                }
+            });
+        } else {
+            candidates.push(data.sn);
+        }
+    }
+
+    candidates.forEach(function(sn) {
+
+        if (("string" === typeof sn) &&
+            (0 < sn.length) &&
+            (false === Object.prototype.hasOwnProperty.call(_this._serialNumbers, sn))) {
+            ++_this._serialNumberCount;
+            _this._serialNumbers[sn] = REDACTED + "-SN-" + _this._serialNumberCount;
+        }
+    });
+};
+
+/**
+ * Replace all known serial numbers in the interaction.
+ *
+ * @private
+ *
+ * @param {CassetteInteraction} interaction - Interaction.
+ *
+ * @returns {CassetteInteraction} Interaction without serial numbers.
+ */
+RecordingTransport.prototype._redactSerialNumbers = function(interaction) {
+    var _this   = this;
+    var content = JSON.stringify(interaction);
+
+    /* Replace longer serial numbers first, in case one contains another. */
+    Object.keys(this._serialNumbers).sort(function(a, b) {
+        return b.length - a.length;
+    }).forEach(function(sn) {
+        content = content.split(sn).join(_this._serialNumbers[sn]);
+    });
+
+    return JSON.parse(content);
+};
+
+/**
+ * Record a request with its response or error and write the cassette file.
+ *
+ * @private
+ *
+ * @param {Object} options  - Request of the transport.
+ * @param {Object} response - Response of the transport or null.
+ * @param {Error}  error    - Error of the transport or null.
+ *
+ * @returns {Promise} Nothing.
+ */
+RecordingTransport.prototype._record = function(options, response, error) {
+    var _this       = this;
+    var interaction = {
+        request: redactRequest(options)
+    };
+    var body        = null;
+
+    if (null !== response) {
+        body = copy(response.body);
+
+        /* The login responds with the session token. */
+        if (("object" === typeof body) &&
+            (null !== body) &&
+            ("object" === typeof body.data) &&
+            (null !== body.data) &&
+            ("string" === typeof body.data.token)) {
+            body.data.token = REDACTED;
+        }
+
+        interaction.response = {
+            statusCode: response.statusCode,
+            headers: redactObject(response.headers, [], droppedHeaders),
+            body: body
+        };
+    } else {
+        interaction.error = {
+            name: error.name,
+            code: error.code,
+            message: error.message
+        };
+    }
+
+    this._collectSerialNumbers(options, response);
+    this._interactions.push(this._redactSerialNumbers(interaction));
+
+    this._writing = this._writing.catch(function() {
+        /* A failed write is reported to its request only. */
+    }).then(function() {
+        return _this._write();
+    });
+
+    return this._writing;
+};
+
+/**
+ * Write the cassette file.
+ *
+ * @private
+ *
+ * @returns {Promise} Nothing.
+ */
+RecordingTransport.prototype._write = function() {
+    var _this   = this;
+    var content = JSON.stringify({
+        version: 1,
+        interactions: this._interactions
+    }, null, 4);
+
+    return new Promise(function(resolve, reject) {
+
+        fs.writeFile(_this._path, content, {
+            encoding: "utf8",
+            mode: _this._mode,
+            flag: "w"
+        }, function(error) {
+
+            if (null !== error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+
+            return;
+        });
+    });
+};
+
+/**
+ * Transport, which serves the responses of a cassette instead of the NIU cloud.
+ *
+ * Requests are matched by method, path with query and form data, but not by
+ * host, session token, account and password. Recorded serial numbers are redacted,
+ * therefore the requests have to use their placeholders, e.g. "REDACTED-SN-1".
+ * Recurring requests get the recorded responses in order and the last one
+ * again, after all were served.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ *
+ * @param {Object}      options                 - Options.
+ * @param {string}      [options.path]          - Path to the cassette file.
+ * @param {Cassette}    [options.cassette]      - Cassette, instead of a file.
+ */
+var ReplayTransport = function(options) {
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        throw new errors.ValidationError("Options is missing.", {
+            funcName: "ReplayTransport()"
+        });
+    }
+
+    if (("string" !== typeof options.path) &&
+        (("object" !== typeof options.cassette) || (null === options.cassette))) {
+        throw new errors.ValidationError("Path or cassette is missing.", {
+            funcName: "ReplayTransport()"
+        });
+    }
+
+    /** Path to the cassette file */
+    this._path = ("string" === typeof options.path) ? options.path : null;
+
+    /** Loading of the cassette, which happens only once. */
+    this._loading = null;
+
+    /** Recorded interactions per request key */
+    this._interactions = {};
+
+    /** Number of served interactions per request key */
+    this._served = {};
+
+    if (null === this._path) {
+        this._load(options.cassette);
+        this._loading = Promise.resolve();
+    }
+};
+
+/**
+ * Serve the recorded response of a request.
+ *
+ * @param {Object} options - Request, see niuCloudConnector.HttpsTransport.request().
+ *
+ * @returns {Promise} Response, see TransportResponse.
+ */
+ReplayTransport.prototype.request = function(options) {
+    var _this = this;
+
+    if (("object" === typeof options.signal) &&
+        (null !== options.signal) &&
+        (true === options.signal.aborted)) {
+        return Promise.reject(new errors.AbortError("Request aborted."));
+    }
+
+    return this._open().then(function() {
+        var key             = getRequestKey(redactRequest(options));
+        var interactions    = _this._interactions[key];
+        var index           = 0;
+        var interaction     = null;
+        var error           = null;
+
+        if (undefined === interactions) {
+            return Promise.reject(new errors.ResponseError("No recorded response for " + options.method + " " + options.url + "."));
+        }
+
+        index = _this._served[key] || 0;
+        interaction = interactions[Math.min(index, interactions.length - 1)];
+        _this._served[key] = index + 1;
+
+        if (undefined !== interaction.error) {
+
+            if ("ERR_TIMEOUT" === interaction.error.code) {
+                error = new errors.TimeoutError(interaction.error.message);
+            } else {
+                error = new Error(interaction.error.message);
+                error.code = interaction.error.code;
+            }
+
+            return Promise.reject(error);
+        }
+
+        return copy(interaction.response);
+    });
+};
+
+/**
+ * Load the cassette file, if not done yet.
+ *
+ * @private
+ *
+ * @returns {Promise} Nothing.
+ */
+ReplayTransport.prototype._open = function() {
+    var _this = this;
+
+    if (null !== this._loading) {
+        return this._loading;
+    }
+
+    this._loading = new Promise(function(resolve, reject) {
+
+        fs.readFile(_this._path, "utf8", function(error, content) {
+            var cassette = null;
+
+            if (null !== error) {
+                reject(new errors.ResponseError("Cassette can't be read: " + error.message, {
+                    cause: error
+                }));
+                return;
+            }
+
+            try {
+                cassette = JSON.parse(content);
+            } catch (parseError) {
+                reject(new errors.ResponseError("Cassette is corrupt: " + parseError.message, {
+                    cause: parseError
+                }));
+                return;
+            }
+
+            _this._load(cassette);
+            resolve();
+
+            return;
+        });
+    });
+
+    /* Try again with the next request, e.g. after the file was created. */
+    this._loading.catch(function() {
+        _this._loading = null;
+    });
+
+    return this._loading;
+};
+
+/**
+ * Index the interactions of a cassette by their request keys.
+ *
+ * @private
+ *
+ * @param {Cassette} cassette - Cassette.
+ */
+ReplayTransport.prototype._load = function(cassette) {
+    var _this           = this;
+    var interactions    = (true === Array.isArray(cassette.interactions)) ? cassette.interactions : [];
+
+    this._interactions  = {};
+    this._served        = {};
+
+    interactions.forEach(function(interaction) {
+        var key = getRequestKey(interaction.request);
+
+        if (undefined === _this._interactions[key]) {
+            _this._interactions[key] = [];
+        }
+
+        _this._interactions[key].push(interaction);
+    });
+};
+
+module.exports = {
+    RecordingTransport: RecordingTransport,
+    ReplayTransport: ReplayTransport
+};
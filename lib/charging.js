@@ -0,0 +1,469 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** Event emitter */
+var EventEmitter = require("events").EventEmitter;
+
+/** Utilities */
+var util = require("util");
+
+/** Error classes */
+var errors = require("./errors");
+
+/** Helper functions */
+var helpers = require("./helpers");
+
+/** Normalized data model */
+var model = require("./model");
+
+/** Vehicle monitor */
+var VehicleMonitor = require("./vehicleMonitor").VehicleMonitor;
+
+/** Columns of the CSV export */
+var CSV_COLUMNS = ["sn", "startTime", "endTime", "duration", "startSoc", "endSoc", "socAdded", "energy", "status"];
+
+/**
+ * @typedef {Object} ChargingSession
+ * @property {string}   sn          - Vehicle serial number
+ * @property {Date}     startTime   - Start of the session. If the vehicle was already charging, when the tracker started, it is the first observation.
+ * @property {Date}     endTime     - End of the session, null while charging
+ * @property {number}   duration    - Duration in s, up to the latest observation while charging
+ * @property {number}   startSoc    - State of charge at the start in percent
+ * @property {number}   endSoc      - State of charge at the end in percent, the latest one while charging
+ * @property {number}   socAdded    - Added state of charge in percent points
+ * @property {number}   energy      - Estimated added energy in Wh, only available with the pack capacity
+ * @property {string}   leftTime    - Latest remaining charging time, as the NIU cloud provides it
+ * @property {boolean}  isStalled   - The state of charge didn't rise for the stall timeout
+ * @property {string}   status      - "charging", "complete" or "interrupted"
+ */
+
+/**
+ * Escape a value for CSV.
+ *
+ * @private
+ *
+ * @param {*} value - Value.
+ *
+ * @returns {string} Escaped value.
+ */
+var toCsvValue = function(value) {
+    var text = "";
+
+    if ((null === value) ||
+        (undefined === value)) {
+        return "";
+    }
+
+    text = (value instanceof Date) ? value.toISOString() : String(value);
+
+    if (true === /[",\r\n;]/.test(text)) {
+        text = "\"" + text.replace(/"/g, "\"\"") + "\"";
+    }
+
+    return text;
+};
+
+/**
+ * Export charging sessions as CSV, e.g. for the electricity cost accounting.
+ * The columns are sn, startTime, endTime, duration (s), startSoc, endSoc,
+ * socAdded (percent points), energy (Wh) and status. Times are in ISO 8601 format.
+ *
+ * @memberof niuCloudConnector
+ *
+ * @param {ChargingSession[]}   sessions                - Charging sessions.
+ * @param {Object}              [options]               - Options.
+ * @param {string}              [options.delimiter]     - Column delimiter (default: ",").
+ *
+ * @returns {string} CSV with header line.
+ */
+var chargingSessionsToCsv = function(sessions, options) {
+    var delimiter = ",";
+
+    if (("object" === typeof options) &&
+        (null !== options) &&
+        ("string" === typeof options.delimiter)) {
+        delimiter = options.delimiter;
+    }
+
+    return [CSV_COLUMNS.join(delimiter)].concat((true === Array.isArray(sessions) ? sessions : []).map(function(session) {
+        return CSV_COLUMNS.map(function(column) {
+            return toCsvValue(session[column]);
+        }).join(delimiter);
+    })).join("\r\n") + "\r\n";
+};
+
+/**
+ * Charging tracker, which detects charging sessions in the battery data of
+ * a vehicle and emits events, when a charge starts, finishes or stalls.
+ *
+ * The tracker uses a vehicle monitor. Either pass one, which is shared with
+ * other users, or the tracker creates its own with the given poll options.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ * @augments EventEmitter
+ *
+ * @param {Object}                          [options]               - Options.
+ * @param {niuCloudConnector.VehicleMonitor} [options.monitor]      - Vehicle monitor, which provides the motor data.
+ * @param {niuCloudConnector.Client}        [options.client]        - Client, used for an own vehicle monitor.
+ * @param {string}                          [options.sn]            - Vehicle serial number, used for an own vehicle monitor.
+ * @param {number}                          [options.interval]      - Poll interval in ms, used for an own vehicle monitor.
+ * @param {number}                          [options.packCapacity]  - Capacity of the battery pack(s) in Wh, which is required for the energy estimation.
+ * @param {number}                          [options.completeSoc]   - State of charge in percent, from which a session is complete (default: 100).
+ * @param {number}                          [options.stallTimeout]  - Time in ms, after which a charge without rising state of charge is stalled (default: 1800000).
+ *
+ * @fires niuCloudConnector.ChargingTracker#started
+ * @fires niuCloudConnector.ChargingTracker#finished
+ * @fires niuCloudConnector.ChargingTracker#stalled
+ * @fires niuCloudConnector.ChargingTracker#error
+ */
+var ChargingTracker = function(options) {
+    var _this = this;
+
+    EventEmitter.call(this);
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        options = {};
+    }
+
+    /** Vehicle monitor, null if the tracker is only fed by update() */
+    this._monitor = null;
+
+    /** Is the vehicle monitor owned by the tracker? */
+    this._isMonitorOwner = false;
+
+    if (options.monitor instanceof VehicleMonitor) {
+        this._monitor = options.monitor;
+    } else if (undefined !== options.client) {
+        this._monitor = new VehicleMonitor({
+            client: options.client,
+            sn: options.sn,
+            interval: options.interval
+        });
+
+        this._isMonitorOwner = true;
+    }
+
+    /** Capacity of the battery pack(s) in Wh */
+    this._packCapacity = ("number" === typeof options.packCapacity) ? options.packCapacity : null;
+
+    /** State of charge, from which a session is complete */
+    this._completeSoc = ("number" === typeof options.completeSoc) ? options.completeSoc : 100;
+
+    /** Time in ms, after which a charge is stalled */
+    this._stallTimeout = ("number" === typeof options.stallTimeout) ? options.stallTimeout : 30 * 60 * 1000;
+
+    /** Active sessions, by serial number */
+    this._active = {};
+
+    /** Finished sessions */
+    this._sessions = [];
+
+    /** Handles the motor data of the vehicle monitor. */
+    this._onData = function(event) {
+        _this.update(event.sn, event.data);
+    };
+
+    /** Forwards errors of the vehicle monitor. */
+    this._onError = function(error) {
+
+        if (0 < _this.listenerCount("error")) {
+            _this.emit("error", error);
+        }
+    };
+};
+
+util.inherits(ChargingTracker, EventEmitter);
+
+/**
+ * Started event, emitted if a charging session started.
+ *
+ * @event niuCloudConnector.ChargingTracker#started
+ * @type {ChargingSession}
+ */
+
+/**
+ * Finished event, emitted if a charging session finished, either complete or interrupted.
+ *
+ * @event niuCloudConnector.ChargingTracker#finished
+ * @type {ChargingSession}
+ */
+
+/**
+ * Stalled event, emitted if the state of charge didn't rise for the stall timeout while charging.
+ *
+ * @event niuCloudConnector.ChargingTracker#stalled
+ * @type {ChargingSession}
+ */
+
+/**
+ * Error event, emitted if a poll failed. It is only emitted, if there is a listener.
+ *
+ * @event niuCloudConnector.ChargingTracker#error
+ * @type {niuCloudConnector.NiuError}
+ */
+
+/**
+ * Start tracking. If the tracker owns the vehicle monitor, it will be started too.
+ *
+ * @returns {niuCloudConnector.ChargingTracker} Charging tracker.
+ */
+ChargingTracker.prototype.start = function() {
+
+    if (null === this._monitor) {
+        throw new errors.ValidationError("Vehicle monitor or client is missing.", {
+            funcName: "start()"
+        });
+    }
+
+    this._monitor.removeListener("data", this._onData);
+    this._monitor.removeListener("error", this._onError);
+    this._monitor.on("data", this._onData);
+    this._monitor.on("error", this._onError);
+
+    if (true === this._isMonitorOwner) {
+        this._monitor.start();
+    }
+
+    return this;
+};
+
+/**
+ * Stop tracking. If the tracker owns the vehicle monitor, it will be stopped too.
+ * Active sessions stay active, until the next data shows their end.
+ *
+ * @returns {niuCloudConnector.ChargingTracker} Charging tracker.
+ */
+ChargingTracker.prototype.stop = function() {
+
+    if (null !== this._monitor) {
+        this._monitor.removeListener("data", this._onData);
+        this._monitor.removeListener("error", this._onError);
+
+        if (true === this._isMonitorOwner) {
+            this._monitor.stop();
+        }
+    }
+
+    return this;
+};
+
+/**
+ * Copy a session, so the internal state can't be changed from outside.
+ *
+ * @private
+ *
+ * @param {Object} session - Internal session.
+ *
+ * @returns {ChargingSession} Session.
+ */
+ChargingTracker.prototype._toSession = function(session) {
+    var socAdded = null;
+
+    if ((null !== session.startSoc) &&
+        (null !== session.endSoc)) {
+        socAdded = Math.max(0, session.endSoc - session.startSoc);
+    }
+
+    return {
+        sn: session.sn,
+        startTime: new Date(session.startTime.getTime()),
+        endTime: (null !== session.endTime) ? new Date(session.endTime.getTime()) : null,
+        duration: (session.lastTime.getTime() - session.startTime.getTime()) / 1000,
+        startSoc: session.startSoc,
+        endSoc: session.endSoc,
+        socAdded: socAdded,
+        energy: ((null !== socAdded) && (null !== this._packCapacity)) ? socAdded / 100 * this._packCapacity : null,
+        leftTime: session.leftTime,
+        isStalled: session.isStalled,
+        status: session.status
+    };
+};
+
+/**
+ * Evaluate new battery data of the vehicle. Usually called with every motor
+ * data of the vehicle monitor, but it can be used without polling too, e.g.
+ * with the battery info.
+ *
+ * @param {string}          sn      - Vehicle serial number.
+ * @param {Object}          data    - Motor data, see MotorData, or battery info, see BatteryInfo.
+ * @param {Date | number}   [time]  - Time of the data (default: now).
+ */
+ChargingTracker.prototype.update = function(sn, data, time) {
+    var batteries   = null;
+    var soc         = null;
+    var session     = this._active[sn];
+    var now         = new Date((undefined !== time) ? helpers.toTimestamp(time) : Date.now());
+
+    if (("object" !== typeof data) ||
+        (null === data)) {
+        return;
+    }
+
+    batteries   = model.toBatteries(data);
+    soc         = helpers.getSoc(data);
+
+    /* Without the charging flag nothing can be decided. */
+    if (null === batteries.isCharging) {
+        return;
+    }
+
+    if (true === batteries.isCharging) {
+
+        if (undefined === session) {
+            session = {
+                sn: sn,
+                startTime: now,
+                endTime: null,
+                lastTime: now,
+                startSoc: soc,
+                endSoc: soc,
+                riseTime: now,
+                leftTime: (undefined !== data.leftTime) ? String(data.leftTime) : null,
+                isStalled: false,
+                status: "charging"
+            };
+
+            this._active[sn] = session;
+            this.emit("started", this._toSession(session));
+            return;
+        }
+
+        session.lastTime = now;
+
+        if (undefined !== data.leftTime) {
+            session.leftTime = String(data.leftTime);
+        }
+
+        if (null === session.startSoc) {
+            session.startSoc = soc;
+        }
+
+        if ((null !== soc) &&
+            ((null === session.endSoc) || (soc > session.endSoc))) {
+            session.riseTime    = now;
+            session.isStalled   = false;
+        }
+
+        if (null !== soc) {
+            session.endSoc = soc;
+        }
+
+        if ((false === session.isStalled) &&
+            (this._stallTimeout <= (now.getTime() - session.riseTime.getTime()))) {
+            session.isStalled = true;
+            this.emit("stalled", this._toSession(session));
+        }
+
+        return;
+    }
+
+    /* Not charging (anymore) */
+    if (undefined === session) {
+        return;
+    }
+
+    if (null !== soc) {
+        session.endSoc = soc;
+    }
+
+    session.endTime     = now;
+    session.lastTime    = now;
+    session.status      = ((null !== session.endSoc) && (this._completeSoc <= session.endSoc)) ? "complete" : "interrupted";
+
+    delete this._active[sn];
+
+    this._sessions.push(session);
+    this.emit("finished", this._toSession(session));
+};
+
+/**
+ * Get the finished charging sessions.
+ *
+ * @param {Object}          [options]       - Options.
+ * @param {string}          [options.sn]    - Only sessions of this vehicle.
+ * @param {Date | number}   [options.from]  - Only sessions, which started at or after this time.
+ * @param {Date | number}   [options.to]    - Only sessions, which started at or before this time.
+ *
+ * @returns {ChargingSession[]} Sessions, oldest first.
+ */
+ChargingTracker.prototype.getSessions = function(options) {
+    var _this   = this;
+    var from    = -Infinity;
+    var to      = Infinity;
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        options = {};
+    }
+
+    if (undefined !== options.from) {
+        from = helpers.toTimestamp(options.from);
+    }
+
+    if (undefined !== options.to) {
+        to = helpers.toTimestamp(options.to);
+    }
+
+    return this._sessions.filter(function(session) {
+        return ((undefined === options.sn) || (options.sn === session.sn)) &&
+               (from <= session.startTime.getTime()) &&
+               (to >= session.startTime.getTime());
+    }).map(function(session) {
+        return _this._toSession(session);
+    });
+};
+
+/**
+ * Get the active charging sessions.
+ *
+ * @returns {ChargingSession[]} Sessions.
+ */
+ChargingTracker.prototype.getActiveSessions = function() {
+    var _this = this;
+
+    return Object.keys(this._active).map(function(sn) {
+        return _this._toSession(_this._active[sn]);
+    });
+};
+
+/**
+ * Export the finished charging sessions as CSV, see niuCloudConnector.chargingSessionsToCsv().
+ *
+ * @param {Object}          [options]           - Options.
+ * @param {string}          [options.sn]        - Only sessions of this vehicle.
+ * @param {Date | number}   [options.from]      - Only sessions, which started at or after this time.
+ * @param {Date | number}   [options.to]        - Only sessions, which started at or before this time.
+ * @param {string}          [options.delimiter] - Column delimiter (default: ",").
+ *
+ * @returns {string} CSV with header line.
+ */
+ChargingTracker.prototype.toCsv = function(options) {
+    return chargingSessionsToCsv(this.getSessions(options), options);
+};
+
+module.exports = {
+    ChargingTracker: ChargingTracker,
+    chargingSessionsToCsv: chargingSessionsToCsv
+};
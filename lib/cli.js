@@ -0,0 +1,784 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** File system */
+var fs = require("fs");
+
+/** Path utilities */
+var path = require("path");
+
+/** Operating system utilities */
+var os = require("os");
+
+/** Utilities */
+var util = require("util");
+
+/** Client */
+var Client = require("../index").Client;
+
+/** Error classes */
+var errors = require("./errors");
+
+/** Token stores */
+var tokenStore = require("./tokenStore");
+
+/** Track export */
+var trackExport = require("./trackExport");
+
+/** Helper functions */
+var helpers = require("./helpers");
+
+/** Options, which are flags without a value. */
+var FLAGS = ["json", "help"];
+
+/** Short option names */
+var ALIASES = {
+    h: "help",
+    o: "output",
+    c: "config"
+};
+
+/** Exit code, if the command succeeded. */
+var EXIT_OK = 0;
+
+/** Exit code, if the command failed. */
+var EXIT_ERROR = 1;
+
+/** Exit code, if the command line is invalid. */
+var EXIT_USAGE = 2;
+
+/** Usage description */
+var USAGE = [
+    "Usage: niu <command> [arguments] [options]",
+    "",
+    "Commands:",
+    "  login                         Login and cache the session token",
+    "  vehicles                      List all vehicles",
+    "  status <sn>                   Show the current state of a vehicle",
+    "  battery <sn>                  Show the battery info",
+    "  health <sn>                   Show the battery health",
+    "  tracks <sn>                   List the tracks, use --from and --to to select a time range",
+    "  track <sn> <trackId>          Export a track, use --format gpx|geojson|kml|json",
+    "  firmware <sn>                 Show the firmware version",
+    "",
+    "Options:",
+    "  --json                        Print the received data as JSON",
+    "  --from <date>                 Start of the time range, e.g. 2020-01-31",
+    "  --to <date>                   End of the time range, e.g. 2020-02-29",
+    "  --format <format>             Track format: gpx (default), geojson, kml or json",
+    "  -o, --output <file>           Write the track to a file instead of stdout",
+    "  -c, --config <file>           Configuration file (default: ~/.niu/config.json)",
+    "  -h, --help                    Show this help",
+    "",
+    "Credentials are read from the environment variables NIU_ACCOUNT, NIU_PASSWORD,",
+    "NIU_COUNTRY_CODE and NIU_REGION or from the configuration file with the",
+    "properties account, password, countryCode and region. The session token is",
+    "cached in ~/.niu/token.json or in the file given by NIU_TOKEN_FILE."
+].join("\n");
+
+/**
+ * Usage error, e.g. an unknown command or a missing argument.
+ *
+ * @private
+ *
+ * @param {string} message - Error message.
+ */
+var UsageError = function(message) {
+    errors.ValidationError.call(this, message);
+
+    this.name = "UsageError";
+};
+
+util.inherits(UsageError, errors.ValidationError);
+
+/**
+ * Parse the command line arguments.
+ *
+ * @private
+ *
+ * @param {string[]} argv - Command line arguments, without node and script path.
+ *
+ * @returns {Object} Command, positional arguments and options.
+ */
+var parseArgs = function(argv) {
+    var result  = {
+        command: null,
+        args: [],
+        options: {}
+    };
+    var index   = 0;
+    var arg     = null;
+    var name    = null;
+    var value   = null;
+    var pos     = 0;
+
+    for (index = 0; index < argv.length; ++index) {
+        arg = argv[index];
+
+        if ((0 === arg.indexOf("-")) &&
+            (1 < arg.length)) {
+
+            name    = arg.replace(/^-{1,2}/, "");
+            value   = null;
+            pos     = name.indexOf("=");
+
+            if (0 <= pos) {
+                value   = name.substring(pos + 1);
+                name    = name.substring(0, pos);
+            }
+
+            if (Object.prototype.hasOwnProperty.call(ALIASES, name)) {
+                name = ALIASES[name];
+            }
+
+            if (0 <= FLAGS.indexOf(name)) {
+                result.options[name] = true;
+            } else {
+
+                if (null === value) {
+
+                    if ((index + 1) >= argv.length) {
+                        throw new UsageError("Option --" + name + " needs a value.");
+                    }
+
+                    ++index;
+                    value = argv[index];
+                }
+
+                result.options[name] = value;
+            }
+
+        } else if (null === result.command) {
+            result.command = arg;
+        } else {
+            result.args.push(arg);
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Load the configuration file. The default configuration file is optional,
+ * an explicit given one must exist.
+ *
+ * @private
+ *
+ * @param {string}  filePath    - Path to the configuration file.
+ * @param {boolean} isRequired  - Must the file exist?
+ *
+ * @returns {Object} Configuration.
+ */
+var loadConfig = function(filePath, isRequired) {
+    var content = null;
+
+    try {
+        content = fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+
+        if ((false === isRequired) &&
+            ("ENOENT" === error.code)) {
+            return {};
+        }
+
+        throw new errors.ValidationError("Failed to read the configuration file " + filePath + ".", {
+            cause: error
+        });
+    }
+
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new errors.ValidationError("Configuration file " + filePath + " is not valid JSON.", {
+            cause: error
+        });
+    }
+};
+
+/**
+ * Get the settings from the environment and the configuration file.
+ * Environment variables override the configuration file.
+ *
+ * @private
+ *
+ * @param {Object} options  - Command line options.
+ * @param {Object} env      - Environment variables.
+ *
+ * @returns {Object} Settings.
+ */
+var getSettings = function(options, env) {
+    var homeDir     = path.join(os.homedir(), ".niu");
+    var configPath  = options.config || env.NIU_CONFIG;
+    var config      = loadConfig(configPath || path.join(homeDir, "config.json"), undefined !== configPath);
+
+    return {
+        account: env.NIU_ACCOUNT || config.account,
+        password: env.NIU_PASSWORD || config.password,
+        countryCode: env.NIU_COUNTRY_CODE || config.countryCode || "49",
+        region: env.NIU_REGION || config.region,
+        tokenFile: env.NIU_TOKEN_FILE || config.tokenFile || path.join(homeDir, "token.json")
+    };
+};
+
+/**
+ * Create the client, which caches the session token in the token file.
+ *
+ * @private
+ *
+ * @param {Object} settings - Settings.
+ *
+ * @returns {niuCloudConnector.Client} Client.
+ */
+var createClient = function(settings) {
+    var clientOptions = {
+        tokenStore: new tokenStore.FileTokenStore({
+            path: settings.tokenFile
+        })
+    };
+
+    if (("string" === typeof settings.account) &&
+        ("string" === typeof settings.password)) {
+        clientOptions.credentials = {
+            account: settings.account,
+            password: settings.password,
+            countryCode: String(settings.countryCode)
+        };
+    }
+
+    if ("string" === typeof settings.region) {
+        clientOptions.region = settings.region;
+    }
+
+    /* The token store doesn't create the directory. */
+    fs.mkdirSync(path.dirname(settings.tokenFile), {
+        recursive: true,
+        mode: parseInt("700", 8)
+    });
+
+    return new Client(clientOptions);
+};
+
+/**
+ * Format rows as table with aligned columns.
+ *
+ * @private
+ *
+ * @param {string[]}    header  - Column titles.
+ * @param {Array[]}     rows    - Rows, every row is a list of cells.
+ *
+ * @returns {string} Table.
+ */
+var formatTable = function(header, rows) {
+    var lines   = [header].concat(rows);
+    var widths  = header.map(function(title, column) {
+        return lines.reduce(function(width, line) {
+            return Math.max(width, String(line[column]).length);
+        }, 0);
+    });
+
+    return lines.map(function(line) {
+        return line.map(function(cell, column) {
+            var text = String(cell);
+
+            /* No trailing spaces after the last column */
+            if ((line.length - 1) === column) {
+                return text;
+            }
+
+            return text + new Array(widths[column] - text.length + 1).join(" ");
+        }).join("  ");
+    }).join("\n");
+};
+
+/**
+ * Format properties as list of names and values.
+ *
+ * @private
+ *
+ * @param {Array[]} pairs - List of name and value pairs.
+ *
+ * @returns {string} List.
+ */
+var formatList = function(pairs) {
+    var width = pairs.reduce(function(max, pair) {
+        return Math.max(max, pair[0].length);
+    }, 0);
+
+    return pairs.map(function(pair) {
+        return pair[0] + ":" + new Array(width - pair[0].length + 2).join(" ") + " " + formatValue(pair[1]);
+    }).join("\n");
+};
+
+/**
+ * Format a single value for the human readable output.
+ *
+ * @private
+ *
+ * @param {*} value - Value.
+ *
+ * @returns {string} Text.
+ */
+var formatValue = function(value) {
+
+    if ((undefined === value) ||
+        (null === value) ||
+        ("" === value)) {
+        return "-";
+    }
+
+    if ("boolean" === typeof value) {
+        return (true === value) ? "yes" : "no";
+    }
+
+    return String(value);
+};
+
+/**
+ * Format a unix timestamp as local date and time.
+ *
+ * @private
+ *
+ * @param {number | string} value - Unix timestamp epoch format (13 digits).
+ *
+ * @returns {string} Date and time or null, if it is invalid.
+ */
+var formatDate = function(value) {
+    var timestamp   = helpers.toTimestamp(value);
+    var date        = null;
+    var pad         = function(number) {
+        return (10 > number) ? "0" + number : String(number);
+    };
+
+    if ((false === isFinite(timestamp)) ||
+        (0 >= timestamp)) {
+        return null;
+    }
+
+    date = new Date(timestamp);
+
+    return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate()) + " " +
+           pad(date.getHours()) + ":" + pad(date.getMinutes());
+};
+
+/**
+ * Parse a date option. A date without time at the end of a range includes the whole day.
+ *
+ * @private
+ *
+ * @param {string}  value   - Date, e.g. 2020-01-31 or a unix timestamp.
+ * @param {string}  name    - Option name.
+ * @param {boolean} isEnd   - Is it the end of a range?
+ *
+ * @returns {number} Unix timestamp epoch format (13 digits) or undefined, if no date is given.
+ */
+var parseDate = function(value, name, isEnd) {
+    var timestamp = 0;
+
+    if (undefined === value) {
+        return undefined;
+    }
+
+    /* A date without time is taken as local date. */
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        value += "T00:00:00";
+    }
+
+    timestamp = helpers.toTimestamp(value);
+
+    if (false === isFinite(timestamp)) {
+        throw new UsageError("Invalid date for --" + name + ": " + value);
+    }
+
+    if ((true === isEnd) &&
+        (/T00:00:00$/.test(value))) {
+        timestamp += 24 * 60 * 60 * 1000 - 1;
+    }
+
+    return timestamp;
+};
+
+/**
+ * Get a positional argument or throw, if it is missing.
+ *
+ * @private
+ *
+ * @param {Object} parsed   - Parsed command line.
+ * @param {number} index    - Index of the argument.
+ * @param {string} name     - Argument name.
+ *
+ * @returns {string} Argument.
+ */
+var getArg = function(parsed, index, name) {
+
+    if ("string" !== typeof parsed.args[index]) {
+        throw new UsageError("Argument <" + name + "> is missing.");
+    }
+
+    return parsed.args[index];
+};
+
+/**
+ * Get the battery compartments of a response.
+ *
+ * @private
+ *
+ * @param {Object} data - Response data.
+ *
+ * @returns {Array[]} List of compartment name and compartment data pairs.
+ */
+var getCompartments = function(data) {
+    var batteries = (("object" === typeof data.batteries) && (null !== data.batteries)) ? data.batteries : {};
+
+    return ["compartmentA", "compartmentB"].filter(function(name) {
+        return ("object" === typeof batteries[name]) && (null !== batteries[name]);
+    }).map(function(name) {
+        return [name.replace("compartment", ""), batteries[name]];
+    });
+};
+
+/**
+ * Commands, every command gets the client, the parsed command line and the
+ * settings and returns a promise with the output data and its human readable text.
+ *
+ * @private
+ */
+var commands = {
+
+    login: function(client, parsed, settings) {
+
+        if ((undefined === settings.account) ||
+            (undefined === settings.password)) {
+            return Promise.reject(new UsageError("Credentials are missing, set NIU_ACCOUNT and NIU_PASSWORD or use a configuration file."));
+        }
+
+        return client.createSessionToken({
+            account: settings.account,
+            password: settings.password,
+            countryCode: String(settings.countryCode)
+        }).then(function() {
+            return {
+                data: {
+                    account: settings.account,
+                    tokenFile: settings.tokenFile
+                },
+                text: "Logged in as " + settings.account + ", session token cached in " + settings.tokenFile + "."
+            };
+        });
+    },
+
+    vehicles: function(client) {
+
+        return client.getVehicles().then(function(response) {
+            var vehicles = (true === Array.isArray(response.result.data)) ? response.result.data : [];
+
+            return {
+                data: vehicles,
+                text: (0 === vehicles.length) ? "No vehicles found." : formatTable(["SN", "NAME", "TYPE"], vehicles.map(function(vehicle) {
+                    return [vehicle.sn, formatValue(vehicle.name), formatValue(vehicle.type)];
+                }))
+            };
+        });
+    },
+
+    status: function(client, parsed) {
+
+        return client.getMotorInfo({
+            sn: getArg(parsed, 0, "sn")
+        }).then(function(response) {
+            var data        = response.result.data;
+            var lockStatus  = helpers.toNumber(data.lockStatus);
+            var pairs       = [
+                ["Connected", helpers.toFlag(data.isConnected)],
+                ["Locked", (null === lockStatus) ? null : (helpers.LOCK_STATUS_LOCKED === lockStatus)],
+                ["ACC on", helpers.toFlag(data.isAccOn)],
+                ["Charging", helpers.toFlag(data.isCharging)],
+                ["Speed", (undefined === data.nowSpeed) ? null : data.nowSpeed + " km/h"],
+                ["Estimated mileage", (undefined === data.estimatedMileage) ? null : data.estimatedMileage + " km"]
+            ];
+
+            getCompartments(data).forEach(function(compartment) {
+                pairs.push(["Battery " + compartment[0], (undefined === compartment[1].batteryCharging) ? null : compartment[1].batteryCharging + " %"]);
+            });
+
+            if (("object" === typeof data.postion) &&
+                (null !== data.postion)) {
+                pairs.push(["Position", data.postion.lat + ", " + data.postion.lng]);
+            }
+
+            pairs.push(["HDOP", data.hdop]);
+            pairs.push(["Last GPS fix", formatDate(data.gpsTimestamp)]);
+
+            return {
+                data: data,
+                text: formatList(pairs)
+            };
+        });
+    },
+
+    battery: function(client, parsed) {
+
+        return client.getBatteryInfo({
+            sn: getArg(parsed, 0, "sn")
+        }).then(function(response) {
+            var data = response.result.data;
+
+            return {
+                data: data,
+                text: formatTable(["BATTERY", "CONNECTED", "SOC", "CYCLES", "TEMPERATURE", "GRADE"], getCompartments(data).map(function(compartment) {
+                    var battery = compartment[1];
+
+                    return [
+                        compartment[0],
+                        formatValue(helpers.toFlag(battery.isConnected)),
+                        (undefined === battery.batteryCharging) ? "-" : battery.batteryCharging + " %",
+                        formatValue(battery.chargedTimes),
+                        (undefined === battery.temperature) ? "-" : battery.temperature + " °C",
+                        formatValue(battery.gradeBattery)
+                    ];
+                })) + "\n\n" + formatList([
+                    ["Charging", helpers.toFlag(data.isCharging)],
+                    ["Estimated mileage", (undefined === data.estimatedMileage) ? null : data.estimatedMileage + " km"]
+                ])
+            };
+        });
+    },
+
+    health: function(client, parsed) {
+
+        return client.getBatteryHealth({
+            sn: getArg(parsed, 0, "sn")
+        }).then(function(response) {
+            var data = response.result.data;
+
+            return {
+                data: data,
+                text: formatTable(["BATTERY", "BMS ID", "GRADE", "FAULTS", "LAST CYCLES"], getCompartments(data).map(function(compartment) {
+                    var battery = compartment[1];
+                    var records = (true === Array.isArray(battery.healthRecords)) ? battery.healthRecords : [];
+
+                    return [
+                        compartment[0],
+                        formatValue(battery.bmsId),
+                        formatValue(battery.gradeBattery),
+                        (true === Array.isArray(battery.faults)) ? battery.faults.length : "-",
+                        (0 < records.length) ? formatValue(records[0].chargeCount) : "-"
+                    ];
+                }))
+            };
+        });
+    },
+
+    tracks: function(client, parsed) {
+
+        return client.iterateTracks({
+            sn: getArg(parsed, 0, "sn"),
+            from: parseDate(parsed.options.from, "from", false),
+            to: parseDate(parsed.options.to, "to", true)
+        }).toArray().then(function(tracks) {
+            var summaries = tracks.map(function(track) {
+                return track.summary;
+            });
+
+            return {
+                data: summaries,
+                text: (0 === summaries.length) ? "No tracks found." : formatTable(["TRACK ID", "START", "END", "DISTANCE", "RIDING TIME", "AVG SPEED"], summaries.map(function(track) {
+                    return [
+                        track.trackId,
+                        formatValue(formatDate(track.startTime)),
+                        formatValue(formatDate(track.endTime)),
+                        (undefined === track.distance) ? "-" : track.distance + " m",
+                        (undefined === track.ridingtime) ? "-" : track.ridingtime + " min",
+                        (undefined === track.avespeed) ? "-" : track.avespeed + " km/h"
+                    ];
+                }))
+            };
+        });
+    },
+
+    track: function(client, parsed) {
+        var sn          = getArg(parsed, 0, "sn");
+        var trackId     = getArg(parsed, 1, "trackId");
+        var format      = parsed.options.format || "gpx";
+        var iterator    = null;
+
+        var find = function() {
+            return iterator.next().then(function(iteration) {
+
+                if (true === iteration.done) {
+                    return Promise.reject(new errors.ValidationError("Track " + trackId + " not found."));
+                }
+
+                if (String(iteration.value.summary.trackId) === trackId) {
+                    return iterator.return().then(function() {
+                        return iteration.value.summary;
+                    });
+                }
+
+                return find();
+            });
+        };
+
+        if (0 > ["gpx", "geojson", "kml", "json"].indexOf(format)) {
+            return Promise.reject(new UsageError("Unknown track format: " + format));
+        }
+
+        iterator = client.iterateTracks({
+            sn: sn,
+            from: parseDate(parsed.options.from, "from", false),
+            to: parseDate(parsed.options.to, "to", true)
+        });
+
+        return find().then(function(summary) {
+            return client.getTrackDetail({
+                sn: sn,
+                trackId: trackId,
+                trackDate: String(summary.date)
+            }).then(function(response) {
+                var track = {
+                    detail: response.result.data,
+                    summary: summary
+                };
+                var text = null;
+
+                if ("gpx" === format) {
+                    text = trackExport.toGpx(track);
+                } else if ("kml" === format) {
+                    text = trackExport.toKml(track);
+                } else if ("geojson" === format) {
+                    text = JSON.stringify(trackExport.toGeoJson(track), null, 2);
+                } else {
+                    text = JSON.stringify(track, null, 2);
+                }
+
+                return {
+                    data: track,
+                    text: text.replace(/\n$/, ""),
+                    isRaw: true
+                };
+            });
+        });
+    },
+
+    firmware: function(client, parsed) {
+
+        return client.getFirmwareVersion({
+            sn: getArg(parsed, 0, "sn")
+        }).then(function(response) {
+            var data = response.result.data;
+
+            return {
+                data: data,
+                text: formatList([
+                    ["Version", data.nowVersion],
+                    ["Hardware version", data.hardVersion],
+                    ["Latest version", data.version],
+                    ["Update available", helpers.toFlag(data.needUpdate)],
+                    ["Description", data.otaDescribe]
+                ])
+            };
+        });
+    }
+};
+
+/**
+ * Run the command line interface.
+ *
+ * @private
+ *
+ * @param {string[]}    argv                - Command line arguments, without node and script path.
+ * @param {Object}      [io]                - Input/output, used for tests.
+ * @param {Object}      [io.stdout]         - Output stream (default: process.stdout).
+ * @param {Object}      [io.stderr]         - Error stream (default: process.stderr).
+ * @param {Object}      [io.env]            - Environment variables (default: process.env).
+ * @param {Function}    [io.createClient]   - Creates the client from the settings.
+ *
+ * @returns {Promise} Exit code.
+ */
+var run = function(argv, io) {
+    var stdout      = null;
+    var stderr      = null;
+    var parsed      = null;
+    var settings    = null;
+    var client      = null;
+
+    io      = io || {};
+    stdout  = io.stdout || process.stdout;
+    stderr  = io.stderr || process.stderr;
+
+    return Promise.resolve().then(function() {
+        parsed = parseArgs(argv);
+
+        if ((true === parsed.options.help) ||
+            (null === parsed.command) ||
+            ("help" === parsed.command)) {
+            stdout.write(USAGE + "\n");
+            return EXIT_OK;
+        }
+
+        if (false === Object.prototype.hasOwnProperty.call(commands, parsed.command)) {
+            throw new UsageError("Unknown command: " + parsed.command);
+        }
+
+        settings    = getSettings(parsed.options, io.env || process.env);
+        client      = ("function" === typeof io.createClient) ? io.createClient(settings) : createClient(settings);
+
+        return commands[parsed.command](client, parsed, settings).then(function(output) {
+            var text = output.text;
+
+            if ((true === parsed.options.json) &&
+                (true !== output.isRaw)) {
+                text = JSON.stringify(output.data, null, 2);
+            }
+
+            if ("string" === typeof parsed.options.output) {
+                fs.writeFileSync(parsed.options.output, text + "\n");
+            } else {
+                stdout.write(text + "\n");
+            }
+
+            return EXIT_OK;
+        });
+
+    }).catch(function(error) {
+
+        stderr.write("Error: " + error.message + ((undefined !== error.code) ? " (" + error.code + ")" : "") + "\n");
+
+        if (error instanceof UsageError) {
+            stderr.write("Run \"niu --help\" for usage.\n");
+            return EXIT_USAGE;
+        }
+
+        if ((error instanceof errors.AuthenticationError) &&
+            (null !== settings) &&
+            (undefined === settings.account)) {
+            stderr.write("Run \"niu login\" with credentials first.\n");
+        }
+
+        return EXIT_ERROR;
+    });
+};
+
+module.exports = {
+    parseArgs: parseArgs,
+    run: run
+};
@@ -0,0 +1,409 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** Utilities */
+var util = require("util");
+
+/**
+ * @typedef {Object} ErrorDetails
+ * @property {string}                   [funcName]      - Name of the function, in which the error happened.
+ * @property {string}                   [date]          - Time, when the error happened in the format hh:mm:ss.us.
+ * @property {niuCloudConnector.Client} [client]        - Client, which caused the error.
+ * @property {Object}                   [info]          - Original error information, e.g. the received response body.
+ * @property {Error}                    [cause]         - Underlying error.
+ * @property {number}                   [statusCode]    - HTTP status code.
+ * @property {number}                   [status]        - NIU response status number.
+ * @property {string}                   [desc]          - NIU response status description.
+ * @property {string}                   [trace]         - NIU response trace, for debug purposes.
+ * @property {string}                   [responseType]  - Name of the response type, which failed the schema validation.
+ * @property {Object[]}                 [issues]        - Schema issues, see SchemaIssue.
+ * @property {string}                   [ruleId]        - Identifier of the alert rule, which failed.
+ */
+
+/**
+ * Base class of all errors of the NIU cloud connector.
+ *
+ * For compatibility the error provides the debug information (date, function name),
+ * the client and the original error information in the error property.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ *
+ * @param {string}          message     - Error message.
+ * @param {ErrorDetails}    [details]   - Error details.
+ */
+var NiuError = function(message, details) {
+
+    if (("object" !== typeof details) ||
+        (null === details)) {
+        details = {};
+    }
+
+    Error.call(this, message);
+
+    if ("function" === typeof Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    } else {
+        this.stack = (new Error(message)).stack;
+    }
+
+    /** Error name */
+    this.name = "NiuError";
+
+    /** Error message */
+    this.message = message;
+
+    /** Machine-readable error code */
+    this.code = "ERR_NIU";
+
+    /** Client, which caused the error. */
+    this.client = details.client;
+
+    /** Debug information */
+    this.debug = {
+        date: details.date,
+        funcName: details.funcName
+    };
+
+    /** Original error information */
+    this.error = (("object" === typeof details.info) && (null !== details.info)) ? details.info : { message: message };
+
+    /** Underlying error */
+    this.cause = details.cause;
+};
+
+util.inherits(NiuError, Error);
+
+/**
+ * Invalid or missing parameters.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ * @augments niuCloudConnector.NiuError
+ *
+ * @param {string}          message     - Error message.
+ * @param {ErrorDetails}    [details]   - Error details.
+ */
+var ValidationError = function(message, details) {
+    NiuError.call(this, message, details);
+
+    this.name = "ValidationError";
+    this.code = "ERR_VALIDATION";
+};
+
+util.inherits(ValidationError, NiuError);
+
+/**
+ * The NIU cloud is not reachable, e.g. because of a connection problem.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ * @augments niuCloudConnector.NiuError
+ *
+ * @param {string}          message     - Error message.
+ * @param {ErrorDetails}    [details]   - Error details.
+ */
+var NetworkError = function(message, details) {
+    NiuError.call(this, message, details);
+
+    this.name = "NetworkError";
+    this.code = "ERR_NETWORK";
+};
+
+util.inherits(NetworkError, NiuError);
+
+/**
+ * The NIU cloud didn't respond in time.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ * @augments niuCloudConnector.NetworkError
+ *
+ * @param {string}          message     - Error message.
+ * @param {ErrorDetails}    [details]   - Error details.
+ */
+var TimeoutError = function(message, details) {
+    NetworkError.call(this, message, details);
+
+    this.name = "TimeoutError";
+    this.code = "ERR_TIMEOUT";
+};
+
+util.inherits(TimeoutError, NetworkError);
+
+/**
+ * The request was cancelled by the user.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ * @augments niuCloudConnector.NiuError
+ *
+ * @param {string}          message     - Error message.
+ * @param {ErrorDetails}    [details]   - Error details.
+ */
+var AbortError = function(message, details) {
+    NiuError.call(this, message, details);
+
+    this.name = "AbortError";
+    this.code = "ERR_ABORTED";
+};
+
+util.inherits(AbortError, NiuError);
+
+/**
+ * The NIU cloud responded with an unexpected HTTP status code.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ * @augments niuCloudConnector.NiuError
+ *
+ * @param {string}          message     - Error message.
+ * @param {ErrorDetails}    [details]   - Error details.
+ */
+var HttpStatusError = function(message, details) {
+    NiuError.call(this, message, details);
+
+    if (("object" !== typeof details) ||
+        (null === details)) {
+        details = {};
+    }
+
+    this.name = "HttpStatusError";
+    this.code = "ERR_HTTP_STATUS";
+
+    /** HTTP status code */
+    this.statusCode = details.statusCode;
+};
+
+util.inherits(HttpStatusError, NiuError);
+
+/**
+ * The response of the NIU cloud is malformed, e.g. the body or expected data is missing.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ * @augments niuCloudConnector.NiuError
+ *
+ * @param {string}          message     - Error message.
+ * @param {ErrorDetails}    [details]   - Error details.
+ */
+var ResponseError = function(message, details) {
+    NiuError.call(this, message, details);
+
+    this.name = "ResponseError";
+    this.code = "ERR_INVALID_RESPONSE";
+};
+
+util.inherits(ResponseError, NiuError);
+
+/**
+ * The response of the NIU cloud doesn't match the documented schema.
+ * Only thrown if the client validates the responses in strict mode.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ * @augments niuCloudConnector.ResponseError
+ *
+ * @param {string}          message     - Error message.
+ * @param {ErrorDetails}    [details]   - Error details.
+ */
+var SchemaError = function(message, details) {
+    ResponseError.call(this, message, details);
+
+    if (("object" !== typeof details) ||
+        (null === details)) {
+        details = {};
+    }
+
+    this.name = "SchemaError";
+    this.code = "ERR_SCHEMA";
+
+    /** Name of the response type, e.g. "MotorData" */
+    this.responseType = details.responseType;
+
+    /** Schema issues */
+    this.issues = details.issues;
+};
+
+util.inherits(SchemaError, ResponseError);
+
+/**
+ * Login failed, no session token is available or the session token was rejected.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ * @augments niuCloudConnector.NiuError
+ *
+ * @param {string}          message     - Error message.
+ * @param {ErrorDetails}    [details]   - Error details.
+ */
+var AuthenticationError = function(message, details) {
+    NiuError.call(this, message, details);
+
+    if (("object" !== typeof details) ||
+        (null === details)) {
+        details = {};
+    }
+
+    this.name = "AuthenticationError";
+    this.code = "ERR_AUTHENTICATION";
+
+    /** HTTP status code */
+    this.statusCode = details.statusCode;
+
+    /** NIU response status number */
+    this.status = details.status;
+
+    /** NIU response status description */
+    this.desc = details.desc;
+
+    /** NIU response trace */
+    this.trace = details.trace;
+};
+
+util.inherits(AuthenticationError, NiuError);
+
+/**
+ * The NIU cloud responded with a non-zero status.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ * @augments niuCloudConnector.NiuError
+ *
+ * @param {string}          message     - Error message.
+ * @param {ErrorDetails}    [details]   - Error details.
+ */
+var ApiError = function(message, details) {
+    NiuError.call(this, message, details);
+
+    if (("object" !== typeof details) ||
+        (null === details)) {
+        details = {};
+    }
+
+    this.name = "ApiError";
+    this.code = "ERR_NIU_API";
+
+    /** HTTP status code */
+    this.statusCode = details.statusCode;
+
+    /** NIU response status number */
+    this.status = details.status;
+
+    /** NIU response status description */
+    this.desc = details.desc;
+
+    /** NIU response trace */
+    this.trace = details.trace;
+};
+
+util.inherits(ApiError, NiuError);
+
+/**
+ * The token store failed to load, save or clear the session token.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ * @augments niuCloudConnector.NiuError
+ *
+ * @param {string}          message     - Error message.
+ * @param {ErrorDetails}    [details]   - Error details.
+ */
+var TokenStoreError = function(message, details) {
+    NiuError.call(this, message, details);
+
+    this.name = "TokenStoreError";
+    this.code = "ERR_TOKEN_STORE";
+};
+
+util.inherits(TokenStoreError, NiuError);
+
+/**
+ * A notification sink failed to deliver an alert, e.g. the webhook or the SMTP server rejected it.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ * @augments niuCloudConnector.NiuError
+ *
+ * @param {string}          message     - Error message.
+ * @param {ErrorDetails}    [details]   - Error details.
+ */
+var NotificationError = function(message, details) {
+    NiuError.call(this, message, details);
+
+    if (("object" !== typeof details) ||
+        (null === details)) {
+        details = {};
+    }
+
+    this.name = "NotificationError";
+    this.code = "ERR_NOTIFICATION";
+
+    /** HTTP status code of a webhook */
+    this.statusCode = details.statusCode;
+};
+
+util.inherits(NotificationError, NiuError);
+
+/**
+ * The condition of an alert rule failed, e.g. a custom condition threw.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ * @augments niuCloudConnector.NiuError
+ *
+ * @param {string}          message     - Error message.
+ * @param {ErrorDetails}    [details]   - Error details.
+ */
+var RuleError = function(message, details) {
+    NiuError.call(this, message, details);
+
+    if (("object" !== typeof details) ||
+        (null === details)) {
+        details = {};
+    }
+
+    this.name = "RuleError";
+    this.code = "ERR_RULE";
+
+    /** Identifier of the rule */
+    this.ruleId = details.ruleId;
+};
+
+util.inherits(RuleError, NiuError);
+
+module.exports = {
+    NiuError: NiuError,
+    ValidationError: ValidationError,
+    NetworkError: NetworkError,
+    TimeoutError: TimeoutError,
+    AbortError: AbortError,
+    HttpStatusError: HttpStatusError,
+    ResponseError: ResponseError,
+    SchemaError: SchemaError,
+    AuthenticationError: AuthenticationError,
+    ApiError: ApiError,
+    TokenStoreError: TokenStoreError,
+    NotificationError: NotificationError,
+    RuleError: RuleError
+};
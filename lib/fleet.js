@@ -0,0 +1,258 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** Error classes */
+var errors = require("./errors");
+
+/** Helper functions */
+var helpers = require("./helpers");
+
+/** Default number of vehicles, which are requested at the same time */
+var DEFAULT_CONCURRENCY = 3;
+
+/** Default state of charge in percent, below a vehicle is reported */
+var DEFAULT_LOW_SOC = 20;
+
+/**
+ * @typedef {Object} FleetFailure
+ * @property {string}                       sn          - Vehicle serial number
+ * @property {string}                       request     - Failed request, e.g. "getMotorInfo"
+ * @property {niuCloudConnector.NiuError}   error       - Error
+ */
+
+/**
+ * @typedef {Object} FleetVehicle
+ * @property {string}   sn              - Vehicle serial number
+ * @property {string}   name            - Vehicle name, given by the user
+ * @property {string}   type            - Vehicle model
+ * @property {Object}   motorInfo       - Motor data, see MotorData, or null if the request failed
+ * @property {Object}   batteryInfo     - Battery info, see BatteryInfo, or null if the request failed
+ * @property {Object}   overallTally    - Overall tally, see OverallTally, or null if the request failed
+ * @property {number}   soc             - Average state of charge of all batteries in percent, or null if unknown
+ * @property {boolean}  isCharging      - Is charging, or null if unknown
+ * @property {boolean}  isConnected     - Is connected to the NIU cloud, or null if unknown
+ * @property {number}   totalMileage    - Total mileage in km, or null if unknown
+ * @property {boolean}  isComplete      - All requests of the vehicle succeeded
+ */
+
+/**
+ * @typedef {Object} FleetSnapshot
+ * @property {Date}             time                    - Time of the snapshot
+ * @property {FleetVehicle[]}   vehicles                - All vehicles
+ * @property {FleetFailure[]}   failures                - Failed requests
+ * @property {Object}           totals                  - Totals over all vehicles
+ * @property {number}           totals.vehicles         - Number of vehicles
+ * @property {number}           totals.complete         - Number of vehicles, where all requests succeeded
+ * @property {number}           totals.totalMileage     - Total mileage of all vehicles in km
+ * @property {number}           totals.averageSoc       - Average state of charge in percent, or null if unknown
+ * @property {number}           totals.charging         - Number of charging vehicles
+ * @property {number}           totals.offline          - Number of vehicles, which are not connected to the NIU cloud
+ * @property {number}           totals.lowSoc           - Number of vehicles below the state of charge threshold
+ * @property {number}           lowSocThreshold         - State of charge threshold in percent
+ * @property {FleetVehicle[]}   lowSoc                  - Vehicles below the state of charge threshold, lowest first
+ */
+
+/**
+ * Request the status of a single vehicle. Failed requests are reported as
+ * failures, only a cancellation rejects.
+ *
+ * @private
+ *
+ * @param {niuCloudConnector.Client}    client      - Client.
+ * @param {Object}                      vehicle     - Vehicle, see Vehicles.
+ * @param {Object}                      options     - Request options (timeout, signal).
+ * @param {FleetFailure[]}              failures    - Failures are added here.
+ *
+ * @returns {Promise} Vehicle status, see FleetVehicle.
+ */
+var getVehicleStatus = function(client, vehicle, options, failures) {
+    var requests = ["getMotorInfo", "getBatteryInfo", "getOverallTally"];
+
+    return Promise.all(requests.map(function(request) {
+        return client[request]({
+            sn: vehicle.sn,
+            timeout: options.timeout,
+            signal: options.signal
+        }).then(function(response) {
+            return response.result.data;
+        }, function(error) {
+
+            if (error instanceof errors.AbortError) {
+                return Promise.reject(error);
+            }
+
+            failures.push({
+                sn: vehicle.sn,
+                request: request,
+                error: error
+            });
+
+            return null;
+        });
+    })).then(function(results) {
+        var motorInfo       = results[0];
+        var batteryInfo     = results[1];
+        var overallTally    = results[2];
+        var soc             = helpers.getSoc(batteryInfo);
+        var isCharging      = null;
+
+        if (null === soc) {
+            soc = helpers.getSoc(motorInfo);
+        }
+
+        if (null !== batteryInfo) {
+            isCharging = helpers.toFlag(batteryInfo.isCharging);
+        }
+
+        if ((null === isCharging) &&
+            (null !== motorInfo)) {
+            isCharging = helpers.toFlag(motorInfo.isCharging);
+        }
+
+        return {
+            sn: vehicle.sn,
+            name: vehicle.name,
+            type: vehicle.type,
+            motorInfo: motorInfo,
+            batteryInfo: batteryInfo,
+            overallTally: overallTally,
+            soc: soc,
+            isCharging: isCharging,
+            isConnected: (null !== motorInfo) ? helpers.toFlag(motorInfo.isConnected) : null,
+            totalMileage: ((null !== overallTally) && ("number" === typeof overallTally.totalMileage)) ? overallTally.totalMileage : null,
+            isComplete: (0 > results.indexOf(null))
+        };
+    });
+};
+
+/**
+ * Calculate the totals of all vehicles.
+ *
+ * @private
+ *
+ * @param {FleetVehicle[]}  vehicles        - Vehicles.
+ * @param {number}          lowSocThreshold - State of charge threshold in percent.
+ *
+ * @returns {Object} Totals and the vehicles with low state of charge.
+ */
+var getTotals = function(vehicles, lowSocThreshold) {
+    var withSoc = vehicles.filter(function(vehicle) {
+        return null !== vehicle.soc;
+    });
+    var lowSoc  = withSoc.filter(function(vehicle) {
+        return vehicle.soc < lowSocThreshold;
+    }).sort(function(a, b) {
+        return a.soc - b.soc;
+    });
+
+    return {
+        totals: {
+            vehicles: vehicles.length,
+            complete: vehicles.filter(function(vehicle) {
+                return true === vehicle.isComplete;
+            }).length,
+            totalMileage: vehicles.reduce(function(sum, vehicle) {
+                return sum + ((null !== vehicle.totalMileage) ? vehicle.totalMileage : 0);
+            }, 0),
+            averageSoc: (0 === withSoc.length) ? null : withSoc.reduce(function(sum, vehicle) {
+                return sum + vehicle.soc;
+            }, 0) / withSoc.length,
+            charging: vehicles.filter(function(vehicle) {
+                return true === vehicle.isCharging;
+            }).length,
+            offline: vehicles.filter(function(vehicle) {
+                return false === vehicle.isConnected;
+            }).length,
+            lowSoc: lowSoc.length
+        },
+        lowSoc: lowSoc
+    };
+};
+
+/**
+ * Get a snapshot of the whole fleet: The status of every vehicle bound to the
+ * account and totals over all of them. The vehicles are requested with a
+ * concurrency limit. Failed requests of a vehicle don't fail the snapshot,
+ * they are reported in the failures and the vehicle is marked as incomplete.
+ *
+ * @memberof niuCloudConnector
+ *
+ * @param {niuCloudConnector.Client}    client                      - Client.
+ * @param {Object}                      [options]                   - Options.
+ * @param {string[]}                    [options.sn]                - Serial numbers of the vehicles, which shall be included (default: all).
+ * @param {number}                      [options.concurrency]       - Max. number of vehicles, which are requested at the same time (default: 3).
+ * @param {number}                      [options.lowSocThreshold]   - Vehicles below this state of charge in percent are reported (default: 20).
+ * @param {number}                      [options.timeout]           - Timeout in ms per request, overrides the timeout of the client.
+ * @param {Object}                      [options.signal]            - AbortSignal, which cancels the snapshot.
+ *
+ * @returns {Promise} Fleet snapshot, see FleetSnapshot.
+ */
+var getFleetSnapshot = function(client, options) {
+    var failures        = [];
+    var concurrency     = DEFAULT_CONCURRENCY;
+    var lowSocThreshold = DEFAULT_LOW_SOC;
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        options = {};
+    }
+
+    concurrency = helpers.toLimit(options.concurrency, DEFAULT_CONCURRENCY);
+
+    if ("number" === typeof options.lowSocThreshold) {
+        lowSocThreshold = options.lowSocThreshold;
+    }
+
+    return client.getVehicles({
+        timeout: options.timeout,
+        signal: options.signal
+    }).then(function(response) {
+        var vehicles = (true === Array.isArray(response.result.data)) ? response.result.data : [];
+
+        if (true === Array.isArray(options.sn)) {
+            vehicles = vehicles.filter(function(vehicle) {
+                return 0 <= options.sn.indexOf(vehicle.sn);
+            });
+        }
+
+        return helpers.mapLimit(vehicles, concurrency, function(vehicle) {
+            return getVehicleStatus(client, vehicle, options, failures);
+        });
+
+    }).then(function(vehicles) {
+        var totals = getTotals(vehicles, lowSocThreshold);
+
+        return {
+            time: new Date(),
+            vehicles: vehicles,
+            failures: failures,
+            totals: totals.totals,
+            lowSocThreshold: lowSocThreshold,
+            lowSoc: totals.lowSoc
+        };
+    });
+};
+
+module.exports = {
+    getFleetSnapshot: getFleetSnapshot
+};
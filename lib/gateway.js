@@ -0,0 +1,635 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* global AbortController */
+
+/** HTTP server */
+var http = require("http");
+
+/** URL parser */
+var url = require("url");
+
+/** Cryptographic functions */
+var crypto = require("crypto");
+
+/** Error classes */
+var errors = require("./errors");
+
+/**
+ * HTTP status codes of the client errors. The gateway responds with 502 to
+ * failures of the NIU cloud, because they are no failure of its caller.
+ *
+ * @private
+ */
+var errorStatusCodes = [
+    { type: errors.ValidationError, statusCode: 400 },
+    { type: errors.TimeoutError, statusCode: 504 },
+    { type: errors.NetworkError, statusCode: 502 },
+    { type: errors.AuthenticationError, statusCode: 502 },
+    { type: errors.ApiError, statusCode: 502 },
+    { type: errors.HttpStatusError, statusCode: 502 },
+    { type: errors.ResponseError, statusCode: 502 },
+    { type: errors.SchemaError, statusCode: 502 }
+];
+
+/**
+ * Pattern of the path parameters (vehicle serial number, track id). The
+ * client puts them into the URL of the NIU cloud, therefore only
+ * alphanumeric characters, hyphens and underscores are accepted.
+ *
+ * @private
+ */
+var PARAM_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Error of the gateway itself, which is responded to the caller.
+ *
+ * @private
+ *
+ * @param {number}  statusCode  - HTTP status code.
+ * @param {string}  code        - Error code.
+ * @param {string}  message     - Error message.
+ *
+ * @returns {Object} Error
+ */
+var gatewayError = function(statusCode, code, message) {
+    return {
+        statusCode: statusCode,
+        code: code,
+        message: message
+    };
+};
+
+/**
+ * Get an integer query parameter.
+ *
+ * @private
+ *
+ * @param {Object}  query           - Query parameters.
+ * @param {string}  name            - Parameter name.
+ * @param {number}  defaultValue    - Value, if the parameter is missing.
+ *
+ * @returns {number} Value
+ */
+var getInteger = function(query, name, defaultValue) {
+    var value = query[name];
+
+    if (undefined === value) {
+        return defaultValue;
+    }
+
+    if ((true === Array.isArray(value)) ||
+        (false === /^\d+$/.test(value))) {
+        throw new errors.ValidationError("Query parameter " + name + " is not a number.", {
+            funcName: "RestGateway()"
+        });
+    }
+
+    return parseInt(value, 10);
+};
+
+/**
+ * Get a string query parameter.
+ *
+ * @private
+ *
+ * @param {Object}  query           - Query parameters.
+ * @param {string}  name            - Parameter name.
+ * @param {string}  [defaultValue]  - Value, if the parameter is missing. If not given, the parameter is required.
+ *
+ * @returns {string} Value
+ */
+var getString = function(query, name, defaultValue) {
+    var value = query[name];
+
+    if (undefined === value) {
+
+        if (undefined === defaultValue) {
+            throw new errors.ValidationError("Query parameter " + name + " is missing.", {
+                funcName: "RestGateway()"
+            });
+        }
+
+        return defaultValue;
+    }
+
+    if (true === Array.isArray(value)) {
+        throw new errors.ValidationError("Query parameter " + name + " is given more than once.", {
+            funcName: "RestGateway()"
+        });
+    }
+
+    return value;
+};
+
+/**
+ * Decode and validate a path parameter.
+ *
+ * @private
+ *
+ * @param {string} value - Encoded path parameter.
+ *
+ * @returns {string} Decoded path parameter.
+ */
+var decodeParam = function(value) {
+    var decoded = null;
+
+    try {
+        decoded = decodeURIComponent(value);
+    } catch (error) {
+        throw new errors.ValidationError("Invalid path parameter: " + value, {
+            funcName: "RestGateway()",
+            cause: error
+        });
+    }
+
+    if (false === PARAM_PATTERN.test(decoded)) {
+        throw new errors.ValidationError("Invalid path parameter: " + value, {
+            funcName: "RestGateway()"
+        });
+    }
+
+    return decoded;
+};
+
+/**
+ * Routes of the REST API. The handler gets the client, the path parameters,
+ * the query parameters and the request options (timeout, signal).
+ *
+ * @private
+ */
+var routes = [
+    {
+        pattern: /^\/vehicles$/,
+        handler: function(client, params, query, options) {
+            return client.getVehicles(options);
+        }
+    },
+    {
+        pattern: /^\/vehicles\/([^/]+)\/status$/,
+        handler: function(client, params, query, options) {
+            options.sn = params[0];
+            return client.getMotorInfo(options);
+        }
+    },
+    {
+        pattern: /^\/vehicles\/([^/]+)\/position$/,
+        handler: function(client, params, query, options) {
+            options.sn = params[0];
+            return client.getVehiclePos(options);
+        }
+    },
+    {
+        pattern: /^\/vehicles\/([^/]+)\/tally$/,
+        handler: function(client, params, query, options) {
+            options.sn = params[0];
+            return client.getOverallTally(options);
+        }
+    },
+    {
+        pattern: /^\/vehicles\/([^/]+)\/battery$/,
+        handler: function(client, params, query, options) {
+            options.sn = params[0];
+            return client.getBatteryInfo(options);
+        }
+    },
+    {
+        pattern: /^\/vehicles\/([^/]+)\/battery\/health$/,
+        handler: function(client, params, query, options) {
+            options.sn = params[0];
+            return client.getBatteryHealth(options);
+        }
+    },
+    {
+        pattern: /^\/vehicles\/([^/]+)\/battery\/chart$/,
+        handler: function(client, params, query, options) {
+            options.sn          = params[0];
+            options.bmsId       = getInteger(query, "bmsId", 1);
+            options.page        = getInteger(query, "page", 1);
+            options.pageSize    = getString(query, "pageSize", "A");
+            options.pageLength  = getInteger(query, "pageLength", 1);
+            return client.getBatteryChart(options);
+        }
+    },
+    {
+        pattern: /^\/vehicles\/([^/]+)\/tracks$/,
+        handler: function(client, params, query, options) {
+            options.sn          = params[0];
+            options.index       = getInteger(query, "index", 0);
+            options.pageSize    = getInteger(query, "pageSize", 10);
+            return client.getTracks(options);
+        }
+    },
+    {
+        pattern: /^\/vehicles\/([^/]+)\/tracks\/([^/]+)$/,
+        handler: function(client, params, query, options) {
+            options.sn          = params[0];
+            options.trackId     = params[1];
+            options.trackDate   = getString(query, "date");
+            return client.getTrackDetail(options);
+        }
+    },
+    {
+        pattern: /^\/vehicles\/([^/]+)\/firmware$/,
+        handler: function(client, params, query, options) {
+            options.sn = params[0];
+            return client.getFirmwareVersion(options);
+        }
+    },
+    {
+        pattern: /^\/vehicles\/([^/]+)\/firmware\/update$/,
+        handler: function(client, params, query, options) {
+            options.sn = params[0];
+            return client.getUpdateInfo(options);
+        }
+    }
+];
+
+/**
+ * HTTP server, which provides the client as REST API for other services.
+ * Login and session token renewal are handled by the client, therefore it
+ * needs credentials or a token store.
+ *
+ * All routes are GET requests and respond with JSON. A successful response
+ * contains the data of the NIU cloud in the data property and the normalized
+ * data model in the model property, if the client provides it.
+ *
+ * | Route                                  | Client method        | Query parameters                                     |
+ * | -------------------------------------- | -------------------- | ---------------------------------------------------- |
+ * | /vehicles                              | getVehicles()        |                                                      |
+ * | /vehicles/:sn/status                   | getMotorInfo()       |                                                      |
+ * | /vehicles/:sn/position                 | getVehiclePos()      |                                                      |
+ * | /vehicles/:sn/tally                    | getOverallTally()    |                                                      |
+ * | /vehicles/:sn/battery                  | getBatteryInfo()     |                                                      |
+ * | /vehicles/:sn/battery/health           | getBatteryHealth()   |                                                      |
+ * | /vehicles/:sn/battery/chart            | getBatteryChart()    | bmsId (1), page (1), pageSize ("A"), pageLength (1)  |
+ * | /vehicles/:sn/tracks                   | getTracks()          | index (0), pageSize (10)                             |
+ * | /vehicles/:sn/tracks/:trackId          | getTrackDetail()     | date (yyyymmdd, required)                            |
+ * | /vehicles/:sn/firmware                 | getFirmwareVersion() |                                                      |
+ * | /vehicles/:sn/firmware/update          | getUpdateInfo()      |                                                      |
+ *
+ * Errors are responded with their HTTP status code and the error in the
+ * error property: code, message and for errors of the NIU cloud status and desc.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ *
+ * @param {Object}                      options                     - Options.
+ * @param {niuCloudConnector.Client}    options.client              - Client, which accesses the NIU cloud.
+ * @param {string[]}                    [options.apiKeys]           - API keys of the callers, sent in the x-api-key header or as bearer token.
+ * @param {boolean}                     [options.allowAnonymous]    - Allow requests without API key, only if no API keys are given (default: false).
+ * @param {string}                      [options.basePath]          - Path prefix of all routes, e.g. "/api/v1" (default: "").
+ * @param {number}                      [options.timeout]           - Timeout in ms per request to the NIU cloud, overrides the timeout of the client.
+ */
+var RestGateway = function(options) {
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        throw new errors.ValidationError("Options is missing.", {
+            funcName: "RestGateway()"
+        });
+    }
+
+    if (("object" !== typeof options.client) ||
+        (null === options.client)) {
+        throw new errors.ValidationError("Client is missing.", {
+            funcName: "RestGateway()"
+        });
+    }
+
+    /** Client, which accesses the NIU cloud */
+    this._client = options.client;
+
+    /** API keys of the callers */
+    this._apiKeys = [];
+
+    /** Path prefix of all routes */
+    this._basePath = "";
+
+    /** Timeout in ms per request to the NIU cloud */
+    this._timeout = undefined;
+
+    /** HTTP server, if the gateway listens itself. */
+    this._server = null;
+
+    if (true === Array.isArray(options.apiKeys)) {
+        this._apiKeys = options.apiKeys.filter(function(apiKey) {
+            return ("string" === typeof apiKey) && (0 < apiKey.length);
+        });
+    }
+
+    if ((0 === this._apiKeys.length) &&
+        (true !== options.allowAnonymous)) {
+        throw new errors.ValidationError("API keys are missing.", {
+            funcName: "RestGateway()"
+        });
+    }
+
+    if ("string" === typeof options.basePath) {
+        this._basePath = options.basePath.replace(/\/+$/, "");
+    }
+
+    if ("number" === typeof options.timeout) {
+        this._timeout = options.timeout;
+    }
+};
+
+/**
+ * Start a HTTP server, which serves the gateway.
+ *
+ * @param {number}  [port]  - Port (default: 0, any free port).
+ * @param {string}  [host]  - Host name or address (default: all interfaces).
+ *
+ * @returns {Promise} Address of the server with address, family and port.
+ */
+RestGateway.prototype.listen = function(port, host) {
+    var _this = this;
+
+    if (null !== this._server) {
+        return Promise.reject(new errors.ValidationError("Gateway is already listening.", {
+            funcName: "listen()"
+        }));
+    }
+
+    return new Promise(function(resolve, reject) {
+        var server = http.createServer(function(req, res) {
+            _this.handleRequest(req, res);
+        });
+
+        server.once("error", reject);
+
+        server.listen(("number" === typeof port) ? port : 0, host, function() {
+            server.removeListener("error", reject);
+            _this._server = server;
+            resolve(server.address());
+        });
+    });
+};
+
+/**
+ * Stop the HTTP server. Pending requests are completed.
+ *
+ * @returns {Promise} Nothing.
+ */
+RestGateway.prototype.close = function() {
+    var server = this._server;
+
+    if (null === server) {
+        return Promise.resolve();
+    }
+
+    this._server = null;
+
+    return new Promise(function(resolve, reject) {
+
+        server.close(function(error) {
+
+            if (undefined !== error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+
+            return;
+        });
+    });
+};
+
+/**
+ * Handle a HTTP request. Use it as request listener to serve the gateway
+ * by an existing HTTP server.
+ *
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ */
+RestGateway.prototype.handleRequest = function(req, res) {
+    var _this       = this;
+    var reqUrl      = url.parse(req.url, true);
+    var pathname    = reqUrl.pathname;
+    var route       = null;
+    var params      = null;
+    var index       = 0;
+    var controller  = null;
+    var promise     = null;
+    var options     = {
+        timeout: this._timeout
+    };
+
+    if (false === this._isAuthorized(req)) {
+        this._sendError(res, gatewayError(401, "ERR_UNAUTHORIZED", "Invalid or missing API key."));
+        return;
+    }
+
+    if (0 !== pathname.indexOf(this._basePath + "/")) {
+        this._sendError(res, gatewayError(404, "ERR_NOT_FOUND", "Resource not found."));
+        return;
+    }
+
+    pathname = pathname.substring(this._basePath.length).replace(/(.)\/+$/, "$1");
+
+    for (index = 0; index < routes.length; ++index) {
+        params = routes[index].pattern.exec(pathname);
+
+        if (null !== params) {
+            route = routes[index];
+            break;
+        }
+    }
+
+    if (null === route) {
+        this._sendError(res, gatewayError(404, "ERR_NOT_FOUND", "Resource not found."));
+        return;
+    }
+
+    if ("GET" !== req.method) {
+        res.setHeader("allow", "GET");
+        this._sendError(res, gatewayError(405, "ERR_METHOD_NOT_ALLOWED", "Method not allowed."));
+        return;
+    }
+
+    /* Cancel the request to the NIU cloud, if the caller gives up. */
+    controller = new AbortController();
+    options.signal = controller.signal;
+
+    res.on("close", function() {
+        if (false === res.writableFinished) {
+            controller.abort();
+        }
+    });
+
+    try {
+        promise = route.handler(this._client, params.slice(1).map(decodeParam), reqUrl.query, options);
+    } catch (error) {
+        promise = Promise.reject(error);
+    }
+
+    promise.then(function(result) {
+        var body = {
+            data: result.result.data
+        };
+
+        if (undefined !== result.model) {
+            body.model = result.model;
+        }
+
+        _this._send(res, 200, body);
+
+    }).catch(function(error) {
+
+        if (error instanceof errors.AbortError) {
+            return;
+        }
+
+        _this._sendError(res, _this._toGatewayError(error));
+    });
+};
+
+/**
+ * Checks whether the caller sent a valid API key.
+ *
+ * @private
+ *
+ * @param {Object} req - HTTP request.
+ *
+ * @returns {boolean} If the caller is authorized, it will return true otherwise false.
+ */
+RestGateway.prototype._isAuthorized = function(req) {
+    var apiKey          = req.headers["x-api-key"];
+    var authorization   = req.headers["authorization"];
+    var match           = null;
+    var given           = null;
+
+    if (0 === this._apiKeys.length) {
+        return true;
+    }
+
+    if (("string" !== typeof apiKey) &&
+        ("string" === typeof authorization)) {
+        match = /^Bearer\s+(\S+)$/i.exec(authorization);
+
+        if (null !== match) {
+            apiKey = match[1];
+        }
+    }
+
+    if ("string" !== typeof apiKey) {
+        return false;
+    }
+
+    given = Buffer.from(apiKey, "utf8");
+
+    /* Compare in constant time, to not reveal the keys by the response time. */
+    return this._apiKeys.some(function(key) {
+        var expected = Buffer.from(key, "utf8");
+
+        return (expected.length === given.length) &&
+               (true === crypto.timingSafeEqual(expected, given));
+    });
+};
+
+/**
+ * Map an error of the client to the error response of the gateway.
+ *
+ * @private
+ *
+ * @param {Error} error - Error of the client.
+ *
+ * @returns {Object} Error response with HTTP status code, code, message and for errors of the NIU cloud status and desc.
+ */
+RestGateway.prototype._toGatewayError = function(error) {
+    var result  = null;
+    var index   = 0;
+
+    if (false === (error instanceof errors.NiuError)) {
+        return gatewayError(500, "ERR_INTERNAL", "Internal error.");
+    }
+
+    result = gatewayError(500, error.code, error.message);
+
+    for (index = 0; index < errorStatusCodes.length; ++index) {
+        if (error instanceof errorStatusCodes[index].type) {
+            result.statusCode = errorStatusCodes[index].statusCode;
+            break;
+        }
+    }
+
+    if ("number" === typeof error.status) {
+        result.status   = error.status;
+        result.desc     = error.desc;
+    }
+
+    return result;
+};
+
+/**
+ * Send a JSON response.
+ *
+ * @private
+ *
+ * @param {Object}  res         - HTTP response.
+ * @param {number}  statusCode  - HTTP status code.
+ * @param {Object}  body        - Response body.
+ */
+RestGateway.prototype._send = function(res, statusCode, body) {
+    var payload = Buffer.from(JSON.stringify(body), "utf8");
+
+    if ((true === res.headersSent) ||
+        (true === res.destroyed)) {
+        return;
+    }
+
+    res.writeHead(statusCode, {
+        "content-type": "application/json; charset=utf-8",
+        "content-length": payload.length,
+        "cache-control": "no-store"
+    });
+    res.end(payload);
+};
+
+/**
+ * Send an error response.
+ *
+ * @private
+ *
+ * @param {Object} res      - HTTP response.
+ * @param {Object} error    - Error response, see _toGatewayError().
+ */
+RestGateway.prototype._sendError = function(res, error) {
+    var body = {
+        error: {
+            code: error.code,
+            message: error.message
+        }
+    };
+
+    if (undefined !== error.status) {
+        body.error.status   = error.status;
+        body.error.desc     = error.desc;
+    }
+
+    this._send(res, error.statusCode, body);
+};
+
+module.exports = {
+    RestGateway: RestGateway
+};
@@ -0,0 +1,662 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** Event emitter */
+var EventEmitter = require("events").EventEmitter;
+
+/** Utilities */
+var util = require("util");
+
+/** Error classes */
+var errors = require("./errors");
+
+/** Vehicle monitor */
+var VehicleMonitor = require("./vehicleMonitor").VehicleMonitor;
+
+/**
+ * Mean earth radius in m.
+ */
+var EARTH_RADIUS = 6371008.8;
+
+/**
+ * @typedef {Object} GeoPoint
+ * @property {number}   lat - Latitude in decimal degree (WGS 84)
+ * @property {number}   lng - Longitude in decimal degree (WGS 84)
+ */
+
+/**
+ * Convert degree to radian.
+ *
+ * @private
+ *
+ * @param {number} deg - Angle in degree.
+ *
+ * @returns {number} Angle in radian.
+ */
+var toRad = function(deg) {
+    return deg * Math.PI / 180;
+};
+
+/**
+ * Calculate the great-circle distance between two points with the haversine formula.
+ *
+ * @memberof niuCloudConnector
+ *
+ * @param {GeoPoint} from   - First point.
+ * @param {GeoPoint} to     - Second point.
+ *
+ * @returns {number} Distance in m.
+ */
+var getDistance = function(from, to) {
+    var dLat    = toRad(to.lat - from.lat);
+    var dLng    = toRad(to.lng - from.lng);
+    var a       = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+                  Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) *
+                  Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+    return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Validate a point and throw, if it is invalid.
+ *
+ * @private
+ *
+ * @param {GeoPoint}    point       - Point.
+ * @param {string}      funcName    - Name of the function, which validates.
+ */
+var checkPoint = function(point, funcName) {
+
+    if (("object" !== typeof point) ||
+        (null === point) ||
+        ("number" !== typeof point.lat) ||
+        ("number" !== typeof point.lng) ||
+        (90 < Math.abs(point.lat)) ||
+        (180 < Math.abs(point.lng))) {
+        throw new errors.ValidationError("Invalid point.", {
+            funcName: funcName
+        });
+    }
+};
+
+/**
+ * Circular geofence.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ *
+ * @param {Object}  options             - Options.
+ * @param {string}  options.id          - Geofence identifier, e.g. "depot".
+ * @param {string}  [options.name]      - Geofence name.
+ * @param {number}  options.lat         - Latitude of the center in decimal degree (WGS 84).
+ * @param {number}  options.lng         - Longitude of the center in decimal degree (WGS 84).
+ * @param {number}  options.radius      - Radius in m.
+ */
+var CircleGeofence = function(options) {
+    var funcName = "CircleGeofence()";
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        throw new errors.ValidationError("Options is missing.", {
+            funcName: funcName
+        });
+    }
+
+    if ("string" !== typeof options.id) {
+        throw new errors.ValidationError("Geofence id is missing.", {
+            funcName: funcName
+        });
+    }
+
+    checkPoint(options, funcName);
+
+    if (("number" !== typeof options.radius) ||
+        (0 >= options.radius)) {
+        throw new errors.ValidationError("Radius is invalid.", {
+            funcName: funcName
+        });
+    }
+
+    /** Geofence identifier */
+    this.id = options.id;
+
+    /** Geofence name */
+    this.name = ("string" === typeof options.name) ? options.name : options.id;
+
+    /** Center */
+    this.center = {
+        lat: options.lat,
+        lng: options.lng
+    };
+
+    /** Radius in m */
+    this.radius = options.radius;
+};
+
+/**
+ * Get the distance of a point to the geofence boundary.
+ *
+ * @param {GeoPoint} point - Point.
+ *
+ * @returns {number} Distance in m. It is negative inside the geofence.
+ */
+CircleGeofence.prototype.getBoundaryDistance = function(point) {
+    return getDistance(this.center, point) - this.radius;
+};
+
+/**
+ * Checks whether a point is inside the geofence.
+ *
+ * @param {GeoPoint} point - Point.
+ *
+ * @returns {boolean} If the point is inside, it will return true otherwise false.
+ */
+CircleGeofence.prototype.contains = function(point) {
+    return 0 >= this.getBoundaryDistance(point);
+};
+
+/**
+ * Get the minimum width of the geofence, which is the diameter.
+ *
+ * @returns {number} Width in m.
+ */
+CircleGeofence.prototype.getMinWidth = function() {
+    return 2 * this.radius;
+};
+
+/**
+ * Polygon geofence. The polygon is closed automatically.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ *
+ * @param {Object}      options             - Options.
+ * @param {string}      options.id          - Geofence identifier, e.g. "depot".
+ * @param {string}      [options.name]      - Geofence name.
+ * @param {GeoPoint[]}  options.points      - Corners of the polygon, at least 3.
+ */
+var PolygonGeofence = function(options) {
+    var funcName = "PolygonGeofence()";
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        throw new errors.ValidationError("Options is missing.", {
+            funcName: funcName
+        });
+    }
+
+    if ("string" !== typeof options.id) {
+        throw new errors.ValidationError("Geofence id is missing.", {
+            funcName: funcName
+        });
+    }
+
+    if ((false === Array.isArray(options.points)) ||
+        (3 > options.points.length)) {
+        throw new errors.ValidationError("A polygon needs at least 3 points.", {
+            funcName: funcName
+        });
+    }
+
+    options.points.forEach(function(point) {
+        checkPoint(point, funcName);
+    });
+
+    /** Geofence identifier */
+    this.id = options.id;
+
+    /** Geofence name */
+    this.name = ("string" === typeof options.name) ? options.name : options.id;
+
+    /** Corners of the polygon */
+    this.points = options.points.map(function(point) {
+        return {
+            lat: point.lat,
+            lng: point.lng
+        };
+    });
+};
+
+/**
+ * Get the distance of a point to the geofence boundary.
+ * The polygon is projected into a local plane around the point, which is
+ * accurate enough for geofences up to some kilometers.
+ *
+ * @param {GeoPoint} point - Point.
+ *
+ * @returns {number} Distance in m. It is negative inside the geofence.
+ */
+PolygonGeofence.prototype.getBoundaryDistance = function(point) {
+    var cosLat      = Math.cos(toRad(point.lat));
+    var corners     = this.points.map(function(corner) {
+        return {
+            x: toRad(corner.lng - point.lng) * cosLat * EARTH_RADIUS,
+            y: toRad(corner.lat - point.lat) * EARTH_RADIUS
+        };
+    });
+    var isInside    = false;
+    var minDistance = Infinity;
+    var index       = 0;
+    var prev        = null;
+    var curr        = null;
+    var dx          = 0;
+    var dy          = 0;
+    var t           = 0;
+
+    /* The point is the origin of the local plane. */
+    for (index = 0; index < corners.length; ++index) {
+        prev = corners[(0 === index) ? (corners.length - 1) : (index - 1)];
+        curr = corners[index];
+
+        /* Ray casting along the positive x-axis */
+        if (((0 < curr.y) !== (0 < prev.y)) &&
+            (0 < (prev.x - curr.x) * (0 - curr.y) / (prev.y - curr.y) + curr.x)) {
+            isInside = !isInside;
+        }
+
+        /* Distance to the edge */
+        dx  = prev.x - curr.x;
+        dy  = prev.y - curr.y;
+        t   = ((0 === dx) && (0 === dy)) ? 0 : -(curr.x * dx + curr.y * dy) / (dx * dx + dy * dy);
+        t   = Math.max(0, Math.min(1, t));
+
+        minDistance = Math.min(minDistance, Math.sqrt(Math.pow(curr.x + t * dx, 2) + Math.pow(curr.y + t * dy, 2)));
+    }
+
+    return (true === isInside) ? -minDistance : minDistance;
+};
+
+/**
+ * Checks whether a point is inside the geofence.
+ *
+ * @param {GeoPoint} point - Point.
+ *
+ * @returns {boolean} If the point is inside, it will return true otherwise false.
+ */
+PolygonGeofence.prototype.contains = function(point) {
+    return 0 >= this.getBoundaryDistance(point);
+};
+
+/**
+ * Get the minimum width of the geofence. It is the smallest extent of the
+ * polygon perpendicular to one of its edges, which is exact for a convex
+ * polygon. The polygon is projected into a local plane around the first corner.
+ *
+ * @returns {number} Width in m.
+ */
+PolygonGeofence.prototype.getMinWidth = function() {
+    var origin      = this.points[0];
+    var cosLat      = Math.cos(toRad(origin.lat));
+    var corners     = this.points.map(function(corner) {
+        return {
+            x: toRad(corner.lng - origin.lng) * cosLat * EARTH_RADIUS,
+            y: toRad(corner.lat - origin.lat) * EARTH_RADIUS
+        };
+    });
+    var minWidth    = Infinity;
+
+    corners.forEach(function(curr, index) {
+        var prev    = corners[(0 === index) ? (corners.length - 1) : (index - 1)];
+        var dx      = prev.x - curr.x;
+        var dy      = prev.y - curr.y;
+        var length  = Math.sqrt(dx * dx + dy * dy);
+        var width   = 0;
+
+        /* Duplicated corner */
+        if (0 === length) {
+            return;
+        }
+
+        /* Max. distance of all corners to the line through the edge */
+        corners.forEach(function(corner) {
+            width = Math.max(width, Math.abs((corner.x - curr.x) * dy - (corner.y - curr.y) * dx) / length);
+        });
+
+        minWidth = Math.min(minWidth, width);
+    });
+
+    return (true === isFinite(minWidth)) ? minWidth : 0;
+};
+
+/**
+ * @typedef {Object} GeofenceEvent
+ * @property {string}   sn          - Vehicle serial number
+ * @property {Object}   geofence    - Geofence, which was entered or left
+ * @property {Object}   position    - Vehicle position
+ * @property {number}   position.lat    - Latitude in decimal degree (WGS 84)
+ * @property {number}   position.lng    - Longitude in decimal degree (WGS 84)
+ * @property {number}   [position.hdop] - Horizontal dilution of precision
+ * @property {number}   [position.time] - GPS timestamp in unix timestamp epoch format (13 digits)
+ * @property {number}   distance    - Distance to the geofence boundary in m, negative inside
+ */
+
+/**
+ * Geofence watcher, which watches the position of a vehicle and emits events,
+ * when the vehicle enters or leaves a geofence.
+ *
+ * To suppress false alerts caused by GPS jitter, positions with a bad HDOP are
+ * ignored and the vehicle has to be at least the hysteresis distance inside or
+ * outside the geofence for the given number of successive positions.
+ *
+ * The watcher uses a vehicle monitor. Either pass one, which is shared with
+ * other users, or the watcher creates its own with the given poll options.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ * @augments EventEmitter
+ *
+ * @param {Object}                          options                 - Options.
+ * @param {Object[]}                        options.geofences       - Geofences, see niuCloudConnector.CircleGeofence and niuCloudConnector.PolygonGeofence.
+ * @param {niuCloudConnector.VehicleMonitor} [options.monitor]      - Vehicle monitor, which provides the motor data.
+ * @param {niuCloudConnector.Client}        [options.client]        - Client, used for an own vehicle monitor.
+ * @param {string}                          [options.sn]            - Vehicle serial number, used for an own vehicle monitor.
+ * @param {number}                          [options.interval]      - Poll interval in ms, used for an own vehicle monitor.
+ * @param {number}                          [options.hysteresis]    - Distance in m, the vehicle has to be inside or outside of the boundary (default: 25). It is limited to a quarter of the minimum width of a geofence, e.g. the half radius of a circle.
+ * @param {number}                          [options.maxHdop]       - Positions with a higher HDOP are ignored (default: 5).
+ * @param {number}                          [options.confirmations] - Number of successive positions, which must confirm a change (default: 1).
+ *
+ * @fires niuCloudConnector.GeofenceWatcher#enter
+ * @fires niuCloudConnector.GeofenceWatcher#leave
+ * @fires niuCloudConnector.GeofenceWatcher#error
+ */
+var GeofenceWatcher = function(options) {
+    var funcName    = "GeofenceWatcher()";
+    var _this       = this;
+
+    EventEmitter.call(this);
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        throw new errors.ValidationError("Options is missing.", {
+            funcName: funcName
+        });
+    }
+
+    if (false === Array.isArray(options.geofences)) {
+        throw new errors.ValidationError("Geofences are missing.", {
+            funcName: funcName
+        });
+    }
+
+    /** Is the vehicle monitor owned by the watcher? */
+    this._isMonitorOwner = false;
+
+    if (options.monitor instanceof VehicleMonitor) {
+        this._monitor = options.monitor;
+    } else {
+        this._monitor = new VehicleMonitor({
+            client: options.client,
+            sn: options.sn,
+            interval: options.interval
+        });
+
+        this._isMonitorOwner = true;
+    }
+
+    /** Hysteresis in m */
+    this._hysteresis = ("number" === typeof options.hysteresis) ? options.hysteresis : 25;
+
+    /** Max. HDOP */
+    this._maxHdop = ("number" === typeof options.maxHdop) ? options.maxHdop : 5;
+
+    /** Number of successive positions, which must confirm a change */
+    this._confirmations = ("number" === typeof options.confirmations) ? Math.max(1, options.confirmations) : 1;
+
+    /** Geofences with their state */
+    this._geofences = [];
+
+    options.geofences.forEach(function(geofence) {
+        _this.addGeofence(geofence);
+    });
+
+    /** Handles the motor data of the vehicle monitor. */
+    this._onData = function(event) {
+        _this.update(event.sn, event.data);
+    };
+
+    /** Forwards errors of the vehicle monitor. */
+    this._onError = function(error) {
+
+        if (0 < _this.listenerCount("error")) {
+            _this.emit("error", error);
+        }
+    };
+};
+
+util.inherits(GeofenceWatcher, EventEmitter);
+
+/**
+ * Enter event, emitted if the vehicle entered a geofence.
+ *
+ * @event niuCloudConnector.GeofenceWatcher#enter
+ * @type {GeofenceEvent}
+ */
+
+/**
+ * Leave event, emitted if the vehicle left a geofence.
+ *
+ * @event niuCloudConnector.GeofenceWatcher#leave
+ * @type {GeofenceEvent}
+ */
+
+/**
+ * Error event, emitted if a poll failed. It is only emitted, if there is a listener.
+ *
+ * @event niuCloudConnector.GeofenceWatcher#error
+ * @type {niuCloudConnector.NiuError}
+ */
+
+/**
+ * Add a geofence. If the geofence provides its minimum width, like the circle
+ * and polygon geofences, the hysteresis is limited to a quarter of it.
+ * Otherwise a narrow geofence could never be entered.
+ *
+ * @param {Object} geofence - Geofence, see niuCloudConnector.CircleGeofence and niuCloudConnector.PolygonGeofence.
+ */
+GeofenceWatcher.prototype.addGeofence = function(geofence) {
+    var hysteresis = this._hysteresis;
+
+    if (("object" !== typeof geofence) ||
+        (null === geofence) ||
+        ("function" !== typeof geofence.getBoundaryDistance)) {
+        throw new errors.ValidationError("Invalid geofence.", {
+            funcName: "addGeofence()"
+        });
+    }
+
+    this.removeGeofence(geofence.id);
+
+    /* A geofence narrower than the hysteresis band would never be entered. */
+    if ("function" === typeof geofence.getMinWidth) {
+        hysteresis = Math.min(hysteresis, geofence.getMinWidth() / 4);
+    }
+
+    this._geofences.push({
+        geofence: geofence,
+        hysteresis: hysteresis,
+        state: null,
+        candidate: null,
+        count: 0
+    });
+};
+
+/**
+ * Remove a geofence.
+ *
+ * @param {string} id - Geofence identifier.
+ */
+GeofenceWatcher.prototype.removeGeofence = function(id) {
+
+    this._geofences = this._geofences.filter(function(entry) {
+        return entry.geofence.id !== id;
+    });
+};
+
+/**
+ * Get the current state of all geofences.
+ *
+ * @returns {Object} Geofence identifier as key and "inside", "outside" or null (not known yet) as value.
+ */
+GeofenceWatcher.prototype.getStates = function() {
+    var states = {};
+
+    this._geofences.forEach(function(entry) {
+        states[entry.geofence.id] = entry.state;
+    });
+
+    return states;
+};
+
+/**
+ * Start watching. If the watcher owns the vehicle monitor, it will be started too.
+ *
+ * @returns {niuCloudConnector.GeofenceWatcher} Geofence watcher.
+ */
+GeofenceWatcher.prototype.start = function() {
+
+    this._monitor.removeListener("data", this._onData);
+    this._monitor.removeListener("error", this._onError);
+    this._monitor.on("data", this._onData);
+    this._monitor.on("error", this._onError);
+
+    if (true === this._isMonitorOwner) {
+        this._monitor.start();
+    }
+
+    return this;
+};
+
+/**
+ * Stop watching. If the watcher owns the vehicle monitor, it will be stopped too.
+ *
+ * @returns {niuCloudConnector.GeofenceWatcher} Geofence watcher.
+ */
+GeofenceWatcher.prototype.stop = function() {
+
+    this._monitor.removeListener("data", this._onData);
+    this._monitor.removeListener("error", this._onError);
+
+    if (true === this._isMonitorOwner) {
+        this._monitor.stop();
+    }
+
+    return this;
+};
+
+/**
+ * Evaluate a new position of the vehicle. Usually called with every motor data
+ * of the vehicle monitor, but it can be used without polling too.
+ *
+ * @param {string} sn   - Vehicle serial number.
+ * @param {Object} data - Motor data, see MotorData.
+ */
+GeofenceWatcher.prototype.update = function(sn, data) {
+    var _this       = this;
+    var position    = null;
+
+    if (("object" !== typeof data) ||
+        (null === data) ||
+        ("object" !== typeof data.postion) ||
+        (null === data.postion) ||
+        ("number" !== typeof data.postion.lat) ||
+        ("number" !== typeof data.postion.lng)) {
+        return;
+    }
+
+    /* No GPS fix */
+    if ((0 === data.postion.lat) &&
+        (0 === data.postion.lng)) {
+        return;
+    }
+
+    /* Position too imprecise */
+    if (("number" === typeof data.hdop) &&
+        (this._maxHdop < data.hdop)) {
+        return;
+    }
+
+    position = {
+        lat: data.postion.lat,
+        lng: data.postion.lng,
+        hdop: data.hdop,
+        time: data.gpsTimestamp
+    };
+
+    this._geofences.forEach(function(entry) {
+        var distance    = entry.geofence.getBoundaryDistance(position);
+        var state       = null;
+
+        if (-entry.hysteresis >= distance) {
+            state = "inside";
+        } else if (entry.hysteresis <= distance) {
+            state = "outside";
+        } else {
+            /* Within the hysteresis band, nothing can be decided. */
+            entry.candidate = null;
+            entry.count     = 0;
+            return;
+        }
+
+        if (state === entry.state) {
+            entry.candidate = null;
+            entry.count     = 0;
+            return;
+        }
+
+        if (state !== entry.candidate) {
+            entry.candidate = state;
+            entry.count     = 0;
+        }
+
+        ++entry.count;
+
+        if (_this._confirmations > entry.count) {
+            return;
+        }
+
+        entry.candidate = null;
+        entry.count     = 0;
+
+        /* The initial state is only taken over, without an event. */
+        if (null === entry.state) {
+            entry.state = state;
+            return;
+        }
+
+        entry.state = state;
+
+        _this.emit(("inside" === state) ? "enter" : "leave", {
+            sn: sn,
+            geofence: entry.geofence,
+            position: position,
+            distance: distance
+        });
+    });
+};
+
+module.exports = {
+    getDistance: getDistance,
+    CircleGeofence: CircleGeofence,
+    PolygonGeofence: PolygonGeofence,
+    GeofenceWatcher: GeofenceWatcher
+};
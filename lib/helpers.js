@@ -0,0 +1,247 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Value of lockStatus in the motor data, if the vehicle is locked.
+ *
+ * @private
+ */
+var LOCK_STATUS_LOCKED = 0;
+
+/**
+ * Convert a number or numeric string of the NIU cloud to a number.
+ *
+ * @private
+ *
+ * @param {*} value - Value.
+ *
+ * @returns {number} Number or null, if it is not available.
+ */
+var toNumber = function(value) {
+    var number = NaN;
+
+    if ("number" === typeof value) {
+        number = value;
+    } else if (("string" === typeof value) &&
+               (0 < value.trim().length)) {
+        number = Number(value);
+    }
+
+    return (true === isFinite(number)) ? number : null;
+};
+
+/**
+ * Convert a flag of the NIU cloud, which may be a boolean, number or string.
+ *
+ * @private
+ *
+ * @param {*} value - Flag.
+ *
+ * @returns {boolean} Flag or null, if it is not available.
+ */
+var toFlag = function(value) {
+    var number = null;
+
+    if ("boolean" === typeof value) {
+        return value;
+    }
+
+    if ("true" === value) {
+        return true;
+    }
+
+    if ("false" === value) {
+        return false;
+    }
+
+    number = toNumber(value);
+
+    return (null === number) ? null : (0 !== number);
+};
+
+/**
+ * Get the average state of charge of all batteries.
+ *
+ * @private
+ *
+ * @param {Object} data - Response data with batteries, e.g. battery info or motor data.
+ *
+ * @returns {number} State of charge in percent or null, if it is not available.
+ */
+var getSoc = function(data) {
+    var values = [];
+
+    if (("object" !== typeof data) ||
+        (null === data) ||
+        ("object" !== typeof data.batteries) ||
+        (null === data.batteries)) {
+        return null;
+    }
+
+    ["compartmentA", "compartmentB"].forEach(function(compartment) {
+        var battery = data.batteries[compartment];
+        var soc     = null;
+
+        if (("object" === typeof battery) &&
+            (null !== battery)) {
+            soc = toNumber(battery.batteryCharging);
+        }
+
+        if (null !== soc) {
+            values.push(soc);
+        }
+    });
+
+    if (0 === values.length) {
+        return null;
+    }
+
+    return values.reduce(function(sum, value) {
+        return sum + value;
+    }, 0) / values.length;
+};
+
+/**
+ * Get a concurrency limit. Only finite numbers of at least 1 are accepted,
+ * otherwise e.g. NaN would never start a call.
+ *
+ * @private
+ *
+ * @param {*}       value           - Concurrency limit, given by the user.
+ * @param {number}  defaultValue    - Concurrency limit, if the value is invalid.
+ *
+ * @returns {number} Concurrency limit.
+ */
+var toLimit = function(value, defaultValue) {
+
+    if (("number" !== typeof value) ||
+        (false === isFinite(value)) ||
+        (1 > value)) {
+        return defaultValue;
+    }
+
+    return Math.floor(value);
+};
+
+/**
+ * Map all items with an asynchronous function, but run at most the given
+ * number of calls at the same time. The first rejection rejects the whole
+ * result, further calls won't be started. An invalid limit runs one call at a time.
+ *
+ * @private
+ *
+ * @param {Array}       items   - Items.
+ * @param {number}      limit   - Max. number of concurrent calls.
+ * @param {Function}    fn      - Function, called with item and index, which returns a promise.
+ *
+ * @returns {Promise} Results in the order of the items.
+ */
+var mapLimit = function(items, limit, fn) {
+
+    return new Promise(function(resolve, reject) {
+        var results     = new Array(items.length);
+        var nextIndex   = 0;
+        var running     = 0;
+        var isFailed    = false;
+
+        var startNext = function() {
+            var index = 0;
+
+            if (true === isFailed) {
+                return;
+            }
+
+            if ((nextIndex >= items.length) &&
+                (0 === running)) {
+                resolve(results);
+                return;
+            }
+
+            while ((nextIndex < items.length) &&
+                   (running < limit)) {
+                index = nextIndex;
+                ++nextIndex;
+                ++running;
+
+                run(index);
+            }
+        };
+
+        var run = function(index) {
+
+            Promise.resolve().then(function() {
+                return fn(items[index], index);
+            }).then(function(result) {
+                results[index] = result;
+                --running;
+                startNext();
+            }).catch(function(error) {
+
+                if (false === isFailed) {
+                    isFailed = true;
+                    reject(error);
+                }
+            });
+        };
+
+        limit = toLimit(limit, 1);
+
+        startNext();
+    });
+};
+
+/**
+ * Convert a date to a unix timestamp.
+ *
+ * @private
+ *
+ * @param {Date | number | string} value - Date, unix timestamp epoch format (13 digits) or date string.
+ *
+ * @returns {number} Unix timestamp epoch format (13 digits) or NaN, if the date is invalid.
+ */
+var toTimestamp = function(value) {
+
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+
+    if ("number" === typeof value) {
+        return value;
+    }
+
+    if ("string" === typeof value) {
+        return (/^\d+$/.test(value)) ? parseInt(value, 10) : Date.parse(value);
+    }
+
+    return NaN;
+};
+
+module.exports = {
+    LOCK_STATUS_LOCKED: LOCK_STATUS_LOCKED,
+    toNumber: toNumber,
+    toFlag: toFlag,
+    getSoc: getSoc,
+    toLimit: toLimit,
+    mapLimit: mapLimit,
+    toTimestamp: toTimestamp
+};
@@ -0,0 +1,587 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** Helper functions */
+var helpers = require("./helpers");
+
+/** Track export */
+var trackExport = require("./trackExport");
+
+/**
+ * The normalized data model provides the responses of the NIU cloud with
+ * consistent types, fixed field names and SI units:
+ * - Numbers are numbers, even if the NIU cloud sends strings.
+ * - Flags are booleans.
+ * - Timestamps are Date objects.
+ * - Distances are in m, speeds in m/s and durations in s.
+ * - Values, which are not available, are null.
+ *
+ * Every model provides the raw data in the raw property, for anything which is not modeled yet.
+ *
+ * @namespace model
+ * @memberof niuCloudConnector
+ */
+
+/**
+ * @typedef {Object} Position
+ * @property {number}   lat - Latitude in decimal degree (WGS 84)
+ * @property {number}   lng - Longitude in decimal degree (WGS 84)
+ */
+
+/**
+ * @typedef {Object} Vehicle
+ * @property {string}   sn              - Vehicle serial number
+ * @property {string}   name            - Vehicle name, given by the user
+ * @property {string}   type            - Vehicle model
+ * @property {string}   vin             - Vehicle identification number
+ * @property {string}   engineNo        - Engine identification number
+ * @property {boolean}  isDoubleBattery - Vehicle has two batteries
+ * @property {boolean}  isMaster        - Is the account the owner of the vehicle
+ * @property {Date}     bindDate        - Date, the vehicle was bound to the account
+ * @property {Date}     gpsTime         - Time of the last GPS fix
+ * @property {Date}     infoTime        - Time of the last info
+ * @property {Object[]} features        - Features
+ * @property {string}   features.name           - Feature name
+ * @property {boolean}  features.isSupported    - Is the feature supported
+ * @property {Object}   raw             - Raw data
+ */
+
+/**
+ * @typedef {Object} BatteryHealthRecord
+ * @property {Date}     time            - Time of the record
+ * @property {number}   chargeCycles    - Charging cycles
+ * @property {number}   lostGrade       - Lost battery grade points
+ * @property {string}   name            - Name
+ */
+
+/**
+ * @typedef {Object} BatteryPack
+ * @property {string}                   compartment     - Battery compartment, "A" or "B"
+ * @property {string}                   bmsId           - Battery management system identification number
+ * @property {boolean}                  isConnected     - Battery is connected
+ * @property {number}                   soc             - State of charge in percent
+ * @property {number}                   chargeCycles    - Charging cycles
+ * @property {number}                   temperature     - Temperature in degree celsius
+ * @property {number}                   grade           - Battery grade points
+ * @property {Object[]}                 faults          - Faults
+ * @property {BatteryHealthRecord[]}    healthRecords   - Health records, latest first
+ * @property {Object}                   raw             - Raw data
+ */
+
+/**
+ * @typedef {Object} Batteries
+ * @property {boolean}          isCharging      - Is charging
+ * @property {number}           estimatedRange  - Estimated range in m
+ * @property {BatteryPack[]}    batteries       - Battery packs
+ * @property {Object}           raw             - Raw data
+ */
+
+/**
+ * @typedef {Object} VehicleStatus
+ * @property {boolean}          isCharging          - Is charging
+ * @property {boolean}          isLocked            - Is locked
+ * @property {boolean}          isAccOn             - Is ACC (ignition) on
+ * @property {boolean}          isConnected         - Is connected to the NIU cloud
+ * @property {boolean}          isFortificationOn   - Is the alarm on
+ * @property {Position}         position            - Current position
+ * @property {number}           hdop                - Horizontal dilution of precision
+ * @property {number}           speed               - Current speed in m/s
+ * @property {number}           estimatedRange      - Estimated range in m
+ * @property {BatteryPack[]}    batteries           - Battery packs
+ * @property {Date}             time                - Time of the data
+ * @property {Date}             gpsTime             - Time of the last GPS fix
+ * @property {Date}             infoTime            - Time of the last info
+ * @property {number}           gpsSignal           - GPS signal strength
+ * @property {number}           gsmSignal           - GSM signal strength
+ * @property {Object}           lastTrack           - Last track
+ * @property {number}           lastTrack.ridingTime    - Riding time in s
+ * @property {number}           lastTrack.distance      - Distance in m
+ * @property {Date}             lastTrack.time          - Time of the track
+ * @property {Object}           raw                 - Raw data
+ */
+
+/**
+ * @typedef {Object} TrackPoint
+ * @property {number}   lat         - Latitude in decimal degree (WGS 84)
+ * @property {number}   lng         - Longitude in decimal degree (WGS 84)
+ * @property {Date}     time        - Time
+ * @property {number}   speed       - Speed in m/s
+ * @property {number}   soc         - State of charge in percent
+ * @property {number}   mileage     - Mileage in m
+ */
+
+/**
+ * @typedef {Object} Track
+ * @property {string}       id              - Identification number
+ * @property {string}       trackId         - Track identification number
+ * @property {string}       trackDate       - Track date in yyyymmdd format, as needed by getTrackDetail()
+ * @property {Date}         startTime       - Start time
+ * @property {Date}         endTime         - End time
+ * @property {number}       distance        - Distance in m
+ * @property {number}       averageSpeed    - Average speed in m/s
+ * @property {number}       ridingTime      - Riding time in s
+ * @property {TrackPoint}   startPoint      - Start point
+ * @property {TrackPoint}   endPoint        - End point
+ * @property {TrackPoint[]} points          - Track points in chronological order, empty without track detail
+ * @property {Object}       raw             - Raw data
+ * @property {Object}       raw.summary     - Raw track summary
+ * @property {Object}       raw.detail      - Raw track detail
+ */
+
+/**
+ * @typedef {Object} FirmwareInfo
+ * @property {string}   version             - Current firmware version
+ * @property {string}   latestVersion       - Latest available firmware version
+ * @property {string}   hardwareVersion     - Hardware version
+ * @property {boolean}  isUpdateSupported   - Is the over the air update supported
+ * @property {boolean}  isUpdateAvailable   - Is an update available
+ * @property {number}   size                - Size of the update in byte
+ * @property {Date}     releaseDate         - Release date of the update
+ * @property {string}   description         - Description of the update
+ * @property {Object}   raw                 - Raw data
+ */
+
+/**
+ * Get a property, if the object is available.
+ *
+ * @private
+ *
+ * @param {Object} object   - Object.
+ * @param {string} name     - Property name.
+ *
+ * @returns {*} Value or undefined.
+ */
+var get = function(object, name) {
+
+    if (("object" !== typeof object) ||
+        (null === object)) {
+        return undefined;
+    }
+
+    return object[name];
+};
+
+/**
+ * Convert a number with a scale factor.
+ *
+ * @private
+ *
+ * @param {*}       value   - Value.
+ * @param {number}  factor  - Scale factor.
+ *
+ * @returns {number} Scaled number or null.
+ */
+var toScaled = function(value, factor) {
+    var number = helpers.toNumber(value);
+
+    return (null === number) ? null : number * factor;
+};
+
+/**
+ * Convert a unix timestamp epoch format (13 digits) to a date.
+ *
+ * @private
+ *
+ * @param {*} value - Timestamp.
+ *
+ * @returns {Date} Date or null.
+ */
+var toDate = function(value) {
+    var timestamp = helpers.toNumber(value);
+
+    if ((null === timestamp) ||
+        (0 >= timestamp)) {
+        return null;
+    }
+
+    return new Date(timestamp);
+};
+
+/**
+ * Convert a value to a string.
+ *
+ * @private
+ *
+ * @param {*} value - Value.
+ *
+ * @returns {string} String or null.
+ */
+var toText = function(value) {
+
+    if (("string" === typeof value) ||
+        ("number" === typeof value)) {
+        return String(value);
+    }
+
+    return null;
+};
+
+/**
+ * Convert a position.
+ *
+ * @private
+ *
+ * @param {Object} raw - Raw position with lat and lng.
+ *
+ * @returns {Position} Position or null.
+ */
+var toPosition = function(raw) {
+    var lat = helpers.toNumber(get(raw, "lat"));
+    var lng = helpers.toNumber(get(raw, "lng"));
+
+    if ((null === lat) ||
+        (null === lng)) {
+        return null;
+    }
+
+    return {
+        lat: lat,
+        lng: lng
+    };
+};
+
+/**
+ * Get the data of the first element, if the NIU cloud responds with a list.
+ *
+ * @private
+ *
+ * @param {Object | Object[]} raw - Raw data.
+ *
+ * @returns {Object} Data or an empty object.
+ */
+var toObject = function(raw) {
+
+    if (true === Array.isArray(raw)) {
+        raw = raw[0];
+    }
+
+    return (("object" === typeof raw) && (null !== raw)) ? raw : {};
+};
+
+/**
+ * Normalize a vehicle of getVehicles().
+ *
+ * @memberof niuCloudConnector.model
+ *
+ * @param {Object} raw - Raw vehicle, one element of the response data.
+ *
+ * @returns {Vehicle} Vehicle.
+ */
+var toVehicle = function(raw) {
+    var data        = toObject(raw);
+    var features    = (true === Array.isArray(data.features)) ? data.features : [];
+
+    return {
+        sn: toText(data.sn),
+        name: toText(data.name),
+        type: toText(data.type),
+        vin: toText(data.frameNo),
+        engineNo: toText(data.engineNo),
+        isDoubleBattery: helpers.toFlag(data.isDoubleBattery),
+        isMaster: helpers.toFlag(data.isMaster),
+        bindDate: toDate(data.bindDate),
+        gpsTime: toDate(data.gpsTimestamp),
+        infoTime: toDate(data.infoTimestamp),
+        features: features.map(function(feature) {
+            return {
+                name: toText(get(feature, "featureName")),
+                isSupported: helpers.toFlag(get(feature, "isSupport"))
+            };
+        }),
+        raw: raw
+    };
+};
+
+/**
+ * Normalize the vehicles of getVehicles().
+ *
+ * @memberof niuCloudConnector.model
+ *
+ * @param {Object[]} raw - Raw vehicles, the response data.
+ *
+ * @returns {Vehicle[]} Vehicles.
+ */
+var toVehicles = function(raw) {
+    return (true === Array.isArray(raw)) ? raw.map(toVehicle) : [];
+};
+
+/**
+ * Normalize a battery pack.
+ *
+ * @memberof niuCloudConnector.model
+ *
+ * @param {string} compartment  - Battery compartment, "A" or "B".
+ * @param {Object} raw          - Raw battery compartment data.
+ *
+ * @returns {BatteryPack} Battery pack.
+ */
+var toBatteryPack = function(compartment, raw) {
+    var data    = toObject(raw);
+    var records = (true === Array.isArray(data.healthRecords)) ? data.healthRecords : [];
+
+    return {
+        compartment: compartment,
+        bmsId: toText(data.bmsId),
+        isConnected: helpers.toFlag(data.isConnected),
+        soc: helpers.toNumber(data.batteryCharging),
+        chargeCycles: helpers.toNumber(data.chargedTimes),
+        temperature: helpers.toNumber(data.temperature),
+        grade: helpers.toNumber(data.gradeBattery),
+        faults: (true === Array.isArray(data.faults)) ? data.faults : [],
+        healthRecords: records.map(function(record) {
+            return {
+                time: toDate(get(record, "time")),
+                chargeCycles: helpers.toNumber(get(record, "chargeCount")),
+                lostGrade: helpers.toNumber(get(record, "result")),
+                name: toText(get(record, "name"))
+            };
+        }),
+        raw: raw
+    };
+};
+
+/**
+ * Normalize all battery packs of a response.
+ *
+ * @private
+ *
+ * @param {Object} batteries - Raw batteries with the compartments.
+ *
+ * @returns {BatteryPack[]} Battery packs.
+ */
+var toBatteryPacks = function(batteries) {
+    var packs = [];
+
+    ["A", "B"].forEach(function(compartment) {
+        var raw = get(batteries, "compartment" + compartment);
+
+        if (("object" === typeof raw) &&
+            (null !== raw)) {
+            packs.push(toBatteryPack(compartment, raw));
+        }
+    });
+
+    return packs;
+};
+
+/**
+ * Normalize the batteries of getBatteryInfo() or getBatteryHealth().
+ *
+ * @memberof niuCloudConnector.model
+ *
+ * @param {Object} raw - Raw response data.
+ *
+ * @returns {Batteries} Batteries.
+ */
+var toBatteries = function(raw) {
+    var data = toObject(raw);
+
+    return {
+        isCharging: helpers.toFlag(data.isCharging),
+        estimatedRange: toScaled(data.estimatedMileage, 1000),
+        batteries: toBatteryPacks(data.batteries),
+        raw: raw
+    };
+};
+
+/**
+ * Normalize the motor data of getMotorInfo().
+ *
+ * @memberof niuCloudConnector.model
+ *
+ * @param {Object} raw - Raw response data.
+ *
+ * @returns {VehicleStatus} Vehicle status.
+ */
+var toVehicleStatus = function(raw) {
+    var data        = toObject(raw);
+    var lockStatus  = helpers.toNumber(data.lockStatus);
+    var lastTrack   = null;
+
+    if (("object" === typeof data.lastTrack) &&
+        (null !== data.lastTrack)) {
+        lastTrack = {
+            ridingTime: helpers.toNumber(data.lastTrack.ridingTime),
+            distance: helpers.toNumber(data.lastTrack.distance),
+            time: toDate(data.lastTrack.time)
+        };
+    }
+
+    return {
+        isCharging: helpers.toFlag(data.isCharging),
+        isLocked: (null === lockStatus) ? null : (helpers.LOCK_STATUS_LOCKED === lockStatus),
+        isAccOn: helpers.toFlag(data.isAccOn),
+        isConnected: helpers.toFlag(data.isConnected),
+        isFortificationOn: helpers.toFlag(data.isFortificationOn),
+        position: toPosition(data.postion),
+        hdop: helpers.toNumber(data.hdop),
+        speed: toScaled(data.nowSpeed, 1 / 3.6),
+        estimatedRange: toScaled(data.estimatedMileage, 1000),
+        batteries: toBatteryPacks(data.batteries),
+        time: toDate(data.time),
+        gpsTime: toDate(data.gpsTimestamp),
+        infoTime: toDate(data.infoTimestamp),
+        gpsSignal: helpers.toNumber(data.gps),
+        gsmSignal: helpers.toNumber(data.gsm),
+        lastTrack: lastTrack,
+        raw: raw
+    };
+};
+
+/**
+ * Normalize a track point.
+ *
+ * @memberof niuCloudConnector.model
+ *
+ * @param {Object} raw - Raw track point, e.g. a track item or the start point of a track.
+ *
+ * @returns {TrackPoint} Track point or null, if the coordinates are invalid.
+ */
+var toTrackPoint = function(raw) {
+    var position = toPosition(raw);
+
+    if (null === position) {
+        return null;
+    }
+
+    return {
+        lat: position.lat,
+        lng: position.lng,
+        time: toDate(get(raw, "date")),
+        speed: toScaled(get(raw, "speed"), 1 / 3.6),
+        soc: helpers.toNumber(get(raw, "battery")),
+        mileage: helpers.toNumber(get(raw, "mileage"))
+    };
+};
+
+/**
+ * Normalize a track. Either the track summary of getTracks() or the track
+ * detail of getTrackDetail() or both can be given.
+ *
+ * @memberof niuCloudConnector.model
+ *
+ * @param {Object} [summary]    - Raw track summary, one element of the response data of getTracks().
+ * @param {Object} [detail]     - Raw track detail, the response data of getTrackDetail().
+ *
+ * @returns {Track} Track.
+ */
+var toTrack = function(summary, detail) {
+    var data    = toObject(summary);
+    var items   = toObject(detail);
+    var points  = [];
+
+    if (true === Array.isArray(items.trackItems)) {
+        points = trackExport.getTrackPoints({
+            detail: items
+        }).map(toTrackPoint);
+    }
+
+    return {
+        id: toText(data.id),
+        trackId: toText(data.trackId),
+        trackDate: toText(data.date),
+        startTime: toDate((undefined !== data.startTime) ? data.startTime : items.startTime),
+        endTime: toDate((undefined !== data.endTime) ? data.endTime : items.lastDate),
+        distance: helpers.toNumber(data.distance),
+        averageSpeed: toScaled(data.avespeed, 1 / 3.6),
+        ridingTime: toScaled(data.ridingtime, 60),
+        startPoint: toTrackPoint((undefined !== data.startPoint) ? data.startPoint : items.startPoint),
+        endPoint: toTrackPoint((undefined !== data.lastPoint) ? data.lastPoint : items.lastPoint),
+        points: points,
+        raw: {
+            summary: summary,
+            detail: detail
+        }
+    };
+};
+
+/**
+ * Normalize the tracks of getTracks().
+ *
+ * @memberof niuCloudConnector.model
+ *
+ * @param {Object[]} raw - Raw tracks, the response data.
+ *
+ * @returns {Track[]} Tracks.
+ */
+var toTracks = function(raw) {
+
+    if (false === Array.isArray(raw)) {
+        return [];
+    }
+
+    return raw.map(function(summary) {
+        return toTrack(summary);
+    });
+};
+
+/**
+ * Normalize the track detail of getTrackDetail().
+ *
+ * @memberof niuCloudConnector.model
+ *
+ * @param {Object} raw - Raw response data.
+ *
+ * @returns {Track} Track, without summary.
+ */
+var toTrackDetail = function(raw) {
+    return toTrack(undefined, raw);
+};
+
+/**
+ * Normalize the firmware version of getFirmwareVersion().
+ *
+ * @memberof niuCloudConnector.model
+ *
+ * @param {Object} raw - Raw response data.
+ *
+ * @returns {FirmwareInfo} Firmware information.
+ */
+var toFirmwareInfo = function(raw) {
+    var data = toObject(raw);
+
+    return {
+        version: toText(data.nowVersion),
+        latestVersion: toText(data.version),
+        hardwareVersion: toText(data.hardVersion),
+        isUpdateSupported: helpers.toFlag(data.isSupportUpdate),
+        isUpdateAvailable: helpers.toFlag(data.needUpdate),
+        size: helpers.toNumber(data.byteSize),
+        releaseDate: toDate(data.date),
+        description: toText(data.otaDescribe),
+        raw: raw
+    };
+};
+
+module.exports = {
+    toVehicle: toVehicle,
+    toVehicles: toVehicles,
+    toBatteryPack: toBatteryPack,
+    toBatteries: toBatteries,
+    toVehicleStatus: toVehicleStatus,
+    toTrackPoint: toTrackPoint,
+    toTrack: toTrack,
+    toTracks: toTracks,
+    toTrackDetail: toTrackDetail,
+    toFirmwareInfo: toFirmwareInfo
+};
@@ -0,0 +1,703 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** Event emitter */
+var EventEmitter = require("events").EventEmitter;
+
+/** Utilities */
+var util = require("util");
+
+/** Error classes */
+var errors = require("./errors");
+
+/** Fleet aggregation */
+var fleet = require("./fleet");
+
+/** Helper functions */
+var helpers = require("./helpers");
+
+/**
+ * Battery compartments with their topic names.
+ */
+var COMPARTMENTS = [
+    { name: "compartmentA", topic: "a" },
+    { name: "compartmentB", topic: "b" }
+];
+
+/**
+ * Default topics. The placeholders {prefix}, {sn} and {compartment} are
+ * replaced by the topic prefix, the vehicle serial number and the battery
+ * compartment ("a" or "b").
+ *
+ * @memberof niuCloudConnector
+ */
+var DefaultMqttTopics = {
+    availability: "{prefix}/{sn}/availability",
+    soc: "{prefix}/{sn}/battery/{compartment}/soc",
+    temperature: "{prefix}/{sn}/battery/{compartment}/temperature",
+    charging: "{prefix}/{sn}/charging",
+    locked: "{prefix}/{sn}/locked",
+    position: "{prefix}/{sn}/position",
+    estimatedMileage: "{prefix}/{sn}/estimated_mileage",
+    totalMileage: "{prefix}/{sn}/total_mileage"
+};
+
+/**
+ * Home Assistant entities of the published values.
+ *
+ * @private
+ */
+var discoveryEntities = {
+    soc: {
+        component: "sensor",
+        name: "Battery {COMPARTMENT} state of charge",
+        config: {
+            device_class: "battery",
+            unit_of_measurement: "%",
+            state_class: "measurement"
+        }
+    },
+    temperature: {
+        component: "sensor",
+        name: "Battery {COMPARTMENT} temperature",
+        config: {
+            device_class: "temperature",
+            unit_of_measurement: "°C",
+            state_class: "measurement"
+        }
+    },
+    charging: {
+        component: "binary_sensor",
+        name: "Charging",
+        config: {
+            device_class: "battery_charging"
+        }
+    },
+    locked: {
+        component: "binary_sensor",
+        name: "Locked",
+        config: {}
+    },
+    position: {
+        component: "device_tracker",
+        name: "Position",
+        config: {
+            source_type: "gps"
+        }
+    },
+    estimatedMileage: {
+        component: "sensor",
+        name: "Estimated range",
+        config: {
+            device_class: "distance",
+            unit_of_measurement: "km",
+            state_class: "measurement"
+        }
+    },
+    totalMileage: {
+        component: "sensor",
+        name: "Total mileage",
+        config: {
+            device_class: "distance",
+            unit_of_measurement: "km",
+            state_class: "total_increasing"
+        }
+    }
+};
+
+/**
+ * @typedef {Object} MqttMessage
+ * @property {string}   sn          - Vehicle serial number
+ * @property {string}   name        - Name of the value, e.g. "soc", see niuCloudConnector.DefaultMqttTopics
+ * @property {string}   topic       - Topic
+ * @property {string}   payload     - Payload
+ */
+
+/**
+ * Convert a flag of the NIU cloud to the payload of a binary value.
+ *
+ * @private
+ *
+ * @param {*} value - Flag.
+ *
+ * @returns {string} "ON", "OFF" or null, if the flag is unknown.
+ */
+var toSwitch = function(value) {
+    var flag = helpers.toFlag(value);
+
+    if (null === flag) {
+        return null;
+    }
+
+    return (true === flag) ? "ON" : "OFF";
+};
+
+/**
+ * Convert a number of the NIU cloud to a payload.
+ *
+ * @private
+ *
+ * @param {number | string} value - Number.
+ *
+ * @returns {string} Payload or null, if the value is no number.
+ */
+var toNumberPayload = function(value) {
+    var number = helpers.toNumber(value);
+
+    return (null === number) ? null : String(number);
+};
+
+/**
+ * Bridge, which polls the vehicles and publishes their values to a MQTT broker,
+ * e.g. for Home Assistant or Node-RED. All messages are published with retain
+ * flag by default and only if the value changed since the last publication.
+ *
+ * Binary values (charging, locked) are published as "ON" or "OFF", the
+ * availability as "online" or "offline", depending on the connection of the
+ * vehicle to the NIU cloud, and the position as JSON with latitude and longitude.
+ *
+ * The MQTT client is either given or the bridge connects to the broker with the
+ * mqtt package, which has to be installed in this case.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ * @augments EventEmitter
+ *
+ * @param {Object}                      options                     - Options.
+ * @param {niuCloudConnector.Client}    options.client              - Client, used to access the NIU cloud.
+ * @param {Object}                      [options.mqtt]              - Connected MQTT client with the interface of the mqtt package.
+ * @param {string}                      [options.url]               - URL of the MQTT broker, e.g. "mqtt://localhost:1883", if no MQTT client is given.
+ * @param {Object}                      [options.mqttOptions]       - Options of the MQTT connection, see the mqtt package.
+ * @param {string[]}                    [options.sn]                - Serial numbers of the vehicles, which shall be published (default: all).
+ * @param {number}                      [options.interval]          - Poll interval in ms (default: 60000).
+ * @param {string}                      [options.topicPrefix]       - Prefix of all topics (default: "niu").
+ * @param {Object}                      [options.topics]            - Topics, which replace the default topics, see niuCloudConnector.DefaultMqttTopics.
+ * @param {boolean}                     [options.retain]            - Publish with retain flag (default: true).
+ * @param {number}                      [options.qos]               - Quality of service (default: 0).
+ * @param {boolean | Object}            [options.discovery]         - Publish Home Assistant MQTT discovery payloads (default: false).
+ * @param {string}                      [options.discovery.prefix]  - Home Assistant discovery prefix (default: "homeassistant").
+ * @param {number}                      [options.timeout]           - Timeout in ms per request, overrides the timeout of the client.
+ */
+var MqttBridge = function(options) {
+    var name = null;
+
+    EventEmitter.call(this);
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        throw new errors.ValidationError("Options is missing.", {
+            funcName: "MqttBridge()"
+        });
+    }
+
+    if (("object" !== typeof options.client) ||
+        (null === options.client)) {
+        throw new errors.ValidationError("Client is missing.", {
+            funcName: "MqttBridge()"
+        });
+    }
+
+    if ((("object" !== typeof options.mqtt) || (null === options.mqtt)) &&
+        ("string" !== typeof options.url)) {
+        throw new errors.ValidationError("MQTT client or broker URL is missing.", {
+            funcName: "MqttBridge()"
+        });
+    }
+
+    /** Client, used to access the NIU cloud. */
+    this._client = options.client;
+
+    /** MQTT client */
+    this._mqtt = (("object" === typeof options.mqtt) && (null !== options.mqtt)) ? options.mqtt : null;
+
+    /** Is the MQTT client created by the bridge? */
+    this._isOwnMqtt = false;
+
+    /** URL of the MQTT broker */
+    this._url = options.url;
+
+    /** Options of the MQTT connection */
+    this._mqttOptions = options.mqttOptions;
+
+    /** Serial numbers of the vehicles, which shall be published */
+    this._sn = (true === Array.isArray(options.sn)) ? options.sn : undefined;
+
+    /** Poll interval in ms */
+    this._interval = ("number" === typeof options.interval) ? options.interval : 60000;
+
+    /** Prefix of all topics */
+    this._topicPrefix = ("string" === typeof options.topicPrefix) ? options.topicPrefix : "niu";
+
+    /** Topics */
+    this._topics = {};
+
+    /** Publish with retain flag? */
+    this._retain = ("boolean" === typeof options.retain) ? options.retain : true;
+
+    /** Quality of service */
+    this._qos = ("number" === typeof options.qos) ? options.qos : 0;
+
+    /** Home Assistant discovery prefix or null, if disabled */
+    this._discoveryPrefix = null;
+
+    /** Timeout in ms per request */
+    this._timeout = options.timeout;
+
+    /** Last published payload per topic */
+    this._published = {};
+
+    /** Timer of the next poll */
+    this._timer = null;
+
+    /** Is the bridge running? */
+    this._isRunning = false;
+
+    /** Number of the current run, used to detect a restart while a poll is in progress. */
+    this._runId = 0;
+
+    for (name in DefaultMqttTopics) {
+        if (Object.prototype.hasOwnProperty.call(DefaultMqttTopics, name)) {
+            this._topics[name] = DefaultMqttTopics[name];
+        }
+    }
+
+    if (("object" === typeof options.topics) &&
+        (null !== options.topics)) {
+        for (name in options.topics) {
+            if (Object.prototype.hasOwnProperty.call(options.topics, name)) {
+
+                if (false === Object.prototype.hasOwnProperty.call(DefaultMqttTopics, name)) {
+                    throw new errors.ValidationError("Unknown topic: " + name, {
+                        funcName: "MqttBridge()"
+                    });
+                }
+
+                this._topics[name] = options.topics[name];
+            }
+        }
+    }
+
+    if (true === options.discovery) {
+        this._discoveryPrefix = "homeassistant";
+    } else if (("object" === typeof options.discovery) &&
+               (null !== options.discovery)) {
+        this._discoveryPrefix = ("string" === typeof options.discovery.prefix) ? options.discovery.prefix : "homeassistant";
+    }
+};
+
+util.inherits(MqttBridge, EventEmitter);
+
+/**
+ * Publish event, emitted after a message was published.
+ *
+ * @event niuCloudConnector.MqttBridge#publish
+ * @type {MqttMessage}
+ */
+
+/**
+ * Error event, emitted if a request to the NIU cloud or a publication fails.
+ * Without listener, errors are ignored and the bridge continues polling.
+ *
+ * @event niuCloudConnector.MqttBridge#error
+ * @type {Error}
+ */
+
+/**
+ * Start polling. The first poll happens immediately. If no MQTT client was
+ * given, the bridge connects to the broker.
+ *
+ * @returns {niuCloudConnector.MqttBridge} MQTT bridge.
+ */
+MqttBridge.prototype.start = function() {
+    var _this   = this;
+    var mqtt    = null;
+
+    if (true === this._isRunning) {
+        return this;
+    }
+
+    if (null === this._mqtt) {
+
+        try {
+            mqtt = require("mqtt");
+        } catch (error) {
+            throw new errors.ValidationError("The mqtt package is required to connect to a broker.", {
+                funcName: "start()",
+                cause: error
+            });
+        }
+
+        this._mqtt      = mqtt.connect(this._url, this._mqttOptions);
+        this._isOwnMqtt = true;
+
+        this._mqtt.on("error", function(error) {
+            _this._emitError(error);
+        });
+    }
+
+    this._isRunning = true;
+    ++this._runId;
+
+    this._schedule(0, this._runId);
+
+    return this;
+};
+
+/**
+ * Stop polling.
+ *
+ * @returns {niuCloudConnector.MqttBridge} MQTT bridge.
+ */
+MqttBridge.prototype.stop = function() {
+
+    this._isRunning = false;
+
+    if (null !== this._timer) {
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    return this;
+};
+
+/**
+ * Stop polling and close the connection to the broker, if the bridge connected.
+ * A given MQTT client stays connected.
+ *
+ * @returns {Promise} Nothing.
+ */
+MqttBridge.prototype.close = function() {
+    var mqtt = this._mqtt;
+
+    this.stop();
+
+    if (false === this._isOwnMqtt) {
+        return Promise.resolve();
+    }
+
+    this._mqtt      = null;
+    this._isOwnMqtt = false;
+
+    return new Promise(function(resolve) {
+        mqtt.end(false, {}, function() {
+            resolve();
+        });
+    });
+};
+
+/**
+ * Is the bridge running?
+ *
+ * @returns {boolean} If the bridge is running, it will return true otherwise false.
+ */
+MqttBridge.prototype.isRunning = function() {
+    return this._isRunning;
+};
+
+/**
+ * Schedule the next poll.
+ *
+ * @private
+ *
+ * @param {number} delay  - Delay in ms.
+ * @param {number} runId  - Number of the run, which schedules the poll.
+ */
+MqttBridge.prototype._schedule = function(delay, runId) {
+    var _this = this;
+
+    this._timer = setTimeout(function() {
+        _this._timer = null;
+
+        _this.poll().catch(function() {
+            /* Already handled by the error event. */
+        }).then(function() {
+
+            if ((true === _this._isRunning) &&
+                (runId === _this._runId)) {
+                _this._schedule(_this._interval, runId);
+            }
+        });
+
+    }, delay);
+};
+
+/**
+ * Emit an error, if someone listens.
+ *
+ * @private
+ *
+ * @param {Error} error - Error.
+ */
+MqttBridge.prototype._emitError = function(error) {
+
+    if (0 < this.listenerCount("error")) {
+        this.emit("error", error);
+    }
+};
+
+/**
+ * Poll all vehicles once and publish the changed values. Failed requests of a
+ * vehicle are emitted as error, the values of the other requests are published.
+ *
+ * @returns {Promise} Published messages, see MqttMessage.
+ */
+MqttBridge.prototype.poll = function() {
+    var _this = this;
+
+    if (null === this._mqtt) {
+        return Promise.reject(new errors.ValidationError("MQTT client is missing, start the bridge first.", {
+            funcName: "poll()"
+        }));
+    }
+
+    return fleet.getFleetSnapshot(this._client, {
+        sn: this._sn,
+        timeout: this._timeout
+    }).then(function(snapshot) {
+        var messages = [];
+
+        snapshot.failures.forEach(function(failure) {
+            _this._emitError(failure.error);
+        });
+
+        snapshot.vehicles.forEach(function(vehicle) {
+            messages = messages.concat(_this.getMessages(vehicle));
+        });
+
+        messages = messages.filter(function(message) {
+            return _this._published[message.topic] !== message.payload;
+        });
+
+        return Promise.all(messages.map(function(message) {
+            return _this._publish(message);
+        }));
+
+    }, function(error) {
+        _this._emitError(error);
+
+        return Promise.reject(error);
+    }).then(function(results) {
+        return results.filter(function(message) {
+            return null !== message;
+        });
+    });
+};
+
+/**
+ * Get the messages of a vehicle, including the Home Assistant discovery
+ * payloads, if enabled.
+ *
+ * @param {FleetVehicle} vehicle - Vehicle of the fleet snapshot, see niuCloudConnector.getFleetSnapshot().
+ *
+ * @returns {MqttMessage[]} Messages.
+ */
+MqttBridge.prototype.getMessages = function(vehicle) {
+    var _this       = this;
+    var messages    = [];
+    var motorInfo   = vehicle.motorInfo;
+    var batteryInfo = vehicle.batteryInfo;
+    var position    = null;
+
+    var add = function(name, payload, compartment) {
+
+        if (null === payload) {
+            return;
+        }
+
+        messages.push({
+            sn: vehicle.sn,
+            name: name,
+            topic: _this._getTopic(name, vehicle.sn, compartment),
+            payload: payload
+        });
+
+        if (null !== _this._discoveryPrefix) {
+            messages.push(_this._getDiscoveryMessage(vehicle, name, compartment));
+        }
+    };
+
+    if (null !== motorInfo) {
+
+        if (null !== vehicle.isConnected) {
+            messages.push({
+                sn: vehicle.sn,
+                name: "availability",
+                topic: this._getTopic("availability", vehicle.sn),
+                payload: (true === vehicle.isConnected) ? "online" : "offline"
+            });
+        }
+
+        if (("object" === typeof motorInfo.batteries) &&
+            (null !== motorInfo.batteries)) {
+            COMPARTMENTS.forEach(function(compartment) {
+                var battery = motorInfo.batteries[compartment.name];
+
+                if (("object" === typeof battery) &&
+                    (null !== battery)) {
+                    add("soc", toNumberPayload(battery.batteryCharging), compartment.topic);
+                }
+            });
+        }
+
+        add("charging", toSwitch(motorInfo.isCharging));
+        add("locked", ("number" === typeof motorInfo.lockStatus) ? toSwitch(helpers.LOCK_STATUS_LOCKED === motorInfo.lockStatus) : null);
+
+        position = motorInfo.postion;
+
+        if (("object" === typeof position) &&
+            (null !== position) &&
+            (null !== helpers.toNumber(position.lat)) &&
+            (null !== helpers.toNumber(position.lng))) {
+            add("position", JSON.stringify({
+                latitude: helpers.toNumber(position.lat),
+                longitude: helpers.toNumber(position.lng)
+            }));
+        }
+
+        add("estimatedMileage", toNumberPayload(motorInfo.estimatedMileage));
+    }
+
+    if ((null !== batteryInfo) &&
+        ("object" === typeof batteryInfo.batteries) &&
+        (null !== batteryInfo.batteries)) {
+        COMPARTMENTS.forEach(function(compartment) {
+            var battery = batteryInfo.batteries[compartment.name];
+
+            if (("object" === typeof battery) &&
+                (null !== battery)) {
+                add("temperature", toNumberPayload(battery.temperature), compartment.topic);
+            }
+        });
+    }
+
+    add("totalMileage", toNumberPayload(vehicle.totalMileage));
+
+    return messages;
+};
+
+/**
+ * Get the topic of a value.
+ *
+ * @private
+ *
+ * @param {string}  name            - Name of the value.
+ * @param {string}  sn              - Vehicle serial number.
+ * @param {string}  [compartment]   - Battery compartment, "a" or "b".
+ *
+ * @returns {string} Topic
+ */
+MqttBridge.prototype._getTopic = function(name, sn, compartment) {
+    return this._topics[name]
+        .replace(/\{prefix\}/g, this._topicPrefix)
+        .replace(/\{sn\}/g, sn)
+        .replace(/\{compartment\}/g, ("string" === typeof compartment) ? compartment : "");
+};
+
+/**
+ * Get the Home Assistant discovery message of a value.
+ *
+ * @private
+ *
+ * @param {FleetVehicle}    vehicle         - Vehicle.
+ * @param {string}          name            - Name of the value.
+ * @param {string}          [compartment]   - Battery compartment, "a" or "b".
+ *
+ * @returns {MqttMessage} Discovery message.
+ */
+MqttBridge.prototype._getDiscoveryMessage = function(vehicle, name, compartment) {
+    var entity      = discoveryEntities[name];
+    var nodeId      = "niu_" + vehicle.sn.toLowerCase().replace(/[^a-z0-9_-]/g, "_");
+    var objectId    = name.replace(/[A-Z]/g, function(letter) {
+        return "_" + letter.toLowerCase();
+    }) + (("string" === typeof compartment) ? "_" + compartment : "");
+    var topic       = this._getTopic(name, vehicle.sn, compartment);
+    var config      = {
+        name: entity.name.replace("{COMPARTMENT}", ("string" === typeof compartment) ? compartment.toUpperCase() : ""),
+        unique_id: nodeId + "_" + objectId,
+        availability_topic: this._getTopic("availability", vehicle.sn),
+        device: {
+            identifiers: [ nodeId ],
+            name: ("string" === typeof vehicle.name) ? vehicle.name : vehicle.sn,
+            manufacturer: "NIU",
+            model: vehicle.type
+        }
+    };
+    var key         = null;
+
+    if ("device_tracker" === entity.component) {
+        config.json_attributes_topic = topic;
+    } else {
+        config.state_topic = topic;
+    }
+
+    for (key in entity.config) {
+        if (Object.prototype.hasOwnProperty.call(entity.config, key)) {
+            config[key] = entity.config[key];
+        }
+    }
+
+    return {
+        sn: vehicle.sn,
+        name: "discovery",
+        topic: this._discoveryPrefix + "/" + entity.component + "/" + nodeId + "/" + objectId + "/config",
+        payload: JSON.stringify(config)
+    };
+};
+
+/**
+ * Publish a message.
+ *
+ * @private
+ *
+ * @param {MqttMessage} message - Message.
+ *
+ * @returns {Promise} Published message or null, if the publication failed.
+ */
+MqttBridge.prototype._publish = function(message) {
+    var _this = this;
+
+    return new Promise(function(resolve) {
+
+        _this._mqtt.publish(message.topic, message.payload, {
+            retain: _this._retain,
+            qos: _this._qos
+        }, function(error) {
+
+            if ((undefined !== error) &&
+                (null !== error)) {
+                _this._emitError(error);
+                resolve(null);
+                return;
+            }
+
+            _this._published[message.topic] = message.payload;
+            _this.emit("publish", message);
+            resolve(message);
+        });
+    });
+};
+
+module.exports = {
+    DefaultMqttTopics: DefaultMqttTopics,
+    MqttBridge: MqttBridge
+};
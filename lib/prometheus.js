@@ -0,0 +1,760 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** HTTP server */
+var http = require("http");
+
+/** URL parser */
+var url = require("url");
+
+/** Error classes */
+var errors = require("./errors");
+
+/** Fleet aggregation */
+var fleet = require("./fleet");
+
+/** Helper functions */
+var helpers = require("./helpers");
+
+/** Content type of the Prometheus text format */
+var CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/** Default upper bounds in s of the request duration histogram */
+var DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Battery compartments with their label values.
+ *
+ * @private
+ */
+var COMPARTMENTS = [
+    { name: "compartmentA", label: "A" },
+    { name: "compartmentB", label: "B" }
+];
+
+/**
+ * Convert a flag to a number.
+ *
+ * @private
+ *
+ * @param {boolean} value - Flag or null, if it is unknown.
+ *
+ * @returns {number} 1 for true, 0 for false or null, if it is unknown.
+ */
+var toGaugeFlag = function(value) {
+
+    if ("boolean" !== typeof value) {
+        return null;
+    }
+
+    return (true === value) ? 1 : 0;
+};
+
+/**
+ * Get a property of an object, which may be null.
+ *
+ * @private
+ *
+ * @param {Object}  object  - Object or null.
+ * @param {string}  name    - Property name.
+ *
+ * @returns {*} Value or undefined.
+ */
+var getProperty = function(object, name) {
+
+    if (("object" !== typeof object) ||
+        (null === object)) {
+        return undefined;
+    }
+
+    return object[name];
+};
+
+/**
+ * Gauges of a vehicle. The value function gets the vehicle of the fleet snapshot.
+ *
+ * @private
+ */
+var VEHICLE_GAUGES = [
+    {
+        name: "estimated_mileage_kilometers",
+        help: "Estimated mileage with the current state of charge in km.",
+        value: function(vehicle) {
+            return helpers.toNumber(getProperty(vehicle.motorInfo, "estimatedMileage"));
+        }
+    },
+    {
+        name: "total_mileage_kilometers",
+        help: "Total mileage in km.",
+        value: function(vehicle) {
+            return helpers.toNumber(vehicle.totalMileage);
+        }
+    },
+    {
+        name: "gps_signal",
+        help: "GPS signal strength.",
+        value: function(vehicle) {
+            return helpers.toNumber(getProperty(vehicle.motorInfo, "gps"));
+        }
+    },
+    {
+        name: "gsm_signal",
+        help: "GSM signal strength.",
+        value: function(vehicle) {
+            return helpers.toNumber(getProperty(vehicle.motorInfo, "gsm"));
+        }
+    },
+    {
+        name: "charging",
+        help: "Vehicle is charging (1) or not (0).",
+        value: function(vehicle) {
+            return toGaugeFlag(vehicle.isCharging);
+        }
+    },
+    {
+        name: "connected",
+        help: "Vehicle is connected to the NIU cloud (1) or not (0).",
+        value: function(vehicle) {
+            return toGaugeFlag(vehicle.isConnected);
+        }
+    }
+];
+
+/**
+ * Gauges of a battery. The source is the response data of the fleet snapshot,
+ * which contains the battery and the value function gets the battery.
+ *
+ * @private
+ */
+var BATTERY_GAUGES = [
+    {
+        name: "battery_soc_percent",
+        help: "State of charge of the battery in percent.",
+        source: "motorInfo",
+        value: function(battery) {
+            return helpers.toNumber(battery.batteryCharging);
+        }
+    },
+    {
+        name: "battery_temperature_celsius",
+        help: "Temperature of the battery in degree celsius.",
+        source: "batteryInfo",
+        value: function(battery) {
+            return helpers.toNumber(battery.temperature);
+        }
+    },
+    {
+        name: "battery_charge_cycles",
+        help: "Number of charge cycles of the battery.",
+        source: "batteryInfo",
+        value: function(battery) {
+            return helpers.toNumber(battery.chargedTimes);
+        }
+    },
+    {
+        name: "battery_grade_percent",
+        help: "Health grade of the battery in percent.",
+        source: "batteryInfo",
+        value: function(battery) {
+            return helpers.toNumber(battery.gradeBattery);
+        }
+    }
+];
+
+/**
+ * Escape a label value of the Prometheus text format.
+ *
+ * @private
+ *
+ * @param {string} value - Label value.
+ *
+ * @returns {string} Escaped label value.
+ */
+var escapeLabel = function(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+};
+
+/**
+ * Format a number of the Prometheus text format.
+ *
+ * @private
+ *
+ * @param {number} value - Value.
+ *
+ * @returns {string} Formatted value.
+ */
+var formatValue = function(value) {
+
+    if (Infinity === value) {
+        return "+Inf";
+    }
+
+    if (-Infinity === value) {
+        return "-Inf";
+    }
+
+    return String(value);
+};
+
+/**
+ * Format a sample of the Prometheus text format.
+ *
+ * @private
+ *
+ * @param {string}  name    - Metric name.
+ * @param {Object}  labels  - Labels with their values.
+ * @param {number}  value   - Value.
+ *
+ * @returns {string} Sample line.
+ */
+var formatSample = function(name, labels, value) {
+    var pairs   = [];
+    var label   = null;
+
+    for (label in labels) {
+        if (Object.prototype.hasOwnProperty.call(labels, label)) {
+            pairs.push(label + "=\"" + escapeLabel(labels[label]) + "\"");
+        }
+    }
+
+    return name + ((0 < pairs.length) ? "{" + pairs.join(",") + "}" : "") + " " + formatValue(value);
+};
+
+/**
+ * Format the header of a metric family of the Prometheus text format.
+ *
+ * @private
+ *
+ * @param {string}  name    - Metric name.
+ * @param {string}  type    - Metric type, e.g. "gauge" or "counter".
+ * @param {string}  help    - Description.
+ *
+ * @returns {string[]} Header lines.
+ */
+var formatHeader = function(name, type, help) {
+    return [
+        "# HELP " + name + " " + help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n"),
+        "# TYPE " + name + " " + type
+    ];
+};
+
+/**
+ * HTTP server, which provides the vehicle telemetry and metrics of the client
+ * itself in the Prometheus text format.
+ *
+ * The vehicle gauges are labelled by the serial number (sn) and the battery
+ * gauges additional by the battery compartment ("A" or "B"). They are taken
+ * from a fleet snapshot, see niuCloudConnector.getFleetSnapshot(), which is
+ * cached for maxAge, so frequent scrapes don't flood the NIU cloud. Unknown
+ * values are omitted.
+ *
+ * | Metric                                      | Type      | Labels           |
+ * | ------------------------------------------- | --------- | ---------------- |
+ * | niu_up                                      | gauge     |                  |
+ * | niu_battery_soc_percent                     | gauge     | sn, compartment  |
+ * | niu_battery_temperature_celsius             | gauge     | sn, compartment  |
+ * | niu_battery_charge_cycles                   | gauge     | sn, compartment  |
+ * | niu_battery_grade_percent                   | gauge     | sn, compartment  |
+ * | niu_estimated_mileage_kilometers            | gauge     | sn               |
+ * | niu_total_mileage_kilometers                | gauge     | sn               |
+ * | niu_gps_signal                              | gauge     | sn               |
+ * | niu_gsm_signal                              | gauge     | sn               |
+ * | niu_charging                                | gauge     | sn               |
+ * | niu_connected                               | gauge     | sn               |
+ * | niu_client_request_duration_seconds         | histogram | path             |
+ * | niu_client_requests_total                   | counter   | path, status     |
+ * | niu_client_errors_total                     | counter   | type             |
+ * | niu_client_logins_total                     | counter   |                  |
+ *
+ * The client metrics are taken from the events of the client: Every attempt to
+ * send a request, labelled by the path and the HTTP status code ("error" if no
+ * response was received), every failed request, labelled by the error name,
+ * e.g. "ApiError", and every login.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ *
+ * @param {Object}                      options             - Options.
+ * @param {niuCloudConnector.Client}    options.client      - Client, which accesses the NIU cloud.
+ * @param {string[]}                    [options.sn]        - Serial numbers of the vehicles (default: all).
+ * @param {number}                      [options.maxAge]    - Max. age in ms of the fleet snapshot, before it is requested again (default: 60000).
+ * @param {string}                      [options.path]      - Path of the metrics (default: "/metrics").
+ * @param {string}                      [options.prefix]    - Prefix of all metric names (default: "niu_").
+ * @param {number[]}                    [options.buckets]   - Upper bounds in s of the request duration histogram.
+ * @param {number}                      [options.timeout]   - Timeout in ms per request to the NIU cloud, overrides the timeout of the client.
+ */
+var PrometheusExporter = function(options) {
+    var _this = this;
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        throw new errors.ValidationError("Options is missing.", {
+            funcName: "PrometheusExporter()"
+        });
+    }
+
+    if (("object" !== typeof options.client) ||
+        (null === options.client)) {
+        throw new errors.ValidationError("Client is missing.", {
+            funcName: "PrometheusExporter()"
+        });
+    }
+
+    /** Client, which accesses the NIU cloud */
+    this._client = options.client;
+
+    /** Serial numbers of the vehicles or undefined for all. */
+    this._sn = undefined;
+
+    /** Max. age in ms of the fleet snapshot */
+    this._maxAge = 60000;
+
+    /** Path of the metrics */
+    this._path = "/metrics";
+
+    /** Prefix of all metric names */
+    this._prefix = "niu_";
+
+    /** Upper bounds in s of the request duration histogram */
+    this._buckets = DEFAULT_BUCKETS;
+
+    /** Timeout in ms per request to the NIU cloud */
+    this._timeout = undefined;
+
+    /** Last fleet snapshot and its timestamp in ms */
+    this._snapshot = null;
+    this._snapshotTime = 0;
+
+    /** Pending fleet snapshot, shared by concurrent scrapes. */
+    this._pending = null;
+
+    /** Request durations per path */
+    this._durations = {};
+
+    /** Number of requests per path and status */
+    this._requests = {};
+
+    /** Number of errors per type */
+    this._errors = {};
+
+    /** Number of logins */
+    this._logins = 0;
+
+    /** HTTP server, if the exporter listens itself. */
+    this._server = null;
+
+    if (true === Array.isArray(options.sn)) {
+        this._sn = options.sn;
+    }
+
+    if ("number" === typeof options.maxAge) {
+        this._maxAge = options.maxAge;
+    }
+
+    if ("string" === typeof options.path) {
+        this._path = options.path;
+    }
+
+    if ("string" === typeof options.prefix) {
+
+        if (false === /^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(options.prefix)) {
+            throw new errors.ValidationError("Invalid metric name prefix: " + options.prefix, {
+                funcName: "PrometheusExporter()"
+            });
+        }
+
+        this._prefix = options.prefix;
+    }
+
+    if (true === Array.isArray(options.buckets)) {
+
+        if (false === options.buckets.every(function(bucket) {
+            return ("number" === typeof bucket) && (true === isFinite(bucket));
+        })) {
+            throw new errors.ValidationError("Buckets must be numbers.", {
+                funcName: "PrometheusExporter()"
+            });
+        }
+
+        this._buckets = options.buckets.slice().sort(function(a, b) {
+            return a - b;
+        });
+    }
+
+    if ("number" === typeof options.timeout) {
+        this._timeout = options.timeout;
+    }
+
+    this._client.on("request", function(event) {
+        _this._addRequest(event);
+    });
+
+    this._client.on("failure", function(error) {
+        var type = ("string" === typeof error.name) ? error.name : "Error";
+
+        _this._errors[type] = (undefined !== _this._errors[type]) ? _this._errors[type] + 1 : 1;
+    });
+
+    this._client.on("login", function() {
+        ++_this._logins;
+    });
+};
+
+/**
+ * Count a request of the client.
+ *
+ * @private
+ *
+ * @param {Object} event - Request event of the client.
+ */
+PrometheusExporter.prototype._addRequest = function(event) {
+    var status      = ("number" === typeof event.statusCode) ? String(event.statusCode) : "error";
+    var key         = event.path + "\n" + status;
+    var duration    = this._durations[event.path];
+    var seconds     = event.duration / 1000;
+
+    if (undefined === this._requests[key]) {
+        this._requests[key] = {
+            path: event.path,
+            status: status,
+            value: 0
+        };
+    }
+
+    ++this._requests[key].value;
+
+    if (undefined === duration) {
+        duration = {
+            buckets: this._buckets.map(function() {
+                return 0;
+            }),
+            sum: 0,
+            count: 0
+        };
+
+        this._durations[event.path] = duration;
+    }
+
+    this._buckets.forEach(function(bucket, index) {
+        if (seconds <= bucket) {
+            ++duration.buckets[index];
+        }
+    });
+
+    duration.sum += seconds;
+    ++duration.count;
+};
+
+/**
+ * Get the fleet snapshot, either the cached one or a new one, if it is older than maxAge.
+ *
+ * @private
+ *
+ * @returns {Promise} Fleet snapshot, see FleetSnapshot.
+ */
+PrometheusExporter.prototype._getSnapshot = function() {
+    var _this = this;
+
+    if ((null !== this._snapshot) &&
+        ((Date.now() - this._snapshotTime) < this._maxAge)) {
+        return Promise.resolve(this._snapshot);
+    }
+
+    if (null === this._pending) {
+
+        this._pending = fleet.getFleetSnapshot(this._client, {
+            sn: this._sn,
+            timeout: this._timeout
+        }).then(function(snapshot) {
+            _this._pending      = null;
+            _this._snapshot     = snapshot;
+            _this._snapshotTime = Date.now();
+
+            return snapshot;
+        }, function(error) {
+            _this._pending = null;
+
+            return Promise.reject(error);
+        });
+    }
+
+    return this._pending;
+};
+
+/**
+ * Get the lines of the vehicle gauges.
+ *
+ * @private
+ *
+ * @param {FleetSnapshot} snapshot - Fleet snapshot.
+ *
+ * @returns {string[]} Lines.
+ */
+PrometheusExporter.prototype._getVehicleLines = function(snapshot) {
+    var _this = this;
+    var lines = [];
+
+    BATTERY_GAUGES.forEach(function(gauge) {
+        var name    = _this._prefix + gauge.name;
+        var samples = [];
+
+        snapshot.vehicles.forEach(function(vehicle) {
+            var batteries = getProperty(vehicle[gauge.source], "batteries");
+
+            if (("object" !== typeof batteries) ||
+                (null === batteries)) {
+                return;
+            }
+
+            COMPARTMENTS.forEach(function(compartment) {
+                var battery = batteries[compartment.name];
+                var value   = null;
+
+                if (("object" !== typeof battery) ||
+                    (null === battery)) {
+                    return;
+                }
+
+                value = gauge.value(battery);
+
+                if (null !== value) {
+                    samples.push(formatSample(name, { sn: vehicle.sn, compartment: compartment.label }, value));
+                }
+            });
+        });
+
+        if (0 < samples.length) {
+            lines = lines.concat(formatHeader(name, "gauge", gauge.help), samples);
+        }
+    });
+
+    VEHICLE_GAUGES.forEach(function(gauge) {
+        var name    = _this._prefix + gauge.name;
+        var samples = [];
+
+        snapshot.vehicles.forEach(function(vehicle) {
+            var value = gauge.value(vehicle);
+
+            if (null !== value) {
+                samples.push(formatSample(name, { sn: vehicle.sn }, value));
+            }
+        });
+
+        if (0 < samples.length) {
+            lines = lines.concat(formatHeader(name, "gauge", gauge.help), samples);
+        }
+    });
+
+    return lines;
+};
+
+/**
+ * Get the lines of the client metrics.
+ *
+ * @private
+ *
+ * @returns {string[]} Lines.
+ */
+PrometheusExporter.prototype._getClientLines = function() {
+    var _this   = this;
+    var lines   = [];
+    var name    = this._prefix + "client_request_duration_seconds";
+    var key     = null;
+    var entry   = null;
+
+    lines = lines.concat(formatHeader(name, "histogram", "Duration of the requests to the NIU cloud in s."));
+
+    for (key in this._durations) {
+        if (Object.prototype.hasOwnProperty.call(this._durations, key)) {
+            entry = this._durations[key];
+
+            this._buckets.forEach(function(bucket, index) {
+                lines.push(formatSample(name + "_bucket", { path: key, le: formatValue(bucket) }, entry.buckets[index]));
+            });
+
+            lines.push(formatSample(name + "_bucket", { path: key, le: "+Inf" }, entry.count));
+            lines.push(formatSample(name + "_sum", { path: key }, entry.sum));
+            lines.push(formatSample(name + "_count", { path: key }, entry.count));
+        }
+    }
+
+    name = this._prefix + "client_requests_total";
+    lines = lines.concat(formatHeader(name, "counter", "Number of requests to the NIU cloud by path and HTTP status code."));
+
+    for (key in this._requests) {
+        if (Object.prototype.hasOwnProperty.call(this._requests, key)) {
+            entry = this._requests[key];
+            lines.push(formatSample(name, { path: entry.path, status: entry.status }, entry.value));
+        }
+    }
+
+    name = this._prefix + "client_errors_total";
+    lines = lines.concat(formatHeader(name, "counter", "Number of failed requests to the NIU cloud by error type."));
+
+    for (key in this._errors) {
+        if (Object.prototype.hasOwnProperty.call(this._errors, key)) {
+            lines.push(formatSample(name, { type: key }, _this._errors[key]));
+        }
+    }
+
+    name = this._prefix + "client_logins_total";
+    lines = lines.concat(formatHeader(name, "counter", "Number of logins to the NIU cloud."));
+    lines.push(formatSample(name, {}, this._logins));
+
+    return lines;
+};
+
+/**
+ * Get all metrics in the Prometheus text format. If the fleet snapshot fails,
+ * the vehicle gauges are omitted and the up gauge is 0.
+ *
+ * @returns {Promise<string>} Metrics.
+ */
+PrometheusExporter.prototype.getMetrics = function() {
+    var _this   = this;
+    var name    = this._prefix + "up";
+
+    return this._getSnapshot().then(function(snapshot) {
+        return formatHeader(name, "gauge", "Last fleet snapshot succeeded (1) or not (0).")
+            .concat(formatSample(name, {}, 1), _this._getVehicleLines(snapshot));
+    }, function() {
+        return formatHeader(name, "gauge", "Last fleet snapshot succeeded (1) or not (0).")
+            .concat(formatSample(name, {}, 0));
+    }).then(function(lines) {
+        return lines.concat(_this._getClientLines()).join("\n") + "\n";
+    });
+};
+
+/**
+ * Start a HTTP server, which serves the metrics.
+ *
+ * @param {number}  [port]  - Port (default: 0, any free port).
+ * @param {string}  [host]  - Host name or address (default: all interfaces).
+ *
+ * @returns {Promise} Address of the server with address, family and port.
+ */
+PrometheusExporter.prototype.listen = function(port, host) {
+    var _this = this;
+
+    if (null !== this._server) {
+        return Promise.reject(new errors.ValidationError("Exporter is already listening.", {
+            funcName: "listen()"
+        }));
+    }
+
+    return new Promise(function(resolve, reject) {
+        var server = http.createServer(function(req, res) {
+            _this.handleRequest(req, res);
+        });
+
+        server.once("error", reject);
+
+        server.listen(("number" === typeof port) ? port : 0, host, function() {
+            server.removeListener("error", reject);
+            _this._server = server;
+            resolve(server.address());
+        });
+    });
+};
+
+/**
+ * Stop the HTTP server. Pending requests are completed.
+ *
+ * @returns {Promise} Nothing.
+ */
+PrometheusExporter.prototype.close = function() {
+    var server = this._server;
+
+    if (null === server) {
+        return Promise.resolve();
+    }
+
+    this._server = null;
+
+    return new Promise(function(resolve, reject) {
+
+        server.close(function(error) {
+
+            if (undefined !== error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+
+            return;
+        });
+    });
+};
+
+/**
+ * Handle a HTTP request. Use it as request listener to serve the metrics
+ * by an existing HTTP server.
+ *
+ * @param {Object} req - HTTP request.
+ * @param {Object} res - HTTP response.
+ */
+PrometheusExporter.prototype.handleRequest = function(req, res) {
+    var _this = this;
+
+    if (url.parse(req.url).pathname !== this._path) {
+        this._send(res, 404, "Not found.\n");
+        return;
+    }
+
+    if (("GET" !== req.method) &&
+        ("HEAD" !== req.method)) {
+        res.setHeader("allow", "GET, HEAD");
+        this._send(res, 405, "Method not allowed.\n");
+        return;
+    }
+
+    this.getMetrics().then(function(metrics) {
+        res.setHeader("content-type", CONTENT_TYPE);
+        _this._send(res, 200, ("HEAD" === req.method) ? "" : metrics);
+    }).catch(function(error) {
+        _this._send(res, 500, error.message + "\n");
+    });
+};
+
+/**
+ * Send a text response.
+ *
+ * @private
+ *
+ * @param {Object}  res         - HTTP response.
+ * @param {number}  statusCode  - HTTP status code.
+ * @param {string}  text        - Response body.
+ */
+PrometheusExporter.prototype._send = function(res, statusCode, text) {
+
+    if (false === res.hasHeader("content-type")) {
+        res.setHeader("content-type", "text/plain; charset=utf-8");
+    }
+
+    res.statusCode = statusCode;
+    res.end(text);
+};
+
+module.exports = {
+    PrometheusExporter: PrometheusExporter
+};
@@ -0,0 +1,819 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** File system */
+var fs = require("fs");
+
+/** Path utilities */
+var path = require("path");
+
+/** Error classes */
+var errors = require("./errors");
+
+/** Helper functions */
+var helpers = require("./helpers");
+
+/** Files of the ride store, one per kind of record */
+var FILES = {
+    vehicles: "vehicles.jsonl",
+    tracks: "tracks.jsonl",
+    details: "trackDetails.jsonl",
+    batteryHealth: "batteryHealth.jsonl",
+    tallies: "tallies.jsonl"
+};
+
+/**
+ * @typedef {Object} StoredTrack
+ * @property {Object}   summary - Track summary, see Tracks.
+ * @property {Object}   detail  - Track detail, see TrackDetail, or null if it is not stored.
+ */
+
+/**
+ * @typedef {Object} StoredSnapshot
+ * @property {number}   time    - Time of the snapshot, unix timestamp epoch format (13 digits).
+ * @property {Object}   data    - Response data, e.g. see BatteryInfoHealth or OverallTally.
+ */
+
+/**
+ * Read all records of a JSON-lines file. Lines, which can't be parsed, e.g.
+ * an incomplete last line after a crash, are skipped.
+ *
+ * @private
+ *
+ * @param {string} filePath - Path to the file.
+ *
+ * @returns {Promise} Records. A missing file has no records.
+ */
+var readRecords = function(filePath) {
+
+    return new Promise(function(resolve, reject) {
+
+        fs.readFile(filePath, "utf8", function(error, content) {
+            var records = [];
+
+            if (null !== error) {
+
+                if ("ENOENT" === error.code) {
+                    resolve(records);
+                } else {
+                    reject(error);
+                }
+
+                return;
+            }
+
+            content.split("\n").forEach(function(line) {
+                var record = null;
+
+                if (0 === line.trim().length) {
+                    return;
+                }
+
+                try {
+                    record = JSON.parse(line);
+                } catch (parseError) {
+                    /* Skip the corrupt line. */
+                    record = null;
+                }
+
+                if (("object" === typeof record) &&
+                    (null !== record)) {
+                    records.push(record);
+                }
+            });
+
+            resolve(records);
+        });
+    });
+};
+
+/**
+ * Select the records in the time range and copy them.
+ *
+ * @private
+ *
+ * @param {Object[]}    records         - Records with time and data.
+ * @param {Object}      [options]       - Options.
+ * @param {Date|number} [options.from]  - Only records at or after this time.
+ * @param {Date|number} [options.to]    - Only records at or before this time.
+ *
+ * @returns {StoredSnapshot[]} Records, oldest first.
+ */
+var selectSnapshots = function(records, options) {
+    var from    = -Infinity;
+    var to      = Infinity;
+
+    if (("object" === typeof options) &&
+        (null !== options)) {
+
+        if (undefined !== options.from) {
+            from = helpers.toTimestamp(options.from);
+        }
+
+        if (undefined !== options.to) {
+            to = helpers.toTimestamp(options.to);
+        }
+    }
+
+    return records.filter(function(record) {
+        return (from <= record.time) && (to >= record.time);
+    }).map(function(record) {
+        return {
+            time: record.time,
+            data: record.data
+        };
+    });
+};
+
+/**
+ * Local ride history database. It keeps vehicles, track summaries, track
+ * details, battery health records and tally snapshots in append-only
+ * JSON-lines files in a directory. The files are loaded once into memory,
+ * therefore all queries are answered without the NIU cloud.
+ *
+ * The ride history contains positions, therefore the directory and the files
+ * are only accessible by the owner.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ *
+ * @param {Object}  options             - Options.
+ * @param {string}  options.path        - Path to the directory of the store. It is created, if it doesn't exist.
+ * @param {number}  [options.mode]      - File permissions (default: 0600).
+ */
+var RideStore = function(options) {
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        throw new errors.ValidationError("Options is missing.", {
+            funcName: "RideStore()"
+        });
+    }
+
+    if ("string" !== typeof options.path) {
+        throw new errors.ValidationError("Path is missing.", {
+            funcName: "RideStore()"
+        });
+    }
+
+    /** Path to the directory of the store */
+    this._path = options.path;
+
+    /** File permissions */
+    this._mode = ("number" === typeof options.mode) ? options.mode : parseInt("600", 8);
+
+    /** Vehicles, by serial number */
+    this._vehicles = {};
+
+    /** Track summaries, by serial number and track id */
+    this._tracks = {};
+
+    /** Track details, by serial number and track id */
+    this._details = {};
+
+    /** Battery health records, by serial number */
+    this._batteryHealth = {};
+
+    /** Tally snapshots, by serial number */
+    this._tallies = {};
+
+    /** Pending load of the files */
+    this._loading = null;
+
+    /** Pending write, all writes are serialized. */
+    this._writing = Promise.resolve();
+};
+
+/**
+ * Add a record to the in-memory index.
+ *
+ * @private
+ *
+ * @param {string} kind     - Kind of record, see FILES.
+ * @param {Object} record   - Record.
+ */
+RideStore.prototype._index = function(kind, record) {
+
+    if ("string" !== typeof record.sn) {
+        return;
+    }
+
+    if ("vehicles" === kind) {
+        this._vehicles[record.sn] = record;
+    } else if (("tracks" === kind) ||
+               ("details" === kind)) {
+
+        if (undefined === this["_" + kind][record.sn]) {
+            this["_" + kind][record.sn] = {};
+        }
+
+        this["_" + kind][record.sn][record.trackId] = record;
+    } else {
+
+        if (undefined === this["_" + kind][record.sn]) {
+            this["_" + kind][record.sn] = [];
+        }
+
+        this["_" + kind][record.sn].push(record);
+    }
+};
+
+/**
+ * Open the store: create the directory and load all files. It is called
+ * automatically by every other method, calling it explicit only reports
+ * problems earlier.
+ *
+ * @returns {Promise} Nothing.
+ */
+RideStore.prototype.open = function() {
+    var _this = this;
+
+    if (null !== this._loading) {
+        return this._loading;
+    }
+
+    this._loading = new Promise(function(resolve, reject) {
+
+        fs.mkdir(_this._path, {
+            recursive: true,
+            mode: parseInt("700", 8)
+        }, function(error) {
+
+            if (null !== error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+        });
+
+    }).then(function() {
+
+        return Promise.all(Object.keys(FILES).map(function(kind) {
+            return readRecords(path.join(_this._path, FILES[kind])).then(function(records) {
+                records.forEach(function(record) {
+                    _this._index(kind, record);
+                });
+            });
+        }));
+
+    }).then(function() {
+        return undefined;
+    }, function(error) {
+
+        /* Allow to try it again. */
+        _this._loading = null;
+
+        return Promise.reject(error);
+    });
+
+    return this._loading;
+};
+
+/**
+ * Append records to the file of their kind and add them to the index afterwards.
+ *
+ * @private
+ *
+ * @param {string}      kind    - Kind of records, see FILES.
+ * @param {Object[]}    records - Records.
+ *
+ * @returns {Promise} Number of appended records.
+ */
+RideStore.prototype._append = function(kind, records) {
+    var _this   = this;
+    var promise = this._writing.then(function() {
+
+        if (0 === records.length) {
+            return 0;
+        }
+
+        return new Promise(function(resolve, reject) {
+            var content = records.map(function(record) {
+                return JSON.stringify(record) + "\n";
+            }).join("");
+
+            fs.appendFile(path.join(_this._path, FILES[kind]), content, {
+                encoding: "utf8",
+                mode: _this._mode
+            }, function(error) {
+
+                if (null !== error) {
+                    reject(error);
+                    return;
+                }
+
+                records.forEach(function(record) {
+                    _this._index(kind, record);
+                });
+
+                resolve(records.length);
+            });
+        });
+    });
+
+    /* A failed write shall not block the following ones. */
+    this._writing = promise.catch(function() {
+        return undefined;
+    });
+
+    return promise;
+};
+
+/**
+ * Check the vehicle serial number.
+ *
+ * @private
+ *
+ * @param {string} sn       - Vehicle serial number.
+ * @param {string} funcName - Name of the calling function.
+ *
+ * @returns {Promise} Nothing, or a ValidationError if the serial number is missing.
+ */
+RideStore.prototype._checkSn = function(sn, funcName) {
+
+    if ("string" !== typeof sn) {
+        return Promise.reject(new errors.ValidationError("Vehicle serial number is missing.", {
+            funcName: funcName
+        }));
+    }
+
+    return this.open();
+};
+
+/**
+ * Store the vehicles. Only new or changed vehicles are written.
+ *
+ * @param {Object[]} vehicles - Vehicles, see Vehicles.
+ *
+ * @returns {Promise} Number of written vehicles.
+ */
+RideStore.prototype.putVehicles = function(vehicles) {
+    var _this = this;
+
+    if (false === Array.isArray(vehicles)) {
+        return Promise.reject(new errors.ValidationError("Vehicles are missing.", {
+            funcName: "putVehicles()"
+        }));
+    }
+
+    return this.open().then(function() {
+        var time    = Date.now();
+        var records = vehicles.filter(function(vehicle) {
+            var stored = _this._vehicles[vehicle.sn];
+
+            return (undefined === stored) ||
+                   (JSON.stringify(stored.data) !== JSON.stringify(vehicle));
+        }).map(function(vehicle) {
+            return {
+                sn: vehicle.sn,
+                time: time,
+                data: vehicle
+            };
+        });
+
+        return _this._append("vehicles", records);
+    });
+};
+
+/**
+ * Store track summaries. Already stored tracks are skipped.
+ *
+ * @param {string}      sn      - Vehicle serial number.
+ * @param {Object[]}    tracks  - Track summaries, see Tracks.
+ *
+ * @returns {Promise} Number of written tracks.
+ */
+RideStore.prototype.putTracks = function(sn, tracks) {
+    var _this = this;
+
+    if (false === Array.isArray(tracks)) {
+        return Promise.reject(new errors.ValidationError("Tracks are missing.", {
+            funcName: "putTracks()"
+        }));
+    }
+
+    return this._checkSn(sn, "putTracks()").then(function() {
+        var stored  = _this._tracks[sn] || {};
+        var time    = Date.now();
+        var records = [];
+
+        tracks.forEach(function(track) {
+            var trackId = String(track.trackId);
+
+            if ((undefined === stored[trackId]) &&
+                (false === records.some(function(record) {
+                    return trackId === record.trackId;
+                }))) {
+                records.push({
+                    sn: sn,
+                    trackId: trackId,
+                    startTime: helpers.toTimestamp(track.startTime),
+                    time: time,
+                    data: track
+                });
+            }
+        });
+
+        return _this._append("tracks", records);
+    });
+};
+
+/**
+ * Store the detail of a track, which replaces an already stored one.
+ *
+ * @param {string} sn       - Vehicle serial number.
+ * @param {string} trackId  - Track identifier.
+ * @param {Object} detail   - Track detail data, see TrackDetail.
+ *
+ * @returns {Promise} Number of written track details.
+ */
+RideStore.prototype.putTrackDetail = function(sn, trackId, detail) {
+    var _this = this;
+
+    if (("object" !== typeof detail) ||
+        (null === detail)) {
+        return Promise.reject(new errors.ValidationError("Track detail is missing.", {
+            funcName: "putTrackDetail()"
+        }));
+    }
+
+    return this._checkSn(sn, "putTrackDetail()").then(function() {
+        return _this._append("details", [{
+            sn: sn,
+            trackId: String(trackId),
+            time: Date.now(),
+            data: detail
+        }]);
+    });
+};
+
+/**
+ * Store a battery health record.
+ *
+ * @param {string} sn   - Vehicle serial number.
+ * @param {Object} data - Battery health data, see BatteryInfoHealth.
+ *
+ * @returns {Promise} Number of written records.
+ */
+RideStore.prototype.putBatteryHealth = function(sn, data) {
+    var _this = this;
+
+    return this._checkSn(sn, "putBatteryHealth()").then(function() {
+        return _this._append("batteryHealth", [{
+            sn: sn,
+            time: Date.now(),
+            data: data
+        }]);
+    });
+};
+
+/**
+ * Store a tally snapshot.
+ *
+ * @param {string} sn   - Vehicle serial number.
+ * @param {Object} data - Tally data, see OverallTally.
+ *
+ * @returns {Promise} Number of written records.
+ */
+RideStore.prototype.putTally = function(sn, data) {
+    var _this = this;
+
+    return this._checkSn(sn, "putTally()").then(function() {
+        return _this._append("tallies", [{
+            sn: sn,
+            time: Date.now(),
+            data: data
+        }]);
+    });
+};
+
+/**
+ * Get the stored vehicles.
+ *
+ * @returns {Promise} Vehicles, see Vehicles.
+ */
+RideStore.prototype.getVehicles = function() {
+    var _this = this;
+
+    return this.open().then(function() {
+        return Object.keys(_this._vehicles).map(function(sn) {
+            return _this._vehicles[sn].data;
+        });
+    });
+};
+
+/**
+ * Get the start time of the latest stored track of a vehicle.
+ *
+ * @param {string} sn - Vehicle serial number.
+ *
+ * @returns {Promise} Start time as unix timestamp epoch format (13 digits) or null, if no track is stored.
+ */
+RideStore.prototype.getLastStartTime = function(sn) {
+    var _this = this;
+
+    return this._checkSn(sn, "getLastStartTime()").then(function() {
+        var tracks      = _this._tracks[sn] || {};
+        var lastTime    = null;
+
+        Object.keys(tracks).forEach(function(trackId) {
+            var startTime = tracks[trackId].startTime;
+
+            if ((false === isNaN(startTime)) &&
+                ((null === lastTime) || (startTime > lastTime))) {
+                lastTime = startTime;
+            }
+        });
+
+        return lastTime;
+    });
+};
+
+/**
+ * Get the stored track summaries of a vehicle, latest first like the NIU cloud provides them.
+ *
+ * @param {string}      sn              - Vehicle serial number.
+ * @param {Object}      [options]       - Options.
+ * @param {Date|number} [options.from]  - Only tracks, which started at or after this time.
+ * @param {Date|number} [options.to]    - Only tracks, which started at or before this time.
+ * @param {number}      [options.limit] - Max. number of tracks.
+ *
+ * @returns {Promise} Track summaries, see Tracks.
+ */
+RideStore.prototype.getTracks = function(sn, options) {
+    var _this = this;
+
+    return this._checkSn(sn, "getTracks()").then(function() {
+        var tracks  = _this._tracks[sn] || {};
+        var records = selectSnapshots(Object.keys(tracks).map(function(trackId) {
+            return {
+                time: tracks[trackId].startTime,
+                data: tracks[trackId].data
+            };
+        }), options).sort(function(a, b) {
+            return b.time - a.time;
+        });
+
+        if (("object" === typeof options) &&
+            (null !== options) &&
+            ("number" === typeof options.limit)) {
+            records = records.slice(0, Math.max(0, options.limit));
+        }
+
+        return records.map(function(record) {
+            return record.data;
+        });
+    });
+};
+
+/**
+ * Get a stored track. The result can be exported directly, e.g. with niuCloudConnector.toGpx().
+ *
+ * @param {string} sn       - Vehicle serial number.
+ * @param {string} trackId  - Track identifier.
+ *
+ * @returns {Promise} Track, see StoredTrack, or null if the track is not stored.
+ */
+RideStore.prototype.getTrack = function(sn, trackId) {
+    var _this = this;
+
+    return this._checkSn(sn, "getTrack()").then(function() {
+        var summary = (_this._tracks[sn] || {})[String(trackId)];
+        var detail  = (_this._details[sn] || {})[String(trackId)];
+
+        if (undefined === summary) {
+            return null;
+        }
+
+        return {
+            summary: summary.data,
+            detail: (undefined !== detail) ? detail.data : null
+        };
+    });
+};
+
+/**
+ * Get the stored battery health records of a vehicle.
+ *
+ * @param {string}      sn              - Vehicle serial number.
+ * @param {Object}      [options]       - Options.
+ * @param {Date|number} [options.from]  - Only records at or after this time.
+ * @param {Date|number} [options.to]    - Only records at or before this time.
+ *
+ * @returns {Promise} Battery health records, see StoredSnapshot, oldest first.
+ */
+RideStore.prototype.getBatteryHealth = function(sn, options) {
+    var _this = this;
+
+    return this._checkSn(sn, "getBatteryHealth()").then(function() {
+        return selectSnapshots(_this._batteryHealth[sn] || [], options);
+    });
+};
+
+/**
+ * Get the stored tally snapshots of a vehicle.
+ *
+ * @param {string}      sn              - Vehicle serial number.
+ * @param {Object}      [options]       - Options.
+ * @param {Date|number} [options.from]  - Only snapshots at or after this time.
+ * @param {Date|number} [options.to]    - Only snapshots at or before this time.
+ *
+ * @returns {Promise} Tally snapshots, see StoredSnapshot, oldest first.
+ */
+RideStore.prototype.getTallies = function(sn, options) {
+    var _this = this;
+
+    return this._checkSn(sn, "getTallies()").then(function() {
+        return selectSnapshots(_this._tallies[sn] || [], options);
+    });
+};
+
+/**
+ * @typedef {Object} SyncResult
+ * @property {number}   vehicles        - Number of synchronized vehicles
+ * @property {number}   tracks          - Number of new tracks
+ * @property {number}   details         - Number of new track details
+ * @property {number}   batteryHealth   - Number of new battery health records
+ * @property {number}   tallies         - Number of new tally snapshots
+ */
+
+/**
+ * Synchronize a single vehicle. The new tracks are stored oldest first, so an
+ * interrupted synchronization continues with the missing tracks next time.
+ *
+ * @private
+ *
+ * @param {niuCloudConnector.Client}    client  - Client.
+ * @param {RideStore}                   store   - Ride store.
+ * @param {string}                      sn      - Vehicle serial number.
+ * @param {Object}                      options - Options, see syncRides().
+ * @param {SyncResult}                  result  - Counters, which are updated.
+ *
+ * @returns {Promise} Nothing.
+ */
+var syncVehicle = function(client, store, sn, options, result) {
+    var requestOptions = {
+        sn: sn,
+        timeout: options.timeout,
+        signal: options.signal
+    };
+
+    return store.getLastStartTime(sn).then(function(lastStartTime) {
+
+        /* Tracks, which started at the same time as the last one, are skipped by the store. */
+        return client.iterateTracks({
+            sn: sn,
+            from: (null !== lastStartTime) ? lastStartTime : undefined,
+            pageSize: options.pageSize,
+            withDetail: (false !== options.withDetail),
+            concurrency: options.concurrency,
+            timeout: options.timeout,
+            signal: options.signal
+        }).toArray();
+
+    }).then(function(tracks) {
+
+        tracks.sort(function(a, b) {
+            return helpers.toTimestamp(a.summary.startTime) - helpers.toTimestamp(b.summary.startTime);
+        });
+
+        return tracks.reduce(function(promise, track) {
+            return promise.then(function() {
+                return store.getTrack(sn, track.summary.trackId);
+            }).then(function(stored) {
+
+                if (null !== stored) {
+                    return undefined;
+                }
+
+                /* The detail is stored first, a stored summary marks the track as complete. */
+                return ((null !== track.detail) ? store.putTrackDetail(sn, track.summary.trackId, track.detail) : Promise.resolve(0)).then(function(count) {
+                    result.details += count;
+
+                    return store.putTracks(sn, [track.summary]);
+                }).then(function(count) {
+                    result.tracks += count;
+                });
+            });
+        }, Promise.resolve());
+
+    }).then(function() {
+
+        if (false === options.batteryHealth) {
+            return undefined;
+        }
+
+        return client.getBatteryHealth(requestOptions).then(function(response) {
+            return store.putBatteryHealth(sn, response.result.data);
+        }).then(function(count) {
+            result.batteryHealth += count;
+        });
+
+    }).then(function() {
+
+        if (false === options.tally) {
+            return undefined;
+        }
+
+        return client.getOverallTally(requestOptions).then(function(response) {
+            return store.putTally(sn, response.result.data);
+        }).then(function(count) {
+            result.tallies += count;
+        });
+
+    }).then(function() {
+        ++result.vehicles;
+    });
+};
+
+/**
+ * Synchronize the ride history of the vehicles into a ride store. Only tracks,
+ * which are newer than the latest stored one, are requested. Additional a
+ * battery health record and a tally snapshot are stored per vehicle.
+ *
+ * @memberof niuCloudConnector
+ *
+ * @param {niuCloudConnector.Client}    client                  - Client.
+ * @param {RideStore}                   store                   - Ride store.
+ * @param {Object}                      [options]               - Options.
+ * @param {string[]}                    [options.sn]            - Serial numbers of the vehicles, which shall be synchronized (default: all).
+ * @param {boolean}                     [options.withDetail]    - Store the track details (default: true).
+ * @param {boolean}                     [options.batteryHealth] - Store a battery health record (default: true).
+ * @param {boolean}                     [options.tally]         - Store a tally snapshot (default: true).
+ * @param {number}                      [options.pageSize]      - Number of tracks per request (default: 20).
+ * @param {number}                      [options.concurrency]   - Max. number of concurrent track detail requests (default: 2).
+ * @param {number}                      [options.timeout]       - Timeout in ms per request, overrides the timeout of the client.
+ * @param {Object}                      [options.signal]        - AbortSignal, which cancels the synchronization.
+ *
+ * @returns {Promise} Synchronization result, see SyncResult.
+ */
+var syncRides = function(client, store, options) {
+    var result = {
+        vehicles: 0,
+        tracks: 0,
+        details: 0,
+        batteryHealth: 0,
+        tallies: 0
+    };
+
+    if (("object" !== typeof store) ||
+        (null === store)) {
+        return Promise.reject(new errors.ValidationError("Ride store is missing.", {
+            funcName: "syncRides()"
+        }));
+    }
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        options = {};
+    }
+
+    return client.getVehicles({
+        timeout: options.timeout,
+        signal: options.signal
+    }).then(function(response) {
+        var vehicles = (true === Array.isArray(response.result.data)) ? response.result.data : [];
+
+        if (true === Array.isArray(options.sn)) {
+            vehicles = vehicles.filter(function(vehicle) {
+                return 0 <= options.sn.indexOf(vehicle.sn);
+            });
+        }
+
+        return store.putVehicles(vehicles).then(function() {
+
+            /* One vehicle after the other, the track details are requested concurrently. */
+            return helpers.mapLimit(vehicles, 1, function(vehicle) {
+                return syncVehicle(client, store, vehicle.sn, options, result);
+            });
+        });
+
+    }).then(function() {
+        return result;
+    });
+};
+
+module.exports = {
+    RideStore: RideStore,
+    syncRides: syncRides
+};
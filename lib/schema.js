@@ -0,0 +1,583 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Schemas of the NIU cloud responses, derived from the response typedefs.
+ *
+ * A schema node is either a type name ("string", "number", "boolean", "any")
+ * or an object, which describes an object or an array. Every property is
+ * required, unless it is marked as optional.
+ */
+
+/**
+ * Describe an object.
+ *
+ * @private
+ *
+ * @param {Object} properties - Property names and their schema nodes.
+ *
+ * @returns {Object} Schema node.
+ */
+var object = function(properties) {
+    return {
+        type: "object",
+        properties: properties
+    };
+};
+
+/**
+ * Describe an array.
+ *
+ * @private
+ *
+ * @param {Object | string} items - Schema node of the array elements.
+ *
+ * @returns {Object} Schema node.
+ */
+var array = function(items) {
+    return {
+        type: "array",
+        items: items
+    };
+};
+
+/**
+ * Mark a schema node as optional.
+ *
+ * @private
+ *
+ * @param {Object | string} node - Schema node.
+ *
+ * @returns {Object} Schema node.
+ */
+var optional = function(node) {
+
+    if ("string" === typeof node) {
+        node = {
+            type: node
+        };
+    }
+
+    return {
+        type: node.type,
+        properties: node.properties,
+        items: node.items,
+        optional: true
+    };
+};
+
+/**
+ * Describe a response of the NIU cloud with its data.
+ *
+ * @private
+ *
+ * @param {Object} data - Schema node of the response data.
+ *
+ * @returns {Object} Schema node.
+ */
+var response = function(data) {
+    return object({
+        data: data,
+        desc: "string",
+        trace: "string",
+        status: "number"
+    });
+};
+
+/** Track point of a track summary */
+var TrackSummaryPoint = object({
+    lng: "string",
+    lat: "string",
+    speed: "string",
+    battery: "string",
+    mileage: "string",
+    date: "string"
+});
+
+/** Battery compartment of the battery info */
+var CompartmentBatteryInfo = object({
+    items: array(object({
+        x: "number",
+        y: "number",
+        z: "number"
+    })),
+    totalPoint: "number",
+    bmsId: "string",
+    isConnected: "boolean",
+    batteryCharging: "number",
+    chargedTimes: "string",
+    temperature: "number",
+    temperatureDesc: "string",
+    energyConsumedTody: "number",
+    gradeBattery: "string"
+});
+
+/** Battery compartment of the battery health */
+var CompartmentBatteryInfoHealth = object({
+    bmsId: "string",
+    isConnected: "boolean",
+    gradeBattery: "string",
+    faults: array("any"),
+    healthRecords: array(object({
+        result: "string",
+        chargeCount: "string",
+        color: "string",
+        time: "number",
+        name: "string"
+    }))
+});
+
+/** Battery chart data */
+var BatteryChartData = object({
+    m: "string",
+    b: "string"
+});
+
+/** Battery compartment of the motor data */
+var CompartmentMotorData = object({
+    bmsId: "string",
+    isConnected: "boolean",
+    batteryCharging: "number",
+    gradeBattery: "string"
+});
+
+/**
+ * Response schemas, the names are the names of the response typedefs.
+ *
+ * @private
+ */
+var schemas = {
+
+    Vehicles: response(array(object({
+        sn: "string",
+        specialEdition: "string",
+        vehicleColorImg: "string",
+        vehicleLogoImg: "string",
+        vehicleTypeId: "string",
+        indexHeaderBg: "string",
+        scootorImg: "string",
+        batteryInfoBg: "string",
+        myPageHeaderBg: "string",
+        listScooterImg: "string",
+        name: "string",
+        frameNo: "string",
+        engineNo: "string",
+        isSelected: "boolean",
+        isMaster: "boolean",
+        bindNum: "number",
+        renovated: "boolean",
+        bindDate: "number",
+        isShow: "boolean",
+        isLite: "boolean",
+        gpsTimestamp: "number",
+        infoTimestamp: "number",
+        productType: "string",
+        process: "string",
+        brand: "string",
+        isDoubleBattery: "boolean",
+        features: array(object({
+            featureName: "string",
+            isSupport: "boolean",
+            switch_status: "string"
+        })),
+        type: "string"
+    }))),
+
+    VehiclePos: response(object({
+        lat: "number",
+        lng: "number",
+        timestamp: "number",
+        gps: "number",
+        gpsPrecision: "number"
+    })),
+
+    OverallTally: response(object({
+        bindDaysCount: "number",
+        totalMileage: "number"
+    })),
+
+    TrackDetail: response(object({
+        trackItems: array(object({
+            lng: "number",
+            lat: "number",
+            date: "number"
+        })),
+        startPoint: object({
+            lng: "string",
+            lat: "string"
+        }),
+        lastPoint: object({
+            lng: "string",
+            lat: "string"
+        }),
+        startTime: "string",
+        lastDate: "string"
+    })),
+
+    BatteryInfo: response(object({
+        batteries: object({
+            compartmentA: CompartmentBatteryInfo,
+            compartmentB: optional(CompartmentBatteryInfo)
+        }),
+        isCharging: "number",
+        centreCtrlBattery: "string",
+        batteryDetail: "boolean",
+        estimatedMileage: "number"
+    })),
+
+    BatteryInfoHealth: response(object({
+        batteries: object({
+            compartmentA: CompartmentBatteryInfoHealth,
+            compartmentB: optional(CompartmentBatteryInfoHealth)
+        }),
+        isDoubleBattery: "boolean"
+    })),
+
+    BatteryChart: response(object({
+        items1: BatteryChartData,
+        items2: optional(BatteryChartData),
+        isDoubleBattery: "boolean"
+    })),
+
+    MotorData: response(object({
+        isCharging: "number",
+        lockStatus: "number",
+        isAccOn: "number",
+        isFortificationOn: "string",
+        isConnected: "boolean",
+        postion: object({
+            lat: "number",
+            lng: "number"
+        }),
+        hdop: "number",
+        time: "number",
+        batteries: object({
+            compartmentA: CompartmentMotorData,
+            compartmentB: optional(CompartmentMotorData)
+        }),
+        leftTime: "string",
+        estimatedMileage: "number",
+        gpsTimestamp: "number",
+        infoTimestamp: "number",
+        nowSpeed: "number",
+        batteryDetail: "boolean",
+        centreCtrlBattery: "number",
+        ss_protocol_ver: "number",
+        ss_online_sta: "string",
+        gps: "number",
+        gsm: "number",
+        lastTrack: object({
+            ridingTime: "number",
+            distance: "number",
+            time: "number"
+        })
+    })),
+
+    Tracks: response(array(object({
+        id: "string",
+        trackId: "string",
+        startTime: "number",
+        endTime: "number",
+        distance: "number",
+        avespeed: "number",
+        ridingtime: "number",
+        type: "string",
+        date: "string",
+        startPoint: TrackSummaryPoint,
+        lastPoint: TrackSummaryPoint
+    }))),
+
+    FirmwareVersion: response(array(object({
+        nowVersion: "string",
+        version: "string",
+        hardVersion: "string",
+        ss_protocol_ver: "number",
+        byteSize: "string",
+        date: "number",
+        isSupportUpdate: "boolean",
+        needUpdate: "boolean",
+        otaDescribe: "string"
+    }))),
+
+    UpdateInfo: response(array(object({
+        csq: "number",
+        centreCtrlBattery: "string",
+        date: "number"
+    })))
+};
+
+/**
+ * @typedef {Object} SchemaIssue
+ * @property {string}   kind        - Kind of issue: "missing" (required field is missing), "extra" (unknown field) or "type" (wrong type).
+ * @property {string}   path        - Path to the field, e.g. "data.batteries.compartmentA.bmsId". Array elements are written as [].
+ * @property {string}   [expected]  - Expected type
+ * @property {string}   [actual]    - Actual type
+ */
+
+/**
+ * Get the type name of a value, as used in the schemas.
+ *
+ * @private
+ *
+ * @param {*} value - Value.
+ *
+ * @returns {string} Type name.
+ */
+var getType = function(value) {
+
+    if (null === value) {
+        return "null";
+    }
+
+    if (true === Array.isArray(value)) {
+        return "array";
+    }
+
+    return typeof value;
+};
+
+/**
+ * Validate a value against a schema node.
+ *
+ * @private
+ *
+ * @param {Object | string} node    - Schema node.
+ * @param {*}               value   - Value.
+ * @param {string}          path    - Path of the value.
+ * @param {SchemaIssue[]}   issues  - Found issues are added here.
+ */
+var validateNode = function(node, value, path, issues) {
+    var expected    = ("string" === typeof node) ? node : node.type;
+    var actual      = getType(value);
+    var name        = null;
+    var childPath   = null;
+    var index       = 0;
+
+    if ("any" === expected) {
+        return;
+    }
+
+    if (expected !== actual) {
+        issues.push({
+            kind: "type",
+            path: path,
+            expected: expected,
+            actual: actual
+        });
+        return;
+    }
+
+    if ("array" === expected) {
+        for (index = 0; index < value.length; ++index) {
+            validateNode(node.items, value[index], path + "[]", issues);
+        }
+    } else if ("object" === expected) {
+
+        for (name in node.properties) {
+            if (Object.prototype.hasOwnProperty.call(node.properties, name)) {
+                childPath = (0 === path.length) ? name : path + "." + name;
+
+                if (undefined !== value[name]) {
+                    validateNode(node.properties[name], value[name], childPath, issues);
+                } else if (true !== node.properties[name].optional) {
+                    issues.push({
+                        kind: "missing",
+                        path: childPath,
+                        expected: ("string" === typeof node.properties[name]) ? node.properties[name] : node.properties[name].type
+                    });
+                }
+            }
+        }
+
+        for (name in value) {
+            if ((Object.prototype.hasOwnProperty.call(value, name)) &&
+                (false === Object.prototype.hasOwnProperty.call(node.properties, name))) {
+                issues.push({
+                    kind: "extra",
+                    path: (0 === path.length) ? name : path + "." + name,
+                    actual: getType(value[name])
+                });
+            }
+        }
+    }
+};
+
+/**
+ * Validate a response body against the schema of a response type.
+ * Issues of the same field in several array elements are reported once.
+ *
+ * @private
+ *
+ * @param {string}  name    - Name of the response type, e.g. "MotorData".
+ * @param {Object}  body    - Response body.
+ *
+ * @returns {SchemaIssue[]} Issues, empty if the body matches the schema.
+ */
+var validate = function(name, body) {
+    var issues  = [];
+    var keys    = {};
+
+    if (false === Object.prototype.hasOwnProperty.call(schemas, name)) {
+        return issues;
+    }
+
+    validateNode(schemas[name], body, "", issues);
+
+    return issues.filter(function(issue) {
+        var key = issue.kind + " " + issue.path + " " + issue.actual;
+
+        if (true === keys[key]) {
+            return false;
+        }
+
+        keys[key] = true;
+
+        return true;
+    });
+};
+
+/**
+ * @typedef {Object} DriftEntry
+ * @property {string}   kind        - Kind of issue, see SchemaIssue.
+ * @property {string}   path        - Path to the field.
+ * @property {string}   [expected]  - Expected type
+ * @property {string}   [actual]    - Actual type
+ * @property {number}   count       - Number of responses with this issue
+ * @property {Date}     firstSeen   - Time of the first response with this issue
+ * @property {Date}     lastSeen    - Time of the last response with this issue
+ */
+
+/**
+ * Collects the schema issues of all responses, to find out how the NIU cloud
+ * responses drift away from the documented ones.
+ *
+ * @private
+ */
+var DriftReport = function() {
+
+    /** Time, since the issues are collected. */
+    this._since = new Date();
+
+    /** Response types with the number of validated responses and their issues. */
+    this._responses = {};
+};
+
+/**
+ * Add the issues of a validated response.
+ *
+ * @param {string}          name    - Name of the response type.
+ * @param {SchemaIssue[]}   issues  - Issues of the response.
+ *
+ * @returns {SchemaIssue[]} Issues, which are seen the first time.
+ */
+DriftReport.prototype.add = function(name, issues) {
+    var entry   = this._responses[name];
+    var now     = new Date();
+    var newOnes = [];
+
+    if (undefined === entry) {
+        entry = {
+            count: 0,
+            issues: {}
+        };
+
+        this._responses[name] = entry;
+    }
+
+    ++entry.count;
+
+    issues.forEach(function(issue) {
+        var key     = issue.kind + " " + issue.path + " " + issue.actual;
+        var drift   = entry.issues[key];
+
+        if (undefined === drift) {
+            drift = {
+                kind: issue.kind,
+                path: issue.path,
+                expected: issue.expected,
+                actual: issue.actual,
+                count: 0,
+                firstSeen: now,
+                lastSeen: now
+            };
+
+            entry.issues[key] = drift;
+            newOnes.push(issue);
+        }
+
+        ++drift.count;
+        drift.lastSeen = now;
+    });
+
+    return newOnes;
+};
+
+/**
+ * Get the report.
+ *
+ * @returns {Object} Report, see niuCloudConnector.Client.getDriftReport().
+ */
+DriftReport.prototype.get = function() {
+    var responses   = {};
+    var name        = null;
+    var key         = null;
+    var entry       = null;
+
+    for (name in this._responses) {
+        if (Object.prototype.hasOwnProperty.call(this._responses, name)) {
+            entry = this._responses[name];
+
+            responses[name] = {
+                count: entry.count,
+                missing: [],
+                extra: [],
+                type: []
+            };
+
+            for (key in entry.issues) {
+                if (Object.prototype.hasOwnProperty.call(entry.issues, key)) {
+                    responses[name][entry.issues[key].kind].push(Object.assign({}, entry.issues[key]));
+                }
+            }
+        }
+    }
+
+    return {
+        since: this._since,
+        responses: responses
+    };
+};
+
+/**
+ * Clear the report.
+ */
+DriftReport.prototype.clear = function() {
+    this._since     = new Date();
+    this._responses = {};
+};
+
+module.exports = {
+    schemas: schemas,
+    validate: validate,
+    DriftReport: DriftReport
+};
@@ -0,0 +1,403 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** Network */
+var net = require("net");
+
+/** TLS */
+var tls = require("tls");
+
+/** Operating system information */
+var os = require("os");
+
+/** Error classes */
+var errors = require("./errors");
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {string}           from        - Sender address
+ * @property {string|string[]}  to          - Recipient address(es)
+ * @property {string}           subject     - Subject
+ * @property {string}           text        - Plain text body
+ */
+
+/**
+ * Encode a header value, if it contains non-ASCII characters (RFC 2047).
+ *
+ * @private
+ *
+ * @param {string} value - Header value.
+ *
+ * @returns {string} Encoded header value.
+ */
+var encodeHeader = function(value) {
+
+    if (true === /^[\x20-\x7e]*$/.test(value)) {
+        return value;
+    }
+
+    return "=?UTF-8?B?" + Buffer.from(value, "utf8").toString("base64") + "?=";
+};
+
+/**
+ * Checks whether a mail address can be used in the SMTP commands and headers.
+ * Line breaks would inject commands or headers and angle brackets would end
+ * the address in MAIL FROM and RCPT TO.
+ *
+ * @private
+ *
+ * @param {string} address - Mail address.
+ *
+ * @returns {boolean} If the address is valid, it will return true otherwise false.
+ */
+var isValidAddress = function(address) {
+    return ("string" === typeof address) &&
+        (0 < address.length) &&
+        (false === /[\r\n<>]/.test(address));
+};
+
+/**
+ * Create the mail with header and base64 encoded body.
+ *
+ * @private
+ *
+ * @param {MailMessage} message     - Message.
+ * @param {string[]}    recipients  - Recipients.
+ * @param {string}      name        - Host name of the client.
+ *
+ * @returns {string} Mail, ready for the DATA command.
+ */
+var createMail = function(message, recipients, name) {
+    var body    = Buffer.from(String(message.text), "utf8").toString("base64");
+    var lines   = [
+        "From: " + message.from,
+        "To: " + recipients.join(", "),
+        "Subject: " + encodeHeader(String(message.subject)),
+        "Date: " + new Date().toUTCString(),
+        "Message-ID: <" + Date.now() + "." + Math.random().toString(36).slice(2) + "@" + name + ">",
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: base64",
+        ""
+    ];
+
+    /* Base64 never starts a line with a dot, therefore no dot stuffing is necessary. */
+    return lines.concat(body.match(/.{1,76}/g) || []).join("\r\n") + "\r\n.\r\n";
+};
+
+/**
+ * Minimal SMTP client, which sends plain text mails, e.g. for alert notifications.
+ * It supports implicit TLS, STARTTLS and the PLAIN authentication.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ *
+ * @param {Object}  options                 - Options.
+ * @param {string}  options.host            - SMTP server host name.
+ * @param {number}  [options.port]          - SMTP server port (default: 465 with secure, otherwise 587).
+ * @param {boolean} [options.secure]        - Use implicit TLS (default: false).
+ * @param {boolean} [options.requireTls]    - Fail, if the server doesn't support STARTTLS (default: true, unless secure).
+ * @param {string}  [options.user]          - User name for the authentication.
+ * @param {string}  [options.password]      - Password for the authentication.
+ * @param {number}  [options.timeout]       - Timeout in ms for the whole delivery (default: 30000).
+ * @param {Object}  [options.tls]           - Additional TLS options, e.g. ca.
+ */
+var SmtpTransport = function(options) {
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        throw new errors.ValidationError("Options is missing.", {
+            funcName: "SmtpTransport()"
+        });
+    }
+
+    if ("string" !== typeof options.host) {
+        throw new errors.ValidationError("Host is missing.", {
+            funcName: "SmtpTransport()"
+        });
+    }
+
+    /** SMTP server host name */
+    this._host = options.host;
+
+    /** Use implicit TLS */
+    this._secure = (true === options.secure);
+
+    /** SMTP server port */
+    this._port = ("number" === typeof options.port) ? options.port : ((true === this._secure) ? 465 : 587);
+
+    /** Fail without STARTTLS */
+    this._requireTls = (false !== options.requireTls);
+
+    /** User name */
+    this._user = ("string" === typeof options.user) ? options.user : null;
+
+    /** Password */
+    this._password = ("string" === typeof options.password) ? options.password : "";
+
+    /** Timeout in ms */
+    this._timeout = ("number" === typeof options.timeout) ? options.timeout : 30000;
+
+    /** Additional TLS options */
+    this._tls = (("object" === typeof options.tls) && (null !== options.tls)) ? options.tls : {};
+
+    /** Host name of the client, used for EHLO */
+    this._name = os.hostname() || "localhost";
+};
+
+/**
+ * Send a mail.
+ *
+ * @param {MailMessage} message - Message.
+ *
+ * @returns {Promise} Nothing.
+ */
+SmtpTransport.prototype.sendMail = function(message) {
+    var _this       = this;
+    var recipients  = null;
+
+    if (("object" !== typeof message) ||
+        (null === message) ||
+        ("string" !== typeof message.from)) {
+        return Promise.reject(new errors.ValidationError("Sender is missing.", {
+            funcName: "sendMail()"
+        }));
+    }
+
+    recipients = ("string" === typeof message.to) ? [message.to] : message.to;
+
+    if ((false === Array.isArray(recipients)) ||
+        (0 === recipients.length)) {
+        return Promise.reject(new errors.ValidationError("Recipient is missing.", {
+            funcName: "sendMail()"
+        }));
+    }
+
+    if (false === isValidAddress(message.from)) {
+        return Promise.reject(new errors.ValidationError("Invalid sender: " + JSON.stringify(message.from), {
+            funcName: "sendMail()"
+        }));
+    }
+
+    if (false === recipients.every(isValidAddress)) {
+        return Promise.reject(new errors.ValidationError("Invalid recipient: " + JSON.stringify(recipients), {
+            funcName: "sendMail()"
+        }));
+    }
+
+    return new Promise(function(resolve, reject) {
+        var socket      = null;
+        var buffer      = "";
+        var lines       = [];
+        var waiting     = null;
+        var isSettled   = false;
+        var timer       = null;
+
+        var settle = function(error) {
+
+            if (true === isSettled) {
+                return;
+            }
+
+            isSettled = true;
+            clearTimeout(timer);
+
+            if (null !== socket) {
+                socket.destroy();
+            }
+
+            if (null !== error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+        };
+
+        var fail = function(error) {
+            settle(new errors.NetworkError("SMTP connection failed: " + error.message, {
+                funcName: "sendMail()",
+                cause: error
+            }));
+        };
+
+        var onData = function(chunk) {
+            var index   = 0;
+            var line    = "";
+            var handler = null;
+
+            buffer += chunk.toString("utf8");
+
+            while (0 <= (index = buffer.indexOf("\n"))) {
+                line    = buffer.slice(0, index).replace(/\r$/, "");
+                buffer  = buffer.slice(index + 1);
+
+                lines.push(line);
+
+                /* The last line of a reply has a space after the code. */
+                if ((true === /^\d{3}( |$)/.test(line)) &&
+                    (null !== waiting)) {
+                    handler = waiting;
+                    waiting = null;
+                    handler(parseInt(line.slice(0, 3), 10), lines);
+                    lines   = [];
+                }
+            }
+        };
+
+        var attach = function(newSocket) {
+            socket = newSocket;
+            socket.on("data", onData);
+            socket.on("error", fail);
+            socket.on("close", function() {
+                fail(new Error("Connection closed."));
+            });
+        };
+
+        /* Send a command and wait for the reply with one of the expected codes. */
+        var command = function(line, expected) {
+            return new Promise(function(resolveReply, rejectReply) {
+                waiting = function(code, reply) {
+
+                    if (0 > expected.indexOf(code)) {
+                        rejectReply(new errors.NotificationError("SMTP server rejected " + ((null !== line) ? line.split(" ")[0] : "the connection") + ": " + reply.join(" "), {
+                            funcName: "sendMail()",
+                            info: {
+                                code: code,
+                                reply: reply
+                            }
+                        }));
+                    } else {
+                        resolveReply(reply);
+                    }
+                };
+
+                if (null !== line) {
+                    socket.write(line + "\r\n");
+                }
+            });
+        };
+
+        var hello = function() {
+            return command("EHLO " + _this._name, [250]);
+        };
+
+        timer = setTimeout(function() {
+            settle(new errors.TimeoutError("SMTP delivery timed out after " + _this._timeout + " ms.", {
+                funcName: "sendMail()"
+            }));
+        }, _this._timeout);
+
+        if (true === _this._secure) {
+            attach(tls.connect(Object.assign({
+                host: _this._host,
+                port: _this._port,
+                servername: _this._host
+            }, _this._tls)));
+        } else {
+            attach(net.connect({
+                host: _this._host,
+                port: _this._port
+            }));
+        }
+
+        command(null, [220]).then(hello).then(function(reply) {
+            var hasStartTls = reply.some(function(line) {
+                return true === /^250[ -]STARTTLS/i.test(line);
+            });
+
+            if (true === _this._secure) {
+                return reply;
+            }
+
+            if (false === hasStartTls) {
+
+                if (true === _this._requireTls) {
+                    return Promise.reject(new errors.NotificationError("SMTP server doesn't support STARTTLS.", {
+                        funcName: "sendMail()"
+                    }));
+                }
+
+                return reply;
+            }
+
+            return command("STARTTLS", [220]).then(function() {
+                var plain = socket;
+
+                plain.removeAllListeners("data");
+                plain.removeAllListeners("error");
+                plain.removeAllListeners("close");
+
+                attach(tls.connect(Object.assign({
+                    socket: plain,
+                    servername: _this._host
+                }, _this._tls)));
+
+                return hello();
+            });
+
+        }).then(function() {
+
+            if (null === _this._user) {
+                return undefined;
+            }
+
+            return command("AUTH PLAIN " + Buffer.from("\u0000" + _this._user + "\u0000" + _this._password, "utf8").toString("base64"), [235]);
+
+        }).then(function() {
+            return command("MAIL FROM:<" + message.from + ">", [250]);
+        }).then(function() {
+
+            return recipients.reduce(function(promise, recipient) {
+                return promise.then(function() {
+                    return command("RCPT TO:<" + recipient + ">", [250, 251]);
+                });
+            }, Promise.resolve());
+
+        }).then(function() {
+            return command("DATA", [354]);
+        }).then(function() {
+            socket.write(createMail(message, recipients, _this._name));
+
+            return command(null, [250]);
+        }).then(function() {
+            var done = socket;
+
+            /* The mail is accepted, a failing QUIT doesn't matter anymore. */
+            socket = null;
+            done.removeAllListeners("close");
+            done.removeAllListeners("error");
+            done.on("error", function() {
+                return undefined;
+            });
+            done.end("QUIT\r\n");
+
+            settle(null);
+        }).catch(function(error) {
+            settle(error);
+        });
+    });
+};
+
+module.exports = {
+    SmtpTransport: SmtpTransport
+};
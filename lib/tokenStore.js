@@ -0,0 +1,256 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** File system */
+var fs = require("fs");
+
+/** Path utilities */
+var path = require("path");
+
+/** Error classes */
+var errors = require("./errors");
+
+/** Number of saves, which makes the temporary file of every save unique. */
+var saveCount = 0;
+
+/**
+ * A token store keeps the session token, so it survives a restart of the process.
+ * Every token store provides the methods load(), save() and clear(), which all return a promise.
+ *
+ * @typedef {Object} TokenStore
+ * @property {Function} load    - Load the session token. Resolves with the token or null, if there is none.
+ * @property {Function} save    - Save the session token, given as parameter.
+ * @property {Function} clear   - Remove the session token.
+ */
+
+/**
+ * Token store, which keeps the session token in memory only.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ */
+var MemoryTokenStore = function() {
+
+    /** Session token */
+    this._token = null;
+};
+
+/**
+ * Load the session token.
+ *
+ * @returns {Promise} Session token or null, if there is none.
+ */
+MemoryTokenStore.prototype.load = function() {
+    return Promise.resolve(this._token);
+};
+
+/**
+ * Save the session token.
+ *
+ * @param {string} token - Session token.
+ *
+ * @returns {Promise} Nothing.
+ */
+MemoryTokenStore.prototype.save = function(token) {
+    this._token = token;
+
+    return Promise.resolve();
+};
+
+/**
+ * Remove the session token.
+ *
+ * @returns {Promise} Nothing.
+ */
+MemoryTokenStore.prototype.clear = function() {
+    this._token = null;
+
+    return Promise.resolve();
+};
+
+/**
+ * Token store, which keeps the session token in a file.
+ *
+ * The session token grants full access to the vehicles. Therefore the file is
+ * only readable and writeable by the owner and it is written atomically.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ *
+ * @param {Object}  options             - Options.
+ * @param {string}  options.path        - Path to the token file.
+ * @param {number}  [options.mode]      - File permissions (default: 0600).
+ */
+var FileTokenStore = function(options) {
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        throw new errors.ValidationError("Options is missing.", {
+            funcName: "FileTokenStore()"
+        });
+    }
+
+    if ("string" !== typeof options.path) {
+        throw new errors.ValidationError("Path is missing.", {
+            funcName: "FileTokenStore()"
+        });
+    }
+
+    /** Path to the token file */
+    this._path = options.path;
+
+    /** File permissions */
+    this._mode = ("number" === typeof options.mode) ? options.mode : parseInt("600", 8);
+};
+
+/**
+ * Load the session token.
+ *
+ * @returns {Promise} Session token or null, if there is none.
+ */
+FileTokenStore.prototype.load = function() {
+    var _this = this;
+
+    return new Promise(function(resolve, reject) {
+
+        fs.readFile(_this._path, "utf8", function(error, content) {
+            var data = null;
+
+            if (null !== error) {
+
+                if ("ENOENT" === error.code) {
+                    resolve(null);
+                } else {
+                    reject(error);
+                }
+
+                return;
+            }
+
+            try {
+                data = JSON.parse(content);
+            } catch (parseError) {
+                /* A corrupt token file is handled like a missing one. */
+                data = null;
+            }
+
+            if ((null !== data) &&
+                ("object" === typeof data) &&
+                ("string" === typeof data.token) &&
+                (0 < data.token.length)) {
+                resolve(data.token);
+            } else {
+                resolve(null);
+            }
+
+            return;
+        });
+    });
+};
+
+/**
+ * Save the session token. The token is written into a temporary file first,
+ * which replaces the token file afterwards. Every save uses its own temporary
+ * file, so concurrent saves don't interfere. The temporary file is created
+ * exclusively, an existing file or symbolic link is never followed or overwritten.
+ *
+ * @param {string} token - Session token.
+ *
+ * @returns {Promise} Nothing.
+ */
+FileTokenStore.prototype.save = function(token) {
+    var _this   = this;
+    var tmpPath = path.join(path.dirname(this._path), "." + path.basename(this._path) + "." + process.pid + "." + (++saveCount) + ".tmp");
+    var content = JSON.stringify({
+        token: token,
+        date: Date.now()
+    });
+
+    return new Promise(function(resolve, reject) {
+
+        fs.writeFile(tmpPath, content, {
+            encoding: "utf8",
+            mode: _this._mode,
+            flag: "wx"
+        }, function(error) {
+
+            if (null !== error) {
+                reject(error);
+                return;
+            }
+
+            /* The mode of the new file is reduced by the umask, therefore set it explicit. */
+            fs.chmod(tmpPath, _this._mode, function(error) {
+
+                if (null !== error) {
+                    fs.unlink(tmpPath, function() {
+                        reject(error);
+                    });
+                    return;
+                }
+
+                fs.rename(tmpPath, _this._path, function(error) {
+
+                    if (null !== error) {
+                        fs.unlink(tmpPath, function() {
+                            reject(error);
+                        });
+                    } else {
+                        resolve();
+                    }
+
+                    return;
+                });
+            });
+        });
+    });
+};
+
+/**
+ * Remove the session token.
+ *
+ * @returns {Promise} Nothing.
+ */
+FileTokenStore.prototype.clear = function() {
+    var _this = this;
+
+    return new Promise(function(resolve, reject) {
+
+        fs.unlink(_this._path, function(error) {
+
+            if ((null !== error) &&
+                ("ENOENT" !== error.code)) {
+                reject(error);
+            } else {
+                resolve();
+            }
+
+            return;
+        });
+    });
+};
+
+module.exports = {
+    MemoryTokenStore: MemoryTokenStore,
+    FileTokenStore: FileTokenStore
+};
@@ -0,0 +1,454 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** Error classes */
+var errors = require("./errors");
+
+/** Helper functions */
+var helpers = require("./helpers");
+
+/** Creator, written into the exported files. */
+var CREATOR = "niu-cloud-connector";
+
+/**
+ * A track, which consists of the track detail and optional the track summary.
+ *
+ * @typedef {Object} Track
+ * @property {Object}   detail      - Track detail, the result data of niuCloudConnector.Client.getTrackDetail().
+ * @property {Object}   [summary]   - Track summary, one element of the result data of niuCloudConnector.Client.getTracks().
+ */
+
+/**
+ * @typedef {Object} TrackPoint
+ * @property {number}   lat     - Latitude in decimal degree (WGS 84)
+ * @property {number}   lng     - Longitude in decimal degree (WGS 84)
+ * @property {number}   [date]  - Date in unix timestamp epoch format (13 digits)
+ */
+
+/**
+ * Convert a unix timestamp in ms to a ISO 8601 date string.
+ *
+ * @private
+ *
+ * @param {number | string} value - Unix timestamp epoch format (13 digits).
+ *
+ * @returns {string} Date string or null, if the timestamp is invalid.
+ */
+var toIsoDate = function(value) {
+    var timestamp   = helpers.toNumber(value);
+    var date        = null;
+
+    if (null === timestamp) {
+        return null;
+    }
+
+    date = new Date(timestamp);
+
+    /* Out of the date range, toISOString() would throw a RangeError. */
+    if (false === isFinite(date.getTime())) {
+        return null;
+    }
+
+    return date.toISOString();
+};
+
+/**
+ * Escape special characters for XML.
+ *
+ * @private
+ *
+ * @param {string} value - Text.
+ *
+ * @returns {string} Escaped text.
+ */
+var escapeXml = function(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+};
+
+/**
+ * Validate the track and get the track detail and summary.
+ *
+ * @private
+ *
+ * @param {Track}   track       - Track.
+ * @param {string}  funcName    - Name of the function, which validates.
+ *
+ * @returns {Object} Track detail and summary, which is at least an empty object.
+ */
+var getTrackData = function(track, funcName) {
+    var detail  = null;
+    var summary = {};
+
+    if (("object" !== typeof track) ||
+        (null === track) ||
+        ("object" !== typeof track.detail) ||
+        (null === track.detail)) {
+        throw new errors.ValidationError("Track detail is missing.", {
+            funcName: funcName
+        });
+    }
+
+    detail = track.detail;
+
+    /* The whole response of getTrackDetail() is accepted too. */
+    if (("object" === typeof detail.data) &&
+        (null !== detail.data)) {
+        detail = detail.data;
+    }
+
+    if (false === Array.isArray(detail.trackItems)) {
+        throw new errors.ValidationError("Track items are missing.", {
+            funcName: funcName
+        });
+    }
+
+    if (("object" === typeof track.summary) &&
+        (null !== track.summary)) {
+        summary = track.summary;
+    }
+
+    return {
+        detail: detail,
+        summary: summary
+    };
+};
+
+/**
+ * Checks whether all track points have a timestamp.
+ *
+ * @private
+ *
+ * @param {TrackPoint[]} points - Track points.
+ *
+ * @returns {boolean} If all have a timestamp, it will return true otherwise false.
+ */
+var hasTimestamps = function(points) {
+    return points.every(function(point) {
+        return undefined !== point.date;
+    });
+};
+
+/**
+ * Get the track points in chronological order. The NIU cloud provides them
+ * in reverse order, with the end point at index 0. Points without valid
+ * coordinates are skipped.
+ *
+ * @memberof niuCloudConnector
+ *
+ * @param {Track} track - Track.
+ *
+ * @returns {TrackPoint[]} Track points.
+ */
+var getTrackPoints = function(track) {
+    var data    = getTrackData(track, "getTrackPoints()");
+    var points  = [];
+
+    data.detail.trackItems.forEach(function(item) {
+        var point = null;
+
+        if (("object" !== typeof item) ||
+            (null === item)) {
+            return;
+        }
+
+        point = {
+            lat: helpers.toNumber(item.lat),
+            lng: helpers.toNumber(item.lng),
+            date: helpers.toNumber(item.date)
+        };
+
+        if ((null === point.lat) ||
+            (null === point.lng)) {
+            return;
+        }
+
+        if (null === toIsoDate(point.date)) {
+            point.date = undefined;
+        }
+
+        points.push(point);
+    });
+
+    points.reverse();
+
+    /* Sort stable by date, in case the order of the cloud is not strictly reverse. */
+    if (true === hasTimestamps(points)) {
+        points.sort(function(a, b) {
+            return a.date - b.date;
+        });
+    }
+
+    return points;
+};
+
+/**
+ * Get the ride metadata of a track.
+ *
+ * @private
+ *
+ * @param {Object}          data    - Track detail and summary.
+ * @param {TrackPoint[]}    points  - Track points in chronological order.
+ *
+ * @returns {Object} Metadata.
+ */
+var getMetadata = function(data, points) {
+    var summary     = data.summary;
+    var detail      = data.detail;
+    var startTime   = (undefined !== summary.startTime) ? summary.startTime : detail.startTime;
+    var endTime     = (undefined !== summary.endTime) ? summary.endTime : detail.lastDate;
+    var metadata    = {
+        trackId: (undefined !== summary.trackId) ? String(summary.trackId) : null,
+        date: (undefined !== summary.date) ? String(summary.date) : null,
+        startTime: toIsoDate(startTime),
+        endTime: toIsoDate(endTime),
+        distance: helpers.toNumber(summary.distance),
+        avgSpeed: helpers.toNumber(summary.avespeed),
+        ridingTime: helpers.toNumber(summary.ridingtime)
+    };
+
+    if ((null === metadata.startTime) &&
+        (0 < points.length)) {
+        metadata.startTime = toIsoDate(points[0].date);
+    }
+
+    if ((null === metadata.endTime) &&
+        (0 < points.length)) {
+        metadata.endTime = toIsoDate(points[points.length - 1].date);
+    }
+
+    if (null !== metadata.trackId) {
+        metadata.name = "Track " + metadata.trackId;
+    } else if (null !== metadata.startTime) {
+        metadata.name = "Track " + metadata.startTime;
+    } else {
+        metadata.name = "Track";
+    }
+
+    return metadata;
+};
+
+/**
+ * Get a human readable description of the ride metadata.
+ *
+ * @private
+ *
+ * @param {Object} metadata - Metadata.
+ *
+ * @returns {string} Description.
+ */
+var getDescription = function(metadata) {
+    var parts = [];
+
+    if (null !== metadata.distance) {
+        parts.push("Distance: " + metadata.distance + " m");
+    }
+
+    if (null !== metadata.avgSpeed) {
+        parts.push("Average speed: " + metadata.avgSpeed + " km/h");
+    }
+
+    if (null !== metadata.ridingTime) {
+        parts.push("Riding time: " + metadata.ridingTime + " min");
+    }
+
+    return parts.join(", ");
+};
+
+/**
+ * Export a track as GPX 1.1.
+ *
+ * @memberof niuCloudConnector
+ *
+ * @param {Track} track - Track.
+ *
+ * @returns {string} GPX document.
+ */
+var toGpx = function(track) {
+    var data        = getTrackData(track, "toGpx()");
+    var points      = getTrackPoints(track);
+    var metadata    = getMetadata(data, points);
+    var description = getDescription(metadata);
+    var lines       = [];
+
+    lines.push("<?xml version=\"1.0\" encoding=\"UTF-8\"?>");
+    lines.push("<gpx version=\"1.1\" creator=\"" + CREATOR + "\" xmlns=\"http://www.topografix.com/GPX/1/1\">");
+    lines.push("  <metadata>");
+    lines.push("    <name>" + escapeXml(metadata.name) + "</name>");
+
+    if (null !== metadata.startTime) {
+        lines.push("    <time>" + metadata.startTime + "</time>");
+    }
+
+    lines.push("  </metadata>");
+    lines.push("  <trk>");
+    lines.push("    <name>" + escapeXml(metadata.name) + "</name>");
+
+    if (0 < description.length) {
+        lines.push("    <desc>" + escapeXml(description) + "</desc>");
+    }
+
+    lines.push("    <trkseg>");
+
+    points.forEach(function(point) {
+        var time = toIsoDate(point.date);
+
+        if (null === time) {
+            lines.push("      <trkpt lat=\"" + point.lat + "\" lon=\"" + point.lng + "\"/>");
+        } else {
+            lines.push("      <trkpt lat=\"" + point.lat + "\" lon=\"" + point.lng + "\"><time>" + time + "</time></trkpt>");
+        }
+    });
+
+    lines.push("    </trkseg>");
+    lines.push("  </trk>");
+    lines.push("</gpx>");
+
+    return lines.join("\n") + "\n";
+};
+
+/**
+ * Export a track as GeoJSON LineString feature. The ride metadata is provided
+ * in the properties, the timestamps of the points in the property coordTimes.
+ * If several tracks are given, a feature collection is returned.
+ *
+ * @memberof niuCloudConnector
+ *
+ * @param {Track | Track[]} track - Track or several tracks.
+ *
+ * @returns {Object} GeoJSON feature or feature collection.
+ */
+var toGeoJson = function(track) {
+    var data        = null;
+    var points      = null;
+    var properties  = null;
+
+    if (true === Array.isArray(track)) {
+        return {
+            type: "FeatureCollection",
+            features: track.map(toGeoJson)
+        };
+    }
+
+    data        = getTrackData(track, "toGeoJson()");
+    points      = getTrackPoints(track);
+    properties  = getMetadata(data, points);
+
+    properties.coordTimes = points.map(function(point) {
+        return toIsoDate(point.date);
+    });
+
+    return {
+        type: "Feature",
+        properties: properties,
+        geometry: {
+            type: "LineString",
+            coordinates: points.map(function(point) {
+                return [point.lng, point.lat];
+            })
+        }
+    };
+};
+
+/**
+ * Export a track as KML 2.2. The points are written as gx:Track, which
+ * carries the timestamps, or as LineString if timestamps are missing.
+ *
+ * @memberof niuCloudConnector
+ *
+ * @param {Track} track - Track.
+ *
+ * @returns {string} KML document.
+ */
+var toKml = function(track) {
+    var data        = getTrackData(track, "toKml()");
+    var points      = getTrackPoints(track);
+    var metadata    = getMetadata(data, points);
+    var description = getDescription(metadata);
+    var lines       = [];
+    var name        = null;
+
+    lines.push("<?xml version=\"1.0\" encoding=\"UTF-8\"?>");
+    lines.push("<kml xmlns=\"http://www.opengis.net/kml/2.2\" xmlns:gx=\"http://www.google.com/kml/ext/2.2\">");
+    lines.push("  <Document>");
+    lines.push("    <name>" + escapeXml(metadata.name) + "</name>");
+    lines.push("    <Placemark>");
+    lines.push("      <name>" + escapeXml(metadata.name) + "</name>");
+
+    if (0 < description.length) {
+        lines.push("      <description>" + escapeXml(description) + "</description>");
+    }
+
+    if ((null !== metadata.startTime) &&
+        (null !== metadata.endTime)) {
+        lines.push("      <TimeSpan><begin>" + metadata.startTime + "</begin><end>" + metadata.endTime + "</end></TimeSpan>");
+    }
+
+    lines.push("      <ExtendedData>");
+
+    for (name in metadata) {
+        if ((Object.prototype.hasOwnProperty.call(metadata, name)) &&
+            (null !== metadata[name])) {
+            lines.push("        <Data name=\"" + name + "\"><value>" + escapeXml(metadata[name]) + "</value></Data>");
+        }
+    }
+
+    lines.push("      </ExtendedData>");
+
+    /* A gx:Track needs a timestamp for every point, otherwise fall back to a line string. */
+    if (true === hasTimestamps(points)) {
+        lines.push("      <gx:Track>");
+
+        points.forEach(function(point) {
+            lines.push("        <when>" + toIsoDate(point.date) + "</when>");
+        });
+
+        points.forEach(function(point) {
+            lines.push("        <gx:coord>" + point.lng + " " + point.lat + " 0</gx:coord>");
+        });
+
+        lines.push("      </gx:Track>");
+    } else {
+        lines.push("      <LineString>");
+        lines.push("        <coordinates>" + points.map(function(point) {
+            return point.lng + "," + point.lat;
+        }).join(" ") + "</coordinates>");
+        lines.push("      </LineString>");
+    }
+    lines.push("    </Placemark>");
+    lines.push("  </Document>");
+    lines.push("</kml>");
+
+    return lines.join("\n") + "\n";
+};
+
+module.exports = {
+    getTrackPoints: getTrackPoints,
+    toGpx: toGpx,
+    toGeoJson: toGeoJson,
+    toKml: toKml
+};
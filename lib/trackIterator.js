@@ -0,0 +1,350 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** Error classes */
+var errors = require("./errors");
+
+/** Helper functions */
+var helpers = require("./helpers");
+
+/** Normalized data model */
+var model = require("./model");
+
+/** Default number of tracks per page */
+var DEFAULT_PAGE_SIZE = 20;
+
+/** Default number of concurrent track detail requests */
+var DEFAULT_CONCURRENCY = 2;
+
+/**
+ * Asynchronous iterator over the whole track history of a vehicle. It requests
+ * the tracks page by page and yields them one by one, latest first like the
+ * NIU cloud provides them. Use it with for await or call next() directly.
+ *
+ * Every value is a track with the track summary, see Tracks, and the track
+ * detail, see TrackDetail. The detail is only requested, if enabled and null
+ * otherwise. It can be passed directly to the track exporters. If the client
+ * provides the normalized data model, every track contains it in the model property.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ *
+ * @param {Object}                      options                 - Options.
+ * @param {niuCloudConnector.Client}    options.client          - Client.
+ * @param {string}                      options.sn              - Vehicle serial number.
+ * @param {Date | number}               [options.from]          - Only tracks, which started at or after this time.
+ * @param {Date | number}               [options.to]            - Only tracks, which started at or before this time.
+ * @param {number}                      [options.pageSize]      - Number of tracks per request (default: 20).
+ * @param {boolean}                     [options.withDetail]    - Request the track detail of every track (default: false).
+ * @param {number}                      [options.concurrency]   - Max. number of concurrent track detail requests (default: 2).
+ * @param {number}                      [options.timeout]       - Timeout in ms per request, overrides the timeout of the client.
+ * @param {Object}                      [options.signal]        - AbortSignal, which cancels the iteration.
+ */
+var TrackIterator = function(options) {
+    var funcName = "TrackIterator()";
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        throw new errors.ValidationError("Options is missing.", {
+            funcName: funcName
+        });
+    }
+
+    if (("object" !== typeof options.client) ||
+        (null === options.client)) {
+        throw new errors.ValidationError("Client is missing.", {
+            funcName: funcName
+        });
+    }
+
+    if ("string" !== typeof options.sn) {
+        throw new errors.ValidationError("Vehicle serial number is missing.", {
+            funcName: funcName
+        });
+    }
+
+    /** Client */
+    this._client = options.client;
+
+    /** Vehicle serial number */
+    this._sn = options.sn;
+
+    /** Start of the time range in unix timestamp epoch format (13 digits) */
+    this._from = null;
+
+    /** End of the time range in unix timestamp epoch format (13 digits) */
+    this._to = null;
+
+    if (undefined !== options.from) {
+        this._from = helpers.toTimestamp(options.from);
+
+        if (false === isFinite(this._from)) {
+            throw new errors.ValidationError("Invalid start date.", {
+                funcName: funcName
+            });
+        }
+    }
+
+    if (undefined !== options.to) {
+        this._to = helpers.toTimestamp(options.to);
+
+        if (false === isFinite(this._to)) {
+            throw new errors.ValidationError("Invalid end date.", {
+                funcName: funcName
+            });
+        }
+    }
+
+    /** Number of tracks per request */
+    this._pageSize = DEFAULT_PAGE_SIZE;
+
+    if (undefined !== options.pageSize) {
+
+        if (("number" !== typeof options.pageSize) ||
+            (1 > options.pageSize)) {
+            throw new errors.ValidationError("Invalid page size.", {
+                funcName: funcName
+            });
+        }
+
+        this._pageSize = Math.floor(options.pageSize);
+    }
+
+    /** Request the track details? */
+    this._withDetail = (true === options.withDetail);
+
+    /** Max. number of concurrent track detail requests */
+    this._concurrency = helpers.toLimit(options.concurrency, DEFAULT_CONCURRENCY);
+
+    /** Timeout in ms per request */
+    this._timeout = options.timeout;
+
+    /** AbortSignal */
+    this._signal = options.signal;
+
+    /** Index of the next page */
+    this._index = 0;
+
+    /** Tracks, which are received, but not yielded yet. */
+    this._buffer = [];
+
+    /** Are all pages requested? */
+    this._isDone = false;
+
+    /** Is the iteration stopped by the user? */
+    this._isStopped = false;
+
+    /** Last pending next() call, used to serialize the calls. */
+    this._pending = Promise.resolve();
+};
+
+/**
+ * Get the iterator, which is the object itself.
+ *
+ * @returns {niuCloudConnector.TrackIterator} Iterator.
+ */
+TrackIterator.prototype[Symbol.asyncIterator] = function() {
+    return this;
+};
+
+/**
+ * Get the next track.
+ *
+ * @returns {Promise} Iterator result with the track in value, see Track, and the done flag.
+ */
+TrackIterator.prototype.next = function() {
+    var _this = this;
+
+    /* Concurrent calls are served one after another. */
+    this._pending = this._pending.catch(function() {
+        /* Already reported to the previous caller. */
+    }).then(function() {
+        return _this._next();
+    });
+
+    return this._pending;
+};
+
+/**
+ * Stop the iteration, e.g. if the loop is left with break.
+ *
+ * @returns {Promise} Iterator result with the done flag set.
+ */
+TrackIterator.prototype.return = function() {
+    this._isDone    = true;
+    this._isStopped = true;
+    this._buffer    = [];
+
+    return Promise.resolve({
+        value: undefined,
+        done: true
+    });
+};
+
+/**
+ * Get all remaining tracks at once.
+ *
+ * @returns {Promise} Tracks, see Track.
+ */
+TrackIterator.prototype.toArray = function() {
+    var _this   = this;
+    var tracks  = [];
+
+    var collect = function() {
+        return _this.next().then(function(iteration) {
+
+            if (true === iteration.done) {
+                return tracks;
+            }
+
+            tracks.push(iteration.value);
+
+            return collect();
+        });
+    };
+
+    return collect();
+};
+
+/**
+ * Get the next track, requesting the next page if necessary.
+ *
+ * @private
+ *
+ * @returns {Promise} Iterator result.
+ */
+TrackIterator.prototype._next = function() {
+    var _this = this;
+
+    if (0 < this._buffer.length) {
+        return Promise.resolve({
+            value: this._buffer.shift(),
+            done: false
+        });
+    }
+
+    if (true === this._isDone) {
+        return Promise.resolve({
+            value: undefined,
+            done: true
+        });
+    }
+
+    return this._requestPage().then(function() {
+        return _this._next();
+    }, function(error) {
+        _this._isDone = true;
+
+        return Promise.reject(error);
+    });
+};
+
+/**
+ * Request the next page of tracks and fill the buffer with the tracks,
+ * which started in the time range.
+ *
+ * @private
+ *
+ * @returns {Promise} Resolved, if the page is processed.
+ */
+TrackIterator.prototype._requestPage = function() {
+    var _this = this;
+
+    return this._client.getTracks({
+        sn: this._sn,
+        index: this._index,
+        pageSize: this._pageSize,
+        timeout: this._timeout,
+        signal: this._signal
+    }).then(function(response) {
+        var tracks      = (true === Array.isArray(response.result.data)) ? response.result.data : [];
+        var selected    = [];
+        var isModeled   = (undefined !== response.model);
+
+        var toTrack = function(summary, detail) {
+            var track = {
+                summary: summary,
+                detail: detail
+            };
+
+            if (true === isModeled) {
+                track.model = model.toTrack(summary, detail);
+            }
+
+            return track;
+        };
+
+        _this._index += tracks.length;
+
+        if (_this._pageSize > tracks.length) {
+            _this._isDone = true;
+        }
+
+        tracks.forEach(function(track) {
+            var startTime = helpers.toTimestamp(track.startTime);
+
+            /* The tracks are ordered latest first, older tracks are out of range too. */
+            if ((null !== _this._from) &&
+                (startTime < _this._from)) {
+                _this._isDone = true;
+                return;
+            }
+
+            if ((null !== _this._to) &&
+                (startTime > _this._to)) {
+                return;
+            }
+
+            selected.push(track);
+        });
+
+        if (false === _this._withDetail) {
+            return selected.map(function(track) {
+                return toTrack(track, null);
+            });
+        }
+
+        return helpers.mapLimit(selected, _this._concurrency, function(track) {
+            return _this._client.getTrackDetail({
+                sn: _this._sn,
+                trackId: String(track.trackId),
+                trackDate: String(track.date),
+                timeout: _this._timeout,
+                signal: _this._signal
+            }).then(function(detail) {
+                return toTrack(track, detail.result.data);
+            });
+        });
+
+    }).then(function(tracks) {
+
+        /* The iteration could be stopped in the meantime. */
+        if (false === _this._isStopped) {
+            _this._buffer = _this._buffer.concat(tracks);
+        }
+    });
+};
+
+module.exports = {
+    TrackIterator: TrackIterator
+};
@@ -0,0 +1,231 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** HTTP client */
+var http = require("http");
+
+/** HTTPS client */
+var https = require("https");
+
+/** URL parser */
+var url = require("url");
+
+/** Form encoding */
+var querystring = require("querystring");
+
+/** Error classes */
+var errors = require("./errors");
+
+/**
+ * A transport executes the HTTP requests of the client. Every transport provides
+ * the method request(), which returns a promise.
+ *
+ * @typedef {Object} Transport
+ * @property {Function} request - Execute a request, see niuCloudConnector.HttpsTransport.request().
+ */
+
+/**
+ * @typedef {Object} TransportResponse
+ * @property {number}           statusCode  - HTTP status code
+ * @property {Object}           headers     - Response headers
+ * @property {Object | string}  body        - Response body, parsed if it is JSON
+ */
+
+/**
+ * Transport, which is based on the built-in http/https modules.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ *
+ * @param {Object}  [options]           - Options.
+ * @param {Object}  [options.agent]     - Agent, used for all requests, e.g. for a proxy or keep alive.
+ */
+var HttpsTransport = function(options) {
+
+    /** Agent, used for all requests. */
+    this._agent = undefined;
+
+    if (("object" === typeof options) &&
+        (null !== options)) {
+
+        if (("object" === typeof options.agent) &&
+            (null !== options.agent)) {
+            this._agent = options.agent;
+        }
+    }
+};
+
+/**
+ * Execute a request.
+ *
+ * @param {Object}  options             - Options.
+ * @param {string}  options.method      - HTTP method, e.g. "GET" or "POST".
+ * @param {string}  options.url         - URL.
+ * @param {Object}  [options.headers]   - Request headers.
+ * @param {Object}  [options.form]      - Form data, which will be sent form-encoded.
+ * @param {Object}  [options.json]      - Data, which will be sent JSON-encoded. Ignored if form data is given.
+ * @param {number}  [options.timeout]   - Timeout in ms for the whole request. 0 means no timeout.
+ * @param {Object}  [options.signal]    - AbortSignal, which cancels the request.
+ *
+ * @returns {Promise} Response, see TransportResponse.
+ */
+HttpsTransport.prototype.request = function(options) {
+    var _this = this;
+
+    return new Promise(function(resolve, reject) {
+        var reqUrl      = url.parse(options.url);
+        var client      = ("http:" === reqUrl.protocol) ? http : https;
+        var headers     = {
+            "accept": "application/json"
+        };
+        var payload     = null;
+        var req         = null;
+        var name        = null;
+        var timer       = null;
+        var signal      = (("object" === typeof options.signal) && (null !== options.signal)) ? options.signal : null;
+        var isSettled   = false;
+
+        var settle = function(error, response) {
+
+            if (true === isSettled) {
+                return;
+            }
+
+            isSettled = true;
+
+            if (null !== timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+
+            if (null !== signal) {
+                signal.removeEventListener("abort", onAbort);
+            }
+
+            if (null !== error) {
+                reject(error);
+            } else {
+                resolve(response);
+            }
+        };
+
+        var onAbort = function() {
+            settle(new errors.AbortError("Request aborted."), null);
+
+            if (null !== req) {
+                req.destroy();
+            }
+        };
+
+        if ((null !== signal) &&
+            (true === signal.aborted)) {
+            reject(new errors.AbortError("Request aborted."));
+            return;
+        }
+
+        if ("object" === typeof options.headers) {
+            for (name in options.headers) {
+                if (Object.prototype.hasOwnProperty.call(options.headers, name)) {
+                    headers[name.toLowerCase()] = options.headers[name];
+                }
+            }
+        }
+
+        if (("object" === typeof options.form) &&
+            (null !== options.form)) {
+            payload = Buffer.from(querystring.stringify(options.form), "utf8");
+
+            headers["content-type"]     = "application/x-www-form-urlencoded";
+            headers["content-length"]   = payload.length;
+        } else if (undefined !== options.json) {
+            payload = Buffer.from(JSON.stringify(options.json), "utf8");
+
+            headers["content-type"]     = "application/json";
+            headers["content-length"]   = payload.length;
+        }
+
+        req = client.request({
+            method: options.method,
+            protocol: reqUrl.protocol,
+            hostname: reqUrl.hostname,
+            port: reqUrl.port,
+            path: reqUrl.path,
+            headers: headers,
+            agent: _this._agent
+        }, function(res) {
+            var chunks = [];
+
+            res.on("data", function(chunk) {
+                chunks.push(chunk);
+            });
+
+            res.on("end", function() {
+                var body = Buffer.concat(chunks).toString("utf8");
+
+                try {
+                    body = JSON.parse(body);
+                } catch (error) {
+                    /* Not JSON, keep the body as it is. */
+                }
+
+                settle(null, {
+                    statusCode: res.statusCode,
+                    headers: res.headers,
+                    body: body
+                });
+            });
+
+            res.on("error", function(error) {
+                settle(error, null);
+            });
+        });
+
+        req.on("error", function(error) {
+            settle(error, null);
+        });
+
+        if (null !== signal) {
+            signal.addEventListener("abort", onAbort);
+        }
+
+        if (("number" === typeof options.timeout) &&
+            (0 < options.timeout)) {
+
+            timer = setTimeout(function() {
+                timer = null;
+                settle(new errors.TimeoutError("Request timed out after " + options.timeout + " ms."), null);
+                req.destroy();
+            }, options.timeout);
+        }
+
+        if (null !== payload) {
+            req.write(payload);
+        }
+
+        req.end();
+    });
+};
+
+module.exports = {
+    HttpsTransport: HttpsTransport
+};
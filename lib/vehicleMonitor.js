@@ -0,0 +1,472 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** Event emitter */
+var EventEmitter = require("events").EventEmitter;
+
+/** Utilities */
+var util = require("util");
+
+/** Error classes */
+var errors = require("./errors");
+
+/** Helper functions */
+var helpers = require("./helpers");
+
+/**
+ * Battery compartments, which are compared.
+ */
+var COMPARTMENTS = [ "compartmentA", "compartmentB" ];
+
+/**
+ * @typedef {Object} VehicleEvent
+ * @property {string}   sn          - Vehicle serial number
+ * @property {Object}   data        - Current motor data, see MotorData
+ * @property {Object}   previous    - Previous motor data, see MotorData
+ */
+
+/**
+ * @typedef {Object} SocEvent
+ * @property {string}   sn          - Vehicle serial number
+ * @property {string}   compartment - Battery compartment, e.g. "compartmentA"
+ * @property {number}   soc         - Current state of charge in percent
+ * @property {number}   previousSoc - Previous state of charge in percent
+ * @property {Object}   data        - Current motor data, see MotorData
+ * @property {Object}   previous    - Previous motor data, see MotorData
+ */
+
+/**
+ * Vehicle monitor, which polls the motor info of a vehicle and emits events
+ * derived by comparing successive motor data.
+ *
+ * The poll interval adapts to the vehicle: while the vehicle is moving, it polls
+ * with the moving interval. While nothing changes, the interval grows up to the
+ * idle interval.
+ *
+ * @class
+ * @memberof niuCloudConnector
+ * @augments EventEmitter
+ *
+ * @param {Object}                      options                     - Options.
+ * @param {niuCloudConnector.Client}    options.client              - Client, used to access the NIU cloud.
+ * @param {string}                      options.sn                  - Vehicle serial number.
+ * @param {number}                      [options.interval]          - Poll interval in ms after a change (default: 60000).
+ * @param {number}                      [options.movingInterval]    - Poll interval in ms while the vehicle is moving (default: 10000).
+ * @param {number}                      [options.idleInterval]      - Max. poll interval in ms while the vehicle is idle (default: 600000).
+ * @param {number}                      [options.backoffFactor]     - Factor, the poll interval grows with every unchanged poll (default: 1.5).
+ *
+ * @fires niuCloudConnector.VehicleMonitor#data
+ * @fires niuCloudConnector.VehicleMonitor#chargingStarted
+ * @fires niuCloudConnector.VehicleMonitor#chargingFinished
+ * @fires niuCloudConnector.VehicleMonitor#locked
+ * @fires niuCloudConnector.VehicleMonitor#unlocked
+ * @fires niuCloudConnector.VehicleMonitor#connected
+ * @fires niuCloudConnector.VehicleMonitor#disconnected
+ * @fires niuCloudConnector.VehicleMonitor#accOn
+ * @fires niuCloudConnector.VehicleMonitor#accOff
+ * @fires niuCloudConnector.VehicleMonitor#socChanged
+ * @fires niuCloudConnector.VehicleMonitor#error
+ */
+var VehicleMonitor = function(options) {
+
+    EventEmitter.call(this);
+
+    if (("object" !== typeof options) ||
+        (null === options)) {
+        throw new errors.ValidationError("Options is missing.", {
+            funcName: "VehicleMonitor()"
+        });
+    }
+
+    if (("object" !== typeof options.client) ||
+        (null === options.client)) {
+        throw new errors.ValidationError("Client is missing.", {
+            funcName: "VehicleMonitor()"
+        });
+    }
+
+    if ("string" !== typeof options.sn) {
+        throw new errors.ValidationError("Vehicle serial number is missing.", {
+            funcName: "VehicleMonitor()"
+        });
+    }
+
+    /** Client, used to access the NIU cloud. */
+    this._client = options.client;
+
+    /** Vehicle serial number */
+    this._sn = options.sn;
+
+    /** Poll interval in ms after a change */
+    this._interval = ("number" === typeof options.interval) ? options.interval : 60000;
+
+    /** Poll interval in ms while the vehicle is moving */
+    this._movingInterval = ("number" === typeof options.movingInterval) ? options.movingInterval : 10000;
+
+    /** Max. poll interval in ms while the vehicle is idle */
+    this._idleInterval = ("number" === typeof options.idleInterval) ? options.idleInterval : 600000;
+
+    /** Factor, the poll interval grows with every unchanged poll */
+    this._backoffFactor = ("number" === typeof options.backoffFactor) ? options.backoffFactor : 1.5;
+
+    /** Current poll interval in ms */
+    this._currentInterval = this._interval;
+
+    /** Last received motor data */
+    this._data = null;
+
+    /** Timer of the next poll */
+    this._timer = null;
+
+    /** Is the monitor running? */
+    this._isRunning = false;
+
+    /** Number of the current run, used to detect a restart while a poll is in progress. */
+    this._runId = 0;
+};
+
+util.inherits(VehicleMonitor, EventEmitter);
+
+/**
+ * Data event, emitted after every successful poll.
+ *
+ * @event niuCloudConnector.VehicleMonitor#data
+ * @type {VehicleEvent}
+ */
+
+/**
+ * Charging started event.
+ *
+ * @event niuCloudConnector.VehicleMonitor#chargingStarted
+ * @type {VehicleEvent}
+ */
+
+/**
+ * Charging finished event.
+ *
+ * @event niuCloudConnector.VehicleMonitor#chargingFinished
+ * @type {VehicleEvent}
+ */
+
+/**
+ * Vehicle locked event.
+ *
+ * @event niuCloudConnector.VehicleMonitor#locked
+ * @type {VehicleEvent}
+ */
+
+/**
+ * Vehicle unlocked event.
+ *
+ * @event niuCloudConnector.VehicleMonitor#unlocked
+ * @type {VehicleEvent}
+ */
+
+/**
+ * Vehicle connected to the NIU cloud event.
+ *
+ * @event niuCloudConnector.VehicleMonitor#connected
+ * @type {VehicleEvent}
+ */
+
+/**
+ * Vehicle disconnected from the NIU cloud event.
+ *
+ * @event niuCloudConnector.VehicleMonitor#disconnected
+ * @type {VehicleEvent}
+ */
+
+/**
+ * ACC switched on event.
+ *
+ * @event niuCloudConnector.VehicleMonitor#accOn
+ * @type {VehicleEvent}
+ */
+
+/**
+ * ACC switched off event.
+ *
+ * @event niuCloudConnector.VehicleMonitor#accOff
+ * @type {VehicleEvent}
+ */
+
+/**
+ * State of charge changed event.
+ *
+ * @event niuCloudConnector.VehicleMonitor#socChanged
+ * @type {SocEvent}
+ */
+
+/**
+ * Error event, emitted if a poll failed. It is only emitted, if there is a listener.
+ *
+ * @event niuCloudConnector.VehicleMonitor#error
+ * @type {niuCloudConnector.NiuError}
+ */
+
+/**
+ * Start polling. The first poll happens immediately.
+ *
+ * @returns {niuCloudConnector.VehicleMonitor} Vehicle monitor.
+ */
+VehicleMonitor.prototype.start = function() {
+
+    if (false === this._isRunning) {
+        this._isRunning         = true;
+        this._currentInterval   = this._interval;
+
+        ++this._runId;
+
+        this._schedule(0, this._runId);
+    }
+
+    return this;
+};
+
+/**
+ * Stop polling.
+ *
+ * @returns {niuCloudConnector.VehicleMonitor} Vehicle monitor.
+ */
+VehicleMonitor.prototype.stop = function() {
+
+    this._isRunning = false;
+
+    if (null !== this._timer) {
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    return this;
+};
+
+/**
+ * Is the monitor running?
+ *
+ * @returns {boolean} If the monitor is running, it will return true otherwise false.
+ */
+VehicleMonitor.prototype.isRunning = function() {
+    return this._isRunning;
+};
+
+/**
+ * Get the last received motor data.
+ *
+ * @returns {Object} Motor data, see MotorData. If nothing was received yet, it will return null.
+ */
+VehicleMonitor.prototype.getData = function() {
+    return this._data;
+};
+
+/**
+ * Get the current poll interval.
+ *
+ * @returns {number} Poll interval in ms.
+ */
+VehicleMonitor.prototype.getInterval = function() {
+    return this._currentInterval;
+};
+
+/**
+ * Schedule the next poll.
+ *
+ * @private
+ *
+ * @param {number} delay  - Delay in ms.
+ * @param {number} runId  - Number of the run, which schedules the poll.
+ */
+VehicleMonitor.prototype._schedule = function(delay, runId) {
+    var _this = this;
+
+    this._timer = setTimeout(function() {
+        _this._timer = null;
+
+        _this.poll().catch(function() {
+            /* Already handled by the error event. */
+        }).then(function() {
+
+            if ((true === _this._isRunning) &&
+                (runId === _this._runId)) {
+                _this._schedule(_this._currentInterval, runId);
+            }
+        });
+
+    }, delay);
+};
+
+/**
+ * Poll the motor info once, emit the derived events and adapt the poll interval.
+ *
+ * @returns {Promise} Motor data, see MotorData.
+ */
+VehicleMonitor.prototype.poll = function() {
+    var _this = this;
+
+    return this._client.getMotorInfo({
+        sn: this._sn
+    }).then(function(result) {
+        var data        = result.result.data;
+        var previous    = _this._data;
+        var isChanged   = false;
+
+        _this._data = data;
+
+        if (null !== previous) {
+            isChanged = _this._compare(previous, data);
+        }
+
+        _this._adaptInterval(data, isChanged);
+
+        _this.emit("data", {
+            sn: _this._sn,
+            data: data,
+            previous: previous
+        });
+
+        return data;
+
+    }, function(error) {
+
+        if (0 < _this.listenerCount("error")) {
+            _this.emit("error", error);
+        }
+
+        return Promise.reject(error);
+    });
+};
+
+/**
+ * Compare the previous motor data with the current one and emit the events.
+ *
+ * @private
+ *
+ * @param {Object} previous - Previous motor data.
+ * @param {Object} data     - Current motor data.
+ *
+ * @returns {boolean} If something changed, it will return true otherwise false.
+ */
+VehicleMonitor.prototype._compare = function(previous, data) {
+    var _this       = this;
+    var isChanged   = false;
+    var event       = {
+        sn: this._sn,
+        data: data,
+        previous: previous
+    };
+
+    var check = function(name, onEvent, offEvent) {
+        var wasOn = helpers.toFlag(previous[name]);
+        var nowOn = helpers.toFlag(data[name]);
+
+        if ((null === wasOn) || (null === nowOn) || (wasOn === nowOn)) {
+            return;
+        }
+
+        isChanged = true;
+
+        _this.emit((true === nowOn) ? onEvent : offEvent, event);
+    };
+
+    check("isCharging", "chargingStarted", "chargingFinished");
+    check("isConnected", "connected", "disconnected");
+    check("isAccOn", "accOn", "accOff");
+
+    if (("number" === typeof previous.lockStatus) &&
+        ("number" === typeof data.lockStatus) &&
+        (previous.lockStatus !== data.lockStatus)) {
+
+        isChanged = true;
+
+        this.emit((helpers.LOCK_STATUS_LOCKED === data.lockStatus) ? "locked" : "unlocked", event);
+    }
+
+    COMPARTMENTS.forEach(function(compartment) {
+        var previousSoc = _this._getSoc(previous, compartment);
+        var soc         = _this._getSoc(data, compartment);
+
+        if ((null === previousSoc) || (null === soc) || (previousSoc === soc)) {
+            return;
+        }
+
+        isChanged = true;
+
+        _this.emit("socChanged", {
+            sn: _this._sn,
+            compartment: compartment,
+            soc: soc,
+            previousSoc: previousSoc,
+            data: data,
+            previous: previous
+        });
+    });
+
+    return isChanged;
+};
+
+/**
+ * Get the state of charge of a battery compartment.
+ *
+ * @private
+ *
+ * @param {Object} data         - Motor data.
+ * @param {string} compartment  - Battery compartment.
+ *
+ * @returns {number} State of charge in percent or null, if it is not available.
+ */
+VehicleMonitor.prototype._getSoc = function(data, compartment) {
+
+    if (("object" !== typeof data.batteries) ||
+        (null === data.batteries) ||
+        ("object" !== typeof data.batteries[compartment]) ||
+        (null === data.batteries[compartment]) ||
+        ("number" !== typeof data.batteries[compartment].batteryCharging)) {
+        return null;
+    }
+
+    return data.batteries[compartment].batteryCharging;
+};
+
+/**
+ * Adapt the poll interval: Poll fast while the vehicle is moving, back off while it is idle.
+ *
+ * @private
+ *
+ * @param {Object}  data        - Current motor data.
+ * @param {boolean} isChanged   - Did something change since the last poll?
+ */
+VehicleMonitor.prototype._adaptInterval = function(data, isChanged) {
+
+    if ((("number" === typeof data.nowSpeed) && (0 < data.nowSpeed)) ||
+        (true === helpers.toFlag(data.isAccOn))) {
+        this._currentInterval = this._movingInterval;
+    } else if (true === isChanged) {
+        this._currentInterval = this._interval;
+    } else {
+        this._currentInterval = Math.min(this._currentInterval * this._backoffFactor, this._idleInterval);
+        this._currentInterval = Math.max(this._currentInterval, this._interval);
+    }
+};
+
+module.exports = {
+    VehicleMonitor: VehicleMonitor
+};
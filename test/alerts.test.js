@@ -0,0 +1,239 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the alert rules engine and its notification sinks. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/** Test helpers */
+var helpers = require("./mock/helpers");
+
+/** Vehicle serial number */
+var SN = helpers.SN_SINGLE;
+
+/** Mock server, shared by all tests */
+var server = helpers.useNiuServer();
+
+/** Milliseconds per minute */
+var MS_PER_MINUTE = 60 * 1000;
+
+/** Time of the first snapshot */
+var START = Date.UTC(2020, 0, 1);
+
+/**
+ * Create a motor data snapshot.
+ *
+ * @param {number} soc      - State of charge in percent.
+ * @param {number} [minute] - Time of the snapshot in minutes since the start.
+ *
+ * @returns {Object} Snapshot
+ */
+var createSnapshot = function(soc, minute) {
+    return {
+        sn: SN,
+        time: START + ((undefined !== minute) ? minute : 0) * MS_PER_MINUTE,
+        motorInfo: {
+            batteries: {
+                compartmentA: {
+                    batteryCharging: soc
+                }
+            }
+        }
+    };
+};
+
+test.it("check() evaluates the rules, even if a request failed", function() {
+    var engine = new niuCloudConnector.AlertEngine({
+        rules: [
+            { id: "lowSoc", type: "socBelow", threshold: 70 }
+        ]
+    });
+
+    server.script({
+        path: "/v3/motor_data/battery_info",
+        statusCode: 500
+    }).script({
+        path: "/v3/motor_data/battery_info/health",
+        status: 1010,
+        desc: "Vehicle offline."
+    });
+
+    return engine.check(helpers.createClient(server), { sn: SN }).then(function(alerts) {
+        assert.strictEqual(alerts.length, 1);
+        assert.strictEqual(alerts[0].value, 66);
+    });
+});
+
+test.it("check() rejects, if all requests failed", function() {
+    var engine = new niuCloudConnector.AlertEngine();
+
+    server.script({
+        statusCode: 500,
+        times: Infinity
+    });
+
+    return engine.check(helpers.createClient(server), { sn: SN }).then(function() {
+        assert.fail("Expected NiuError.");
+    }, function(error) {
+        assert.ok(error instanceof niuCloudConnector.NiuError);
+    });
+});
+
+test.it("a failing condition is reported and doesn't stop the other rules", function() {
+    var engine  = new niuCloudConnector.AlertEngine({
+        rules: [
+            { id: "broken", type: "custom", condition: function() { throw new Error("Oops"); } },
+            { id: "lowSoc", type: "socBelow", threshold: 20 }
+        ]
+    });
+    var failures = [];
+
+    engine.on("error", function(error) {
+        failures.push(error);
+    });
+
+    return engine.evaluate(createSnapshot(10)).then(function(alerts) {
+        assert.deepStrictEqual(alerts.map(function(alert) {
+            return alert.ruleId;
+        }), [ "lowSoc" ]);
+        assert.strictEqual(failures.length, 1);
+        assert.ok(failures[0] instanceof niuCloudConnector.RuleError);
+        assert.strictEqual(failures[0].code, "ERR_RULE");
+        assert.strictEqual(failures[0].ruleId, "broken");
+        assert.strictEqual(failures[0].cause.message, "Oops");
+    });
+});
+
+test.it("an alert is resolved and doesn't fire again within the cooldown", function() {
+    var engine      = new niuCloudConnector.AlertEngine({
+        rules: [
+            { id: "lowSoc", type: "socBelow", threshold: 20, cooldown: 60 * MS_PER_MINUTE }
+        ]
+    });
+    var resolved    = [];
+    var counts      = [];
+
+    engine.on("resolved", function(alert) {
+        resolved.push(alert);
+    });
+
+    /**
+     * Evaluate the state of charge at the given time and record the number of new alerts.
+     *
+     * @param {number} soc      - State of charge in percent.
+     * @param {number} minute   - Time in minutes since the start.
+     *
+     * @returns {Promise} Nothing.
+     */
+    var evaluate = function(soc, minute) {
+        return engine.evaluate(createSnapshot(soc, minute)).then(function(alerts) {
+            counts.push(alerts.length);
+        });
+    };
+
+    return evaluate(10, 0).then(function() {
+        assert.strictEqual(engine.getActiveAlerts().length, 1);
+        assert.strictEqual(engine.getActiveAlerts()[0].status, "firing");
+
+        return evaluate(10, 5);
+    }).then(function() {
+        /* The alert was active longer than the cooldown. */
+        return evaluate(50, 120);
+    }).then(function() {
+        assert.deepStrictEqual(engine.getActiveAlerts(), []);
+        assert.strictEqual(resolved.length, 1);
+        assert.strictEqual(resolved[0].status, "resolved");
+        assert.strictEqual(resolved[0].time.getTime(), START + 120 * MS_PER_MINUTE);
+        assert.strictEqual(resolved[0].since.getTime(), START);
+
+        /* Flapping within the cooldown after the resolving */
+        return evaluate(10, 130);
+    }).then(function() {
+        return evaluate(50, 140);
+    }).then(function() {
+        return evaluate(10, 180);
+    }).then(function() {
+        assert.deepStrictEqual(counts, [1, 0, 0, 0, 0, 1]);
+        assert.strictEqual(resolved.length, 1);
+        assert.strictEqual(engine.getActiveAlerts()[0].since.getTime(), START + 180 * MS_PER_MINUTE);
+    });
+});
+
+test.it("an alert fires only, if the condition is met for the duration", function() {
+    var engine = new niuCloudConnector.AlertEngine({
+        rules: [
+            { id: "lowSoc", type: "socBelow", threshold: 20, duration: 15 * MS_PER_MINUTE }
+        ]
+    });
+
+    return engine.evaluate(createSnapshot(10, 0)).then(function(alerts) {
+        assert.strictEqual(alerts.length, 0);
+
+        return engine.evaluate(createSnapshot(10, 10));
+    }).then(function(alerts) {
+        assert.strictEqual(alerts.length, 0);
+
+        return engine.evaluate(createSnapshot(10, 15));
+    }).then(function(alerts) {
+        assert.strictEqual(alerts.length, 1);
+        assert.strictEqual(alerts[0].since.getTime(), START);
+        assert.strictEqual(alerts[0].time.getTime(), START + 15 * MS_PER_MINUTE);
+    });
+});
+
+test.it("every sink is notified and a failing sink is reported", function() {
+    var received    = [];
+    var failures    = [];
+    var engine      = new niuCloudConnector.AlertEngine({
+        rules: [
+            { id: "lowSoc", type: "socBelow", threshold: 20 }
+        ],
+        sinks: [
+            new niuCloudConnector.CallbackSink(function() {
+                return Promise.reject(new Error("Unreachable"));
+            }),
+            new niuCloudConnector.CallbackSink(function(alert) {
+                received.push(alert);
+            })
+        ]
+    });
+
+    engine.on("error", function(error) {
+        failures.push(error);
+    });
+
+    return engine.evaluate(createSnapshot(10)).then(function(alerts) {
+        assert.strictEqual(alerts.length, 1);
+        assert.deepStrictEqual(received, alerts);
+        assert.strictEqual(failures.length, 1);
+        assert.ok(failures[0] instanceof niuCloudConnector.NotificationError);
+        assert.strictEqual(failures[0].cause.message, "Unreachable");
+    });
+});
@@ -0,0 +1,165 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the ride statistics and energy efficiency analytics. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/** Ride analytics */
+var analytics = niuCloudConnector.analytics;
+
+/**
+ * Create a track summary, as getTracks() provides it.
+ *
+ * @param {string}  trackId     - Track identifier.
+ * @param {Date}    start       - Start time.
+ * @param {number}  distance    - Distance in m.
+ * @param {number}  socStart    - State of charge at the start in percent.
+ * @param {number}  socEnd      - State of charge at the end in percent.
+ *
+ * @returns {Object} Track summary.
+ */
+var createSummary = function(trackId, start, distance, socStart, socEnd) {
+    return {
+        trackId: trackId,
+        startTime: start.getTime(),
+        endTime: start.getTime() + 1800000,
+        distance: distance,
+        startPoint: { lat: "52.520008", lng: "13.404954", battery: String(socStart) },
+        lastPoint: { lat: "52.516275", lng: "13.377704", battery: String(socEnd) }
+    };
+};
+
+test.describe("getRideStats()", function() {
+
+    test.it("calculates the consumption of a track summary", function() {
+        var stats = analytics.getRideStats(createSummary("T1", new Date(2020, 0, 6, 8), 12000, 80, 68), {
+            packCapacity: 1000
+        });
+
+        assert.strictEqual(stats.trackId, "T1");
+        assert.strictEqual(stats.distance, 12000);
+        assert.strictEqual(stats.ridingTime, 1800);
+        assert.ok(Math.abs(stats.averageSpeed - (12000 / 1800)) < 1e-9);
+        assert.strictEqual(stats.socConsumed, 12);
+        assert.strictEqual(stats.socPerKm, 1);
+        assert.strictEqual(stats.energy, 120);
+        assert.strictEqual(stats.whPerKm, 10);
+    });
+
+    test.it("a rising state of charge is no consumption", function() {
+        var stats = analytics.getRideStats(createSummary("T1", new Date(2020, 0, 6, 8), 12000, 50, 90));
+
+        assert.strictEqual(stats.socConsumed, null);
+        assert.strictEqual(stats.socPerKm, null);
+        assert.strictEqual(stats.energy, null);
+    });
+
+    test.it("derives the distance and max. speed from the track points", function() {
+        var stats = analytics.getRideStats({
+            summary: {
+                trackId: "T2"
+            },
+            detail: {
+                trackItems: [
+                    { lat: 52.5209, lng: 13.405, date: 1580000020000 },
+                    { lat: 52.5200, lng: 13.405, date: 1580000000000 }
+                ]
+            }
+        });
+
+        assert.ok(Math.abs(stats.distance - 100) < 0.5);
+        assert.ok(Math.abs(stats.maxSpeed - 5) < 0.1);
+    });
+});
+
+test.describe("getPeriodStats()", function() {
+
+    test.it("sums up the rides per day and includes days without rides", function() {
+        var periods = analytics.getPeriodStats([
+            createSummary("T3", new Date(2020, 0, 8, 18), 6000, 70, 64),
+            createSummary("T1", new Date(2020, 0, 6, 8), 10000, 90, 80),
+            createSummary("T2", new Date(2020, 0, 6, 17), 10000, 80, 70)
+        ]);
+
+        assert.strictEqual(periods.length, 3);
+        assert.deepStrictEqual(periods[0].start, new Date(2020, 0, 6));
+        assert.deepStrictEqual(periods[0].end, new Date(2020, 0, 7));
+        assert.strictEqual(periods[0].rides, 2);
+        assert.strictEqual(periods[0].distance, 20000);
+        assert.strictEqual(periods[0].socConsumed, 20);
+        assert.strictEqual(periods[0].trend, null);
+        assert.strictEqual(periods[1].rides, 0);
+        assert.strictEqual(periods[1].distance, 0);
+        assert.strictEqual(periods[2].trend.distance.change, 6000);
+        assert.strictEqual(periods[2].trend.distance.changeRatio, null);
+    });
+
+    test.it("weeks start on monday", function() {
+        var periods = analytics.getPeriodStats([
+            createSummary("T1", new Date(2020, 0, 5, 8), 1000, 90, 89),
+            createSummary("T2", new Date(2020, 0, 6, 8), 3000, 89, 86)
+        ], {
+            period: "week"
+        });
+
+        assert.strictEqual(periods.length, 2);
+        assert.deepStrictEqual(periods[0].start, new Date(2019, 11, 30));
+        assert.deepStrictEqual(periods[1].start, new Date(2020, 0, 6));
+        assert.strictEqual(periods[1].trend.distance.changeRatio, 2);
+    });
+
+    test.it("rejects an unknown period", function() {
+        assert.throws(function() {
+            analytics.getPeriodStats([], {
+                period: "year"
+            });
+        }, niuCloudConnector.ValidationError);
+    });
+});
+
+test.describe("compareStats()", function() {
+
+    test.it("compares only the metrics of both statistics", function() {
+        var comparison = analytics.compareStats({
+            distance: 1500,
+            socPerKm: null
+        }, {
+            distance: 1000,
+            socPerKm: 1.2,
+            rides: 2
+        });
+
+        assert.deepStrictEqual(comparison, {
+            distance: { current: 1500, previous: 1000, change: 500, changeRatio: 0.5 },
+            socPerKm: { current: null, previous: 1.2, change: null, changeRatio: null }
+        });
+    });
+});
@@ -0,0 +1,230 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the battery health tracker. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/** Test helpers */
+var helpers = require("./mock/helpers");
+
+/** Vehicle with one battery */
+var SN_SINGLE = helpers.SN_SINGLE;
+
+/** Milliseconds per day */
+var MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/** Start of the observations */
+var START = Date.UTC(2020, 0, 1);
+
+/** Mock server, shared by all tests */
+var server = helpers.useNiuServer();
+
+/**
+ * Create an observation.
+ *
+ * @param {string} bmsId        - BMS id.
+ * @param {string} compartment  - Battery compartment.
+ * @param {number} day          - Day since the start.
+ * @param {number} grade        - Battery grade points.
+ * @param {number} chargeCycles - Charging cycles.
+ *
+ * @returns {Object} Observation
+ */
+var createObservation = function(bmsId, compartment, day, grade, chargeCycles) {
+    return {
+        sn: SN_SINGLE,
+        bmsId: bmsId,
+        compartment: compartment,
+        time: new Date(START + day * MS_PER_DAY),
+        grade: grade,
+        chargeCycles: chargeCycles,
+        source: "info"
+    };
+};
+
+/**
+ * Create battery info response data with one battery.
+ *
+ * @param {string} grade        - Battery grade points.
+ * @param {string} chargedTimes - Charging cycles.
+ *
+ * @returns {Object} Response data
+ */
+var createBatteryInfo = function(grade, chargedTimes) {
+    return {
+        batteries: {
+            compartmentA: {
+                bmsId: "BMS1",
+                gradeBattery: grade,
+                chargedTimes: chargedTimes
+            }
+        }
+    };
+};
+
+test.it("battery info is only added, if it changed", function() {
+    var tracker = new niuCloudConnector.BatteryHealthTracker();
+
+    assert.strictEqual(tracker.addBatteryInfo(SN_SINGLE, createBatteryInfo("99", "10"), START), 1);
+    assert.strictEqual(tracker.addBatteryInfo(SN_SINGLE, createBatteryInfo("99", "10"), START + MS_PER_DAY), 0);
+    assert.strictEqual(tracker.addBatteryInfo(SN_SINGLE, createBatteryInfo("98.5", "20"), START + MS_PER_DAY), 1);
+
+    assert.deepStrictEqual(tracker.getObservations("BMS1").map(function(observation) {
+        return [observation.grade, observation.chargeCycles, observation.source];
+    }), [[99, 10, "info"], [98.5, 20, "info"]]);
+});
+
+test.it("battery health records provide the grade by the lost points", function() {
+    var tracker = new niuCloudConnector.BatteryHealthTracker();
+    var data    = {
+        batteries: {
+            compartmentA: {
+                bmsId: "BMS1",
+                healthRecords: [
+                    { time: START + MS_PER_DAY, chargeCount: "20", result: "2" },
+                    { time: START, chargeCount: "10", result: "1" },
+                    { time: START, chargeCount: "10", result: "1" },
+                    { chargeCount: "5", result: "0.5" }
+                ]
+            }
+        }
+    };
+
+    assert.strictEqual(tracker.addBatteryHealth(SN_SINGLE, data), 2);
+
+    assert.deepStrictEqual(tracker.getObservations().map(function(observation) {
+        return observation.grade;
+    }), [99, 98]);
+});
+
+test.it("the forecast fits the degradation per cycle and per day", function() {
+    var tracker     = new niuCloudConnector.BatteryHealthTracker({
+        observations: [
+            createObservation("BMS1", "A", 0, 100, 0),
+            createObservation("BMS1", "A", 50, 97.5, 50),
+            createObservation("BMS1", "A", 100, 95, 100)
+        ]
+    });
+    var forecast    = tracker.getForecast("BMS1");
+
+    assert.strictEqual(forecast.observations, 3);
+    assert.strictEqual(forecast.grade, 95);
+    assert.strictEqual(forecast.chargeCycles, 100);
+    assert.ok(Math.abs(forecast.lossPerCycle - 0.05) < 1e-9);
+    assert.ok(Math.abs(forecast.lossPerDay - 0.05) < 1e-9);
+    assert.ok(Math.abs(forecast.remainingCycles - 500) < 1e-6);
+    assert.ok(Math.abs(forecast.endOfLife.getTime() - (START + 600 * MS_PER_DAY)) < 1000);
+    assert.strictEqual(tracker.getForecast("unknown"), null);
+});
+
+test.it("a single observation or a stable pack has no end of life", function() {
+    var tracker = new niuCloudConnector.BatteryHealthTracker({
+        observations: [
+            createObservation("BMS1", "A", 0, 95, 10),
+            createObservation("BMS2", "A", 0, 95, 10),
+            createObservation("BMS2", "A", 10, 95, 20)
+        ]
+    });
+
+    assert.strictEqual(tracker.getForecast("BMS1").lossPerCycle, null);
+    assert.strictEqual(tracker.getForecast("BMS2").lossPerCycle, 0);
+    assert.strictEqual(tracker.getForecast("BMS2").remainingCycles, null);
+    assert.strictEqual(tracker.getForecast("BMS2").endOfLife, null);
+});
+
+test.it("the report flags packs, which degrade faster than the compartment average", function() {
+    var tracker = new niuCloudConnector.BatteryHealthTracker({
+        observations: [
+            createObservation("BMS1", "A", 0, 100, 0),
+            createObservation("BMS1", "A", 100, 95, 100),
+            createObservation("BMS2", "A", 0, 100, 0),
+            createObservation("BMS2", "A", 100, 95, 100),
+            createObservation("BMS3", "A", 0, 100, 0),
+            createObservation("BMS3", "A", 100, 80, 100),
+            createObservation("BMS4", "B", 0, 100, 0),
+            createObservation("BMS4", "B", 100, 80, 100)
+        ]
+    });
+    var report  = tracker.getReport();
+
+    assert.strictEqual(report.packs.length, 4);
+    assert.ok(Math.abs(report.averageLossPerCycle.A - 0.1) < 1e-9);
+    assert.ok(Math.abs(report.averageLossPerCycle.B - 0.2) < 1e-9);
+    assert.deepStrictEqual(report.fastDegrading.map(function(pack) {
+        return pack.bmsId;
+    }), ["BMS3"]);
+});
+
+test.it("the observations can be saved and restored", function() {
+    var tracker     = new niuCloudConnector.BatteryHealthTracker({
+        observations: [
+            createObservation("BMS1", "A", 10, 99, 10),
+            createObservation("BMS1", "A", 0, 100, 0)
+        ]
+    });
+    var restored    = new niuCloudConnector.BatteryHealthTracker({
+        observations: JSON.parse(JSON.stringify(tracker.getObservations()))
+    });
+
+    assert.deepStrictEqual(restored.getObservations(), tracker.getObservations());
+    assert.strictEqual(restored.getObservations()[0].grade, 100);
+
+    assert.throws(function() {
+        return new niuCloudConnector.BatteryHealthTracker({
+            observations: {}
+        });
+    }, niuCloudConnector.ValidationError);
+});
+
+test.it("record() requests the battery info and health", function() {
+    var tracker = new niuCloudConnector.BatteryHealthTracker();
+    var client  = helpers.createClient(server);
+
+    return tracker.record(client, {
+        sn: SN_SINGLE
+    }).then(function(count) {
+        /* The battery info equals the health record. */
+        assert.strictEqual(count, 1);
+        assert.strictEqual(tracker.getForecast("BMS000000000001").grade, 92.5);
+
+        return tracker.record(client, {
+            sn: SN_SINGLE
+        });
+    }).then(function(count) {
+        assert.strictEqual(count, 0);
+
+        return tracker.record(client, {});
+    }).then(function() {
+        assert.fail("Expected a ValidationError.");
+    }, function(error) {
+        assert.ok(error instanceof niuCloudConnector.ValidationError);
+    });
+});
@@ -0,0 +1,270 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the record and replay of the API traffic. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** File system */
+var fs = require("fs");
+
+/** Operating system utilities */
+var os = require("os");
+
+/** Path utilities */
+var path = require("path");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/** Mock NIU server */
+var NiuServer = require("./mock/niuServer").NiuServer;
+
+/** Test helpers */
+var helpers = require("./mock/helpers");
+
+/** Vehicle with one battery */
+var SN_SINGLE = helpers.SN_SINGLE;
+
+/** Vehicle with two batteries */
+var SN_DOUBLE = helpers.SN_DOUBLE;
+
+/** Unreachable host, the replay must not use the network. */
+var OFFLINE_URL = "http://127.0.0.1:9";
+
+/** Mock server, shared by all tests */
+var server = helpers.useNiuServer();
+
+/** Directory for the cassettes */
+var dir = null;
+
+/**
+ * Record a session against the mock server.
+ *
+ * @param {string} cassettePath - Path to the cassette file.
+ *
+ * @returns {Promise} Nothing.
+ */
+var record = function(cassettePath) {
+    var client = new niuCloudConnector.Client({
+        accountBaseUrl: server.getBaseUrl(),
+        appApiBaseUrl: server.getBaseUrl(),
+        retry: {
+            retries: 0
+        },
+        cassette: {
+            mode: "record",
+            path: cassettePath
+        }
+    });
+
+    server.script({
+        path: "/motorota/getupdateinfo",
+        statusCode: 500
+    });
+
+    return client.createSessionToken(NiuServer.Credentials).then(function() {
+        return client.getVehicles();
+    }).then(function() {
+        return client.getMotorInfo({
+            sn: SN_DOUBLE
+        });
+    }).then(function() {
+        server.setFixture("motorInfo", {
+            NQIGT0000000002: {}
+        });
+
+        return client.getMotorInfo({
+            sn: SN_DOUBLE
+        });
+    }).then(function() {
+        return client.getTracks({
+            sn: SN_SINGLE,
+            index: 0,
+            pageSize: 10
+        });
+    }).then(function() {
+        return client.getUpdateInfo({
+            sn: SN_SINGLE
+        }).catch(function() {
+            /* Recorded as well. */
+        });
+    });
+};
+
+/**
+ * Create a client, which replays a cassette.
+ *
+ * @param {string} cassettePath - Path to the cassette file.
+ *
+ * @returns {niuCloudConnector.Client} Client
+ */
+var createReplayClient = function(cassettePath) {
+    return new niuCloudConnector.Client({
+        credentials: {
+            account: "someone@example.com",
+            password: "secret",
+            countryCode: NiuServer.Credentials.countryCode
+        },
+        accountBaseUrl: OFFLINE_URL,
+        appApiBaseUrl: OFFLINE_URL,
+        retry: {
+            retries: 0
+        },
+        cassette: {
+            mode: "replay",
+            path: cassettePath
+        }
+    });
+};
+
+test.before(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "niu-cassette-"));
+});
+
+test.after(function() {
+    fs.rmSync(dir, {
+        recursive: true,
+        force: true
+    });
+});
+
+test.it("the recording redacts the session token, the credentials and the serial numbers", function() {
+    var cassettePath = path.join(dir, "redact.json");
+
+    return record(cassettePath).then(function() {
+        var content     = fs.readFileSync(cassettePath, "utf8");
+        var cassette    = JSON.parse(content);
+        var login       = cassette.interactions[0];
+
+        assert.strictEqual(cassette.version, 1);
+        assert.strictEqual(cassette.interactions.length, 6);
+        assert.strictEqual(login.request.form.password, "REDACTED");
+        assert.strictEqual(login.request.form.account, "REDACTED");
+        assert.strictEqual(login.request.form.countryCode, NiuServer.Credentials.countryCode);
+        assert.strictEqual(login.response.body.data.token, "REDACTED");
+        assert.strictEqual(cassette.interactions[1].request.headers.token, "REDACTED");
+        assert.deepStrictEqual(cassette.interactions[1].response.body.data.map(function(vehicle) {
+            return vehicle.sn;
+        }), [ "REDACTED-SN-1", "REDACTED-SN-2" ]);
+        assert.ok(-1 !== cassette.interactions[2].request.url.indexOf("sn=REDACTED-SN-2"));
+        assert.strictEqual(-1, content.indexOf("mock-token"));
+        assert.strictEqual(-1, content.indexOf(NiuServer.Credentials.password + "\""));
+        assert.strictEqual(-1, content.indexOf(SN_SINGLE));
+        assert.strictEqual(-1, content.indexOf(SN_DOUBLE));
+        assert.strictEqual((fs.statSync(cassettePath).mode & parseInt("777", 8)), parseInt("600", 8));
+    });
+});
+
+test.it("the replay serves the recorded responses offline", function() {
+    var cassettePath    = path.join(dir, "replay.json");
+    var client          = createReplayClient(cassettePath);
+
+    return record(cassettePath).then(function() {
+        return server.stop();
+    }).then(function() {
+        return client.getVehicles();
+    }).then(function(result) {
+        assert.strictEqual(result.result.data[1].sn, "REDACTED-SN-2");
+        assert.strictEqual(result.result.data[1].isDoubleBattery, true);
+
+        return client.getMotorInfo({
+            sn: "REDACTED-SN-2"
+        });
+    }).then(function(result) {
+        assert.strictEqual(result.result.data.batteries.compartmentB.batteryCharging, 82);
+
+        return client.getMotorInfo({
+            sn: "REDACTED-SN-2"
+        });
+    }).then(function(result) {
+        assert.deepStrictEqual(result.result.data, {});
+
+        /* The last response is served again. */
+        return client.getMotorInfo({
+            sn: "REDACTED-SN-2"
+        });
+    }).then(function(result) {
+        assert.deepStrictEqual(result.result.data, {});
+
+        return client.getTracks({
+            sn: "REDACTED-SN-1",
+            index: 0,
+            pageSize: 10
+        });
+    }).then(function(result) {
+        assert.strictEqual(result.result.data.length, 2);
+
+        return client.getUpdateInfo({
+            sn: "REDACTED-SN-1"
+        }).then(function() {
+            assert.fail("Expected HttpStatusError.");
+        }, function(error) {
+            assert.ok(error instanceof niuCloudConnector.HttpStatusError);
+            assert.strictEqual(error.statusCode, 500);
+        });
+    }).finally(function() {
+        return server.start();
+    });
+});
+
+test.it("the replay rejects requests, which were not recorded", function() {
+    var cassettePath    = path.join(dir, "unknown.json");
+    var client          = createReplayClient(cassettePath);
+
+    return record(cassettePath).then(function() {
+        return client.getBatteryInfo({
+            sn: "REDACTED-SN-1"
+        });
+    }).then(function() {
+        assert.fail("Expected ResponseError.");
+    }, function(error) {
+        assert.ok(error instanceof niuCloudConnector.ResponseError);
+        assert.ok(-1 !== error.message.indexOf("/v3/motor_data/battery_info?sn=REDACTED-SN-1"));
+    });
+});
+
+test.it("the replay rejects a missing cassette", function() {
+    var client = createReplayClient(path.join(dir, "missing.json"));
+
+    return client.getVehicles().then(function() {
+        assert.fail("Expected ResponseError.");
+    }, function(error) {
+        assert.ok(error instanceof niuCloudConnector.ResponseError);
+    });
+});
+
+test.it("the cassette mode is validated", function() {
+    assert.throws(function() {
+        return new niuCloudConnector.Client({
+            cassette: {
+                mode: "rewind",
+                path: path.join(dir, "rewind.json")
+            }
+        });
+    }, niuCloudConnector.ValidationError);
+});
@@ -0,0 +1,236 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the charging session detection. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/** Test helpers */
+var helpers = require("./mock/helpers");
+
+/** Vehicle with one battery */
+var SN_SINGLE = helpers.SN_SINGLE;
+
+/** Milliseconds per minute */
+var MS_PER_MINUTE = 60 * 1000;
+
+/** Start of the charging sessions */
+var START = Date.UTC(2020, 0, 1);
+
+/** Header line of the CSV export */
+var CSV_HEADER = "sn,startTime,endTime,duration,startSoc,endSoc,socAdded,energy,status";
+
+/** Mock server, shared by all tests */
+var server = helpers.useNiuServer();
+
+/**
+ * Create battery data, as the motor data provides it.
+ *
+ * @param {boolean} isCharging  - Is charging.
+ * @param {number}  soc         - State of charge in percent.
+ *
+ * @returns {Object} Battery data
+ */
+var createData = function(isCharging, soc) {
+    return {
+        isCharging: (true === isCharging) ? 1 : 0,
+        leftTime: "1.5",
+        batteries: {
+            compartmentA: {
+                batteryCharging: soc
+            }
+        }
+    };
+};
+
+/**
+ * Create a charging tracker, which records the names of all emitted events.
+ *
+ * @param {Object} [options] - Tracker options.
+ *
+ * @returns {Object} Tracker and recorded events.
+ */
+var createTracker = function(options) {
+    var events  = [];
+    var tracker = new niuCloudConnector.ChargingTracker(options);
+
+    ["started", "finished", "stalled"].forEach(function(name) {
+        tracker.on(name, function() {
+            events.push(name);
+        });
+    });
+
+    return {
+        tracker: tracker,
+        events: events
+    };
+};
+
+test.it("a complete charge is detected with the added energy", function() {
+    var context     = createTracker({
+        packCapacity: 1000
+    });
+    var sessions    = null;
+
+    context.tracker.update(SN_SINGLE, createData(true, 40), START);
+    context.tracker.update(SN_SINGLE, createData(true, 70), START + 30 * MS_PER_MINUTE);
+
+    assert.strictEqual(context.tracker.getActiveSessions().length, 1);
+    assert.strictEqual(context.tracker.getActiveSessions()[0].status, "charging");
+
+    context.tracker.update(SN_SINGLE, createData(false, 100), START + 60 * MS_PER_MINUTE);
+
+    sessions = context.tracker.getSessions();
+
+    assert.deepStrictEqual(context.events, ["started", "finished"]);
+    assert.deepStrictEqual(context.tracker.getActiveSessions(), []);
+    assert.strictEqual(sessions.length, 1);
+    assert.strictEqual(sessions[0].status, "complete");
+    assert.strictEqual(sessions[0].startTime.getTime(), START);
+    assert.strictEqual(sessions[0].duration, 3600);
+    assert.strictEqual(sessions[0].startSoc, 40);
+    assert.strictEqual(sessions[0].endSoc, 100);
+    assert.strictEqual(sessions[0].socAdded, 60);
+    assert.strictEqual(sessions[0].energy, 600);
+    assert.strictEqual(sessions[0].leftTime, "1.5");
+});
+
+test.it("a charge, which ends below the complete state of charge, is interrupted", function() {
+    var context = createTracker({
+        completeSoc: 95
+    });
+
+    context.tracker.update(SN_SINGLE, createData(true, 40), START);
+    context.tracker.update(SN_SINGLE, createData(false, 90), START + MS_PER_MINUTE);
+
+    assert.strictEqual(context.tracker.getSessions()[0].status, "interrupted");
+    assert.strictEqual(context.tracker.getSessions()[0].energy, null);
+});
+
+test.it("a charge without rising state of charge stalls once", function() {
+    var context = createTracker({
+        stallTimeout: 10 * MS_PER_MINUTE
+    });
+
+    context.tracker.update(SN_SINGLE, createData(true, 50), START);
+    context.tracker.update(SN_SINGLE, createData(true, 50), START + 5 * MS_PER_MINUTE);
+    assert.deepStrictEqual(context.events, ["started"]);
+
+    context.tracker.update(SN_SINGLE, createData(true, 50), START + 10 * MS_PER_MINUTE);
+    context.tracker.update(SN_SINGLE, createData(true, 50), START + 20 * MS_PER_MINUTE);
+    assert.deepStrictEqual(context.events, ["started", "stalled"]);
+    assert.strictEqual(context.tracker.getActiveSessions()[0].isStalled, true);
+
+    /* A rising state of charge resets the stall. */
+    context.tracker.update(SN_SINGLE, createData(true, 51), START + 25 * MS_PER_MINUTE);
+    assert.strictEqual(context.tracker.getActiveSessions()[0].isStalled, false);
+});
+
+test.it("data without the charging flag is ignored", function() {
+    var context = createTracker();
+
+    context.tracker.update(SN_SINGLE, {
+        batteries: {}
+    }, START);
+    context.tracker.update(SN_SINGLE, null, START);
+    context.tracker.update(SN_SINGLE, createData(false, 50), START);
+
+    assert.deepStrictEqual(context.events, []);
+    assert.deepStrictEqual(context.tracker.getActiveSessions(), []);
+});
+
+test.it("the sessions can be filtered and exported as CSV", function() {
+    var context = createTracker();
+    var lines   = null;
+
+    context.tracker.update(SN_SINGLE, createData(true, 40), START);
+    context.tracker.update(SN_SINGLE, createData(false, 100), START + MS_PER_MINUTE);
+    context.tracker.update("other", createData(true, 10), START + 2 * MS_PER_MINUTE);
+    context.tracker.update("other", createData(false, 20), START + 3 * MS_PER_MINUTE);
+
+    assert.strictEqual(context.tracker.getSessions({
+        sn: "other"
+    }).length, 1);
+    assert.strictEqual(context.tracker.getSessions({
+        from: START + MS_PER_MINUTE
+    })[0].sn, "other");
+    assert.strictEqual(context.tracker.getSessions({
+        to: START
+    })[0].sn, SN_SINGLE);
+
+    lines = context.tracker.toCsv({
+        delimiter: ";"
+    }).split("\r\n");
+
+    assert.strictEqual(lines.length, 4);
+    assert.strictEqual(lines[0], "sn;startTime;endTime;duration;startSoc;endSoc;socAdded;energy;status");
+    assert.strictEqual(lines[1], SN_SINGLE + ";2020-01-01T00:00:00.000Z;2020-01-01T00:01:00.000Z;60;40;100;60;;complete");
+    assert.strictEqual(lines[3], "");
+});
+
+test.it("CSV values with delimiters or quotes are quoted", function() {
+    var csv = niuCloudConnector.chargingSessionsToCsv([{
+        sn: "a,\"b\"",
+        status: "complete"
+    }]);
+
+    assert.strictEqual(csv.split("\r\n")[1], "\"a,\"\"b\"\"\",,,,,,,,complete");
+    assert.strictEqual(niuCloudConnector.chargingSessionsToCsv(null), CSV_HEADER + "\r\n");
+});
+
+test.it("the tracker evaluates the motor data of a shared vehicle monitor", function() {
+    var monitor     = new niuCloudConnector.VehicleMonitor({
+        client: helpers.createClient(server),
+        sn: SN_SINGLE
+    });
+    var context     = createTracker({
+        monitor: monitor
+    });
+    var motorInfo   = server.getFixture("motorInfo");
+
+    motorInfo[SN_SINGLE].isCharging = 1;
+    server.setFixture("motorInfo", motorInfo);
+
+    context.tracker.start();
+
+    return monitor.poll().then(function() {
+        assert.deepStrictEqual(context.events, ["started"]);
+        assert.strictEqual(context.tracker.getActiveSessions()[0].startSoc, 66);
+
+        context.tracker.stop();
+
+        return monitor.poll();
+    }).then(function() {
+        assert.strictEqual(monitor.listenerCount("data"), 0);
+        assert.throws(function() {
+            return new niuCloudConnector.ChargingTracker().start();
+        }, niuCloudConnector.ValidationError);
+    });
+});
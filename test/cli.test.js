@@ -0,0 +1,256 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the command line interface against the mock NIU server. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** File system */
+var fs = require("fs");
+
+/** Operating system utilities */
+var os = require("os");
+
+/** Path utilities */
+var path = require("path");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/** Command line interface */
+var cli = require("../lib/cli");
+
+/** Mock NIU server */
+var NiuServer = require("./mock/niuServer").NiuServer;
+
+/** Test helpers */
+var helpers = require("./mock/helpers");
+
+/** Vehicle with one battery */
+var SN_SINGLE = helpers.SN_SINGLE;
+
+/** Directory for the configuration and output files */
+var dir = null;
+
+/** Mock server, shared by all tests */
+var server = helpers.useNiuServer();
+
+/**
+ * Create a stream, which collects the written text.
+ *
+ * @returns {Object} Stream with the written text.
+ */
+var createStream = function() {
+    return {
+        text: "",
+        write: function(chunk) {
+            this.text += chunk;
+        }
+    };
+};
+
+/**
+ * Run the command line interface with a client, connected to the mock server.
+ *
+ * @param {string[]}    argv    - Command line arguments.
+ * @param {Object}      [env]   - Environment variables.
+ *
+ * @returns {Promise} Exit code, stdout and stderr.
+ */
+var run = function(argv, env) {
+    var stdout  = createStream();
+    var stderr  = createStream();
+
+    return cli.run(argv, {
+        stdout: stdout,
+        stderr: stderr,
+        env: Object.assign({
+            NIU_CONFIG: path.join(dir, "config.json")
+        }, env),
+        createClient: function() {
+            return helpers.createClient(server);
+        }
+    }).then(function(exitCode) {
+        return {
+            exitCode: exitCode,
+            stdout: stdout.text,
+            stderr: stderr.text
+        };
+    });
+};
+
+test.before(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "niu-cli-"));
+
+    fs.writeFileSync(path.join(dir, "config.json"), "{}");
+});
+
+test.after(function() {
+    fs.rmSync(dir, {
+        recursive: true,
+        force: true
+    });
+});
+
+test.describe("parseArgs()", function() {
+
+    test.it("separates the command, arguments and options", function() {
+        assert.deepStrictEqual(cli.parseArgs(["track", SN_SINGLE, "T1002", "--format", "kml", "-o", "track.kml", "--json"]), {
+            command: "track",
+            args: [SN_SINGLE, "T1002"],
+            options: {
+                format: "kml",
+                output: "track.kml",
+                json: true
+            }
+        });
+    });
+
+    test.it("supports values after an equal sign and short flags", function() {
+        assert.deepStrictEqual(cli.parseArgs(["tracks", "--from=2019-06-01", "-h"]), {
+            command: "tracks",
+            args: [],
+            options: {
+                from: "2019-06-01",
+                help: true
+            }
+        });
+    });
+
+    test.it("a single dash is an argument", function() {
+        assert.deepStrictEqual(cli.parseArgs(["status", "-"]).args, ["-"]);
+    });
+
+    test.it("rejects an option without value", function() {
+        assert.throws(function() {
+            cli.parseArgs(["tracks", "--from"]);
+        }, niuCloudConnector.ValidationError);
+    });
+});
+
+test.describe("run()", function() {
+
+    test.it("prints the usage", function() {
+        return run(["--help"]).then(function(result) {
+            assert.strictEqual(result.exitCode, 0);
+            assert.match(result.stdout, /^Usage: niu <command>/);
+        });
+    });
+
+    test.it("rejects an unknown command and a missing argument", function() {
+        return Promise.all([
+            run(["unknown"]),
+            run(["status"])
+        ]).then(function(results) {
+            assert.strictEqual(results[0].exitCode, 2);
+            assert.match(results[0].stderr, /Unknown command: unknown/);
+            assert.strictEqual(results[1].exitCode, 2);
+            assert.match(results[1].stderr, /Run "niu --help" for usage./);
+        });
+    });
+
+    test.it("login needs credentials", function() {
+        return run(["login"]).then(function(result) {
+            assert.strictEqual(result.exitCode, 2);
+            assert.match(result.stderr, /Credentials are missing/);
+        });
+    });
+
+    test.it("login uses the credentials of the environment", function() {
+        return run(["login"], {
+            NIU_ACCOUNT: NiuServer.Credentials.account,
+            NIU_PASSWORD: NiuServer.Credentials.password,
+            NIU_COUNTRY_CODE: NiuServer.Credentials.countryCode,
+            NIU_TOKEN_FILE: path.join(dir, "token.json")
+        }).then(function(result) {
+            assert.strictEqual(result.exitCode, 0);
+            assert.match(result.stdout, /^Logged in as email@somewhere.org/);
+            assert.strictEqual(server.getRequests("/appv2/login").length, 1);
+        });
+    });
+
+    test.it("vehicles prints a table or JSON", function() {
+        return Promise.all([
+            run(["vehicles"]),
+            run(["vehicles", "--json"])
+        ]).then(function(results) {
+            assert.strictEqual(results[0].exitCode, 0);
+            assert.match(results[0].stdout, /^SN\s+NAME\s+TYPE\n/);
+            assert.match(results[0].stdout, new RegExp("^" + SN_SINGLE + "\\s+City", "m"));
+            assert.strictEqual(JSON.parse(results[1].stdout).length, 2);
+        });
+    });
+
+    test.it("status prints the vehicle state", function() {
+        return run(["status", SN_SINGLE]).then(function(result) {
+            assert.strictEqual(result.exitCode, 0);
+            assert.match(result.stdout, /Locked:\s+yes/);
+            assert.match(result.stdout, /Battery A:\s+66 %/);
+        });
+    });
+
+    test.it("track writes the export to a file", function() {
+        var output = path.join(dir, "track.gpx");
+
+        return run(["track", SN_SINGLE, "T1002", "--output", output]).then(function(result) {
+            assert.strictEqual(result.exitCode, 0);
+            assert.strictEqual(result.stdout, "");
+            assert.match(fs.readFileSync(output, "utf8"), /<gpx version="1.1"/);
+        });
+    });
+
+    test.it("track rejects an unknown format and an unknown track", function() {
+        return Promise.all([
+            run(["track", SN_SINGLE, "T1002", "--format", "csv"]),
+            run(["track", SN_SINGLE, "T9999"])
+        ]).then(function(results) {
+            assert.strictEqual(results[0].exitCode, 2);
+            assert.strictEqual(results[1].exitCode, 1);
+            assert.match(results[1].stderr, /Track T9999 not found./);
+        });
+    });
+
+    test.it("errors of the NIU cloud are reported", function() {
+        server.script({
+            path: "/v3/motor_data/index_info",
+            status: 1010,
+            desc: "Vehicle offline."
+        });
+
+        return run(["status", SN_SINGLE]).then(function(result) {
+            assert.strictEqual(result.exitCode, 1);
+            assert.match(result.stderr, /^Error: /);
+        });
+    });
+});
+
+test.it("the entry point has unix line endings and a portable shebang", function() {
+    var content = fs.readFileSync(path.join(__dirname, "..", "bin", "niu.js"), "utf8");
+
+    assert.strictEqual(content.split("\n")[0], "#!/usr/bin/env node");
+    assert.strictEqual(content.indexOf("\r"), -1);
+});
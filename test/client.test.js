@@ -0,0 +1,1039 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the client against the mock NIU server. */
+
+/* global AbortController */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** File system */
+var fs = require("fs");
+
+/** Operating system utilities */
+var os = require("os");
+
+/** Path utilities */
+var path = require("path");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/** Mock NIU server */
+var NiuServer = require("./mock/niuServer").NiuServer;
+
+/** Test helpers */
+var helpers = require("./mock/helpers");
+
+/** Vehicle with one battery */
+var SN_SINGLE = helpers.SN_SINGLE;
+
+/** Vehicle with two batteries */
+var SN_DOUBLE = helpers.SN_DOUBLE;
+
+/** Mock server, shared by all tests */
+var server = helpers.useNiuServer();
+
+/**
+ * Create a client, which uses the mock server and validates the responses strictly.
+ *
+ * @param {Object} [options] - Additional client options.
+ *
+ * @returns {niuCloudConnector.Client} Client
+ */
+var createClient = function(options) {
+    return helpers.createClient(server, Object.assign({
+        validation: "strict"
+    }, options));
+};
+
+/**
+ * Expect a rejected promise with the given error class.
+ *
+ * @param {Promise}     promise     - Promise.
+ * @param {Function}    ErrorType   - Expected error class.
+ *
+ * @returns {Promise} Error
+ */
+var expectError = function(promise, ErrorType) {
+    return promise.then(function() {
+        assert.fail("Expected " + ErrorType.name + ".");
+    }, function(error) {
+        assert.ok(error instanceof ErrorType, "Expected " + ErrorType.name + ", but got " + error);
+        return error;
+    });
+};
+
+/**
+ * Replace the tracks of the vehicle with one battery by one track per day,
+ * latest first. The track T01 started at the start, T02 one day later and so on.
+ *
+ * @param {number} count - Number of tracks.
+ * @param {number} start - Start time of the first track in unix timestamp epoch format (13 digits).
+ */
+var setDailyTracks = function(count, start) {
+    var tracks  = server.getFixture("tracks");
+    var track   = tracks[SN_SINGLE][0];
+    var day     = 0;
+
+    tracks[SN_SINGLE] = [];
+
+    for (day = count - 1; day >= 0; --day) {
+        tracks[SN_SINGLE].push(Object.assign({}, track, {
+            trackId: "T" + String(day + 1).padStart(2, "0"),
+            startTime: start + day * 24 * 60 * 60 * 1000,
+            endTime: start + day * 24 * 60 * 60 * 1000 + 30 * 60 * 1000
+        }));
+    }
+
+    server.setFixture("tracks", tracks);
+};
+
+test.describe("Session token", function() {
+
+    test.it("createSessionToken() logs in", function() {
+        var client = new niuCloudConnector.Client({
+            accountBaseUrl: server.getBaseUrl(),
+            appApiBaseUrl: server.getBaseUrl()
+        });
+
+        return client.createSessionToken(NiuServer.Credentials).then(function(result) {
+            var requests = server.getRequests("/appv2/login");
+
+            assert.strictEqual(result.client, client);
+            assert.ok(/^mock-token-\d+$/.test(result.result));
+            assert.strictEqual(requests.length, 1);
+            assert.strictEqual(requests[0].method, "POST");
+            assert.deepStrictEqual(requests[0].params, NiuServer.Credentials);
+        });
+    });
+
+    test.it("createSessionToken() rejects wrong credentials", function() {
+        var client = createClient({
+            credentials: undefined
+        });
+
+        return expectError(client.createSessionToken({
+            account: NiuServer.Credentials.account,
+            password: "wrong",
+            countryCode: NiuServer.Credentials.countryCode
+        }), niuCloudConnector.AuthenticationError).then(function(error) {
+            assert.strictEqual(error.status, 1);
+        });
+    });
+
+    test.it("createSessionToken() validates the options", function() {
+        var client = createClient();
+
+        return expectError(client.createSessionToken({
+            account: "a"
+        }), niuCloudConnector.ValidationError);
+    });
+
+    test.it("createSessionToken() saves the token in the token store", function() {
+        var tokenStore  = new niuCloudConnector.MemoryTokenStore();
+        var client      = createClient({
+            credentials: undefined,
+            tokenStore: tokenStore
+        });
+
+        return client.createSessionToken(NiuServer.Credentials).then(function(result) {
+            return tokenStore.load().then(function(token) {
+                assert.strictEqual(token, result.result);
+            });
+        });
+    });
+
+    test.it("createSessionToken() succeeds, even if the token store fails", function() {
+        var warnings    = [];
+        var onWarning   = function(warning) {
+            warnings.push(warning);
+        };
+        var client      = createClient({
+            tokenStore: {
+                load: function() {
+                    return Promise.resolve(null);
+                },
+                save: function() {
+                    return Promise.reject(new Error("Disk full."));
+                },
+                clear: function() {
+                    return Promise.resolve();
+                }
+            }
+        });
+
+        process.on("warning", onWarning);
+
+        return client.createSessionToken(NiuServer.Credentials).then(function(result) {
+            assert.strictEqual(typeof result.result, "string");
+
+            return client.getVehicles();
+        }).then(function() {
+            assert.strictEqual(server.getRequests("/appv2/login").length, 1);
+
+            return new Promise(function(resolve) {
+                setImmediate(resolve);
+            });
+        }).then(function() {
+            process.removeListener("warning", onWarning);
+
+            assert.strictEqual(warnings.length, 1);
+            assert.strictEqual(warnings[0].name, "NiuTokenStoreWarning");
+        }, function(error) {
+            process.removeListener("warning", onWarning);
+
+            return Promise.reject(error);
+        });
+    });
+
+    test.it("an expired token is renewed, even if the token store fails to clear it", function() {
+        var warnings    = [];
+        var onWarning   = function(warning) {
+            warnings.push(warning);
+        };
+        var client      = createClient({
+            tokenStore: {
+                load: function() {
+                    return Promise.resolve(null);
+                },
+                save: function() {
+                    return Promise.resolve();
+                },
+                clear: function() {
+                    return Promise.reject(new Error("Permission denied."));
+                }
+            }
+        });
+
+        process.on("warning", onWarning);
+
+        return client.getVehicles().then(function() {
+            server.expireTokens();
+
+            return client.getMotorInfo({
+                sn: SN_SINGLE
+            });
+        }).then(function(result) {
+            assert.strictEqual(result.result.status, 0);
+            assert.strictEqual(server.getRequests("/appv2/login").length, 2);
+            assert.strictEqual(server.getRequests("/v3/motor_data/index_info").length, 2);
+
+            return new Promise(function(resolve) {
+                setImmediate(resolve);
+            });
+        }).then(function() {
+            process.removeListener("warning", onWarning);
+
+            assert.strictEqual(warnings.length, 1);
+            assert.strictEqual(warnings[0].name, "NiuTokenStoreWarning");
+            assert.strictEqual(warnings[0].message, "Session token not cleared: Permission denied.");
+        }, function(error) {
+            process.removeListener("warning", onWarning);
+
+            return Promise.reject(error);
+        });
+    });
+
+    test.it("setSessionToken() uses the given token", function() {
+        var client = createClient({
+            credentials: undefined
+        });
+
+        return createClient().createSessionToken(NiuServer.Credentials).then(function(result) {
+            return client.setSessionToken({
+                token: result.result
+            }).then(function() {
+                return client.getVehicles();
+            }).then(function() {
+                var requests = server.getRequests("/motoinfo/list");
+
+                assert.strictEqual(requests.length, 1);
+                assert.strictEqual(requests[0].token, result.result);
+            });
+        });
+    });
+
+    test.it("an unknown token without credentials is rejected", function() {
+        var client = createClient({
+            credentials: undefined
+        });
+
+        return client.setSessionToken({
+            token: "unknown"
+        }).then(function() {
+            return expectError(client.getVehicles(), niuCloudConnector.AuthenticationError);
+        }).then(function(error) {
+            assert.strictEqual(error.status, 1131);
+            assert.strictEqual(server.getRequests("/appv2/login").length, 0);
+        });
+    });
+
+    test.it("an expired token is renewed and the request replayed", function() {
+        var client = createClient();
+
+        return client.getVehicles().then(function() {
+            server.expireTokens();
+
+            return client.getMotorInfo({
+                sn: SN_SINGLE
+            });
+        }).then(function(result) {
+            var requests = server.getRequests("/v3/motor_data/index_info");
+
+            assert.strictEqual(result.result.status, 0);
+            assert.strictEqual(server.getRequests("/appv2/login").length, 2);
+            assert.strictEqual(requests.length, 2);
+            assert.notStrictEqual(requests[0].token, requests[1].token);
+        });
+    });
+
+    test.it("concurrent requests share one token renewal", function() {
+        var client = createClient();
+
+        return client.getVehicles().then(function() {
+            server.expireTokens();
+
+            return Promise.all([
+                client.getMotorInfo({ sn: SN_SINGLE }),
+                client.getMotorInfo({ sn: SN_DOUBLE }),
+                client.getBatteryInfo({ sn: SN_SINGLE })
+            ]);
+        }).then(function() {
+            assert.strictEqual(server.getRequests("/appv2/login").length, 2);
+        });
+    });
+
+    test.it("requests without access are rejected", function() {
+        var client = new niuCloudConnector.Client({
+            accountBaseUrl: server.getBaseUrl(),
+            appApiBaseUrl: server.getBaseUrl()
+        });
+
+        return expectError(client.getVehicles(), niuCloudConnector.AuthenticationError).then(function() {
+            assert.strictEqual(server.getRequests().length, 0);
+        });
+    });
+});
+
+test.describe("Vehicles", function() {
+
+    test.it("getAccountBaseUrl() and getAppApiBaseUrl() return the configured hosts", function() {
+        var client = createClient();
+
+        assert.strictEqual(client.getAccountBaseUrl(), server.getBaseUrl());
+        assert.strictEqual(client.getAppApiBaseUrl(), server.getBaseUrl());
+    });
+
+    test.it("getVehicles() lists the vehicles", function() {
+        var client = createClient({
+            normalize: true
+        });
+
+        return client.getVehicles().then(function(result) {
+            assert.deepStrictEqual(result.result.data.map(function(vehicle) {
+                return vehicle.sn;
+            }), [ SN_SINGLE, SN_DOUBLE ]);
+            assert.strictEqual(result.model[1].isDoubleBattery, true);
+            assert.strictEqual(result.model[0].vin, "LNIU0000000000001");
+            assert.strictEqual(server.getRequests("/motoinfo/list")[0].method, "POST");
+        });
+    });
+
+    test.it("getVehiclePos() gets the position", function() {
+        var client = createClient();
+
+        return client.getVehiclePos({
+            sn: SN_SINGLE
+        }).then(function(result) {
+            assert.strictEqual(result.result.data.lat, 52.520008);
+            assert.strictEqual(server.getRequests("/motoinfo/currentpos")[0].params.sn, SN_SINGLE);
+        });
+    });
+
+    test.it("getOverallTally() gets the total mileage", function() {
+        var client = createClient();
+
+        return client.getOverallTally({
+            sn: SN_DOUBLE
+        }).then(function(result) {
+            assert.strictEqual(result.result.data.totalMileage, 4567.8);
+        });
+    });
+
+    test.it("getMotorInfo() gets the vehicle status", function() {
+        var client = createClient({
+            normalize: true
+        });
+
+        return client.getMotorInfo({
+            sn: SN_SINGLE
+        }).then(function(result) {
+            assert.strictEqual(result.result.data.batteries.compartmentA.batteryCharging, 66);
+            assert.strictEqual(result.result.data.batteries.compartmentB, undefined);
+            assert.strictEqual(result.model.isLocked, true);
+            assert.strictEqual(result.model.batteries.length, 1);
+        });
+    });
+
+    test.it("getMotorInfo() supports two batteries", function() {
+        var client = createClient({
+            normalize: true
+        });
+
+        return client.getMotorInfo({
+            sn: SN_DOUBLE
+        }).then(function(result) {
+            assert.strictEqual(result.result.data.batteries.compartmentB.batteryCharging, 82);
+            assert.deepStrictEqual(result.model.batteries.map(function(pack) {
+                return pack.compartment + pack.soc;
+            }), [ "A85", "B82" ]);
+        });
+    });
+
+    test.it("getMotorInfo() validates the options", function() {
+        var client = createClient();
+
+        return expectError(client.getMotorInfo({}), niuCloudConnector.ValidationError).then(function() {
+            assert.strictEqual(server.getRequests().length, 0);
+        });
+    });
+
+    test.it("an unknown vehicle is rejected with the NIU status", function() {
+        var client = createClient();
+
+        return expectError(client.getMotorInfo({
+            sn: "unknown"
+        }), niuCloudConnector.ApiError).then(function(error) {
+            assert.strictEqual(error.status, 1);
+            assert.strictEqual(error.desc, "Unknown sn.");
+        });
+    });
+});
+
+test.describe("Batteries", function() {
+
+    test.it("getBatteryInfo() gets one battery", function() {
+        var client = createClient({
+            normalize: true
+        });
+
+        return client.getBatteryInfo({
+            sn: SN_SINGLE
+        }).then(function(result) {
+            assert.strictEqual(result.result.data.batteries.compartmentA.chargedTimes, "112");
+            assert.strictEqual(result.result.data.batteries.compartmentB, undefined);
+            assert.strictEqual(result.model.batteries.length, 1);
+            assert.strictEqual(server.getRequests("/v3/motor_data/battery_info")[0].method, "GET");
+        });
+    });
+
+    test.it("getBatteryInfo() gets two batteries", function() {
+        var client = createClient({
+            normalize: true
+        });
+
+        return client.getBatteryInfo({
+            sn: SN_DOUBLE
+        }).then(function(result) {
+            assert.strictEqual(result.result.data.batteries.compartmentB.bmsId, "BMS000000000003");
+            assert.strictEqual(result.model.isCharging, true);
+            assert.strictEqual(result.model.batteries.length, 2);
+        });
+    });
+
+    test.it("getBatteryHealth() gets the health of two batteries", function() {
+        var client = createClient();
+
+        return client.getBatteryHealth({
+            sn: SN_DOUBLE
+        }).then(function(result) {
+            assert.strictEqual(result.result.data.isDoubleBattery, true);
+            assert.strictEqual(result.result.data.batteries.compartmentB.healthRecords[0].result, "4.5");
+        });
+    });
+
+    test.it("getBatteryChart() passes the page parameters", function() {
+        var client = createClient();
+
+        return client.getBatteryChart({
+            sn: SN_DOUBLE,
+            bmsId: 1,
+            page: 1,
+            pageSize: "A",
+            pageLength: 2
+        }).then(function(result) {
+            assert.strictEqual(result.result.data.items2.m, "20000");
+            assert.deepStrictEqual(server.getRequests("/v3/motor_data/battery_chart")[0].params, {
+                sn: SN_DOUBLE,
+                bmsId: "1",
+                page: "1",
+                page_size: "A",
+                pageLength: "2"
+            });
+        });
+    });
+
+    test.it("getBatteryChart() validates the options", function() {
+        var client = createClient();
+
+        return expectError(client.getBatteryChart({
+            sn: SN_DOUBLE,
+            bmsId: 1
+        }), niuCloudConnector.ValidationError);
+    });
+});
+
+test.describe("Tracks", function() {
+
+    test.it("getTracks() gets a page of tracks", function() {
+        var client = createClient({
+            normalize: true
+        });
+
+        return client.getTracks({
+            sn: SN_SINGLE,
+            index: 1,
+            pageSize: 10
+        }).then(function(result) {
+            assert.deepStrictEqual(result.result.data.map(function(track) {
+                return track.trackId;
+            }), [ "T1001" ]);
+            assert.strictEqual(result.model[0].distance, 5000);
+            assert.deepStrictEqual(server.getRequests("/v3/motor_data/track")[0].params, {
+                sn: SN_SINGLE,
+                index: "1",
+                pagesize: "10"
+            });
+        });
+    });
+
+    test.it("getTrackDetail() gets the track points", function() {
+        var client = createClient({
+            normalize: true
+        });
+
+        return client.getTrackDetail({
+            sn: SN_SINGLE,
+            trackId: "T1002",
+            trackDate: "20190630"
+        }).then(function(result) {
+            assert.strictEqual(result.result.data.trackItems.length, 3);
+            assert.strictEqual(result.model.points.length, 3);
+            assert.strictEqual(server.getRequests("/motoinfo/track/detail")[0].params.date, "20190630");
+        });
+    });
+
+    test.it("iterateTracks() iterates over all pages with detail", function() {
+        var client      = createClient();
+        var iterator    = client.iterateTracks({
+            sn: SN_SINGLE,
+            pageSize: 1,
+            withDetail: true
+        });
+        var trackIds    = [];
+
+        var next = function() {
+            return iterator.next().then(function(item) {
+
+                if (true === item.done) {
+                    return;
+                }
+
+                assert.strictEqual(item.value.detail.startTime, String(item.value.summary.startTime));
+                trackIds.push(item.value.summary.trackId);
+
+                return next();
+            });
+        };
+
+        return next().then(function() {
+            assert.deepStrictEqual(trackIds, [ "T1002", "T1001" ]);
+            assert.strictEqual(server.getRequests("/v3/motor_data/track").length, 3);
+            assert.strictEqual(server.getRequests("/motoinfo/track/detail").length, 2);
+        });
+    });
+
+    test.it("iterateTracks() selects the tracks of a date range, which spans pages", function() {
+        var start   = Date.UTC(2020, 0, 1);
+        var client  = null;
+
+        setDailyTracks(10, start);
+        client = createClient();
+
+        return client.iterateTracks({
+            sn: SN_SINGLE,
+            from: new Date(start + 3 * 24 * 60 * 60 * 1000),
+            to: start + 6 * 24 * 60 * 60 * 1000,
+            pageSize: 2
+        }).toArray().then(function(tracks) {
+            assert.deepStrictEqual(tracks.map(function(track) {
+                return track.summary.trackId;
+            }), [ "T07", "T06", "T05", "T04" ]);
+        });
+    });
+
+    test.it("iterateTracks() stops at the first track, which is older than the start", function() {
+        var start   = Date.UTC(2020, 0, 1);
+        var client  = null;
+
+        setDailyTracks(10, start);
+        client = createClient();
+
+        return client.iterateTracks({
+            sn: SN_SINGLE,
+            from: new Date(start + 3 * 24 * 60 * 60 * 1000),
+            pageSize: 2
+        }).toArray().then(function(tracks) {
+            assert.strictEqual(tracks.length, 7);
+            assert.strictEqual(tracks[6].summary.trackId, "T04");
+
+            /* The page with T04 and T03 is the last one, T02 and T01 aren't requested. */
+            assert.deepStrictEqual(server.getRequests("/v3/motor_data/track").map(function(request) {
+                return request.params.index;
+            }), [ "0", "2", "4", "6" ]);
+        });
+    });
+
+    test.it("iterateTracks() rejects an invalid date range", function() {
+        var client = createClient();
+
+        assert.throws(function() {
+            return client.iterateTracks({
+                sn: SN_SINGLE,
+                from: "yesterday"
+            });
+        }, niuCloudConnector.ValidationError);
+
+        assert.throws(function() {
+            return client.iterateTracks({
+                sn: SN_SINGLE,
+                to: {}
+            });
+        }, niuCloudConnector.ValidationError);
+
+        assert.strictEqual(server.getRequests("/v3/motor_data/track").length, 0);
+    });
+});
+
+test.describe("Firmware", function() {
+
+    test.it("getFirmwareVersion() gets the firmware versions", function() {
+        var client = createClient({
+            normalize: true
+        });
+
+        return client.getFirmwareVersion({
+            sn: SN_SINGLE
+        }).then(function(result) {
+            assert.strictEqual(result.result.data[0].needUpdate, true);
+            assert.strictEqual(result.model.version, "N1S_V1.2.3");
+        });
+    });
+
+    test.it("getUpdateInfo() gets the update information", function() {
+        var client = createClient();
+
+        return client.getUpdateInfo({
+            sn: SN_DOUBLE
+        }).then(function(result) {
+            assert.strictEqual(result.result.data[0].csq, 18);
+        });
+    });
+});
+
+test.describe("Fleet and ride history", function() {
+
+    test.it("getFleetStatus() combines all vehicles", function() {
+        var client = createClient();
+
+        return client.getFleetStatus({
+            lowSocThreshold: 70
+        }).then(function(result) {
+            assert.strictEqual(result.result.totals.vehicles, 2);
+            assert.strictEqual(result.result.totals.complete, 2);
+            assert.strictEqual(result.result.totals.charging, 1);
+            assert.deepStrictEqual(result.result.lowSoc.map(function(vehicle) {
+                return vehicle.sn;
+            }), [ SN_SINGLE ]);
+        });
+    });
+
+    test.it("an invalid concurrency falls back to the default", function() {
+        var client      = createClient();
+        var iterator    = client.iterateTracks({
+            sn: SN_SINGLE,
+            withDetail: true,
+            concurrency: NaN
+        });
+
+        return iterator.next().then(function(item) {
+            assert.strictEqual(item.value.summary.trackId, "T1002");
+            assert.notStrictEqual(item.value.detail, null);
+        });
+    });
+
+    test.it("getFleetStatus() falls back to the default concurrency for an invalid limit", function() {
+        var client = createClient();
+
+        return client.getFleetStatus({
+            concurrency: NaN
+        }).then(function(result) {
+            assert.strictEqual(result.result.totals.vehicles, 2);
+        });
+    });
+
+    test.it("getFleetStatus() reports failed requests", function() {
+        var client = createClient();
+
+        server.script({
+            path: "/motoinfo/overallTally",
+            statusCode: 500
+        });
+
+        return client.getFleetStatus().then(function(result) {
+            assert.strictEqual(result.result.failures.length, 1);
+            assert.strictEqual(result.result.failures[0].request, "getOverallTally");
+            assert.strictEqual(result.result.totals.complete, 1);
+        });
+    });
+
+    test.it("syncRides() stores new tracks once", function() {
+        var client  = createClient();
+        var dir     = fs.mkdtempSync(path.join(os.tmpdir(), "niu-test-"));
+        var store   = new niuCloudConnector.RideStore({
+            path: dir
+        });
+
+        return client.syncRides({
+            store: store,
+            withDetail: true
+        }).then(function(result) {
+            assert.strictEqual(result.result.tracks, 3);
+            assert.strictEqual(result.result.details, 3);
+
+            return client.syncRides({
+                store: store
+            });
+        }).then(function(result) {
+            assert.strictEqual(result.result.tracks, 0);
+
+            return store.getTrack(SN_DOUBLE, "T2001");
+        }).then(function(track) {
+            assert.strictEqual(track.detail.trackItems.length, 2);
+        }).finally(function() {
+            fs.rmSync(dir, {
+                recursive: true,
+                force: true
+            });
+        });
+    });
+});
+
+test.describe("Error handling", function() {
+
+    test.it("a non-zero status is rejected as API error", function() {
+        var client = createClient();
+
+        server.script({
+            path: "/v3/motor_data/battery_info",
+            status: 1010,
+            desc: "Vehicle offline."
+        });
+
+        return expectError(client.getBatteryInfo({
+            sn: SN_SINGLE
+        }), niuCloudConnector.ApiError).then(function(error) {
+            assert.strictEqual(error.status, 1010);
+            assert.strictEqual(error.desc, "Vehicle offline.");
+            assert.strictEqual(error.code, "ERR_NIU_API");
+        });
+    });
+
+    test.it("query parameters are encoded", function() {
+        var client = createClient();
+
+        return expectError(client.getBatteryInfo({
+            sn: SN_SINGLE + "&sn=" + SN_DOUBLE
+        }), niuCloudConnector.ApiError).then(function() {
+            assert.deepStrictEqual(server.getRequests("/v3/motor_data/battery_info")[0].params, {
+                sn: SN_SINGLE + "&sn=" + SN_DOUBLE
+            });
+        });
+    });
+
+    test.it("a server error is rejected with the HTTP status code", function() {
+        var client = createClient();
+
+        server.script({
+            path: "/v3/motor_data/index_info",
+            statusCode: 500
+        });
+
+        return expectError(client.getMotorInfo({
+            sn: SN_SINGLE
+        }), niuCloudConnector.HttpStatusError).then(function(error) {
+            assert.strictEqual(error.statusCode, 500);
+        });
+    });
+
+    test.it("a server error is retried", function() {
+        var client = createClient({
+            retry: {
+                retries: 2,
+                minDelay: 10,
+                jitter: false
+            }
+        });
+
+        server.script({
+            path: "/v3/motor_data/index_info",
+            statusCode: 503,
+            times: 2
+        });
+
+        return client.getMotorInfo({
+            sn: SN_SINGLE
+        }).then(function(result) {
+            assert.strictEqual(result.result.status, 0);
+            assert.strictEqual(server.getRequests("/v3/motor_data/index_info").length, 3);
+        });
+    });
+
+    test.it("the login is only retried on request", function() {
+        var client  = createClient({
+            retry: {
+                retries: 2,
+                minDelay: 10,
+                jitter: false
+            }
+        });
+        var retried = createClient({
+            retry: {
+                retries: 2,
+                minDelay: 10,
+                jitter: false,
+                login: true
+            }
+        });
+
+        server.script({
+            path: "/appv2/login",
+            statusCode: 503
+        });
+
+        return expectError(client.getVehicles(), niuCloudConnector.HttpStatusError).then(function() {
+            assert.strictEqual(server.getRequests("/appv2/login").length, 1);
+
+            server.reset();
+            server.script({
+                path: "/appv2/login",
+                statusCode: 503
+            });
+
+            return retried.getVehicles();
+        }).then(function() {
+            assert.strictEqual(server.getRequests("/appv2/login").length, 2);
+        });
+    });
+
+    test.it("a request, cancelled before the retry, doesn't wait for it", function() {
+        var controller  = new AbortController();
+        var transport   = new niuCloudConnector.HttpsTransport();
+        var client      = createClient({
+            retry: {
+                retries: 2,
+                minDelay: 10000,
+                jitter: false
+            },
+            transport: {
+                request: function(options) {
+                    return transport.request(options).then(function(response) {
+
+                        if (503 === response.statusCode) {
+                            controller.abort();
+                        }
+
+                        return response;
+                    });
+                }
+            }
+        });
+        var start       = 0;
+
+        return client.createSessionToken(NiuServer.Credentials).then(function() {
+            server.script({
+                path: "/v3/motor_data/index_info",
+                statusCode: 503
+            });
+
+            start = Date.now();
+
+            return expectError(client.getMotorInfo({
+                sn: SN_SINGLE,
+                signal: controller.signal
+            }), niuCloudConnector.AbortError);
+        }).then(function() {
+            assert.ok(1000 > (Date.now() - start));
+        });
+    });
+
+    test.it("a slow response times out", function() {
+        var client = createClient({
+            timeout: 50
+        });
+
+        server.script({
+            path: "/motoinfo/overallTally",
+            delay: 500
+        });
+
+        return client.createSessionToken(NiuServer.Credentials).then(function() {
+            return expectError(client.getOverallTally({
+                sn: SN_SINGLE
+            }), niuCloudConnector.TimeoutError);
+        });
+    });
+
+    test.it("a slow response can be cancelled", function() {
+        var client      = createClient();
+        var controller  = new AbortController();
+
+        server.script({
+            path: "/motoinfo/list",
+            delay: 500
+        });
+
+        return client.createSessionToken(NiuServer.Credentials).then(function() {
+            var promise = client.getVehicles({
+                signal: controller.signal
+            });
+
+            setTimeout(function() {
+                controller.abort();
+            }, 50);
+
+            return expectError(promise, niuCloudConnector.AbortError);
+        });
+    });
+
+    test.it("a response, which doesn't match the schema, is rejected in strict mode", function() {
+        var client = createClient();
+
+        server.script({
+            path: "/v3/motor_data/index_info",
+            body: {
+                data: {},
+                desc: "success",
+                trace: "mock",
+                status: 0
+            }
+        });
+
+        return expectError(client.getMotorInfo({
+            sn: SN_SINGLE
+        }), niuCloudConnector.SchemaError).then(function(error) {
+            assert.ok(0 < error.issues.length);
+        });
+    });
+
+    test.it("getDriftReport() collects unknown fields and clearDriftReport() clears them", function() {
+        var client = createClient({
+            validation: "collect"
+        });
+        var data    = server.getFixture("overallTally");
+
+        data[SN_SINGLE].newField = 1;
+        server.setFixture("overallTally", data);
+
+        return client.getOverallTally({
+            sn: SN_SINGLE
+        }).then(function() {
+            var report = client.getDriftReport();
+
+            assert.deepStrictEqual(report.responses.OverallTally.extra.map(function(entry) {
+                return entry.path;
+            }), [ "data.newField" ]);
+
+            client.clearDriftReport();
+
+            assert.strictEqual(client.getDriftReport().responses.OverallTally, undefined);
+        });
+    });
+});
+
+test.describe("Events", function() {
+
+    test.it("every request attempt and login is emitted", function() {
+        var client      = createClient();
+        var requests    = [];
+        var logins      = 0;
+
+        client.on("request", function(event) {
+            requests.push(event);
+        });
+
+        client.on("login", function() {
+            ++logins;
+        });
+
+        return client.getVehicles().then(function() {
+            assert.strictEqual(logins, 1);
+            assert.deepStrictEqual(requests.map(function(event) {
+                return event.method + " " + event.path + " " + event.statusCode;
+            }), [ "POST /appv2/login 200", "POST /motoinfo/list 200" ]);
+            assert.strictEqual(requests[1].error, null);
+            assert.ok(0 <= requests[1].duration);
+        });
+    });
+
+    test.it("a failed request is emitted once", function() {
+        var client      = createClient();
+        var failures    = [];
+
+        client.on("failure", function(error) {
+            failures.push(error);
+        });
+
+        return client.getVehicles().then(function() {
+            server.expireTokens();
+            server.script({
+                path: "/appv2/login",
+                status: 1,
+                desc: "Invalid account."
+            });
+
+            return Promise.all([
+                expectError(client.getMotorInfo({ sn: SN_SINGLE }), niuCloudConnector.AuthenticationError),
+                expectError(client.getBatteryInfo({ sn: SN_SINGLE }), niuCloudConnector.AuthenticationError)
+            ]);
+        }).then(function(errors) {
+            assert.strictEqual(errors[0], errors[1]);
+            assert.deepStrictEqual(failures, [ errors[0] ]);
+        });
+    });
+});
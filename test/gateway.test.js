@@ -0,0 +1,266 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the REST gateway against the mock NIU server. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/** Test helpers */
+var helpers = require("./mock/helpers");
+
+/** Vehicle with one battery */
+var SN_SINGLE = helpers.SN_SINGLE;
+
+/** Vehicle with two batteries */
+var SN_DOUBLE = helpers.SN_DOUBLE;
+
+/** API key of the tests */
+var API_KEY = "test-api-key";
+
+/** Gateway, shared by all tests */
+var gateway = null;
+
+/** Port of the gateway */
+var port = 0;
+
+/**
+ * Send a request to the gateway.
+ *
+ * @param {string}  reqPath     - Path with query.
+ * @param {Object}  [headers]   - Request headers (default: API key header).
+ * @param {string}  [method]    - HTTP method (default: "GET").
+ *
+ * @returns {Promise} Response with statusCode and the parsed body.
+ */
+var request = function(reqPath, headers, method) {
+    return helpers.request({
+        port: port,
+        path: reqPath,
+        method: method,
+        headers: (undefined === headers) ? { "x-api-key": API_KEY } : headers
+    }).then(function(response) {
+        response.body = JSON.parse(response.body);
+
+        return response;
+    });
+};
+
+/** Mock server, shared by all tests */
+var server = helpers.useNiuServer({
+    before: function() {
+        gateway = new niuCloudConnector.RestGateway({
+            client: helpers.createClient(server, {
+                normalize: true
+            }),
+            apiKeys: [ "other-key", API_KEY ],
+            basePath: "/api",
+            timeout: 200
+        });
+
+        return gateway.listen(0, "127.0.0.1").then(function(address) {
+            port = address.port;
+        });
+    },
+    after: function() {
+        return gateway.close();
+    }
+});
+
+test.it("the gateway requires API keys", function() {
+    assert.throws(function() {
+        return new niuCloudConnector.RestGateway({
+            client: new niuCloudConnector.Client()
+        });
+    }, niuCloudConnector.ValidationError);
+});
+
+test.it("a request without valid API key is rejected", function() {
+    return Promise.all([
+        request("/api/vehicles", {}),
+        request("/api/vehicles", { "x-api-key": "wrong" }),
+        request("/api/unknown", { "authorization": "Bearer wrong" })
+    ]).then(function(responses) {
+        responses.forEach(function(response) {
+            assert.strictEqual(response.statusCode, 401);
+            assert.strictEqual(response.body.error.code, "ERR_UNAUTHORIZED");
+        });
+        assert.strictEqual(server.getRequests().length, 0);
+    });
+});
+
+test.it("GET /vehicles logs in and lists the vehicles", function() {
+    return request("/api/vehicles", { "authorization": "Bearer " + API_KEY }).then(function(response) {
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.headers["content-type"], "application/json; charset=utf-8");
+        assert.strictEqual(response.body.data.length, 2);
+        assert.strictEqual(response.body.model[1].isDoubleBattery, true);
+        assert.strictEqual(server.getRequests("/appv2/login").length, 1);
+    });
+});
+
+test.it("the vehicle routes call the client methods", function() {
+    var sn = "/api/vehicles/" + SN_DOUBLE;
+
+    return Promise.all([
+        request(sn + "/status"),
+        request(sn + "/position"),
+        request(sn + "/tally"),
+        request(sn + "/battery"),
+        request(sn + "/battery/health"),
+        request(sn + "/firmware"),
+        request(sn + "/firmware/update/")
+    ]).then(function(responses) {
+        responses.forEach(function(response) {
+            assert.strictEqual(response.statusCode, 200);
+        });
+
+        assert.strictEqual(responses[0].body.data.batteries.compartmentB.batteryCharging, 82);
+        assert.strictEqual(responses[0].body.model.batteries.length, 2);
+        assert.strictEqual(responses[1].body.data.lat, 48.137154);
+        assert.strictEqual(responses[2].body.data.totalMileage, 4567.8);
+        assert.strictEqual(responses[3].body.data.batteries.compartmentB.chargedTimes, "61");
+        assert.strictEqual(responses[4].body.data.isDoubleBattery, true);
+        assert.strictEqual(responses[5].body.data[0].nowVersion, "NQI_V2.0.1");
+        assert.strictEqual(responses[6].body.data[0].csq, 18);
+    });
+});
+
+test.it("GET /vehicles/:sn/battery/chart passes the query parameters", function() {
+    return request("/api/vehicles/" + SN_DOUBLE + "/battery/chart?bmsId=2&pageSize=B").then(function(response) {
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.data.items1.m, "20000");
+        assert.deepStrictEqual(server.getRequests("/v3/motor_data/battery_chart")[0].params, {
+            sn: SN_DOUBLE,
+            bmsId: "2",
+            page: "1",
+            page_size: "B",
+            pageLength: "1"
+        });
+    });
+});
+
+test.it("GET /vehicles/:sn/tracks and /vehicles/:sn/tracks/:trackId get the tracks", function() {
+    return request("/api/vehicles/" + SN_SINGLE + "/tracks?pageSize=1").then(function(response) {
+        var track = response.body.data[0];
+
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.data.length, 1);
+
+        return request("/api/vehicles/" + SN_SINGLE + "/tracks/" + track.trackId + "?date=" + track.date);
+    }).then(function(response) {
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.data.trackItems.length, 3);
+    });
+});
+
+test.it("invalid query parameters are rejected", function() {
+    return Promise.all([
+        request("/api/vehicles/" + SN_SINGLE + "/tracks?index=first"),
+        request("/api/vehicles/" + SN_SINGLE + "/tracks/T1002")
+    ]).then(function(responses) {
+        responses.forEach(function(response) {
+            assert.strictEqual(response.statusCode, 400);
+            assert.strictEqual(response.body.error.code, "ERR_VALIDATION");
+        });
+        assert.strictEqual(server.getRequests("/v3/motor_data/track").length, 0);
+    });
+});
+
+test.it("invalid path parameters are rejected", function() {
+    return Promise.all([
+        request("/api/vehicles/ABC%26sn%3DOTHER/battery"),
+        request("/api/vehicles/" + SN_SINGLE + "/tracks/T1002%3Fx%3D1?date=20190630"),
+        request("/api/vehicles/%E0%A4%A/status")
+    ]).then(function(responses) {
+        responses.forEach(function(response) {
+            assert.strictEqual(response.statusCode, 400);
+            assert.strictEqual(response.body.error.code, "ERR_VALIDATION");
+        });
+        assert.strictEqual(server.getRequests().length, 0);
+    });
+});
+
+test.it("unknown routes and methods are rejected", function() {
+    return Promise.all([
+        request("/api/unknown"),
+        request("/vehicles"),
+        request("/api/vehicles", undefined, "POST")
+    ]).then(function(responses) {
+        assert.strictEqual(responses[0].statusCode, 404);
+        assert.strictEqual(responses[0].body.error.code, "ERR_NOT_FOUND");
+        assert.strictEqual(responses[1].statusCode, 404);
+        assert.strictEqual(responses[2].statusCode, 405);
+        assert.strictEqual(responses[2].headers.allow, "GET");
+    });
+});
+
+test.it("errors of the NIU cloud are mapped", function() {
+
+    server.script({
+        path: "/v3/motor_data/index_info",
+        status: 1010,
+        desc: "Vehicle offline."
+    }).script({
+        path: "/v3/motor_data/battery_info",
+        statusCode: 500
+    }).script({
+        path: "/motoinfo/overallTally",
+        delay: 500
+    });
+
+    return Promise.all([
+        request("/api/vehicles/" + SN_SINGLE + "/status"),
+        request("/api/vehicles/" + SN_SINGLE + "/battery"),
+        request("/api/vehicles/" + SN_SINGLE + "/tally")
+    ]).then(function(responses) {
+        assert.strictEqual(responses[0].statusCode, 502);
+        assert.deepStrictEqual(responses[0].body.error, {
+            code: "ERR_NIU_API",
+            message: "Vehicle offline.",
+            status: 1010,
+            desc: "Vehicle offline."
+        });
+        assert.strictEqual(responses[1].statusCode, 502);
+        assert.strictEqual(responses[1].body.error.code, "ERR_HTTP_STATUS");
+        assert.strictEqual(responses[2].statusCode, 504);
+        assert.strictEqual(responses[2].body.error.code, "ERR_TIMEOUT");
+    });
+});
+
+test.it("an expired session token is renewed by the gateway", function() {
+    return request("/api/vehicles").then(function() {
+        server.expireTokens();
+
+        return request("/api/vehicles/" + SN_SINGLE + "/status");
+    }).then(function(response) {
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(server.getRequests("/appv2/login").length, 2);
+    });
+});
@@ -0,0 +1,270 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the geofences and the geofence watcher. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/** Test helpers */
+var helpers = require("./mock/helpers");
+
+/** Vehicle serial number */
+var SN = helpers.SN_SINGLE;
+
+/** Center of the geofences */
+var CENTER = { lat: 52.52, lng: 13.405 };
+
+/** Distance in m of one degree latitude */
+var METERS_PER_DEGREE = 6371008.8 * Math.PI / 180;
+
+/**
+ * Create motor data with a position north of the center.
+ *
+ * @param {number} meters   - Distance to the center in m.
+ * @param {number} [hdop]   - HDOP (default: 1).
+ *
+ * @returns {Object} Motor data
+ */
+var createMotorData = function(meters, hdop) {
+    return {
+        postion: {
+            lat: CENTER.lat + (meters / METERS_PER_DEGREE),
+            lng: CENTER.lng
+        },
+        hdop: (undefined === hdop) ? 1 : hdop,
+        gpsTimestamp: Date.now()
+    };
+};
+
+/**
+ * Create a geofence watcher for a single circle geofence and record its events.
+ *
+ * @param {number} radius   - Radius in m.
+ * @param {Object} [options] - Further watcher options.
+ *
+ * @returns {Object} Watcher and recorded events.
+ */
+var createWatcher = function(radius, options) {
+    var events  = [];
+    var watcher = new niuCloudConnector.GeofenceWatcher(Object.assign({
+        client: new niuCloudConnector.Client(),
+        sn: SN,
+        geofences: [
+            new niuCloudConnector.CircleGeofence({
+                id: "depot",
+                lat: CENTER.lat,
+                lng: CENTER.lng,
+                radius: radius
+            })
+        ]
+    }, options));
+
+    watcher.on("enter", function() {
+        events.push("enter");
+    });
+
+    watcher.on("leave", function() {
+        events.push("leave");
+    });
+
+    return {
+        watcher: watcher,
+        events: events
+    };
+};
+
+test.describe("CircleGeofence", function() {
+
+    test.it("contains() checks the radius", function() {
+        var geofence = new niuCloudConnector.CircleGeofence({
+            id: "depot",
+            lat: CENTER.lat,
+            lng: CENTER.lng,
+            radius: 100
+        });
+
+        assert.strictEqual(geofence.contains(createMotorData(90).postion), true);
+        assert.strictEqual(geofence.contains(createMotorData(110).postion), false);
+        assert.ok(Math.abs(geofence.getBoundaryDistance(createMotorData(150).postion) - 50) < 0.1);
+    });
+
+    test.it("rejects an invalid radius", function() {
+        assert.throws(function() {
+            return new niuCloudConnector.CircleGeofence({
+                id: "depot",
+                lat: CENTER.lat,
+                lng: CENTER.lng,
+                radius: 0
+            });
+        }, niuCloudConnector.ValidationError);
+    });
+});
+
+test.describe("PolygonGeofence", function() {
+
+    test.it("contains() checks the polygon", function() {
+        var delta       = 200 / METERS_PER_DEGREE;
+        var geofence    = new niuCloudConnector.PolygonGeofence({
+            id: "yard",
+            points: [
+                { lat: CENTER.lat - delta, lng: CENTER.lng - (2 * delta) },
+                { lat: CENTER.lat + delta, lng: CENTER.lng - (2 * delta) },
+                { lat: CENTER.lat + delta, lng: CENTER.lng + (2 * delta) },
+                { lat: CENTER.lat - delta, lng: CENTER.lng + (2 * delta) }
+            ]
+        });
+
+        assert.strictEqual(geofence.contains(createMotorData(100).postion), true);
+        assert.strictEqual(geofence.contains(createMotorData(300).postion), false);
+        assert.ok(0 > geofence.getBoundaryDistance(createMotorData(100).postion));
+        assert.ok(Math.abs(geofence.getMinWidth() - 400) < 0.1);
+    });
+
+    test.it("rejects less than 3 points", function() {
+        assert.throws(function() {
+            return new niuCloudConnector.PolygonGeofence({
+                id: "yard",
+                points: [ CENTER, CENTER ]
+            });
+        }, niuCloudConnector.ValidationError);
+    });
+});
+
+test.describe("GeofenceWatcher", function() {
+
+    test.it("the first position only sets the initial state", function() {
+        var context = createWatcher(100);
+
+        context.watcher.update(SN, createMotorData(0));
+
+        assert.deepStrictEqual(context.watcher.getStates(), { depot: "inside" });
+        assert.deepStrictEqual(context.events, []);
+    });
+
+    test.it("emits leave and enter outside of the hysteresis band", function() {
+        var context = createWatcher(100, { hysteresis: 25 });
+
+        context.watcher.update(SN, createMotorData(0));
+
+        /* Within the hysteresis band, nothing changes. */
+        context.watcher.update(SN, createMotorData(120));
+        assert.deepStrictEqual(context.events, []);
+
+        context.watcher.update(SN, createMotorData(130));
+        assert.deepStrictEqual(context.events, [ "leave" ]);
+
+        context.watcher.update(SN, createMotorData(80));
+        assert.deepStrictEqual(context.events, [ "leave" ]);
+
+        context.watcher.update(SN, createMotorData(70));
+        assert.deepStrictEqual(context.events, [ "leave", "enter" ]);
+        assert.deepStrictEqual(context.watcher.getStates(), { depot: "inside" });
+    });
+
+    test.it("the event provides the geofence and the position", function() {
+        var context = createWatcher(100);
+        var event   = null;
+
+        context.watcher.on("leave", function(data) {
+            event = data;
+        });
+
+        context.watcher.update(SN, createMotorData(0));
+        context.watcher.update(SN, createMotorData(200));
+
+        assert.strictEqual(event.sn, SN);
+        assert.strictEqual(event.geofence.id, "depot");
+        assert.ok(Math.abs(event.distance - 100) < 0.1);
+    });
+
+    test.it("a small circle can be entered, despite a larger hysteresis", function() {
+        var context = createWatcher(20, { hysteresis: 25 });
+
+        context.watcher.update(SN, createMotorData(100));
+        context.watcher.update(SN, createMotorData(0));
+
+        assert.deepStrictEqual(context.events, [ "enter" ]);
+    });
+
+    test.it("a narrow polygon can be entered, despite a larger hysteresis", function() {
+        var delta   = 10 / METERS_PER_DEGREE;
+        var context = createWatcher(100, {
+            hysteresis: 25,
+            geofences: [
+                new niuCloudConnector.PolygonGeofence({
+                    id: "lane",
+                    points: [
+                        { lat: CENTER.lat - delta, lng: CENTER.lng - (50 * delta) },
+                        { lat: CENTER.lat + delta, lng: CENTER.lng - (50 * delta) },
+                        { lat: CENTER.lat + delta, lng: CENTER.lng + (50 * delta) },
+                        { lat: CENTER.lat - delta, lng: CENTER.lng + (50 * delta) }
+                    ]
+                })
+            ]
+        });
+
+        context.watcher.update(SN, createMotorData(100));
+        context.watcher.update(SN, createMotorData(0));
+
+        assert.deepStrictEqual(context.events, [ "enter" ]);
+        assert.deepStrictEqual(context.watcher.getStates(), { lane: "inside" });
+    });
+
+    test.it("ignores positions with a bad HDOP and without GPS fix", function() {
+        var context = createWatcher(100);
+
+        context.watcher.update(SN, createMotorData(0));
+        context.watcher.update(SN, createMotorData(500, 10));
+        context.watcher.update(SN, {
+            postion: { lat: 0, lng: 0 },
+            hdop: 1
+        });
+
+        assert.deepStrictEqual(context.events, []);
+        assert.deepStrictEqual(context.watcher.getStates(), { depot: "inside" });
+    });
+
+    test.it("a change needs the given number of confirmations", function() {
+        var context = createWatcher(100, { confirmations: 2 });
+
+        context.watcher.update(SN, createMotorData(0));
+        context.watcher.update(SN, createMotorData(0));
+        context.watcher.update(SN, createMotorData(200));
+        assert.deepStrictEqual(context.events, []);
+
+        /* A position inside resets the confirmations. */
+        context.watcher.update(SN, createMotorData(0));
+        context.watcher.update(SN, createMotorData(200));
+        assert.deepStrictEqual(context.events, []);
+
+        context.watcher.update(SN, createMotorData(200));
+        assert.deepStrictEqual(context.events, [ "leave" ]);
+    });
+});
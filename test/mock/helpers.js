@@ -0,0 +1,164 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Helpers, which are shared by the tests. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** HTTP client */
+var http = require("http");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../../index");
+
+/** Mock NIU server */
+var NiuServer = require("./niuServer").NiuServer;
+
+/**
+ * Serial number of the vehicle with one battery.
+ */
+var SN_SINGLE = "N1GTS0000000001";
+
+/**
+ * Serial number of the vehicle with two batteries.
+ */
+var SN_DOUBLE = "NQIGT0000000002";
+
+/**
+ * Create a mock NIU server, which is started before all tests of the file,
+ * reset before each test and stopped after all tests.
+ *
+ * The hooks of the test runner are not run one after another, therefore
+ * further set up and tear down, which depends on the server, is passed here.
+ *
+ * @param {Object}      [hooks]         - Hooks.
+ * @param {Function}    [hooks.before]  - Called after the server is started, may return a promise.
+ * @param {Function}    [hooks.after]   - Called before the server is stopped, may return a promise.
+ *
+ * @returns {NiuServer} Mock NIU server.
+ */
+var useNiuServer = function(hooks) {
+    var server = new NiuServer();
+
+    hooks = (undefined === hooks) ? {} : hooks;
+
+    test.before(function() {
+        return server.start().then(function() {
+            return ("function" === typeof hooks.before) ? hooks.before() : undefined;
+        });
+    });
+
+    test.after(function() {
+        return Promise.resolve().then(function() {
+            return ("function" === typeof hooks.after) ? hooks.after() : undefined;
+        }).then(function() {
+            return server.stop();
+        });
+    });
+
+    test.beforeEach(function() {
+        server.reset();
+    });
+
+    return server;
+};
+
+/**
+ * Create a client, connected to the mock server. Retries are disabled.
+ *
+ * @param {NiuServer}   server      - Mock NIU server.
+ * @param {Object}      [options]   - Additional client options.
+ *
+ * @returns {niuCloudConnector.Client} Client.
+ */
+var createClient = function(server, options) {
+    var clientOptions = {
+        credentials: NiuServer.Credentials,
+        accountBaseUrl: server.getBaseUrl(),
+        appApiBaseUrl: server.getBaseUrl(),
+        retry: {
+            retries: 0
+        }
+    };
+    var name = null;
+
+    if (("object" === typeof options) &&
+        (null !== options)) {
+        for (name in options) {
+            if (Object.prototype.hasOwnProperty.call(options, name)) {
+                clientOptions[name] = options[name];
+            }
+        }
+    }
+
+    return new niuCloudConnector.Client(clientOptions);
+};
+
+/**
+ * Send a HTTP request to a local server.
+ *
+ * @param {Object}  options             - Options.
+ * @param {number}  options.port        - Port of the server.
+ * @param {string}  options.path        - Path.
+ * @param {string}  [options.method]    - HTTP method (default: "GET").
+ * @param {Object}  [options.headers]   - Request headers.
+ *
+ * @returns {Promise} Response with statusCode, headers and body.
+ */
+var request = function(options) {
+    return new Promise(function(resolve, reject) {
+        var req = http.request({
+            method: ("string" === typeof options.method) ? options.method : "GET",
+            hostname: "127.0.0.1",
+            port: options.port,
+            path: options.path,
+            headers: options.headers
+        }, function(res) {
+            var chunks = [];
+
+            res.on("data", function(chunk) {
+                chunks.push(chunk);
+            });
+
+            res.on("end", function() {
+                resolve({
+                    statusCode: res.statusCode,
+                    headers: res.headers,
+                    body: Buffer.concat(chunks).toString("utf8")
+                });
+            });
+        });
+
+        req.on("error", reject);
+        req.end();
+    });
+};
+
+module.exports = {
+    SN_SINGLE: SN_SINGLE,
+    SN_DOUBLE: SN_DOUBLE,
+    useNiuServer: useNiuServer,
+    createClient: createClient,
+    request: request
+};
@@ -0,0 +1,572 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** HTTP server */
+var http = require("http");
+
+/** URL parser */
+var url = require("url");
+
+/** Form decoding */
+var querystring = require("querystring");
+
+/** File system */
+var fs = require("fs");
+
+/** Path utilities */
+var path = require("path");
+
+/**
+ * Status number of the NIU cloud, if the session token is invalid or expired.
+ */
+var TOKEN_ERROR_STATUS = 1131;
+
+/**
+ * Routes of the NIU app API. Every route is served from a fixture file, which
+ * contains the response data. The key selects the data by a request parameter,
+ * e.g. the vehicle serial number.
+ *
+ * @private
+ */
+var routes = {
+    "/motoinfo/list": {
+        fixture: "vehicles"
+    },
+    "/motoinfo/currentpos": {
+        fixture: "vehiclePos",
+        key: "sn"
+    },
+    "/motoinfo/overallTally": {
+        fixture: "overallTally",
+        key: "sn"
+    },
+    "/motoinfo/track/detail": {
+        fixture: "trackDetail",
+        key: "trackId"
+    },
+    "/v3/motor_data/battery_info": {
+        fixture: "batteryInfo",
+        key: "sn"
+    },
+    "/v3/motor_data/battery_info/health": {
+        fixture: "batteryHealth",
+        key: "sn"
+    },
+    "/v3/motor_data/battery_chart": {
+        fixture: "batteryChart",
+        key: "sn"
+    },
+    "/v3/motor_data/index_info": {
+        fixture: "motorInfo",
+        key: "sn"
+    },
+    "/v3/motor_data/track": {
+        fixture: "tracks",
+        key: "sn",
+        isPaged: true
+    },
+    "/motorota/getfirmwareversion": {
+        fixture: "firmwareVersion",
+        key: "sn"
+    },
+    "/motorota/getupdateinfo": {
+        fixture: "updateInfo",
+        key: "sn"
+    }
+};
+
+/**
+ * Deep copy of JSON data.
+ *
+ * @private
+ *
+ * @param {*} data - JSON data.
+ *
+ * @returns {*} Copy of the data.
+ */
+var copy = function(data) {
+    return (undefined === data) ? undefined : JSON.parse(JSON.stringify(data));
+};
+
+/**
+ * @typedef {Object} MockScenario
+ * @property {string}   [path]          - Only requests to this path are affected, e.g. "/v3/motor_data/index_info". Default: all requests.
+ * @property {number}   [times]         - Number of requests, which are affected. Infinity for all (default: 1).
+ * @property {number}   [delay]         - Delay the response in ms, e.g. to provoke a timeout.
+ * @property {number}   [statusCode]    - Respond with this HTTP status code, e.g. 500.
+ * @property {number}   [status]        - Respond with this NIU status number, e.g. 1131 for an expired session token.
+ * @property {string}   [desc]          - Description of the NIU status number.
+ * @property {Object}   [body]          - Respond with this body, e.g. to provoke a schema drift.
+ */
+
+/**
+ * @typedef {Object} MockRequest
+ * @property {string}   method  - HTTP method
+ * @property {string}   path    - Path without query
+ * @property {Object}   params  - Query and form parameters
+ * @property {string}   token   - Session token of the request or undefined.
+ */
+
+/**
+ * Local HTTP server, which emulates the NIU cloud for offline tests.
+ * It serves the login and the NIU app API on the same host, so the client
+ * shall use its URL as account base URL and as app API base URL.
+ *
+ * The responses are driven by fixture files, which can be changed per test.
+ * Scenarios script the next responses, e.g. server errors, NIU errors or
+ * slow responses.
+ *
+ * @class
+ *
+ * @param {Object}  [options]                       - Options.
+ * @param {string}  [options.fixtures]              - Directory with the fixture files (default: ./fixtures).
+ * @param {Object}  [options.credentials]           - Accepted credentials.
+ * @param {string}  options.credentials.account     - EMail address or mobile phone number or username.
+ * @param {string}  options.credentials.password    - Account password.
+ * @param {string}  options.credentials.countryCode - Telephone country code.
+ */
+var NiuServer = function(options) {
+
+    /** Directory with the fixture files */
+    this._fixturesPath = path.join(__dirname, "fixtures");
+
+    /** Accepted credentials */
+    this._credentials = NiuServer.Credentials;
+
+    /** Fixtures, which were loaded or set by a test. */
+    this._fixtures = {};
+
+    /** Valid session tokens */
+    this._tokens = [];
+
+    /** Number of created session tokens */
+    this._tokenCount = 0;
+
+    /** Scripted scenarios */
+    this._scenarios = [];
+
+    /** Received requests */
+    this._requests = [];
+
+    /** HTTP server */
+    this._server = null;
+
+    /** Base URL of the running server */
+    this._baseUrl = null;
+
+    if (("object" === typeof options) &&
+        (null !== options)) {
+
+        if ("string" === typeof options.fixtures) {
+            this._fixturesPath = options.fixtures;
+        }
+
+        if (("object" === typeof options.credentials) &&
+            (null !== options.credentials)) {
+            this._credentials = options.credentials;
+        }
+    }
+};
+
+/**
+ * Default credentials, accepted by the mock server.
+ */
+NiuServer.Credentials = {
+    account: "email@somewhere.org",
+    password: "1234",
+    countryCode: "49"
+};
+
+/**
+ * Start the server on a free local port.
+ *
+ * @returns {Promise} Base URL of the server, e.g. "http://127.0.0.1:12345".
+ */
+NiuServer.prototype.start = function() {
+    var _this = this;
+
+    if (null !== this._server) {
+        return Promise.resolve(this._baseUrl);
+    }
+
+    return new Promise(function(resolve, reject) {
+
+        _this._server = http.createServer(function(req, res) {
+            _this._handle(req, res);
+        });
+
+        _this._server.on("error", reject);
+
+        _this._server.listen(0, "127.0.0.1", function() {
+            _this._baseUrl = "http://127.0.0.1:" + _this._server.address().port;
+            resolve(_this._baseUrl);
+        });
+    });
+};
+
+/**
+ * Stop the server. Open connections are closed.
+ *
+ * @returns {Promise} Nothing.
+ */
+NiuServer.prototype.stop = function() {
+    var _this = this;
+
+    if (null === this._server) {
+        return Promise.resolve();
+    }
+
+    return new Promise(function(resolve) {
+
+        _this._server.close(function() {
+            resolve();
+        });
+
+        _this._server.closeAllConnections();
+
+        _this._server    = null;
+        _this._baseUrl   = null;
+    });
+};
+
+/**
+ * Get the base URL of the running server.
+ *
+ * @returns {string} Base URL or null, if the server is not running.
+ */
+NiuServer.prototype.getBaseUrl = function() {
+    return this._baseUrl;
+};
+
+/**
+ * Reset the server: fixtures changed by a test, scenarios, session tokens and
+ * the received requests are discarded.
+ */
+NiuServer.prototype.reset = function() {
+    this._fixtures      = {};
+    this._tokens        = [];
+    this._scenarios     = [];
+    this._requests      = [];
+};
+
+/**
+ * Get a copy of the fixture data.
+ *
+ * @param {string} name - Fixture name, e.g. "motorInfo".
+ *
+ * @returns {*} Fixture data.
+ */
+NiuServer.prototype.getFixture = function(name) {
+
+    if (false === Object.prototype.hasOwnProperty.call(this._fixtures, name)) {
+        this._fixtures[name] = JSON.parse(fs.readFileSync(path.join(this._fixturesPath, name + ".json"), "utf8"));
+    }
+
+    return copy(this._fixtures[name]);
+};
+
+/**
+ * Replace the fixture data until the next reset.
+ *
+ * @param {string}  name    - Fixture name, e.g. "motorInfo".
+ * @param {*}       data    - Fixture data.
+ */
+NiuServer.prototype.setFixture = function(name, data) {
+    this._fixtures[name] = copy(data);
+};
+
+/**
+ * Script the next responses. Scenarios are applied in the order they were added.
+ *
+ * @param {MockScenario} scenario - Scenario.
+ *
+ * @returns {NiuServer} Server
+ */
+NiuServer.prototype.script = function(scenario) {
+    this._scenarios.push({
+        path: scenario.path,
+        times: ("number" === typeof scenario.times) ? scenario.times : 1,
+        delay: scenario.delay,
+        statusCode: scenario.statusCode,
+        status: scenario.status,
+        desc: scenario.desc,
+        body: scenario.body
+    });
+
+    return this;
+};
+
+/**
+ * Let all session tokens expire. The next requests with one of them are
+ * answered with the NIU status number for an expired session token.
+ */
+NiuServer.prototype.expireTokens = function() {
+    this._tokens = [];
+};
+
+/**
+ * Get the received requests.
+ *
+ * @param {string} [reqPath] - Only requests to this path.
+ *
+ * @returns {MockRequest[]} Received requests.
+ */
+NiuServer.prototype.getRequests = function(reqPath) {
+    return this._requests.filter(function(request) {
+        return (undefined === reqPath) || (reqPath === request.path);
+    });
+};
+
+/**
+ * Take the first scenario, which affects the request.
+ *
+ * @private
+ *
+ * @param {string} reqPath - Request path.
+ *
+ * @returns {Object} Scenario or null.
+ */
+NiuServer.prototype._takeScenario = function(reqPath) {
+    var index       = 0;
+    var scenario    = null;
+
+    for (index = 0; index < this._scenarios.length; ++index) {
+        scenario = this._scenarios[index];
+
+        if ((undefined === scenario.path) ||
+            (reqPath === scenario.path)) {
+
+            --scenario.times;
+
+            if (0 >= scenario.times) {
+                this._scenarios.splice(index, 1);
+            }
+
+            return scenario;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Send a JSON response.
+ *
+ * @private
+ *
+ * @param {Object}  res         - Server response.
+ * @param {number}  statusCode  - HTTP status code.
+ * @param {Object}  body        - Response body.
+ */
+NiuServer.prototype._send = function(res, statusCode, body) {
+    var payload = Buffer.from(JSON.stringify(body), "utf8");
+
+    res.writeHead(statusCode, {
+        "content-type": "application/json; charset=utf-8",
+        "content-length": payload.length
+    });
+    res.end(payload);
+};
+
+/**
+ * Send a NIU response with the given status number.
+ *
+ * @private
+ *
+ * @param {Object}  res     - Server response.
+ * @param {number}  status  - NIU status number, 0 for success.
+ * @param {string}  desc    - Status description.
+ * @param {*}       [data]  - Response data.
+ */
+NiuServer.prototype._sendStatus = function(res, status, desc, data) {
+    this._send(res, 200, {
+        data: (undefined === data) ? {} : data,
+        desc: desc,
+        trace: "mock",
+        status: status
+    });
+};
+
+/**
+ * Handle a request.
+ *
+ * @private
+ *
+ * @param {Object} req - Server request.
+ * @param {Object} res - Server response.
+ */
+NiuServer.prototype._handle = function(req, res) {
+    var _this   = this;
+    var chunks  = [];
+
+    req.on("data", function(chunk) {
+        chunks.push(chunk);
+    });
+
+    req.on("end", function() {
+        var reqUrl      = url.parse(req.url, true);
+        var form        = querystring.parse(Buffer.concat(chunks).toString("utf8"));
+        var request     = {
+            method: req.method,
+            path: reqUrl.pathname.replace(/(.)\/+$/, "$1"),
+            params: {},
+            token: req.headers.token
+        };
+        var scenario    = null;
+        var name        = null;
+
+        for (name in reqUrl.query) {
+            if (Object.prototype.hasOwnProperty.call(reqUrl.query, name)) {
+                request.params[name] = reqUrl.query[name];
+            }
+        }
+
+        for (name in form) {
+            if (Object.prototype.hasOwnProperty.call(form, name)) {
+                request.params[name] = form[name];
+            }
+        }
+
+        _this._requests.push(request);
+
+        scenario = _this._takeScenario(request.path);
+
+        if ((null === scenario) ||
+            ("number" !== typeof scenario.delay)) {
+            _this._respond(request, scenario, res);
+        } else {
+            setTimeout(function() {
+                _this._respond(request, scenario, res);
+            }, scenario.delay);
+        }
+    });
+};
+
+/**
+ * Respond to a request, either scripted by a scenario or from the fixtures.
+ *
+ * @private
+ *
+ * @param {MockRequest} request     - Received request.
+ * @param {Object}      scenario    - Scenario or null.
+ * @param {Object}      res         - Server response.
+ */
+NiuServer.prototype._respond = function(request, scenario, res) {
+    var route   = null;
+    var data    = null;
+    var index   = 0;
+    var size    = 0;
+
+    /* The client may have given up meanwhile. */
+    if (true === res.destroyed) {
+        return;
+    }
+
+    if (null !== scenario) {
+
+        if ("number" === typeof scenario.statusCode) {
+            this._send(res, scenario.statusCode, {
+                message: http.STATUS_CODES[scenario.statusCode]
+            });
+            return;
+        }
+
+        if ("number" === typeof scenario.status) {
+            this._sendStatus(res, scenario.status, ("string" === typeof scenario.desc) ? scenario.desc : "Scripted error.");
+            return;
+        }
+
+        if (undefined !== scenario.body) {
+            this._send(res, 200, scenario.body);
+            return;
+        }
+    }
+
+    if ("/appv2/login" === request.path) {
+        this._login(request, res);
+        return;
+    }
+
+    if (false === Object.prototype.hasOwnProperty.call(routes, request.path)) {
+        this._send(res, 404, {
+            message: http.STATUS_CODES[404]
+        });
+        return;
+    }
+
+    if (-1 === this._tokens.indexOf(request.token)) {
+        this._sendStatus(res, TOKEN_ERROR_STATUS, "token expired");
+        return;
+    }
+
+    route   = routes[request.path];
+    data    = this.getFixture(route.fixture);
+
+    if (undefined !== route.key) {
+        data = data[request.params[route.key]];
+
+        if (undefined === data) {
+            this._sendStatus(res, 1, "Unknown " + route.key + ".");
+            return;
+        }
+    }
+
+    if (true === route.isPaged) {
+        index   = parseInt(request.params.index, 10) || 0;
+        size    = parseInt(request.params.pagesize, 10) || data.length;
+        data    = data.slice(index, index + size);
+    }
+
+    this._sendStatus(res, 0, "success", data);
+};
+
+/**
+ * Handle a login request.
+ *
+ * @private
+ *
+ * @param {MockRequest} request - Received request.
+ * @param {Object}      res     - Server response.
+ */
+NiuServer.prototype._login = function(request, res) {
+    var token = null;
+
+    if ((this._credentials.account !== request.params.account) ||
+        (this._credentials.password !== request.params.password) ||
+        (this._credentials.countryCode !== request.params.countryCode)) {
+        this._sendStatus(res, 1, "Account or password error.");
+        return;
+    }
+
+    ++this._tokenCount;
+    token = "mock-token-" + this._tokenCount;
+    this._tokens.push(token);
+
+    this._sendStatus(res, 0, "success", {
+        token: token
+    });
+};
+
+module.exports = {
+    NiuServer: NiuServer
+};
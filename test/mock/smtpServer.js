@@ -0,0 +1,223 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/** Network */
+var net = require("net");
+
+/**
+ * @typedef {Object} MockMail
+ * @property {string}   from    - Sender of the MAIL FROM command
+ * @property {string[]} to      - Recipients of the RCPT TO commands
+ * @property {string}   data    - Mail with header and body, without the terminating dot
+ */
+
+/**
+ * Local SMTP server without TLS and authentication, which accepts every mail
+ * for offline tests of the email notifications.
+ *
+ * @class
+ */
+var SmtpServer = function() {
+
+    /** Received mails */
+    this._mails = [];
+
+    /** Number of accepted connections */
+    this._connections = 0;
+
+    /** Open sockets */
+    this._sockets = [];
+
+    /** TCP server */
+    this._server = null;
+};
+
+/**
+ * Start the server on a free local port.
+ *
+ * @returns {Promise} Port of the server.
+ */
+SmtpServer.prototype.start = function() {
+    var _this = this;
+
+    if (null !== this._server) {
+        return Promise.resolve(this._server.address().port);
+    }
+
+    return new Promise(function(resolve, reject) {
+
+        _this._server = net.createServer(function(socket) {
+            _this._handle(socket);
+        });
+
+        _this._server.on("error", reject);
+
+        _this._server.listen(0, "127.0.0.1", function() {
+            resolve(_this._server.address().port);
+        });
+    });
+};
+
+/**
+ * Stop the server. Open connections are closed.
+ *
+ * @returns {Promise} Nothing.
+ */
+SmtpServer.prototype.stop = function() {
+    var _this = this;
+
+    if (null === this._server) {
+        return Promise.resolve();
+    }
+
+    return new Promise(function(resolve) {
+
+        _this._server.close(function() {
+            resolve();
+        });
+
+        _this._sockets.forEach(function(socket) {
+            socket.destroy();
+        });
+
+        _this._server   = null;
+        _this._sockets  = [];
+    });
+};
+
+/**
+ * Forget all received mails and connections.
+ */
+SmtpServer.prototype.reset = function() {
+    this._mails         = [];
+    this._connections   = 0;
+};
+
+/**
+ * Get the received mails.
+ *
+ * @returns {MockMail[]} Mails.
+ */
+SmtpServer.prototype.getMails = function() {
+    return this._mails.slice();
+};
+
+/**
+ * Get the number of accepted connections.
+ *
+ * @returns {number} Number of connections.
+ */
+SmtpServer.prototype.getConnections = function() {
+    return this._connections;
+};
+
+/**
+ * Handle a connection.
+ *
+ * @private
+ *
+ * @param {Object} socket - Socket.
+ */
+SmtpServer.prototype._handle = function(socket) {
+    var _this   = this;
+    var buffer  = "";
+    var mail    = null;
+    var isData  = false;
+
+    ++this._connections;
+    this._sockets.push(socket);
+
+    socket.on("close", function() {
+        _this._sockets.splice(_this._sockets.indexOf(socket), 1);
+    });
+
+    socket.on("error", function() {
+        return undefined;
+    });
+
+    socket.on("data", function(chunk) {
+        var index   = 0;
+        var line    = "";
+        var match   = null;
+
+        buffer += chunk.toString("utf8");
+
+        for (;;) {
+
+            if (true === isData) {
+                index = buffer.indexOf("\r\n.\r\n");
+
+                if (0 > index) {
+                    return;
+                }
+
+                mail.data   = buffer.slice(0, index);
+                buffer      = buffer.slice(index + 5);
+                isData      = false;
+
+                _this._mails.push(mail);
+                mail = null;
+                socket.write("250 OK\r\n");
+                continue;
+            }
+
+            index = buffer.indexOf("\r\n");
+
+            if (0 > index) {
+                return;
+            }
+
+            line    = buffer.slice(0, index);
+            buffer  = buffer.slice(index + 2);
+
+            if (0 === line.indexOf("EHLO")) {
+                socket.write("250-localhost\r\n250 8BITMIME\r\n");
+            } else if (null !== (match = /^MAIL FROM:<(.*)>$/.exec(line))) {
+                mail = {
+                    from: match[1],
+                    to: [],
+                    data: ""
+                };
+                socket.write("250 OK\r\n");
+            } else if ((null !== mail) &&
+                       (null !== (match = /^RCPT TO:<(.*)>$/.exec(line)))) {
+                mail.to.push(match[1]);
+                socket.write("250 OK\r\n");
+            } else if ((null !== mail) &&
+                       ("DATA" === line)) {
+                isData = true;
+                socket.write("354 Start mail input\r\n");
+            } else if ("QUIT" === line) {
+                socket.end("221 Bye\r\n");
+            } else {
+                socket.write("500 Unknown command\r\n");
+            }
+        }
+    });
+
+    socket.write("220 localhost ESMTP mock\r\n");
+};
+
+module.exports = {
+    SmtpServer: SmtpServer
+};
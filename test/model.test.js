@@ -0,0 +1,226 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the normalized data model. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/** Normalized data model */
+var model = niuCloudConnector.model;
+
+test.describe("toVehicle()", function() {
+
+    test.it("converts the types and renames the fields", function() {
+        var raw     = {
+            sn: "N1GTS0000000001",
+            name: "City",
+            type: "N1S",
+            frameNo: "LNIU0000000000001",
+            isDoubleBattery: "false",
+            isMaster: 1,
+            bindDate: "1561900000000",
+            features: [
+                { featureName: "ota", isSupport: "1" }
+            ]
+        };
+        var vehicle = model.toVehicle(raw);
+
+        assert.strictEqual(vehicle.sn, "N1GTS0000000001");
+        assert.strictEqual(vehicle.vin, "LNIU0000000000001");
+        assert.strictEqual(vehicle.isDoubleBattery, false);
+        assert.strictEqual(vehicle.isMaster, true);
+        assert.deepStrictEqual(vehicle.bindDate, new Date(1561900000000));
+        assert.deepStrictEqual(vehicle.features, [{ name: "ota", isSupported: true }]);
+        assert.strictEqual(vehicle.raw, raw);
+    });
+
+    test.it("provides null for missing values", function() {
+        var vehicle = model.toVehicle(null);
+
+        assert.strictEqual(vehicle.sn, null);
+        assert.strictEqual(vehicle.isMaster, null);
+        assert.strictEqual(vehicle.bindDate, null);
+        assert.deepStrictEqual(vehicle.features, []);
+    });
+
+    test.it("toVehicles() accepts only a list", function() {
+        assert.deepStrictEqual(model.toVehicles({}), []);
+        assert.strictEqual(model.toVehicles([{ sn: "A" }, { sn: "B" }])[1].sn, "B");
+    });
+});
+
+test.describe("toBatteries()", function() {
+
+    test.it("converts the battery packs", function() {
+        var batteries = model.toBatteries({
+            isCharging: 1,
+            estimatedMileage: "110",
+            batteries: {
+                compartmentA: {
+                    bmsId: "BMS1",
+                    batteryCharging: 85,
+                    chargedTimes: "54",
+                    temperature: 21,
+                    gradeBattery: "97.0",
+                    healthRecords: [
+                        { time: 1561900000000, chargeCount: "50", result: "0.5", name: "check" }
+                    ]
+                },
+                compartmentB: {
+                    batteryCharging: "82",
+                    gradeBattery: ""
+                }
+            }
+        });
+
+        assert.strictEqual(batteries.isCharging, true);
+        assert.strictEqual(batteries.estimatedRange, 110000);
+        assert.strictEqual(batteries.batteries.length, 2);
+        assert.strictEqual(batteries.batteries[0].compartment, "A");
+        assert.strictEqual(batteries.batteries[0].chargeCycles, 54);
+        assert.strictEqual(batteries.batteries[0].grade, 97);
+        assert.deepStrictEqual(batteries.batteries[0].healthRecords, [{
+            time: new Date(1561900000000),
+            chargeCycles: 50,
+            lostGrade: 0.5,
+            name: "check"
+        }]);
+        assert.strictEqual(batteries.batteries[1].soc, 82);
+        assert.strictEqual(batteries.batteries[1].grade, null);
+    });
+
+    test.it("skips missing compartments", function() {
+        assert.deepStrictEqual(model.toBatteries({ batteries: { compartmentB: null } }).batteries, []);
+    });
+});
+
+test.describe("toVehicleStatus()", function() {
+
+    test.it("converts the units and flags", function() {
+        var status = model.toVehicleStatus({
+            isCharging: "0",
+            lockStatus: 0,
+            isAccOn: "true",
+            postion: { lat: "52.52", lng: 13.405 },
+            nowSpeed: 36,
+            estimatedMileage: 48,
+            gps: "4",
+            lastTrack: {
+                ridingTime: 1800,
+                distance: "12000",
+                time: 1561883400000
+            }
+        });
+
+        assert.strictEqual(status.isCharging, false);
+        assert.strictEqual(status.isLocked, true);
+        assert.strictEqual(status.isAccOn, true);
+        assert.strictEqual(status.isConnected, null);
+        assert.deepStrictEqual(status.position, { lat: 52.52, lng: 13.405 });
+        assert.strictEqual(status.speed, 10);
+        assert.strictEqual(status.estimatedRange, 48000);
+        assert.strictEqual(status.gpsSignal, 4);
+        assert.deepStrictEqual(status.lastTrack, {
+            ridingTime: 1800,
+            distance: 12000,
+            time: new Date(1561883400000)
+        });
+    });
+
+    test.it("an unknown lock status is null", function() {
+        var status = model.toVehicleStatus({ lockStatus: "" });
+
+        assert.strictEqual(status.isLocked, null);
+        assert.strictEqual(status.position, null);
+        assert.strictEqual(status.lastTrack, null);
+    });
+});
+
+test.describe("toTrack()", function() {
+
+    test.it("combines the summary and the detail", function() {
+        var track = model.toTrack({
+            id: 1002,
+            trackId: "T1002",
+            date: 20190630,
+            startTime: 1561881600000,
+            distance: 12000,
+            avespeed: 36,
+            ridingtime: 30,
+            startPoint: { lat: "52.520008", lng: "13.404954", battery: "80", date: "1561881600000" }
+        }, {
+            trackItems: [
+                { lat: 52.516275, lng: 13.377704, date: 1561883400000 },
+                { lat: 52.520008, lng: 13.404954, date: 1561881600000 }
+            ]
+        });
+
+        assert.strictEqual(track.id, "1002");
+        assert.strictEqual(track.trackDate, "20190630");
+        assert.deepStrictEqual(track.startTime, new Date(1561881600000));
+        assert.strictEqual(track.endTime, null);
+        assert.strictEqual(track.averageSpeed, 10);
+        assert.strictEqual(track.ridingTime, 1800);
+        assert.strictEqual(track.startPoint.soc, 80);
+        assert.strictEqual(track.points.length, 2);
+        assert.deepStrictEqual(track.points[0].time, new Date(1561881600000));
+    });
+
+    test.it("toTracks() and toTrackDetail() use only one part", function() {
+        assert.strictEqual(model.toTracks([{ trackId: "T1" }])[0].trackId, "T1");
+        assert.deepStrictEqual(model.toTracks(null), []);
+        assert.strictEqual(model.toTrackDetail({ trackItems: [] }).trackId, null);
+    });
+
+    test.it("a point without valid coordinates is null", function() {
+        assert.strictEqual(model.toTrackPoint({ lat: "abc", lng: 13.4 }), null);
+    });
+});
+
+test.describe("toFirmwareInfo()", function() {
+
+    test.it("converts the firmware version", function() {
+        var info = model.toFirmwareInfo({
+            nowVersion: "N1S01",
+            version: "N1S02",
+            isSupportUpdate: true,
+            needUpdate: "1",
+            byteSize: "1024",
+            date: 1561900000000
+        });
+
+        assert.strictEqual(info.version, "N1S01");
+        assert.strictEqual(info.latestVersion, "N1S02");
+        assert.strictEqual(info.isUpdateSupported, true);
+        assert.strictEqual(info.isUpdateAvailable, true);
+        assert.strictEqual(info.size, 1024);
+        assert.deepStrictEqual(info.releaseDate, new Date(1561900000000));
+    });
+});
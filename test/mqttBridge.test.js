@@ -0,0 +1,339 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the MQTT bridge against the mock NIU server and a local Aedes broker. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** TCP server */
+var net = require("net");
+
+/** MQTT broker */
+var aedes = require("aedes");
+
+/** MQTT client */
+var mqtt = require("mqtt");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/** Test helpers */
+var helpers = require("./mock/helpers");
+
+/** Vehicle with one battery */
+var SN_SINGLE = helpers.SN_SINGLE;
+
+/** Vehicle with two batteries */
+var SN_DOUBLE = helpers.SN_DOUBLE;
+
+/** MQTT broker, shared by all tests */
+var broker = null;
+
+/** TCP server of the MQTT broker */
+var brokerServer = null;
+
+/** URL of the MQTT broker */
+var brokerUrl = null;
+
+/** Mock server and MQTT broker, shared by all tests */
+var server = helpers.useNiuServer({
+    before: function() {
+        broker          = aedes();
+        brokerServer    = net.createServer(broker.handle);
+
+        return new Promise(function(resolve) {
+            brokerServer.listen(0, "127.0.0.1", function() {
+                brokerUrl = "mqtt://127.0.0.1:" + brokerServer.address().port;
+                resolve();
+            });
+        });
+    },
+    after: function() {
+        return new Promise(function(resolve) {
+            broker.close(function() {
+                brokerServer.close(resolve);
+            });
+        });
+    }
+});
+
+/**
+ * Connect a subscriber to the broker, which collects the messages.
+ *
+ * @param {string} topic - Topic filter.
+ *
+ * @returns {Promise} Subscriber with the MQTT client and the received messages per topic.
+ */
+var subscribe = function(topic) {
+    return new Promise(function(resolve, reject) {
+        var subscriber = {
+            client: mqtt.connect(brokerUrl),
+            messages: {}
+        };
+
+        subscriber.client.on("message", function(receivedTopic, payload, packet) {
+            subscriber.messages[receivedTopic] = {
+                payload: payload.toString("utf8"),
+                retain: packet.retain
+            };
+        });
+
+        subscriber.client.on("connect", function() {
+            subscriber.client.subscribe(topic, function(error) {
+
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(subscriber);
+                }
+            });
+        });
+    });
+};
+
+/**
+ * Disconnect a subscriber.
+ *
+ * @param {Object} subscriber - Subscriber.
+ *
+ * @returns {Promise} Nothing.
+ */
+var unsubscribe = function(subscriber) {
+    return new Promise(function(resolve) {
+        subscriber.client.end(false, {}, resolve);
+    });
+};
+
+/**
+ * Wait until a condition is met.
+ *
+ * @param {Function} condition - Condition.
+ *
+ * @returns {Promise} Nothing.
+ */
+var waitFor = function(condition) {
+    return new Promise(function(resolve, reject) {
+        var started = Date.now();
+        var check   = function() {
+
+            if (true === condition()) {
+                resolve();
+            } else if (2000 < (Date.now() - started)) {
+                reject(new Error("Condition not met in time."));
+            } else {
+                setTimeout(check, 10);
+            }
+        };
+
+        check();
+    });
+};
+
+test.it("the bridge publishes the values as retained messages", function() {
+    var bridge      = new niuCloudConnector.MqttBridge({
+        client: helpers.createClient(server),
+        url: brokerUrl
+    });
+    var subscriber  = null;
+    var published   = [];
+
+    bridge.on("publish", function(message) {
+        published.push(message);
+    });
+
+    bridge.start();
+
+    return waitFor(function() {
+        return 18 === published.length;
+    }).then(function() {
+        return subscribe("niu/#");
+    }).then(function(result) {
+        subscriber = result;
+
+        return waitFor(function() {
+            return 18 === Object.keys(subscriber.messages).length;
+        });
+    }).then(function() {
+        var messages = subscriber.messages;
+
+        assert.deepStrictEqual(messages["niu/" + SN_SINGLE + "/availability"], { payload: "online", retain: true });
+        assert.strictEqual(messages["niu/" + SN_SINGLE + "/battery/a/soc"].payload, "66");
+        assert.strictEqual(messages["niu/" + SN_SINGLE + "/battery/b/soc"], undefined);
+        assert.strictEqual(messages["niu/" + SN_DOUBLE + "/battery/b/soc"].payload, "82");
+        assert.strictEqual(messages["niu/" + SN_DOUBLE + "/battery/b/temperature"].payload, "22");
+        assert.strictEqual(messages["niu/" + SN_SINGLE + "/charging"].payload, "OFF");
+        assert.strictEqual(messages["niu/" + SN_DOUBLE + "/charging"].payload, "ON");
+        assert.strictEqual(messages["niu/" + SN_SINGLE + "/locked"].payload, "ON");
+        assert.deepStrictEqual(JSON.parse(messages["niu/" + SN_SINGLE + "/position"].payload), {
+            latitude: 52.520008,
+            longitude: 13.404954
+        });
+        assert.strictEqual(messages["niu/" + SN_SINGLE + "/estimated_mileage"].payload, "48");
+        assert.strictEqual(messages["niu/" + SN_DOUBLE + "/total_mileage"].payload, "4567.8");
+
+        return unsubscribe(subscriber);
+    }).finally(function() {
+        return bridge.close();
+    });
+});
+
+test.it("the bridge publishes only changed values", function() {
+    var published   = [];
+    var mqttClient  = mqtt.connect(brokerUrl);
+    var bridge      = new niuCloudConnector.MqttBridge({
+        client: helpers.createClient(server),
+        mqtt: mqttClient,
+        sn: [ SN_SINGLE ],
+        topicPrefix: "scooter",
+        topics: {
+            soc: "{prefix}/{sn}/soc_{compartment}"
+        }
+    });
+    var motorInfo   = server.getFixture("motorInfo");
+
+    bridge.on("publish", function(message) {
+        published.push(message);
+    });
+
+    return bridge.poll().then(function(messages) {
+        assert.strictEqual(messages.length, 8);
+        assert.ok(messages.some(function(message) {
+            return ("scooter/" + SN_SINGLE + "/soc_a" === message.topic) && ("soc" === message.name);
+        }));
+
+        motorInfo[SN_SINGLE].isConnected = false;
+        motorInfo[SN_SINGLE].batteries.compartmentA.batteryCharging = 65;
+        server.setFixture("motorInfo", motorInfo);
+
+        return bridge.poll();
+    }).then(function(messages) {
+        assert.deepStrictEqual(messages.map(function(message) {
+            return message.topic + "=" + message.payload;
+        }).sort(), [
+            "scooter/" + SN_SINGLE + "/availability=offline",
+            "scooter/" + SN_SINGLE + "/soc_a=65"
+        ]);
+        assert.strictEqual(published.length, 10);
+    }).finally(function() {
+        return new Promise(function(resolve) {
+            mqttClient.end(false, {}, resolve);
+        });
+    });
+});
+
+test.it("the bridge publishes Home Assistant discovery payloads", function() {
+    var mqttClient  = mqtt.connect(brokerUrl);
+    var bridge      = new niuCloudConnector.MqttBridge({
+        client: helpers.createClient(server),
+        mqtt: mqttClient,
+        sn: [ SN_DOUBLE ],
+        discovery: true
+    });
+
+    return bridge.poll().then(function(messages) {
+        var discovery = {};
+
+        messages.filter(function(message) {
+            return "discovery" === message.name;
+        }).forEach(function(message) {
+            discovery[message.topic] = JSON.parse(message.payload);
+        });
+
+        assert.strictEqual(Object.keys(discovery).length, 9);
+        assert.deepStrictEqual(discovery["homeassistant/sensor/niu_nqigt0000000002/soc_b/config"], {
+            name: "Battery B state of charge",
+            unique_id: "niu_nqigt0000000002_soc_b",
+            availability_topic: "niu/" + SN_DOUBLE + "/availability",
+            device: {
+                identifiers: [ "niu_nqigt0000000002" ],
+                name: "Tourer",
+                manufacturer: "NIU",
+                model: "NQi GTS"
+            },
+            state_topic: "niu/" + SN_DOUBLE + "/battery/b/soc",
+            device_class: "battery",
+            unit_of_measurement: "%",
+            state_class: "measurement"
+        });
+        assert.strictEqual(discovery["homeassistant/device_tracker/niu_nqigt0000000002/position/config"].json_attributes_topic, "niu/" + SN_DOUBLE + "/position");
+        assert.strictEqual(discovery["homeassistant/binary_sensor/niu_nqigt0000000002/charging/config"].state_topic, "niu/" + SN_DOUBLE + "/charging");
+    }).finally(function() {
+        return new Promise(function(resolve) {
+            mqttClient.end(false, {}, resolve);
+        });
+    });
+});
+
+test.it("failed requests are emitted as error", function() {
+    var mqttClient  = mqtt.connect(brokerUrl);
+    var bridge      = new niuCloudConnector.MqttBridge({
+        client: helpers.createClient(server),
+        mqtt: mqttClient,
+        sn: [ SN_SINGLE ]
+    });
+    var failures    = [];
+
+    bridge.on("error", function(error) {
+        failures.push(error);
+    });
+
+    server.script({
+        path: "/motoinfo/overallTally",
+        statusCode: 500
+    });
+
+    return bridge.poll().then(function(messages) {
+        assert.strictEqual(failures.length, 1);
+        assert.ok(failures[0] instanceof niuCloudConnector.HttpStatusError);
+        assert.strictEqual(messages.filter(function(message) {
+            return "totalMileage" === message.name;
+        }).length, 0);
+        assert.strictEqual(messages.length, 7);
+    }).finally(function() {
+        return new Promise(function(resolve) {
+            mqttClient.end(false, {}, resolve);
+        });
+    });
+});
+
+test.it("the options are validated", function() {
+    assert.throws(function() {
+        return new niuCloudConnector.MqttBridge({
+            client: helpers.createClient(server)
+        });
+    }, niuCloudConnector.ValidationError);
+
+    assert.throws(function() {
+        return new niuCloudConnector.MqttBridge({
+            client: helpers.createClient(server),
+            url: brokerUrl,
+            topics: {
+                speed: "speed"
+            }
+        });
+    }, niuCloudConnector.ValidationError);
+});
@@ -0,0 +1,228 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the Prometheus metrics exporter against the mock NIU server. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/** Test helpers */
+var helpers = require("./mock/helpers");
+
+/** Vehicle with one battery */
+var SN_SINGLE = helpers.SN_SINGLE;
+
+/** Vehicle with two batteries */
+var SN_DOUBLE = helpers.SN_DOUBLE;
+
+/** Mock server, shared by all tests */
+var server = helpers.useNiuServer();
+
+/**
+ * Create an exporter with a new client, connected to the mock server.
+ *
+ * @param {Object} [options] - Additional exporter options.
+ *
+ * @returns {niuCloudConnector.PrometheusExporter} Exporter
+ */
+var createExporter = function(options) {
+    var exporterOptions = {
+        client: helpers.createClient(server)
+    };
+    var name = null;
+
+    if (("object" === typeof options) &&
+        (null !== options)) {
+        for (name in options) {
+            if (Object.prototype.hasOwnProperty.call(options, name)) {
+                exporterOptions[name] = options[name];
+            }
+        }
+    }
+
+    return new niuCloudConnector.PrometheusExporter(exporterOptions);
+};
+
+/**
+ * Get the sample lines of the metrics.
+ *
+ * @param {string} metrics - Metrics in the Prometheus text format.
+ *
+ * @returns {string[]} Sample lines without comments.
+ */
+var getSamples = function(metrics) {
+    return metrics.split("\n").filter(function(line) {
+        return (0 < line.length) && ("#" !== line[0]);
+    });
+};
+
+test.it("the exporter requires a client and a valid prefix", function() {
+    assert.throws(function() {
+        return new niuCloudConnector.PrometheusExporter({});
+    }, niuCloudConnector.ValidationError);
+
+    assert.throws(function() {
+        return createExporter({
+            prefix: "niu-"
+        });
+    }, niuCloudConnector.ValidationError);
+});
+
+test.it("getMetrics() provides the vehicle and battery gauges", function() {
+    return createExporter().getMetrics().then(function(metrics) {
+        var samples = getSamples(metrics);
+
+        [
+            "niu_up 1",
+            "niu_battery_soc_percent{sn=\"" + SN_SINGLE + "\",compartment=\"A\"} 66",
+            "niu_battery_soc_percent{sn=\"" + SN_DOUBLE + "\",compartment=\"B\"} 82",
+            "niu_battery_temperature_celsius{sn=\"" + SN_DOUBLE + "\",compartment=\"A\"} 21",
+            "niu_battery_charge_cycles{sn=\"" + SN_DOUBLE + "\",compartment=\"B\"} 61",
+            "niu_battery_grade_percent{sn=\"" + SN_DOUBLE + "\",compartment=\"B\"} 95.5",
+            "niu_estimated_mileage_kilometers{sn=\"" + SN_DOUBLE + "\"} 110",
+            "niu_total_mileage_kilometers{sn=\"" + SN_DOUBLE + "\"} 4567.8",
+            "niu_gps_signal{sn=\"" + SN_DOUBLE + "\"} 3",
+            "niu_gsm_signal{sn=\"" + SN_DOUBLE + "\"} 18",
+            "niu_charging{sn=\"" + SN_SINGLE + "\"} 0",
+            "niu_charging{sn=\"" + SN_DOUBLE + "\"} 1",
+            "niu_connected{sn=\"" + SN_SINGLE + "\"} 1"
+        ].forEach(function(sample) {
+            assert.ok(0 <= samples.indexOf(sample), "Missing sample: " + sample);
+        });
+
+        assert.ok(0 <= metrics.indexOf("# TYPE niu_battery_soc_percent gauge\n"));
+        assert.strictEqual(samples.filter(function(sample) {
+            return 0 === sample.indexOf("niu_battery_soc_percent{sn=\"" + SN_SINGLE + "\"");
+        }).length, 1);
+    });
+});
+
+test.it("getMetrics() provides the client metrics", function() {
+    var exporter = createExporter({
+        prefix: "scooter_",
+        buckets: [ 10, 0.001 ]
+    });
+
+    server.script({
+        path: "/v3/motor_data/battery_info",
+        status: 1010,
+        desc: "Vehicle offline."
+    });
+
+    return exporter.getMetrics().then(function(metrics) {
+        var samples = getSamples(metrics);
+
+        [
+            "scooter_client_logins_total 1",
+            "scooter_client_requests_total{path=\"/appv2/login\",status=\"200\"} 1",
+            "scooter_client_requests_total{path=\"/motoinfo/list\",status=\"200\"} 1",
+            "scooter_client_requests_total{path=\"/v3/motor_data/battery_info\",status=\"200\"} 2",
+            "scooter_client_errors_total{type=\"ApiError\"} 1",
+            "scooter_client_request_duration_seconds_bucket{path=\"/motoinfo/list\",le=\"10\"} 1",
+            "scooter_client_request_duration_seconds_bucket{path=\"/motoinfo/list\",le=\"+Inf\"} 1",
+            "scooter_client_request_duration_seconds_count{path=\"/motoinfo/list\"} 1"
+        ].forEach(function(sample) {
+            assert.ok(0 <= samples.indexOf(sample), "Missing sample: " + sample);
+        });
+
+        assert.ok(0 <= metrics.indexOf("# TYPE scooter_client_request_duration_seconds histogram\n"));
+        assert.ok(metrics.indexOf("le=\"0.001\"") < metrics.indexOf("le=\"10\""));
+    });
+});
+
+test.it("the fleet snapshot is cached for maxAge", function() {
+    var cached  = createExporter();
+    var fresh   = createExporter({
+        maxAge: 0
+    });
+
+    return Promise.all([ cached.getMetrics(), cached.getMetrics() ]).then(function() {
+        return cached.getMetrics();
+    }).then(function() {
+        assert.strictEqual(server.getRequests("/motoinfo/list").length, 1);
+
+        return fresh.getMetrics();
+    }).then(function() {
+        return fresh.getMetrics();
+    }).then(function() {
+        assert.strictEqual(server.getRequests("/motoinfo/list").length, 3);
+    });
+});
+
+test.it("a failed fleet snapshot sets the up gauge to 0", function() {
+    var exporter = createExporter();
+
+    server.script({
+        path: "/motoinfo/list",
+        statusCode: 500
+    });
+
+    return exporter.getMetrics().then(function(metrics) {
+        var samples = getSamples(metrics);
+
+        assert.ok(0 <= samples.indexOf("niu_up 0"));
+        assert.ok(0 <= samples.indexOf("niu_client_errors_total{type=\"HttpStatusError\"} 1"));
+        assert.ok(0 <= samples.indexOf("niu_client_requests_total{path=\"/motoinfo/list\",status=\"500\"} 1"));
+        assert.strictEqual(metrics.indexOf("niu_battery_soc_percent"), -1);
+
+        return exporter.getMetrics();
+    }).then(function(metrics) {
+        assert.ok(0 <= getSamples(metrics).indexOf("niu_up 1"));
+    });
+});
+
+test.it("the exporter serves the metrics via HTTP", function() {
+    var exporter    = createExporter({
+        path: "/probe"
+    });
+    var port        = 0;
+
+    return exporter.listen(0, "127.0.0.1").then(function(address) {
+        port = address.port;
+
+        return Promise.all([
+            helpers.request({ port: port, path: "/probe?target=all" }),
+            helpers.request({ port: port, path: "/metrics" }),
+            helpers.request({ port: port, path: "/probe", method: "POST" })
+        ]);
+    }).then(function(responses) {
+        assert.strictEqual(responses[0].statusCode, 200);
+        assert.strictEqual(responses[0].headers["content-type"], "text/plain; version=0.0.4; charset=utf-8");
+        assert.ok(0 <= getSamples(responses[0].body).indexOf("niu_up 1"));
+        assert.strictEqual(responses[1].statusCode, 404);
+        assert.strictEqual(responses[2].statusCode, 405);
+        assert.strictEqual(responses[2].headers.allow, "GET, HEAD");
+    }).then(function() {
+        return exporter.close();
+    }, function(error) {
+        return exporter.close().then(function() {
+            return Promise.reject(error);
+        });
+    });
+});
@@ -0,0 +1,313 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the local ride history store. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** File system */
+var fs = require("fs");
+
+/** Operating system utilities */
+var os = require("os");
+
+/** Path utilities */
+var path = require("path");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/** Test helpers */
+var helpers = require("./mock/helpers");
+
+/** Vehicle with one battery */
+var SN_SINGLE = helpers.SN_SINGLE;
+
+/** Milliseconds per day */
+var MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/** Start time of the first track */
+var START = Date.UTC(2020, 0, 1);
+
+/** Directory, which contains the stores of all tests */
+var dir = null;
+
+/** Mock server, shared by all tests */
+var server = helpers.useNiuServer();
+
+/**
+ * Create a store.
+ *
+ * @param {string} [storePath] - Directory of the store (default: a new one).
+ *
+ * @returns {niuCloudConnector.RideStore} Ride store
+ */
+var createStore = function(storePath) {
+    return new niuCloudConnector.RideStore({
+        path: (undefined !== storePath) ? storePath : fs.mkdtempSync(path.join(dir, "store-"))
+    });
+};
+
+/**
+ * Create track summaries, one per day, latest first like the NIU cloud provides them.
+ * The track T01 started at the start, T02 one day later and so on.
+ *
+ * @param {number} count - Number of tracks.
+ *
+ * @returns {Object[]} Track summaries
+ */
+var createTracks = function(count) {
+    var tracks  = [];
+    var day     = 0;
+
+    for (day = count - 1; day >= 0; --day) {
+        tracks.push({
+            trackId: "T" + String(day + 1).padStart(2, "0"),
+            startTime: START + day * MS_PER_DAY,
+            endTime: START + day * MS_PER_DAY + 30 * 60 * 1000,
+            distance: 1000 * (day + 1),
+            date: new Date(START + day * MS_PER_DAY).toISOString().slice(0, 10).replace(/-/g, "")
+        });
+    }
+
+    return tracks;
+};
+
+/**
+ * Get the track identifiers.
+ *
+ * @param {Object[]} tracks - Track summaries.
+ *
+ * @returns {string[]} Track identifiers
+ */
+var getTrackIds = function(tracks) {
+    return tracks.map(function(track) {
+        return track.trackId;
+    });
+};
+
+test.before(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "niu-rides-"));
+});
+
+test.after(function() {
+    fs.rmSync(dir, {
+        recursive: true,
+        force: true
+    });
+});
+
+test.it("the store requires a path and a serial number", function() {
+    var store = createStore();
+
+    assert.throws(function() {
+        return new niuCloudConnector.RideStore({});
+    }, niuCloudConnector.ValidationError);
+
+    return store.getTracks().then(function() {
+        assert.fail("Expected ValidationError.");
+    }, function(error) {
+        assert.ok(error instanceof niuCloudConnector.ValidationError);
+    });
+});
+
+test.it("getTracks() selects the stored tracks by time range and limit", function() {
+    var store = createStore();
+
+    return store.putTracks(SN_SINGLE, createTracks(5)).then(function(count) {
+        assert.strictEqual(count, 5);
+
+        /* Already stored tracks are skipped. */
+        return store.putTracks(SN_SINGLE, createTracks(6));
+    }).then(function(count) {
+        assert.strictEqual(count, 1);
+
+        return Promise.all([
+            store.getTracks(SN_SINGLE),
+            store.getTracks(SN_SINGLE, {
+                from: new Date(START + MS_PER_DAY),
+                to: START + 3 * MS_PER_DAY
+            }),
+            store.getTracks(SN_SINGLE, {
+                from: START + MS_PER_DAY,
+                limit: 2
+            }),
+            store.getTracks("unknown"),
+            store.getLastStartTime(SN_SINGLE)
+        ]);
+    }).then(function(results) {
+        assert.deepStrictEqual(getTrackIds(results[0]), [ "T06", "T05", "T04", "T03", "T02", "T01" ]);
+        assert.deepStrictEqual(getTrackIds(results[1]), [ "T04", "T03", "T02" ]);
+        assert.deepStrictEqual(getTrackIds(results[2]), [ "T06", "T05" ]);
+        assert.deepStrictEqual(results[3], []);
+        assert.strictEqual(results[4], START + 5 * MS_PER_DAY);
+    });
+});
+
+test.it("the battery health records, tallies and vehicles are stored", function() {
+    var store   = createStore();
+    var before  = Date.now();
+
+    return store.putBatteryHealth(SN_SINGLE, {
+        batteries: {}
+    }).then(function() {
+        return store.putTally(SN_SINGLE, {
+            totalMileage: 120
+        });
+    }).then(function() {
+        return store.putVehicles([{
+            sn: SN_SINGLE,
+            name: "City"
+        }]);
+    }).then(function(count) {
+        assert.strictEqual(count, 1);
+
+        /* An unchanged vehicle isn't written again. */
+        return store.putVehicles([{
+            sn: SN_SINGLE,
+            name: "City"
+        }]);
+    }).then(function(count) {
+        assert.strictEqual(count, 0);
+
+        return Promise.all([
+            store.getBatteryHealth(SN_SINGLE),
+            store.getBatteryHealth(SN_SINGLE, {
+                to: before - 1
+            }),
+            store.getTallies(SN_SINGLE, {
+                from: before
+            }),
+            store.getTallies(SN_SINGLE, {
+                from: Date.now() + 60 * 1000
+            }),
+            store.getVehicles()
+        ]);
+    }).then(function(results) {
+        assert.strictEqual(results[0].length, 1);
+        assert.deepStrictEqual(results[0][0].data, {
+            batteries: {}
+        });
+        assert.ok(before <= results[0][0].time);
+        assert.deepStrictEqual(results[1], []);
+        assert.strictEqual(results[2][0].data.totalMileage, 120);
+        assert.deepStrictEqual(results[3], []);
+        assert.deepStrictEqual(results[4], [{
+            sn: SN_SINGLE,
+            name: "City"
+        }]);
+    });
+});
+
+test.it("a new store loads the stored records from disk", function() {
+    var storePath   = fs.mkdtempSync(path.join(dir, "store-"));
+    var store       = createStore(storePath);
+
+    return store.putTracks(SN_SINGLE, createTracks(2)).then(function() {
+        return store.putTrackDetail(SN_SINGLE, "T02", {
+            trackItems: [ { lat: 52.5, lng: 13.4, date: START + MS_PER_DAY } ]
+        });
+    }).then(function() {
+        return store.putTally(SN_SINGLE, {
+            totalMileage: 120
+        });
+    }).then(function() {
+        var reloaded = createStore(storePath);
+
+        return Promise.all([
+            reloaded.getTracks(SN_SINGLE),
+            reloaded.getTrack(SN_SINGLE, "T02"),
+            reloaded.getTrack(SN_SINGLE, "T01"),
+            reloaded.getTallies(SN_SINGLE)
+        ]);
+    }).then(function(results) {
+        assert.deepStrictEqual(getTrackIds(results[0]), [ "T02", "T01" ]);
+        assert.strictEqual(results[1].summary.trackId, "T02");
+        assert.strictEqual(results[1].detail.trackItems.length, 1);
+        assert.strictEqual(results[2].detail, null);
+        assert.strictEqual(results[3][0].data.totalMileage, 120);
+    });
+});
+
+test.it("corrupt lines of a file are skipped", function() {
+    var storePath   = fs.mkdtempSync(path.join(dir, "store-"));
+    var tracks      = createTracks(2);
+
+    fs.writeFileSync(path.join(storePath, "tracks.jsonl"), [
+        JSON.stringify({ sn: SN_SINGLE, trackId: "T02", startTime: tracks[0].startTime, time: START, data: tracks[0] }),
+        "{ this is not JSON",
+        JSON.stringify({ sn: SN_SINGLE, trackId: "T01", startTime: tracks[1].startTime, time: START, data: tracks[1] }),
+        "{\"sn\": \"" + SN_SINGLE + "\", \"trackId\": \"T03\""
+    ].join("\n"));
+
+    return createStore(storePath).getTracks(SN_SINGLE).then(function(result) {
+        assert.deepStrictEqual(getTrackIds(result), [ "T02", "T01" ]);
+    });
+});
+
+test.it("syncRides() only requests the tracks since the latest stored one", function() {
+    var client  = helpers.createClient(server);
+    var store   = createStore();
+    var tracks  = server.getFixture("tracks");
+    var options = {
+        store: store,
+        sn: [ SN_SINGLE ],
+        withDetail: false,
+        batteryHealth: false,
+        tally: false,
+        pageSize: 2
+    };
+
+    tracks[SN_SINGLE] = createTracks(10);
+    server.setFixture("tracks", tracks);
+
+    return client.syncRides(options).then(function(result) {
+        assert.strictEqual(result.result.tracks, 10);
+        assert.strictEqual(server.getRequests("/v3/motor_data/track").length, 6);
+
+        /* A new ride */
+        tracks[SN_SINGLE] = createTracks(11);
+        server.setFixture("tracks", tracks);
+
+        return store.getLastStartTime(SN_SINGLE);
+    }).then(function(lastStartTime) {
+        assert.strictEqual(lastStartTime, START + 9 * MS_PER_DAY);
+
+        return client.syncRides(options);
+    }).then(function(result) {
+        assert.strictEqual(result.result.tracks, 1);
+
+        /* The second page contains the first track before the latest stored one. */
+        assert.deepStrictEqual(server.getRequests("/v3/motor_data/track").slice(6).map(function(request) {
+            return request.params.index;
+        }), [ "0", "2" ]);
+
+        return store.getLastStartTime(SN_SINGLE);
+    }).then(function(lastStartTime) {
+        assert.strictEqual(lastStartTime, START + 10 * MS_PER_DAY);
+    });
+});
@@ -0,0 +1,155 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the response schema validation and the drift report. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/** Mock NIU server */
+var NiuServer = require("./mock/niuServer").NiuServer;
+
+/** Test helpers */
+var helpers = require("./mock/helpers");
+
+/** Vehicle with one battery */
+var SN_SINGLE = helpers.SN_SINGLE;
+
+/** Mock server, shared by all tests */
+var server = helpers.useNiuServer();
+
+/**
+ * Create a response body of the NIU cloud.
+ *
+ * @param {*} data - Response data.
+ *
+ * @returns {Object} Response body.
+ */
+var createBody = function(data) {
+    return {
+        data: data,
+        desc: "成功",
+        trace: "成功",
+        status: 0
+    };
+};
+
+test.describe("validateResponse()", function() {
+
+    test.it("the fixtures of the mock server match the schemas", function() {
+        var fixtures = new NiuServer();
+
+        assert.deepStrictEqual(niuCloudConnector.validateResponse("Vehicles", createBody(fixtures.getFixture("vehicles"))), []);
+        assert.deepStrictEqual(niuCloudConnector.validateResponse("VehiclePos", createBody(fixtures.getFixture("vehiclePos")[SN_SINGLE])), []);
+        assert.deepStrictEqual(niuCloudConnector.validateResponse("MotorData", createBody(fixtures.getFixture("motorInfo")[SN_SINGLE])), []);
+        assert.deepStrictEqual(niuCloudConnector.validateResponse("BatteryInfo", createBody(fixtures.getFixture("batteryInfo")[SN_SINGLE])), []);
+    });
+
+    test.it("reports missing fields, unknown fields and wrong types", function() {
+        var issues = niuCloudConnector.validateResponse("OverallTally", createBody({
+            totalMileage: "4567.8",
+            newField: true
+        }));
+
+        assert.deepStrictEqual(issues, [
+            { kind: "missing", path: "data.bindDaysCount", expected: "number" },
+            { kind: "type", path: "data.totalMileage", expected: "number", actual: "string" },
+            { kind: "extra", path: "data.newField", actual: "boolean" }
+        ]);
+    });
+
+    test.it("reports an issue of several array elements once", function() {
+        var vehicles    = new NiuServer().getFixture("vehicles");
+        var issues      = null;
+
+        vehicles.forEach(function(vehicle) {
+            vehicle.name = null;
+        });
+
+        issues = niuCloudConnector.validateResponse("Vehicles", createBody(vehicles));
+
+        assert.deepStrictEqual(issues, [
+            { kind: "type", path: "data[].name", expected: "string", actual: "null" }
+        ]);
+    });
+
+    test.it("an unknown response type has no issues", function() {
+        assert.deepStrictEqual(niuCloudConnector.validateResponse("Unknown", {}), []);
+    });
+});
+
+test.describe("Validation modes", function() {
+
+    test.it("warn emits every new issue once as process warning", function() {
+        var client      = helpers.createClient(server, {
+            validation: "warn"
+        });
+        var warnings    = [];
+        var onWarning   = function(warning) {
+
+            if ("NIU_SCHEMA_DRIFT" === warning.code) {
+                warnings.push(warning);
+            }
+        };
+        var tally       = server.getFixture("overallTally");
+
+        tally[SN_SINGLE].newField = 1;
+        server.setFixture("overallTally", tally);
+
+        process.on("warning", onWarning);
+
+        return client.getOverallTally({
+            sn: SN_SINGLE
+        }).then(function() {
+            return client.getOverallTally({
+                sn: SN_SINGLE
+            });
+        }).then(function() {
+            /* Warnings are emitted on the next tick. */
+            return new Promise(function(resolve) {
+                setImmediate(resolve);
+            });
+        }).then(function() {
+            process.removeListener("warning", onWarning);
+
+            assert.strictEqual(warnings.length, 1);
+            assert.strictEqual(warnings[0].name, "NiuSchemaWarning");
+            assert.match(warnings[0].message, /^OverallTally: extra field data.newField/);
+            assert.strictEqual(client.getDriftReport().responses.OverallTally.count, 2);
+        });
+    });
+
+    test.it("an invalid validation mode is rejected", function() {
+        assert.throws(function() {
+            return helpers.createClient(server, {
+                validation: "sometimes"
+            });
+        }, niuCloudConnector.ValidationError);
+    });
+});
@@ -0,0 +1,173 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the SMTP client against the mock SMTP server. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/** Mock SMTP server */
+var SmtpServer = require("./mock/smtpServer").SmtpServer;
+
+/** Mock server, shared by all tests */
+var server = new SmtpServer();
+
+/** SMTP configuration of the mock server */
+var smtpOptions = null;
+
+/** Transport, shared by all tests */
+var transport = null;
+
+test.before(function() {
+    return server.start().then(function(port) {
+        smtpOptions = {
+            host: "127.0.0.1",
+            port: port,
+            requireTls: false,
+            timeout: 2000
+        };
+        transport = new niuCloudConnector.SmtpTransport(smtpOptions);
+    });
+});
+
+test.after(function() {
+    return server.stop();
+});
+
+test.beforeEach(function() {
+    server.reset();
+});
+
+test.it("sendMail() delivers the mail to all recipients", function() {
+    return transport.sendMail({
+        from: "niu@example.com",
+        to: [ "a@example.com", "b@example.com" ],
+        subject: "Akku fast leer – 10 %",
+        text: "Battery low.\n.\nEnd"
+    }).then(function() {
+        var mails   = server.getMails();
+        var parts   = null;
+
+        assert.strictEqual(mails.length, 1);
+        assert.strictEqual(mails[0].from, "niu@example.com");
+        assert.deepStrictEqual(mails[0].to, [ "a@example.com", "b@example.com" ]);
+
+        parts = mails[0].data.split("\r\n\r\n");
+
+        assert.ok(0 <= parts[0].indexOf("To: a@example.com, b@example.com\r\n"));
+        assert.ok(0 <= parts[0].indexOf("Subject: =?UTF-8?B?" + Buffer.from("Akku fast leer – 10 %", "utf8").toString("base64") + "?="));
+        assert.strictEqual(Buffer.from(parts[1].replace(/\r\n/g, ""), "base64").toString("utf8"), "Battery low.\n.\nEnd");
+    });
+});
+
+test.it("sendMail() rejects addresses, which inject commands or headers", function() {
+    return Promise.all([
+        { from: "niu@example.com\r\nRCPT TO:<evil@example.com>", to: "a@example.com" },
+        { from: "niu@example.com", to: [ "a@example.com", "b@example.com>\r\nBcc: evil@example.com" ] },
+        { from: "niu@example.com", to: "<a@example.com>" },
+        { from: "niu@example.com", to: "a@example.com\nX-Injected: 1" }
+    ].map(function(message) {
+        message.subject = "Test";
+        message.text    = "Test";
+
+        return transport.sendMail(message).then(function() {
+            assert.fail("Expected ValidationError.");
+        }, function(error) {
+            assert.ok(error instanceof niuCloudConnector.ValidationError);
+        });
+    })).then(function() {
+        assert.strictEqual(server.getConnections(), 0);
+    });
+});
+
+test.it("the email sink sends an alert as mail", function() {
+    var sink = new niuCloudConnector.EmailSink({
+        from: "niu@example.com",
+        to: "a@example.com",
+        smtp: smtpOptions
+    });
+
+    return sink.send({
+        ruleId: "lowSoc",
+        type: "socBelow",
+        severity: "warning",
+        sn: "N1GTS0000000001",
+        message: "State of charge 10% is below 15%.",
+        value: 10,
+        since: new Date(Date.UTC(2020, 0, 1)),
+        time: new Date(Date.UTC(2020, 0, 1, 0, 15)),
+        status: "firing"
+    }).then(function() {
+        var mails   = server.getMails();
+        var parts   = null;
+        var text    = null;
+
+        assert.strictEqual(mails.length, 1);
+        assert.deepStrictEqual(mails[0].to, [ "a@example.com" ]);
+
+        parts   = mails[0].data.split("\r\n\r\n");
+        text    = Buffer.from(parts[1].replace(/\r\n/g, ""), "base64").toString("utf8");
+
+        assert.ok(0 <= parts[0].indexOf("Subject: NIU alert [warning] N1GTS0000000001: lowSoc\r\n"));
+        assert.ok(0 <= text.indexOf("State of charge 10% is below 15%."));
+        assert.ok(0 <= text.indexOf("Since: 2020-01-01T00:00:00.000Z"));
+    });
+});
+
+test.it("the email sink reports a failed delivery", function() {
+    var sink = new niuCloudConnector.EmailSink({
+        from: "niu@example.com",
+        to: "a@example.com",
+        transport: {
+            sendMail: function() {
+                return Promise.reject(new Error("Connection refused"));
+            }
+        }
+    });
+
+    assert.throws(function() {
+        return new niuCloudConnector.EmailSink({
+            from: "niu@example.com",
+            to: "a@example.com"
+        });
+    }, niuCloudConnector.ValidationError);
+
+    return sink.send({
+        ruleId: "lowSoc",
+        severity: "warning",
+        sn: "N1GTS0000000001",
+        since: new Date(),
+        time: new Date()
+    }).then(function() {
+        assert.fail("Expected NotificationError.");
+    }, function(error) {
+        assert.ok(error instanceof niuCloudConnector.NotificationError);
+        assert.strictEqual(error.cause.message, "Connection refused");
+    });
+});
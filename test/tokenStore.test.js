@@ -0,0 +1,136 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the token stores. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** File system */
+var fs = require("fs");
+
+/** Operating system information */
+var os = require("os");
+
+/** Path utilities */
+var path = require("path");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/** Directory of the token files, shared by all tests */
+var dir = null;
+
+test.before(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "niu-test-"));
+});
+
+test.after(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test.it("MemoryTokenStore keeps the token", function() {
+    var store = new niuCloudConnector.MemoryTokenStore();
+
+    return store.save("token").then(function() {
+        return store.load();
+    }).then(function(token) {
+        assert.strictEqual(token, "token");
+
+        return store.clear();
+    }).then(function() {
+        return store.load();
+    }).then(function(token) {
+        assert.strictEqual(token, null);
+    });
+});
+
+test.it("FileTokenStore requires a path", function() {
+    assert.throws(function() {
+        return new niuCloudConnector.FileTokenStore({});
+    }, niuCloudConnector.ValidationError);
+});
+
+test.it("FileTokenStore saves the token only readable by the owner", function() {
+    var file    = path.join(dir, "token.json");
+    var store   = new niuCloudConnector.FileTokenStore({
+        path: file
+    });
+
+    return store.load().then(function(token) {
+        assert.strictEqual(token, null);
+
+        return store.save("token");
+    }).then(function() {
+        assert.strictEqual(fs.statSync(file).mode & parseInt("777", 8), parseInt("600", 8));
+
+        return store.load();
+    }).then(function(token) {
+        assert.strictEqual(token, "token");
+
+        return store.clear();
+    }).then(function() {
+        assert.strictEqual(fs.existsSync(file), false);
+
+        return store.clear();
+    });
+});
+
+test.it("FileTokenStore handles concurrent saves", function() {
+    var file    = path.join(dir, "concurrent.json");
+    var store   = new niuCloudConnector.FileTokenStore({
+        path: file
+    });
+    var other   = new niuCloudConnector.FileTokenStore({
+        path: file
+    });
+
+    return Promise.all([
+        store.save("first"),
+        other.save("second"),
+        store.save("third")
+    ]).then(function() {
+        return store.load();
+    }).then(function(token) {
+        assert.ok(0 <= [ "first", "second", "third" ].indexOf(token));
+        assert.deepStrictEqual(fs.readdirSync(dir).filter(function(name) {
+            return /\.tmp$/.test(name);
+        }), []);
+    });
+});
+
+test.it("FileTokenStore ignores a corrupt token file", function() {
+    var file    = path.join(dir, "corrupt.json");
+    var store   = new niuCloudConnector.FileTokenStore({
+        path: file
+    });
+
+    fs.writeFileSync(file, "{ no json");
+
+    return store.load().then(function(token) {
+        assert.strictEqual(token, null);
+    });
+});
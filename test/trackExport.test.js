@@ -0,0 +1,169 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the track export to GPX, GeoJSON and KML. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/**
+ * Create a track. The NIU cloud provides the track items in reverse order.
+ *
+ * @param {Object} [summary] - Track summary.
+ *
+ * @returns {Object} Track
+ */
+var createTrack = function(summary) {
+    return {
+        summary: summary,
+        detail: {
+            trackItems: [
+                { lat: 52.522, lng: 13.407, date: 1580000120000 },
+                { lat: "52.521", lng: "13.406", date: "1580000060000" },
+                { lat: 52.52, lng: 13.405, date: 1580000000000 }
+            ]
+        }
+    };
+};
+
+test.describe("getTrackPoints()", function() {
+
+    test.it("provides the points in chronological order", function() {
+        var points = niuCloudConnector.getTrackPoints(createTrack());
+
+        assert.deepStrictEqual(points, [
+            { lat: 52.52, lng: 13.405, date: 1580000000000 },
+            { lat: 52.521, lng: 13.406, date: 1580000060000 },
+            { lat: 52.522, lng: 13.407, date: 1580000120000 }
+        ]);
+    });
+
+    test.it("skips points without valid coordinates and drops invalid timestamps", function() {
+        var points = niuCloudConnector.getTrackPoints({
+            detail: {
+                trackItems: [
+                    { lat: "abc", lng: 13.407, date: 1580000120000 },
+                    { lat: 52.521, lng: 13.406, date: 1e20 },
+                    null
+                ]
+            }
+        });
+
+        assert.deepStrictEqual(points, [
+            { lat: 52.521, lng: 13.406, date: undefined }
+        ]);
+    });
+
+    test.it("rejects a track without detail", function() {
+        assert.throws(function() {
+            niuCloudConnector.getTrackPoints({});
+        }, niuCloudConnector.ValidationError);
+    });
+});
+
+test.describe("toGpx()", function() {
+
+    test.it("exports the points with their time", function() {
+        var gpx = niuCloudConnector.toGpx(createTrack({ trackId: "T1", distance: 1200 }));
+
+        assert.match(gpx, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<gpx version="1.1"/);
+        assert.match(gpx, /<name>Track T1<\/name>/);
+        assert.match(gpx, /<trkpt lat="52.52" lon="13.405"><time>2020-01-26T00:53:20.000Z<\/time><\/trkpt>/);
+        assert.strictEqual(gpx.match(/<trkpt /g).length, 3);
+    });
+
+    test.it("escapes the metadata", function() {
+        var gpx = niuCloudConnector.toGpx(createTrack({ trackId: "<a&b>\"" }));
+
+        assert.match(gpx, /<name>Track &lt;a&amp;b&gt;&quot;<\/name>/);
+        assert.doesNotMatch(gpx, /<a&b>/);
+    });
+
+    test.it("omits the time of an invalid timestamp", function() {
+        var track   = createTrack({ startTime: 1e20 });
+        var gpx     = null;
+
+        track.detail.trackItems[0].date = 1e20;
+
+        assert.doesNotThrow(function() {
+            gpx = niuCloudConnector.toGpx(track);
+        });
+
+        assert.match(gpx, /<trkpt lat="52.522" lon="13.407"\/>/);
+        assert.strictEqual(gpx.match(/<time>/g).length, 3);
+    });
+});
+
+test.describe("toGeoJson()", function() {
+
+    test.it("exports a line string with the point times", function() {
+        var feature = niuCloudConnector.toGeoJson(createTrack({ trackId: "T1" }));
+
+        assert.strictEqual(feature.type, "Feature");
+        assert.deepStrictEqual(feature.geometry.coordinates[0], [13.405, 52.52]);
+        assert.strictEqual(feature.properties.coordTimes.length, 3);
+        assert.strictEqual(feature.properties.trackId, "T1");
+    });
+
+    test.it("exports several tracks as feature collection", function() {
+        var collection = niuCloudConnector.toGeoJson([createTrack(), createTrack()]);
+
+        assert.strictEqual(collection.type, "FeatureCollection");
+        assert.strictEqual(collection.features.length, 2);
+    });
+});
+
+test.describe("toKml()", function() {
+
+    test.it("exports a gx:Track, if all points have a time", function() {
+        var kml = niuCloudConnector.toKml(createTrack({ trackId: "T1" }));
+
+        assert.match(kml, /<gx:Track>/);
+        assert.strictEqual(kml.match(/<when>/g).length, 3);
+        assert.match(kml, /<gx:coord>13.405 52.52 0<\/gx:coord>/);
+    });
+
+    test.it("falls back to a line string without times", function() {
+        var track   = createTrack();
+        var kml     = null;
+
+        track.detail.trackItems[1].date = 1e20;
+        kml = niuCloudConnector.toKml(track);
+
+        assert.doesNotMatch(kml, /<gx:Track>/);
+        assert.match(kml, /<LineString>/);
+    });
+
+    test.it("escapes the metadata", function() {
+        var kml = niuCloudConnector.toKml(createTrack({ trackId: "<a&b>" }));
+
+        assert.match(kml, /<Data name="trackId"><value>&lt;a&amp;b&gt;<\/value><\/Data>/);
+        assert.doesNotMatch(kml, /<a&b>/);
+    });
+});
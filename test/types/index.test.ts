@@ -0,0 +1,250 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Type test of the type declarations. It is only compiled, not executed.
+ * Lines marked with @ts-expect-error must fail to compile.
+ */
+
+import niuCloudConnector = require("../..");
+
+const client = new niuCloudConnector.Client({
+    credentials: {
+        account: "email@somewhere.org",
+        password: "1234",
+        countryCode: "49"
+    },
+    tokenStore: new niuCloudConnector.FileTokenStore({
+        path: "./niu-token.json"
+    }),
+    region: "EU",
+    timeout: 10000,
+    retry: {
+        retries: 3
+    },
+    normalize: true,
+    validation: "collect"
+});
+
+/* @ts-expect-error Unknown region */
+new niuCloudConnector.Client({ region: "MARS" });
+
+new niuCloudConnector.Client({
+    credentials: () => Promise.resolve({ account: "a", password: "b", countryCode: "49" }),
+    transport: new niuCloudConnector.HttpsTransport()
+});
+
+new niuCloudConnector.Client({ cassette: { mode: "record", path: "./issue-42.json" } });
+
+/* @ts-expect-error Unknown cassette mode */
+new niuCloudConnector.Client({ cassette: { mode: "rewind", path: "./issue-42.json" } });
+
+const recorder = new niuCloudConnector.RecordingTransport({ path: "./issue-42.json", transport: new niuCloudConnector.HttpsTransport() });
+const recordedUrls: string[] = recorder.getInteractions().map((interaction) => interaction.request.url);
+new niuCloudConnector.Client({ transport: new niuCloudConnector.ReplayTransport({ cassette: { version: 1, interactions: recorder.getInteractions() } }) });
+
+async function check(): Promise<void> {
+    const controller = new AbortController();
+
+    const token: string = (await client.createSessionToken({ account: "a", password: "b", countryCode: "49" })).result;
+
+    const vehicles = await client.getVehicles({ signal: controller.signal });
+    const sn: string = vehicles.result.data[0].sn;
+    const isDoubleBattery: boolean = vehicles.result.data[0].isDoubleBattery;
+
+    /* @ts-expect-error Serial number is missing */
+    await client.getMotorInfo({});
+
+    const motorInfo = await client.getMotorInfo({ sn: sn, timeout: 5000 });
+    const lat: number = motorInfo.result.data.postion.lat;
+    const socA: number = motorInfo.result.data.batteries.compartmentA.batteryCharging;
+
+    /* @ts-expect-error Battery compartment B is optional */
+    const socB: number = motorInfo.result.data.batteries.compartmentB.batteryCharging;
+
+    if (undefined !== motorInfo.model) {
+        const speed: number | null = motorInfo.model.speed;
+        const gpsTime: Date | null = motorInfo.model.gpsTime;
+    }
+
+    const batteryInfo = await client.getBatteryInfo({ sn: sn });
+    const cycles: string | undefined = batteryInfo.result.data.batteries.compartmentB?.chargedTimes;
+
+    const health = await client.getBatteryHealth({ sn: sn });
+    const records: number = health.result.data.batteries.compartmentA.healthRecords.length;
+
+    const chart = await client.getBatteryChart({ sn: sn, bmsId: 1, page: 1, pageSize: "A", pageLength: 2 });
+    const mileage: string = chart.result.data.items1.m;
+
+    const tracks = await client.getTracks({ sn: sn, index: 0, pageSize: 10 });
+    const trackId: string = tracks.result.data[0].trackId;
+
+    const detail = await client.getTrackDetail({ sn: sn, trackId: trackId, trackDate: tracks.result.data[0].date });
+    const date: number = detail.result.data.trackItems[0].date;
+
+    for await (const track of client.iterateTracks({ sn: sn, from: new Date(2020, 0, 1), withDetail: true })) {
+        const gpx: string = niuCloudConnector.toGpx({ detail: track.detail!, summary: track.summary });
+        const feature = niuCloudConnector.toGeoJson({ detail: track.detail!, summary: track.summary });
+        const coordinates: [number, number][] = feature.geometry.coordinates;
+    }
+
+    const firmware = await client.getFirmwareVersion({ sn: sn });
+    const version: string = firmware.result.data[0].nowVersion;
+
+    const pos = await client.getVehiclePos({ sn: sn });
+    const tally = await client.getOverallTally({ sn: sn });
+    const update = await client.getUpdateInfo({ sn: sn });
+    const totalMileage: number = tally.result.data.totalMileage;
+
+    const fleet = await client.getFleetStatus({ concurrency: 2, lowSocThreshold: 30 });
+    const averageSoc: number | null = fleet.result.totals.averageSoc;
+    const failed: string[] = fleet.result.failures.map((failure) => failure.sn + " " + failure.request);
+    const snapshot = await niuCloudConnector.getFleetSnapshot(client, { sn: [sn] });
+    const lowSoc: (number | null)[] = snapshot.lowSoc.map((vehicle) => vehicle.soc);
+
+    const store = new niuCloudConnector.RideStore({ path: "rides" });
+    const synced = await client.syncRides({ store: store, withDetail: true });
+    const newTracks: number = synced.result.tracks;
+    for (const summary of await store.getTracks(sn, { from: new Date(2020, 0, 1), limit: 10 })) {
+        const stored = await store.getTrack(sn, summary.trackId);
+        const kml: string | null = (null !== stored) && (null !== stored.detail) ? niuCloudConnector.toKml({ detail: stored.detail, summary: stored.summary }) : null;
+    }
+    const tallies: number[] = (await store.getTallies(sn)).map((tally) => tally.data.totalMileage);
+
+    const months = niuCloudConnector.analytics.getPeriodStats(tracks.result.data, { period: "month", packCapacity: 1512 });
+    const distanceChange: number | null | undefined = months[1]?.trend?.distance?.changeRatio;
+    const ride = niuCloudConnector.analytics.getRideStats({ summary: tracks.result.data[0], detail: detail.result.data });
+    const whPerKm: number | null = ride.whPerKm;
+
+    const tracker = new niuCloudConnector.BatteryHealthTracker({ endOfLifeGrade: 75 });
+    const added: number = await tracker.record(client, { sn: sn });
+    tracker.addBatteryHealth(sn, health.result.data);
+    const endOfLife: (Date | null)[] = tracker.getReport().fastDegrading.map((pack) => pack.endOfLife);
+    const restored = new niuCloudConnector.BatteryHealthTracker({ observations: JSON.parse(JSON.stringify(tracker.getObservations())) });
+
+    const report = client.getDriftReport();
+    const extra = report.responses.MotorData?.extra.map((entry) => entry.path);
+}
+
+function handleError(error: unknown): string {
+
+    if (error instanceof niuCloudConnector.ApiError) {
+        return error.code + " " + error.status + " " + error.desc;
+    }
+
+    if (error instanceof niuCloudConnector.SchemaError) {
+        return error.issues!.map((issue) => issue.kind + " " + issue.path).join(", ");
+    }
+
+    if (error instanceof niuCloudConnector.NiuError) {
+        return error.code;
+    }
+
+    return "";
+}
+
+const monitor = new niuCloudConnector.VehicleMonitor({ client: client, sn: "sn", interval: 60000 });
+
+monitor.on("chargingStarted", (event) => {
+    const isCharging: number = event.data.isCharging;
+});
+
+monitor.on("socChanged", (event) => {
+    const soc: number = event.soc;
+});
+
+const chargingTracker = new niuCloudConnector.ChargingTracker({ monitor: monitor, packCapacity: 1512 }).start();
+
+chargingTracker.on("finished", (session) => {
+    const energy: number | null = session.energy;
+    const csv: string = niuCloudConnector.chargingSessionsToCsv([session], { delimiter: ";" });
+});
+
+const alertEngine = new niuCloudConnector.AlertEngine({
+    rules: niuCloudConnector.DefaultAlertRules.concat([
+        { id: "slow", type: "custom", condition: (snapshot) => (undefined !== snapshot.motorInfo) ? 10 > snapshot.motorInfo.nowSpeed : null }
+    ]),
+    sinks: [
+        new niuCloudConnector.CallbackSink((alert) => alert.message),
+        new niuCloudConnector.WebhookSink({ url: "https://example.com/hook" }),
+        new niuCloudConnector.EmailSink({ from: "niu@example.com", to: ["me@example.com"], smtp: { host: "smtp.example.com", user: "niu" } })
+    ]
+});
+
+// @ts-expect-error Unknown rule type
+alertEngine.addRule({ id: "unknown", type: "unknown" });
+
+alertEngine.on("error", (error) => {
+    const code: "ERR_NOTIFICATION" | "ERR_RULE" = error.code;
+});
+
+const gateway = new niuCloudConnector.RestGateway({ client: client, apiKeys: ["secret"], basePath: "/api" });
+gateway.listen(8080, "127.0.0.1").then((address) => address.port);
+
+// @ts-expect-error Client is missing
+new niuCloudConnector.RestGateway({ apiKeys: ["secret"] });
+
+const bridge = new niuCloudConnector.MqttBridge({
+    client: client,
+    url: "mqtt://localhost:1883",
+    topics: { soc: "scooter/{sn}/soc/{compartment}" },
+    discovery: { prefix: "homeassistant" }
+}).start();
+
+bridge.on("publish", (message) => {
+    const topic: string = message.topic;
+});
+
+// @ts-expect-error Unknown topic
+new niuCloudConnector.MqttBridge({ client: client, url: "mqtt://localhost", topics: { speed: "speed" } });
+
+client.on("request", (event) => {
+    const duration: number = event.duration;
+});
+
+client.on("failure", (error) => {
+    const code: string = error.code;
+});
+
+const exporter = new niuCloudConnector.PrometheusExporter({ client: client, maxAge: 30000, prefix: "scooter_" });
+exporter.getMetrics().then((metrics) => metrics.length);
+
+// @ts-expect-error Client is missing
+new niuCloudConnector.PrometheusExporter({ path: "/metrics" });
+
+const watcher = new niuCloudConnector.GeofenceWatcher({
+    monitor: monitor,
+    geofences: [
+        new niuCloudConnector.CircleGeofence({ id: "depot", lat: 52.52, lng: 13.405, radius: 150 }),
+        new niuCloudConnector.PolygonGeofence({ id: "area", points: [{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }, { lat: 1, lng: 1 }] })
+    ]
+});
+
+watcher.on("leave", (event) => {
+    const distance: number = event.distance;
+    const id: string = event.geofence.id;
+});
+
+const status: niuCloudConnector.VehicleStatus = niuCloudConnector.model.toVehicleStatus({} as niuCloudConnector.MotorData);
+const issues: niuCloudConnector.SchemaIssue[] = niuCloudConnector.validateResponse("MotorData", {});
+
+const store: niuCloudConnector.TokenStore = new niuCloudConnector.MemoryTokenStore();
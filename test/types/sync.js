@@ -0,0 +1,97 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Checks whether index.d.ts declares every export of the library and every
+ * public method of the exported classes. Exits with 1, if something is missing.
+ */
+
+/** File system */
+var fs = require("fs");
+
+/** Path utilities */
+var path = require("path");
+
+/** NIU cloud connector */
+var niuCloudConnector = require("../../index");
+
+/** Type declarations */
+var declarations = fs.readFileSync(path.join(__dirname, "..", "..", "index.d.ts"), "utf8");
+
+/** Missing declarations */
+var missing = [];
+
+/**
+ * Get the declaration block of a class.
+ *
+ * @param {string} name - Class name.
+ *
+ * @returns {string} Class declaration or an empty string.
+ */
+var getClassDeclaration = function(name) {
+    var match = new RegExp("\\bclass " + name + "\\b[^{]*\\{([\\s\\S]*?)\\n    \\}").exec(declarations);
+
+    return (null === match) ? "" : match[1];
+};
+
+Object.keys(niuCloudConnector).forEach(function(name) {
+    var value       = niuCloudConnector[name];
+    var classBlock  = null;
+
+    if (false === new RegExp("\\b(const|class|function|namespace) " + name + "\\b").test(declarations)) {
+        missing.push(name);
+        return;
+    }
+
+    if (("function" === typeof value) &&
+        (0 < Object.keys(value.prototype).length)) {
+        classBlock = getClassDeclaration(name);
+
+        Object.keys(value.prototype).filter(function(method) {
+            return 0 !== method.indexOf("_");
+        }).forEach(function(method) {
+
+            if (false === new RegExp("\\b" + method + "\\(").test(classBlock)) {
+                missing.push(name + "." + method + "()");
+            }
+        });
+    }
+
+    if (("object" === typeof value) &&
+        (null !== value) &&
+        (true === new RegExp("\\bnamespace " + name + "\\b").test(declarations))) {
+
+        Object.keys(value).forEach(function(member) {
+
+            if (false === new RegExp("\\bfunction " + member + "\\(").test(declarations)) {
+                missing.push(name + "." + member + "()");
+            }
+        });
+    }
+});
+
+if (0 < missing.length) {
+    console.error("Missing in index.d.ts: " + missing.join(", "));
+    process.exitCode = 1;
+} else {
+    console.log("index.d.ts declares all exports.");
+}
@@ -0,0 +1,230 @@
+/* MIT License
+ *
+ * Copyright (c) 2019 Andreas Merkle <web@blue-andi.de>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/* Tests of the vehicle monitor against the mock NIU server. */
+
+/** Test runner */
+var test = require("node:test");
+
+/** Assertions */
+var assert = require("assert");
+
+/** NIU cloud client, used to access the NIU cloud. */
+var niuCloudConnector = require("../index");
+
+/** Test helpers */
+var helpers = require("./mock/helpers");
+
+/** Vehicle with one battery */
+var SN_SINGLE = helpers.SN_SINGLE;
+
+/** Mock server, shared by all tests */
+var server = helpers.useNiuServer();
+
+/**
+ * Change the motor data of the vehicle with one battery.
+ *
+ * @param {Function} change - Called with the motor data, which shall be changed.
+ */
+var changeMotorInfo = function(change) {
+    var motorInfo = server.getFixture("motorInfo");
+
+    change(motorInfo[SN_SINGLE]);
+    server.setFixture("motorInfo", motorInfo);
+};
+
+/**
+ * Create a vehicle monitor, which records the names of all emitted events.
+ *
+ * @param {Object} [options] - Additional monitor options.
+ *
+ * @returns {Object} Monitor and recorded events.
+ */
+var createMonitor = function(options) {
+    var events  = [];
+    var monitor = new niuCloudConnector.VehicleMonitor(Object.assign({
+        client: helpers.createClient(server),
+        sn: SN_SINGLE
+    }, options));
+
+    [
+        "chargingStarted", "chargingFinished", "locked", "unlocked",
+        "connected", "disconnected", "accOn", "accOff", "socChanged"
+    ].forEach(function(name) {
+        monitor.on(name, function() {
+            events.push(name);
+        });
+    });
+
+    return {
+        monitor: monitor,
+        events: events
+    };
+};
+
+test.it("the monitor requires a client and a serial number", function() {
+    assert.throws(function() {
+        return new niuCloudConnector.VehicleMonitor({
+            sn: SN_SINGLE
+        });
+    }, niuCloudConnector.ValidationError);
+
+    assert.throws(function() {
+        return new niuCloudConnector.VehicleMonitor({
+            client: helpers.createClient(server)
+        });
+    }, niuCloudConnector.ValidationError);
+});
+
+test.it("the first poll provides the data without change events", function() {
+    var context = createMonitor();
+    var event   = null;
+
+    context.monitor.on("data", function(data) {
+        event = data;
+    });
+
+    return context.monitor.poll().then(function(data) {
+        assert.strictEqual(data.batteries.compartmentA.batteryCharging, 66);
+        assert.strictEqual(context.monitor.getData(), data);
+        assert.strictEqual(event.sn, SN_SINGLE);
+        assert.strictEqual(event.previous, null);
+        assert.deepStrictEqual(context.events, []);
+    });
+});
+
+test.it("changes of the motor data are emitted", function() {
+    var context = createMonitor();
+    var soc     = null;
+
+    context.monitor.on("socChanged", function(event) {
+        soc = event;
+    });
+
+    return context.monitor.poll().then(function() {
+        changeMotorInfo(function(data) {
+            data.isCharging     = "1";
+            data.lockStatus     = 1;
+            data.isConnected    = false;
+            data.isAccOn        = 1;
+
+            data.batteries.compartmentA.batteryCharging = 67;
+        });
+
+        return context.monitor.poll();
+    }).then(function() {
+        assert.deepStrictEqual(context.events, [
+            "chargingStarted", "disconnected", "accOn", "unlocked", "socChanged"
+        ]);
+        assert.strictEqual(soc.compartment, "compartmentA");
+        assert.strictEqual(soc.previousSoc, 66);
+        assert.strictEqual(soc.soc, 67);
+
+        changeMotorInfo(function(data) {
+            data.lockStatus = 0;
+        });
+
+        return context.monitor.poll();
+    }).then(function() {
+        assert.strictEqual(context.events[context.events.length - 1], "locked");
+    });
+});
+
+test.it("the poll interval adapts to the vehicle", function() {
+    var context = createMonitor({
+        interval: 1000,
+        movingInterval: 100,
+        idleInterval: 2000,
+        backoffFactor: 2
+    });
+
+    return context.monitor.poll().then(function() {
+        return context.monitor.poll();
+    }).then(function() {
+        assert.strictEqual(context.monitor.getInterval(), 2000);
+
+        changeMotorInfo(function(data) {
+            data.nowSpeed = 25;
+        });
+
+        return context.monitor.poll();
+    }).then(function() {
+        assert.strictEqual(context.monitor.getInterval(), 100);
+
+        changeMotorInfo(function(data) {
+            data.nowSpeed   = 0;
+            data.lockStatus = 1;
+        });
+
+        return context.monitor.poll();
+    }).then(function() {
+        assert.strictEqual(context.monitor.getInterval(), 1000);
+    });
+});
+
+test.it("a failed poll is emitted as error", function() {
+    var context = createMonitor();
+    var error   = null;
+
+    context.monitor.on("error", function(err) {
+        error = err;
+    });
+
+    server.script({
+        path: "/v3/motor_data/index_info",
+        statusCode: 500
+    });
+
+    return context.monitor.poll().then(function() {
+        assert.fail("Expected an error.");
+    }, function(err) {
+        assert.strictEqual(error, err);
+        assert.ok(err instanceof niuCloudConnector.NiuError);
+    });
+});
+
+test.it("start() polls until stop()", function() {
+    var context = createMonitor({
+        interval: 10,
+        idleInterval: 10
+    });
+
+    return new Promise(function(resolve) {
+        var count = 0;
+
+        context.monitor.on("data", function() {
+            ++count;
+
+            if (3 === count) {
+                context.monitor.stop();
+                resolve();
+            }
+        });
+
+        context.monitor.start();
+        assert.strictEqual(context.monitor.isRunning(), true);
+    }).then(function() {
+        assert.strictEqual(context.monitor.isRunning(), false);
+        assert.strictEqual(server.getRequests("/v3/motor_data/index_info").length, 3);
+    });
+});